@@ -6,6 +6,15 @@
 /** Simplified http client */
 var got = require("got");
 
+/** File system, used for the session token cache */
+var fs = require("fs");
+
+/** Utilities, used for the error classes */
+var util = require("util");
+
+/** Normalized response models */
+var models = require("./models");
+
 /**
  * NIU cloud connector
  * @namespace
@@ -17,323 +26,1489 @@ module.exports = niuCloudConnector;
 /**
  * URL to NIU login, used for retrieving an access token.
  */
-niuCloudConnector.AccountBaseUrl = "https://account-fk.niu.com";
+niuCloudConnector.AccountBaseUrl = "https://account-fk.niu.com";
+
+/**
+ * URL to the NIU app API.
+ */
+niuCloudConnector.AppApiBaseUrl = "https://app-api-fk.niu.com";
+
+/**
+ * @typedef {Object} Region
+ * @property {string}   accountBaseUrl      - URL to NIU login.
+ * @property {string}   appApiBaseUrl       - URL to the NIU app API.
+ * @property {string}   clientIdentifier    - Client identifier, used in the user agent.
+ */
+
+/**
+ * Region profiles, selected by the Client region option.
+ *
+ * @type {Object.<string, Region>}
+ */
+niuCloudConnector.Regions = {
+  /** Accounts outside of China mainland */
+  overseas: {
+    accountBaseUrl: niuCloudConnector.AccountBaseUrl,
+    appApiBaseUrl: niuCloudConnector.AppApiBaseUrl,
+    clientIdentifier: "Overseas",
+  },
+  /** Accounts in China mainland */
+  china: {
+    accountBaseUrl: "https://account.niu.com",
+    appApiBaseUrl: "https://app-api.niu.com",
+    clientIdentifier: "Domestic",
+  },
+};
+
+/**
+ * NIU response status numbers, which indicate an invalid or expired session token.
+ */
+niuCloudConnector.AuthFailureStatus = [1131];
+
+/**
+ * NIU response status numbers, which indicate a temporary failure of the NIU
+ * cloud. Such requests are retried like HTTP 5xx responses.
+ */
+niuCloudConnector.RetryableStatus = [500, 502, 503, 504];
+
+/** Path of the NIU login */
+var LOGIN_PATH = "/appv2/login";
+
+/**
+ * Upper bounds in seconds of the request latency histogram buckets.
+ */
+niuCloudConnector.LatencyBuckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Default cache time to live in seconds per request path, without query.
+ * Used if the Client cache option is enabled, see Client.
+ *
+ * @type {Object.<string, number>}
+ */
+niuCloudConnector.CacheTtl = {
+  "/motoinfo/list": 3600,
+  "/motoinfo/currentpos": 5,
+  "/motoinfo/overallTally": 300,
+  "/v5/track/list/v2": 60,
+  "/v5/track/detail": 86400,
+  "/v3/motor_data/battery_info": 30,
+  "/v3/motor_data/battery_info/health": 3600,
+  "/v3/motor_data/battery_chart/": 300,
+  "/v3/motor_data/index_info": 5,
+  "/motorota/getfirmwareversion": 21600,
+  "/motorota/getupdateinfo": 21600,
+};
+
+/**
+ * Base class of all errors of the client.
+ *
+ * @class
+ *
+ * @param {string} message      - Error message.
+ * @param {Object} [properties] - Additional properties of the error, e.g. the endpoint.
+ */
+niuCloudConnector.NiuError = function (message, properties) {
+  Error.call(this, message);
+  Error.captureStackTrace(this, this.constructor);
+
+  this.name = "NiuError";
+  this.message = message;
+
+  Object.assign(this, properties);
+};
+
+util.inherits(niuCloudConnector.NiuError, Error);
+
+/**
+ * The NIU cloud couldn't be reached or didn't answer properly.
+ *
+ * @class
+ * @extends NiuError
+ *
+ * @param {string} message                  - Error message.
+ * @param {Object} properties               - Properties.
+ * @param {string} properties.reason        - "network", "timeout", "http" or "circuit_open".
+ * @param {string} [properties.endpoint]    - Request path, without query.
+ * @param {number} [properties.httpStatus]  - HTTP status code, if the reason is "http".
+ */
+niuCloudConnector.NetworkError = function (message, properties) {
+  niuCloudConnector.NiuError.call(this, message, properties);
+  this.name = "NetworkError";
+};
+
+util.inherits(niuCloudConnector.NetworkError, niuCloudConnector.NiuError);
+
+/**
+ * The login failed or the session token was rejected.
+ *
+ * @class
+ * @extends NiuError
+ *
+ * @param {string} message                  - Error message.
+ * @param {Object} [properties]             - Properties.
+ * @param {string} [properties.endpoint]    - Request path, without query.
+ * @param {number} [properties.status]      - NIU response status number.
+ * @param {number} [properties.httpStatus]  - HTTP status code, if rejected by HTTP 401 or 403.
+ */
+niuCloudConnector.AuthError = function (message, properties) {
+  niuCloudConnector.NiuError.call(this, message, properties);
+  this.name = "AuthError";
+};
+
+util.inherits(niuCloudConnector.AuthError, niuCloudConnector.NiuError);
+
+/**
+ * The NIU cloud answered with an error status.
+ *
+ * @class
+ * @extends NiuError
+ *
+ * @param {string} message              - Error message.
+ * @param {Object} properties           - Properties.
+ * @param {number} properties.status    - NIU response status number.
+ * @param {string} properties.desc      - NIU response status description.
+ * @param {*}      properties.trace     - NIU response trace.
+ * @param {string} properties.endpoint  - Request path, without query.
+ */
+niuCloudConnector.ApiStatusError = function (message, properties) {
+  niuCloudConnector.NiuError.call(this, message, properties);
+  this.name = "ApiStatusError";
+};
+
+util.inherits(niuCloudConnector.ApiStatusError, niuCloudConnector.NiuError);
+
+/**
+ * A request option is missing or invalid, nothing was sent.
+ *
+ * @class
+ * @extends NiuError
+ *
+ * @param {string} message - Error message.
+ */
+niuCloudConnector.ValidationError = function (message) {
+  niuCloudConnector.NiuError.call(this, message);
+  this.name = "ValidationError";
+};
+
+util.inherits(niuCloudConnector.ValidationError, niuCloudConnector.NiuError);
+
+/**
+ * Too many requests, the NIU cloud answered with HTTP 429.
+ *
+ * @class
+ * @extends NiuError
+ *
+ * @param {string} message                  - Error message.
+ * @param {Object} [properties]             - Properties.
+ * @param {string} [properties.endpoint]    - Request path, without query.
+ * @param {number} [properties.httpStatus]  - HTTP status code.
+ * @param {number|null} [properties.retryAfter] - Time in seconds, before a request may be sent again, if known.
+ */
+niuCloudConnector.RateLimitError = function (message, properties) {
+  niuCloudConnector.NiuError.call(this, message, properties);
+  this.name = "RateLimitError";
+};
+
+util.inherits(niuCloudConnector.RateLimitError, niuCloudConnector.NiuError);
+
+/**
+ * NIU cloud connector client.
+ *
+ * @class
+ *
+ * @param {Object}  [options]                   - Options.
+ * @param {string}  [options.tokenFile]         - Path to a JSON file, which caches the session token per account.
+ * @param {string}  [options.region]            - Region profile, see niuCloudConnector.Regions. Default is "overseas".
+ * @param {string}  [options.accountBaseUrl]    - URL to NIU login, overwrites the region profile.
+ * @param {string}  [options.appApiBaseUrl]     - URL to the NIU app API, overwrites the region profile.
+ * @param {string}  [options.appVersion]        - NIU app version, used in the user agent. Default is "4.6.2".
+ * @param {string}  [options.acceptLanguage]    - Accept language, used in HTTP request header. Default is "en-US".
+ * @param {string}  [options.userAgent]         - User agent, overwrites the one derived from the other options.
+ * @param {boolean|Object} [options.cache]      - Enable the response cache, disabled by default.
+ * @param {Object.<string, number>} [options.cache.ttl] - Time to live in seconds per request path, overwrites niuCloudConnector.CacheTtl. 0 disables caching of a path.
+ * @param {number}  [options.timeout]           - Request timeout in seconds. Default is 10.
+ * @param {number}  [options.retries]           - Number of retries after a network error, HTTP 5xx or retryable NIU status. Default is 2.
+ * @param {number}  [options.retryDelay]        - Delay in seconds before the first retry, doubled for every further one. Default is 0.5.
+ * @param {boolean|Object} [options.circuitBreaker] - Circuit breaker, enabled by default. false disables it.
+ * @param {number}  [options.circuitBreaker.threshold]    - Number of failed requests in a row, which open the circuit. Default is 5.
+ * @param {number}  [options.circuitBreaker.resetTimeout] - Time in seconds, before an open circuit lets a trial request pass. Default is 60.
+ * @param {boolean} [options.normalize]         - Resolve the getters with normalized models, see models.js. Disabled by default. The received data stays available as raw, or only the received data is resolved with the getter option raw set to true.
+ */
+niuCloudConnector.Client = function (options) {
+  var region = null;
+  var breaker = null;
+
+  options = options || {};
+
+  if ("string" === typeof options.region) {
+    if (!niuCloudConnector.Regions.hasOwnProperty(options.region)) {
+      throw new niuCloudConnector.ValidationError(
+        "Unknown region: " + options.region
+      );
+    }
+
+    region = niuCloudConnector.Regions[options.region];
+  } else {
+    region = niuCloudConnector.Regions.overseas;
+  }
+
+  /** Enable/Disable debug output */
+  this._isDebugMode = false;
+
+  /** Session token */
+  this._token = "";
+
+  /** Login data of the last created session token, used to login again. */
+  this._credentials = null;
+
+  /** Pending login, which is shared by all requests waiting for a new token. */
+  this._pendingLogin = null;
+
+  /** Response cache, null if disabled. */
+  this._cache = null;
+
+  if (true === options.cache || "object" === typeof options.cache) {
+    this._cache = {
+      ttl: Object.assign(
+        {},
+        niuCloudConnector.CacheTtl,
+        "object" === typeof options.cache ? options.cache.ttl : {}
+      ),
+      entries: {},
+      pending: {},
+    };
+  }
+
+  /** Resolve the getters with normalized models. */
+  this._normalize = true === options.normalize;
+
+  /** Request timeout in seconds. */
+  this._timeout = "number" === typeof options.timeout ? options.timeout : 10;
+
+  /** Number of retries of a temporary failure. */
+  this._retries = "number" === typeof options.retries ? options.retries : 2;
+
+  /** Delay in seconds before the first retry. */
+  this._retryDelay =
+    "number" === typeof options.retryDelay ? options.retryDelay : 0.5;
+
+  /** Circuit breaker, null if disabled. */
+  this._circuit = null;
+
+  if (false !== options.circuitBreaker) {
+    breaker =
+      "object" === typeof options.circuitBreaker ? options.circuitBreaker : {};
+
+    this._circuit = {
+      threshold: "number" === typeof breaker.threshold ? breaker.threshold : 5,
+      resetTimeout:
+        "number" === typeof breaker.resetTimeout ? breaker.resetTimeout : 60,
+      failures: 0,
+      openedAt: null,
+      isProbing: false,
+    };
+  }
+
+  /** Request statistics, see getStats(). */
+  this._stats = {
+    requests: {},
+    failures: {},
+    cache: {
+      hits: {},
+      misses: {},
+      coalesced: {},
+    },
+    latency: {
+      buckets: niuCloudConnector.LatencyBuckets.map(function () {
+        return 0;
+      }),
+      sum: 0,
+      count: 0,
+    },
+  };
+
+  /** Path to the session token cache file. */
+  this._tokenFile =
+    "string" === typeof options.tokenFile ? options.tokenFile : "";
+
+  /** URL to NIU login, used for retrieving an access token. */
+  this._accountBaseUrl =
+    "string" === typeof options.accountBaseUrl
+      ? options.accountBaseUrl
+      : region.accountBaseUrl;
+
+  /** URL to the NIU app API. */
+  this._appApiBaseUrl =
+    "string" === typeof options.appApiBaseUrl
+      ? options.appApiBaseUrl
+      : region.appApiBaseUrl;
+
+  /** Accept language, used in HTTP request header. */
+  this._acceptLanguage =
+    "string" === typeof options.acceptLanguage
+      ? options.acceptLanguage
+      : "en-US";
+
+  /** The NIU app version, which the niu-cloud-connector is derrived from. */
+  this._niuAppVersion =
+    "string" === typeof options.appVersion ? options.appVersion : "4.6.2";
+
+  /** User agent, used in HTTP request header. */
+  this._userAgent =
+    "string" === typeof options.userAgent
+      ? options.userAgent
+      : "manager/" +
+        this._niuAppVersion +
+        " (android; Unknown);brand=Unknown;model=Unknown;clientIdentifier=" +
+        region.clientIdentifier +
+        ";lang=" +
+        this._acceptLanguage;
+};
+
+/**
+ * Enable/Disable the debug mode.
+ * In the debug mode the whole HTTP response is printed to console.
+ *
+ * @param {boolean} enableDebugMode - Enable/Disable debug mode.
+ *
+ */
+niuCloudConnector.Client.prototype.enableDebugMode = function (
+  enableDebugMode
+) {
+  this._isDebugMode = enableDebugMode;
+};
+
+/**
+ * @typedef {Promise} Token
+ * @property {niuCloudConnector.Client} client  - Client
+ * @property {string}                   result  - Session token
+ */
+
+/**
+ * Create a session token, to get access to the cloud API.
+ *
+ * @param {Object}  options             - Options.
+ * @param {string}  options.account     - EMail address or mobile phone number or username.
+ * @param {string}  options.password    - Account password.
+ * @param {string}  options.countryCode - Telephone country count without leading zeros or + sign, e.g. 49 instead of 0049 or +49.
+ *
+ * @returns {Token} Session token.
+ */
+niuCloudConnector.Client.prototype.createSessionToken = function (options) {
+  var _this = this;
+
+  if ("object" !== typeof options) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
+  }
+
+  if ("string" !== typeof options.account) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Account is missing.")
+    );
+  }
+
+  if ("string" !== typeof options.password) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Password is missing.")
+    );
+  }
+
+  if ("string" !== typeof options.countryCode) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Country code is missing.")
+    );
+  }
+
+  this._credentials = {
+    account: options.account,
+    password: options.password,
+    countryCode: options.countryCode,
+  };
+
+  return this._readCachedToken(options.account).then(function (token) {
+    if (0 === token.length) {
+      return _this._login();
+    }
+
+    _this._token = token;
+
+    return Promise.resolve({
+      client: _this,
+      result: token,
+    });
+  });
+};
+
+/**
+ * Login with the stored login data and create a new session token.
+ * Concurrent calls share the same login request.
+ *
+ * @private
+ *
+ * @returns {Token} Session token.
+ */
+niuCloudConnector.Client.prototype._login = function () {
+  var _this = this;
+  var startTime = Date.now();
+  var account = "";
+
+  if (null === this._credentials) {
+    return Promise.reject(
+      new niuCloudConnector.AuthError("Login data is missing.")
+    );
+  }
+
+  if (null !== this._pendingLogin) {
+    return this._pendingLogin;
+  }
+
+  account = this._credentials.account;
+  this._stats.requests[LOGIN_PATH] =
+    (this._stats.requests[LOGIN_PATH] || 0) + 1;
+
+  this._pendingLogin = this._fetch(
+    this._accountBaseUrl + LOGIN_PATH,
+    {
+      method: "POST",
+      json: this._credentials,
+      responseType: "json",
+    },
+    LOGIN_PATH
+  )
+    .then(
+      function (result) {
+        _this._measureLatency(startTime);
+
+        return result;
+      },
+      function (error) {
+        _this._measureLatency(startTime);
+        _this._countFailure(getFailureStatus(error));
+
+        return Promise.reject(error);
+      }
+    )
+    .then(function (result) {
+      if (200 !== result.statusCode) {
+        _this._countFailure("http_" + result.statusCode);
+        return Promise.reject(createStatusCodeError(result, LOGIN_PATH));
+      }
+
+      if ("number" === typeof result.body.status && 0 !== result.body.status) {
+        _this._countFailure(String(result.body.status));
+        return Promise.reject(
+          new niuCloudConnector.AuthError("Invalid login data.", {
+            endpoint: LOGIN_PATH,
+            status: result.body.status,
+          })
+        );
+      }
+
+      if (0 === result.body.data.token.length) {
+        return Promise.reject(
+          new niuCloudConnector.AuthError("Token is empty in response.", {
+            endpoint: LOGIN_PATH,
+          })
+        );
+      }
+
+      _this._token = result.body.data.token;
+
+      return _this._writeCachedToken(account, _this._token);
+    })
+    .then(
+      function () {
+        _this._pendingLogin = null;
+
+        return Promise.resolve({
+          client: _this,
+          result: _this._token,
+        });
+      },
+      function (error) {
+        _this._pendingLogin = null;
+
+        return Promise.reject(error);
+      }
+    );
+
+  return this._pendingLogin;
+};
+
+/**
+ * Pending update per session token cache file. The clients of several
+ * accounts may share a file, their updates are serialized, so no update
+ * overwrites the token of another account.
+ *
+ * @private
+ */
+var tokenCacheWrites = {};
+
+/**
+ * Read the session token cache file.
+ * A missing or invalid file results in an empty cache.
+ *
+ * @private
+ *
+ * @returns {Promise} Cache, with a {token, date} entry per account.
+ */
+niuCloudConnector.Client.prototype._readTokenCache = function () {
+  var _this = this;
+
+  if (0 === this._tokenFile.length) {
+    return Promise.resolve({});
+  }
+
+  return new Promise(function (resolve) {
+    fs.readFile(_this._tokenFile, "utf8", function (err, content) {
+      var cache = {};
+
+      if (null === err) {
+        try {
+          cache = JSON.parse(content);
+        } catch (parseErr) {
+          cache = {};
+        }
+      }
+
+      if ("object" !== typeof cache || null === cache) {
+        cache = {};
+      }
+
+      resolve(cache);
+    });
+  });
+};
+
+/**
+ * Get the cached session token of an account.
+ *
+ * @private
+ *
+ * @param {string} account - Account, as used for login.
+ *
+ * @returns {Promise} Session token or a empty string, if no token is cached.
+ */
+niuCloudConnector.Client.prototype._readCachedToken = function (account) {
+  return this._readTokenCache().then(function (cache) {
+    if (
+      "object" === typeof cache[account] &&
+      null !== cache[account] &&
+      "string" === typeof cache[account].token
+    ) {
+      return cache[account].token;
+    }
+
+    return "";
+  });
+};
+
+/**
+ * Store the session token of an account in the cache file, after the
+ * pending updates of the file.
+ * Failing to write the cache file doesn't fail the login.
+ *
+ * @private
+ *
+ * @param {string} account  - Account, as used for login.
+ * @param {string} token    - Session token.
+ *
+ * @returns {Promise} Nothing.
+ */
+niuCloudConnector.Client.prototype._writeCachedToken = function (
+  account,
+  token
+) {
+  var _this = this;
+  var file = this._tokenFile;
+  var write = null;
+
+  if (0 === file.length) {
+    return Promise.resolve();
+  }
+
+  write = (tokenCacheWrites[file] || Promise.resolve())
+    .then(function () {
+      return _this._readTokenCache();
+    })
+    .then(function (cache) {
+      cache[account] = {
+        token: token,
+        date: Date.now(),
+      };
+
+      return new Promise(function (resolve) {
+        fs.writeFile(
+          _this._tokenFile,
+          JSON.stringify(cache, null, 2),
+          { mode: 0o600 },
+          function (err) {
+            if (null !== err && true === _this._isDebugMode) {
+              console.log("Failed to write token cache: " + err.message);
+            }
+
+            resolve();
+          }
+        );
+      });
+    });
+
+  tokenCacheWrites[file] = write;
+
+  return write.then(function () {
+    if (tokenCacheWrites[file] === write) {
+      delete tokenCacheWrites[file];
+    }
+  });
+};
+
+/**
+ * Set a previous created session token, to get access to the cloud API.
+ *
+ * @param {Object}  options         - Options.
+ * @param {string}  options.token   - Session token.
+ *
+ * @returns {Promise} Nothing.
+ */
+niuCloudConnector.Client.prototype.setSessionToken = function (options) {
+  if ("object" !== typeof options) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
+  }
+
+  if ("string" !== typeof options.token) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Token is missing.")
+    );
+  }
+
+  this._token = options.token;
+
+  return Promise.resolve({
+    client: this,
+    result: null,
+  });
+};
+
+/**
+ * Use the cached session token of an account, without login data.
+ * The client can't login again, if the NIU cloud rejects the token.
+ *
+ * @param {Object}  options         - Options.
+ * @param {string}  options.account - EMail address or mobile phone number or username.
+ *
+ * @returns {Token} Session token.
+ */
+niuCloudConnector.Client.prototype.restoreSessionToken = function (options) {
+  var _this = this;
+
+  if ("object" !== typeof options) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
+  }
+
+  if ("string" !== typeof options.account) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Account is missing.")
+    );
+  }
+
+  return this._readCachedToken(options.account).then(function (token) {
+    if (0 === token.length) {
+      return Promise.reject(
+        new niuCloudConnector.AuthError("No cached session token available.")
+      );
+    }
+
+    _this._token = token;
+
+    return {
+      client: _this,
+      result: token,
+    };
+  });
+};
+
+/**
+ * Get the cache key of a request. The session token is not part of it, so
+ * the cache survives a new login.
+ *
+ * @private
+ *
+ * @param {Object} options - Request options, see _sendRequest().
+ *
+ * @returns {string} Cache key.
+ */
+var getCacheKey = function (options) {
+  var data = Object.assign({}, options.data);
+
+  delete data.token;
+
+  return options.method + " " + options.path + " " + JSON.stringify(data);
+};
+
+/**
+ * Get the vehicle serial number of a request.
+ *
+ * @private
+ *
+ * @param {Object} options - Request options, see _sendRequest().
+ *
+ * @returns {string} Vehicle serial number or a empty string.
+ */
+var getRequestSn = function (options) {
+  var match = /[?&]sn=([^&]*)/.exec(options.path);
+
+  if ("object" === typeof options.data && "string" === typeof options.data.sn) {
+    return options.data.sn;
+  }
+
+  return null === match ? "" : decodeURIComponent(match[1]);
+};
+
+/**
+ * Make a HTTP request. If the cache is enabled, a cached response is used
+ * until it expires and identical requests in flight are sent only once.
+ *
+ * @private
+ *
+ * @param {Object} options - Options, see _sendRequest().
+ *
+ * @returns {Promise} Requested data.
+ */
+niuCloudConnector.Client.prototype._makeRequest = function (options) {
+  var _this = this;
+  var cache = this._cache;
+  var stats = this._stats.cache;
+  var key = "";
+  var path = "";
+  var entry = null;
+  var now = Date.now();
+
+  if (
+    null === cache ||
+    "object" !== typeof options ||
+    "string" !== typeof options.path
+  ) {
+    return this._sendRequest(options);
+  }
+
+  key = getCacheKey(options);
+  path = options.path.split("?")[0];
+  entry = cache.entries[key];
+
+  if ("object" === typeof entry && entry.expires > now) {
+    stats.hits[path] = (stats.hits[path] || 0) + 1;
+    return Promise.resolve(entry.response);
+  }
+
+  if (cache.pending.hasOwnProperty(key)) {
+    stats.coalesced[path] = (stats.coalesced[path] || 0) + 1;
+    return cache.pending[key];
+  }
+
+  stats.misses[path] = (stats.misses[path] || 0) + 1;
+
+  cache.pending[key] = this._sendRequest(options).then(
+    function (response) {
+      var ttl = cache.ttl[path] || 0;
+
+      delete cache.pending[key];
+
+      if (0 < ttl) {
+        _this._pruneCache();
+        cache.entries[key] = {
+          path: path,
+          sn: getRequestSn(options),
+          expires: Date.now() + ttl * 1000,
+          response: response,
+        };
+      }
+
+      return response;
+    },
+    function (error) {
+      delete cache.pending[key];
+      return Promise.reject(error);
+    }
+  );
+
+  return cache.pending[key];
+};
+
+/**
+ * Remove the expired cache entries.
+ *
+ * @private
+ */
+niuCloudConnector.Client.prototype._pruneCache = function () {
+  var entries = this._cache.entries;
+  var now = Date.now();
+  var key = "";
+
+  for (key in entries) {
+    if (entries[key].expires <= now) {
+      delete entries[key];
+    }
+  }
+};
+
+/**
+ * Remove cached responses, e.g. after the vehicle state was changed in the
+ * NIU app. Requests in flight are not affected.
+ *
+ * @param {Object}  [options]       - Options, without any option the whole cache is cleared.
+ * @param {string}  [options.path]  - Only responses of this request path, without query, e.g. "/motoinfo/currentpos".
+ * @param {string}  [options.sn]    - Only responses of this vehicle.
+ *
+ * @returns {number} Number of removed responses.
+ */
+niuCloudConnector.Client.prototype.invalidateCache = function (options) {
+  var entries = null;
+  var key = "";
+  var count = 0;
+
+  if (null === this._cache) {
+    return 0;
+  }
+
+  options = options || {};
+  entries = this._cache.entries;
+
+  for (key in entries) {
+    if (
+      ("string" !== typeof options.path ||
+        options.path === entries[key].path) &&
+      ("string" !== typeof options.sn || options.sn === entries[key].sn)
+    ) {
+      delete entries[key];
+      ++count;
+    }
+  }
+
+  return count;
+};
+
+/**
+ * Send a HTTP request.
+ * Note, the response will always be in JSON format.
+ *
+ * @private
+ *
+ * @param {Object}  options             - Options.
+ * @param {string}  options.method      - HTTP method ("GET", "POST", etc.).
+ * @param {string}  options.path        - The path is the relative request URI, which will be appended to the base URI.
+ * @param {Object}  [options.headers]   - HTTP request headers.
+ * @param {Object}  [options.data]      - HTTP body data.
+ * @param {boolean} [isReplay]          - Request is replayed after a new login.
+ *
+ * @returns {Promise} Requested data.
+ */
+niuCloudConnector.Client.prototype._sendRequest = function (options, isReplay) {
+  var _this = this;
+  var startTime = Date.now();
+  var path = "";
+  var reqOptions = {
+    method: "",
+    headers: null,
+    responseType: "json",
+  };
+
+  if ("object" !== typeof options) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
+  }
+
+  if ("string" !== typeof options.method) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("HTTP method is missing.")
+    );
+  }
+
+  if ("string" !== typeof options.path) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Path is missing.")
+    );
+  }
+
+  reqOptions.method = options.method;
+  reqOptions.path = options.path;
+
+  path = options.path.split("?")[0];
+  this._stats.requests[path] = (this._stats.requests[path] || 0) + 1;
+
+  if ("object" === typeof options.headers) {
+    reqOptions.headers = options.headers;
+  }
+
+  if ("object" === typeof options.data) {
+    reqOptions.json = options.data;
+  }
+
+  return this._fetch(this._appApiBaseUrl + options.path, reqOptions, path).then(
+    function (result) {
+      var isFailed = false;
+      var isAuthFailure = false;
+
+      _this._measureLatency(startTime);
+
+      if (true === _this._isDebugMode) {
+        console.log(result);
+        console.log("----------");
+        console.log(JSON.stringify(result.body, null, 2));
+      }
+
+      if (200 !== result.statusCode) {
+        _this._countFailure("http_" + result.statusCode);
+        return Promise.reject(createStatusCodeError(result, path));
+      }
+
+      /* Any error?
+       * See com.niu.cloud.o.w.j.a()
+       */
+      isFailed =
+        0 !== result.body.status &&
+        200 !== result.body.status &&
+        1325 !== result.body.status &&
+        1327 !== result.body.status;
+
+      if (true === isFailed) {
+        _this._countFailure(String(result.body.status));
+      }
+
+      isAuthFailure =
+        -1 !== niuCloudConnector.AuthFailureStatus.indexOf(result.body.status);
+
+      /* Session token expired? */
+      if (true === isAuthFailure) {
+        if (true !== isReplay && null !== _this._credentials) {
+          return _this._replay(options);
+        }
+
+        return Promise.reject(
+          new niuCloudConnector.AuthError(
+            getDescription(result.body) || "Session token rejected.",
+            {
+              endpoint: path,
+              status: result.body.status,
+            }
+          )
+        );
+      }
+
+      if (true === isFailed) {
+        return Promise.reject(
+          new niuCloudConnector.ApiStatusError(
+            getDescription(result.body) ||
+              "NIU status " + result.body.status + ".",
+            {
+              status: result.body.status,
+              desc:
+                "string" === typeof result.body.desc ? result.body.desc : "",
+              trace: result.body.trace,
+              endpoint: path,
+            }
+          )
+        );
+      }
+
+      return Promise.resolve({
+        client: _this,
+        result: result.body.data,
+      });
+    },
+    function (error) {
+      _this._measureLatency(startTime);
+      _this._countFailure(getFailureStatus(error));
+
+      if (
+        true !== isReplay &&
+        null !== _this._credentials &&
+        error instanceof niuCloudConnector.AuthError &&
+        401 === error.httpStatus
+      ) {
+        return _this._replay(options);
+      }
+
+      return Promise.reject(error);
+    }
+  );
+};
+
+/**
+ * Wait a while.
+ *
+ * @private
+ *
+ * @param {number} seconds - Time to wait in seconds.
+ *
+ * @returns {Promise} Resolved after the time passed.
+ */
+var wait = function (seconds) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, seconds * 1000);
+  });
+};
+
+/**
+ * Check whether a rejected got request failed temporarily, because of a
+ * network error, a timeout or HTTP 5xx.
+ *
+ * @private
+ *
+ * @param {Object} error - got error.
+ *
+ * @returns {boolean} true if worth a retry, otherwise false.
+ */
+var isRetryableError = function (error) {
+  if ("object" !== typeof error.response) {
+    return true;
+  }
+
+  return 500 <= error.response.statusCode;
+};
 
 /**
- * URL to the NIU app API.
+ * Check whether a got response has a retryable NIU status.
+ *
+ * @private
+ *
+ * @param {Object} result - got response.
+ *
+ * @returns {boolean} true if worth a retry, otherwise false.
  */
-niuCloudConnector.AppApiBaseUrl = "https://app-api-fk.niu.com";
+var isRetryableResult = function (result) {
+  return (
+    "object" === typeof result.body &&
+    null !== result.body &&
+    -1 !== niuCloudConnector.RetryableStatus.indexOf(result.body.status)
+  );
+};
 
 /**
- * NIU cloud connector client.
+ * Get the description of a NIU error response: the status description, the
+ * message or the trace, whichever is set first.
  *
- * @class
+ * @private
+ *
+ * @param {Object} body - Response body.
+ *
+ * @returns {string} Description or a empty string.
  */
-niuCloudConnector.Client = function () {
-  /** Enable/Disable debug output */
-  this._isDebugMode = false;
+var getDescription = function (body) {
+  if ("string" === typeof body.desc && 0 < body.desc.length) {
+    return body.desc;
+  }
 
-  /** Session token */
-  this._token = "";
+  if ("string" === typeof body.message && 0 < body.message.length) {
+    return body.message;
+  }
 
-  /** Accept language, used in HTTP request header. */
-  this._acceptLanguage = "en-US";
+  if ("string" === typeof body.trace) {
+    return body.trace;
+  }
 
-  /** The NIU app version, which the niu-cloud-connector is derrived from. */
-  this._niuAppVersion = "4.6.2";
+  if (
+    "object" === typeof body.trace &&
+    null !== body.trace &&
+    "string" === typeof body.trace.message
+  ) {
+    return body.trace.message;
+  }
 
-  /** User agent, used in HTTP request header. */
-  this._userAgent =
-    "manager/" +
-    this._niuAppVersion +
-    " (android; Unknown);brand=Unknown;model=Unknown;clientIdentifier=Overseas;lang=" +
-    this._acceptLanguage;
+  return "";
 };
 
 /**
- * Utility function which returns the current time in the format hh:mm:ss.us.
+ * Create the error of a response with an unexpected HTTP status code.
  *
  * @private
  *
- * @returns {string} Current time in the format hh:mm:ss.us.
+ * @param {Object} response - got response.
+ * @param {string} endpoint - Request path, without query.
+ *
+ * @returns {NiuError} AuthError for 401 and 403, RateLimitError for 429, otherwise NetworkError.
  */
-niuCloudConnector.Client.prototype._getTime = function () {
-  var now = new Date();
-
-  var paddingHead = function (num, size) {
-    var str = num + "";
-
-    while (str.length < size) {
-      str = "0" + str;
-    }
-
-    return str;
-  };
+var createStatusCodeError = function (response, endpoint) {
+  var statusCode = response.statusCode;
+  var retryAfter = Number(response.headers["retry-after"]);
+
+  if (401 === statusCode || 403 === statusCode) {
+    return new niuCloudConnector.AuthError("Access denied.", {
+      endpoint: endpoint,
+      httpStatus: statusCode,
+    });
+  }
 
-  var paddingTail = function (num, size) {
-    var str = num + "";
+  if (429 === statusCode) {
+    return new niuCloudConnector.RateLimitError("Too many requests.", {
+      endpoint: endpoint,
+      httpStatus: statusCode,
+      retryAfter: isNaN(retryAfter) ? null : retryAfter,
+    });
+  }
 
-    while (str.length < size) {
-      str = str + "0";
+  return new niuCloudConnector.NetworkError(
+    "Unexpected HTTP status " + statusCode + ".",
+    {
+      reason: "http",
+      endpoint: endpoint,
+      httpStatus: statusCode,
     }
-
-    return str;
-  };
-
-  return (
-    "" +
-    paddingHead(now.getHours(), 2) +
-    ":" +
-    paddingHead(now.getMinutes(), 2) +
-    ":" +
-    paddingHead(now.getSeconds(), 2) +
-    "." +
-    paddingTail(now.getMilliseconds(), 3)
   );
 };
 
 /**
- * @typedef {Object} Error
- * @property {Object}   error
- * @property {string}   [error.message]
+ * Create the error of a failed got request.
+ *
+ * @private
+ *
+ * @param {Object} error    - got error.
+ * @param {string} endpoint - Request path, without query.
+ *
+ * @returns {NiuError} Error.
  */
+var createRequestError = function (error, endpoint) {
+  if ("object" === typeof error.response) {
+    return createStatusCodeError(error.response, endpoint);
+  }
+
+  if ("TimeoutError" === error.name) {
+    return new niuCloudConnector.NetworkError("Request timed out.", {
+      reason: "timeout",
+      endpoint: endpoint,
+    });
+  }
+
+  return new niuCloudConnector.NetworkError(error.message, {
+    reason: "network",
+    endpoint: endpoint,
+  });
+};
 
 /**
- * Build error object.
+ * Get the failure status of a rejected request, see RequestStats.
  *
  * @private
  *
- * @param {string | Object} errorInfo   - Error information.
- * @param {string}          funcName    - Name of the function, in which the error happened.
+ * @param {NiuError} error - Error.
  *
- * @returns {Object} Error object.
+ * @returns {string} "http_<code>", "circuit_open" or "network".
  */
-niuCloudConnector.Client.prototype._error = function (errorInfo, funcName) {
-  var error = {
-    client: this,
-    debug: {
-      date: this._getTime(),
-      funcName: funcName,
-    },
-  };
+var getFailureStatus = function (error) {
+  if ("number" === typeof error.httpStatus) {
+    return "http_" + error.httpStatus;
+  }
 
-  if ("string" === typeof errorInfo) {
-    error.error = {
-      message: errorInfo,
-    };
-  } else if ("object" === typeof errorInfo) {
-    error.error = errorInfo;
-  } else {
-    error.error = {
-      message: "Invalid error info.",
-    };
+  if ("circuit_open" === error.reason) {
+    return "circuit_open";
   }
 
-  return error;
+  return "network";
 };
 
 /**
- * Enable/Disable the debug mode.
- * In the debug mode the whole HTTP response is printed to console.
+ * Send a HTTP request with the request timeout. A temporary failure is
+ * retried with exponential backoff. If it persists, it counts as a failure
+ * of the NIU cloud for the circuit breaker. While the circuit is open,
+ * requests fail fast without being sent.
  *
- * @param {boolean} enableDebugMode - Enable/Disable debug mode.
+ * @private
  *
+ * @param {string}  url         - Request URL.
+ * @param {Object}  reqOptions  - got options.
+ * @param {string}  endpoint    - Request path, without query, used in errors.
+ *
+ * @returns {Promise} got response, rejected with a NiuError.
  */
-niuCloudConnector.Client.prototype.enableDebugMode = function (
-  enableDebugMode
+niuCloudConnector.Client.prototype._fetch = function (
+  url,
+  reqOptions,
+  endpoint
 ) {
-  this._isDebugMode = enableDebugMode;
+  var _this = this;
+  var gotOptions = Object.assign({}, reqOptions, {
+    timeout: this._timeout * 1000,
+    retry: 0,
+  });
+
+  var attempt = function (retry) {
+    var retryLater = function () {
+      return wait(_this._retryDelay * Math.pow(2, retry)).then(function () {
+        return attempt(retry + 1);
+      });
+    };
+
+    return got(url, gotOptions).then(
+      function (result) {
+        var isRetryable = isRetryableResult(result);
+
+        if (true === isRetryable && retry < _this._retries) {
+          return retryLater();
+        }
+
+        _this._recordOutcome(!isRetryable);
+
+        return result;
+      },
+      function (error) {
+        var isRetryable = isRetryableError(error);
+
+        if (true === isRetryable && retry < _this._retries) {
+          return retryLater();
+        }
+
+        _this._recordOutcome(!isRetryable);
+
+        return Promise.reject(createRequestError(error, endpoint));
+      }
+    );
+  };
+
+  if (false === this._acquireCircuit()) {
+    return Promise.reject(
+      new niuCloudConnector.NetworkError("NIU cloud is unavailable.", {
+        reason: "circuit_open",
+        endpoint: endpoint,
+      })
+    );
+  }
+
+  return attempt(0);
 };
 
 /**
- * @typedef {Promise} Token
- * @property {niuCloudConnector.Client} client  - Client
- * @property {string}                   result  - Session token
+ * @typedef {Object} CircuitState
+ * @property {string}       state       - "closed", "open", "half_open" or "disabled".
+ * @property {number}       failures    - Number of failed requests in a row.
+ * @property {string|null}  opened_at   - ISO-8601 date and time, when the circuit was opened.
  */
 
 /**
- * Create a session token, to get access to the cloud API.
- *
- * @param {Object}  options             - Options.
- * @param {string}  options.account     - EMail address or mobile phone number or username.
- * @param {string}  options.password    - Account password.
- * @param {string}  options.countryCode - Telephone country count without leading zeros or + sign, e.g. 49 instead of 0049 or +49.
+ * Get the state of the circuit breaker. An open circuit becomes half open
+ * after the reset timeout, then one trial request decides whether it is
+ * closed again.
  *
- * @returns {Token} Session token.
+ * @returns {CircuitState} Circuit breaker state.
  */
-niuCloudConnector.Client.prototype.createSessionToken = function (options) {
-  var funcName = "createSessionToken()";
-  var _this = this;
+niuCloudConnector.Client.prototype.getCircuitState = function () {
+  var circuit = this._circuit;
+  var state = "closed";
 
-  if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
-  }
-
-  if ("string" !== typeof options.account) {
-    return Promise.reject(this._error("Account is missing.", funcName));
+  if (null === circuit) {
+    return { state: "disabled", failures: 0, opened_at: null };
   }
 
-  if ("string" !== typeof options.password) {
-    return Promise.reject(this._error("Password is missing.", funcName));
+  if (null !== circuit.openedAt) {
+    state =
+      Date.now() - circuit.openedAt < circuit.resetTimeout * 1000
+        ? "open"
+        : "half_open";
   }
 
-  if ("string" !== typeof options.countryCode) {
-    return Promise.reject(this._error("Country code is missing.", funcName));
-  }
+  return {
+    state: state,
+    failures: circuit.failures,
+    opened_at:
+      null === circuit.openedAt
+        ? null
+        : new Date(circuit.openedAt).toISOString(),
+  };
+};
 
-  return got(niuCloudConnector.AccountBaseUrl + "/appv2/login", {
-    method: "POST",
-    json: options,
-    responseType: "json",
-  }).then(function (result) {
-    if (200 !== result.statusCode) {
-      return Promise.reject(_this._error("Bad request.", funcName));
-    }
+/**
+ * Check whether the circuit breaker lets a request pass. A half open
+ * circuit lets only one trial request pass.
+ *
+ * @private
+ *
+ * @returns {boolean} true if the request may be sent, otherwise false.
+ */
+niuCloudConnector.Client.prototype._acquireCircuit = function () {
+  var state = this.getCircuitState().state;
 
-    if ("number" === typeof result.body.status && 0 !== result.body.status) {
-      return Promise.reject(_this._error("Invalid login data.", funcName));
-    }
+  if ("open" === state) {
+    return false;
+  }
 
-    if (0 === result.body.data.token.length) {
-      return Promise.reject(
-        _this._error("Token is empty in response.", funcName)
-      );
+  if ("half_open" === state) {
+    if (true === this._circuit.isProbing) {
+      return false;
     }
 
-    _this._token = result.body.data.token;
+    this._circuit.isProbing = true;
+  }
 
-    return Promise.resolve({
-      client: _this,
-      result: result.body.data.token,
-    });
-  });
+  return true;
 };
 
 /**
- * Set a previous created session token, to get access to the cloud API.
+ * Record the outcome of a request for the circuit breaker.
  *
- * @param {Object}  options         - Options.
- * @param {string}  options.token   - Session token.
+ * @private
  *
- * @returns {Promise} Nothing.
+ * @param {boolean} isAvailable - true if the NIU cloud responded, false if it failed temporarily.
  */
-niuCloudConnector.Client.prototype.setSessionToken = function (options) {
-  var funcName = "setSessionToken()";
+niuCloudConnector.Client.prototype._recordOutcome = function (isAvailable) {
+  var circuit = this._circuit;
 
-  if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
+  if (null === circuit) {
+    return;
   }
 
-  if ("string" !== typeof options.token) {
-    return Promise.reject(this._error("Token is missing.", funcName));
+  circuit.isProbing = false;
+
+  if (true === isAvailable) {
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    return;
   }
 
-  this._token = options.token;
+  ++circuit.failures;
 
-  return Promise.resolve({
-    client: this,
-    result: null,
-  });
+  if (null !== circuit.openedAt || circuit.failures >= circuit.threshold) {
+    circuit.openedAt = Date.now();
+  }
 };
 
 /**
- * Make a HTTP request.
- * Note, the response will always be in JSON format.
+ * Count a failed request.
  *
  * @private
  *
- * @param {Object}  options             - Options.
- * @param {string}  options.method      - HTTP method ("GET", "POST", etc.).
- * @param {string}  options.path        - The path is the relative request URI, which will be appended to the base URI.
- * @param {Object}  [options.headers]   - HTTP request headers.
- * @param {Object}  [options.data]      - HTTP body data.
- *
- * @returns {Promise} Requested data.
+ * @param {string} status - NIU response status number, "http_<code>" for a HTTP error, "circuit_open" or "network".
  */
-niuCloudConnector.Client.prototype._makeRequest = function (options) {
-  var funcName = "_makeRequest()";
-  var _this = this;
-  var reqOptions = {
-    method: "",
-    headers: null,
-    responseType: "json",
-  };
-
-  if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
-  }
+niuCloudConnector.Client.prototype._countFailure = function (status) {
+  this._stats.failures[status] = (this._stats.failures[status] || 0) + 1;
+};
 
-  if ("string" !== typeof options.method) {
-    return Promise.reject(this._error("HTTP method is missing.", funcName));
-  }
+/**
+ * Add the latency of a finished request to the histogram.
+ *
+ * @private
+ *
+ * @param {number} startTime - Request start in unix timestamp epoch format (13 digits).
+ */
+niuCloudConnector.Client.prototype._measureLatency = function (startTime) {
+  var latency = this._stats.latency;
+  var seconds = (Date.now() - startTime) / 1000;
 
-  if ("string" !== typeof options.path) {
-    return Promise.reject(this._error("Path is missing.", funcName));
-  }
+  niuCloudConnector.LatencyBuckets.forEach(function (bound, index) {
+    if (seconds <= bound) {
+      ++latency.buckets[index];
+    }
+  });
 
-  reqOptions.method = options.method;
-  reqOptions.path = options.path;
+  latency.sum += seconds;
+  ++latency.count;
+};
 
-  if ("object" === typeof options.headers) {
-    reqOptions.headers = options.headers;
-  }
+/**
+ * @typedef {Object} RequestStats
+ * @property {Object.<string, number>}  requests            - Number of requests per path, without query.
+ * @property {Object.<string, number>}  failures            - Number of failed requests per NIU response status number, "http_<code>", "circuit_open" or "network".
+ * @property {Object}                   latency             - Latency histogram.
+ * @property {number[]}                 latency.buckets     - Cumulative number of requests per bucket, see niuCloudConnector.LatencyBuckets.
+ * @property {number}                   latency.sum         - Sum of all latencies in seconds.
+ * @property {number}                   latency.count       - Number of measured requests.
+ * @property {Object}                   cache               - Response cache statistics per path, without query.
+ * @property {Object.<string, number>}  cache.hits          - Number of responses served from the cache.
+ * @property {Object.<string, number>}  cache.misses        - Number of requests sent, because no response was cached.
+ * @property {Object.<string, number>}  cache.coalesced     - Number of requests, which joined an identical request in flight.
+ */
 
-  if ("object" === typeof options.data) {
-    reqOptions.json = options.data;
-  }
+/**
+ * Get statistics of all requests to the NIU cloud, including the logins.
+ *
+ * @returns {RequestStats} Copy of the request statistics.
+ */
+niuCloudConnector.Client.prototype.getStats = function () {
+  return {
+    requests: Object.assign({}, this._stats.requests),
+    failures: Object.assign({}, this._stats.failures),
+    latency: {
+      buckets: this._stats.latency.buckets.slice(),
+      sum: this._stats.latency.sum,
+      count: this._stats.latency.count,
+    },
+    cache: {
+      hits: Object.assign({}, this._stats.cache.hits),
+      misses: Object.assign({}, this._stats.cache.misses),
+      coalesced: Object.assign({}, this._stats.cache.coalesced),
+    },
+  };
+};
 
-  return got(niuCloudConnector.AppApiBaseUrl + options.path, reqOptions).then(
-    function (result) {
-      var description = "";
+/**
+ * Login again and replay a request, which failed because of an invalid
+ * session token. The request is replayed only once.
+ *
+ * @private
+ *
+ * @param {Object} options - Options of the failed request, see _sendRequest().
+ *
+ * @returns {Promise} Requested data.
+ */
+niuCloudConnector.Client.prototype._replay = function (options) {
+  var _this = this;
 
-      if (true === _this._isDebugMode) {
-        console.log(result);
-        console.log("----------");
-        console.log(JSON.stringify(result.body, null, 2));
-      }
+  return this._login().then(function () {
+    var replayOptions = Object.assign({}, options);
 
-      if (200 !== result.statusCode) {
-        return Promise.reject(_this._error("Bad request.", funcName));
-      }
+    if (
+      "object" === typeof options.headers &&
+      options.headers.hasOwnProperty("token")
+    ) {
+      replayOptions.headers = Object.assign({}, options.headers, {
+        token: _this._token,
+      });
+    }
 
-      /* Any error?
-       * See com.niu.cloud.o.w.j.a()
-       */
-      if (
-        0 !== result.body.status &&
-        200 !== result.body.status &&
-        1325 !== result.body.status &&
-        1327 !== result.body.status
-      ) {
-        if ("string" === typeof result.body.desc) {
-          if (0 === description.length) {
-            if ("string" === typeof result.body.message) {
-              description = result.body.message;
-            }
-          } else {
-            description = result.body.desc;
-          }
-        }
+    if (
+      "object" === typeof options.data &&
+      options.data.hasOwnProperty("token")
+    ) {
+      replayOptions.data = Object.assign({}, options.data, {
+        token: _this._token,
+      });
+    }
 
-        if (0 === description.length) {
-          if ("string" === typeof result.body.trace) {
-            description = result.body.trace;
-          } else if ("object" === typeof result.body.trace) {
-            if ("string" === typeof result.body.trace.message) {
-              description = result.body.trace.message;
-            }
-          }
-        }
+    return _this._sendRequest(replayOptions, true);
+  });
+};
 
-        return Promise.reject(_this._error(description, funcName));
-      }
+/**
+ * Create the handler, which normalizes the resolved data of a getter.
+ * The received data is kept as raw beside the model.
+ *
+ * @private
+ *
+ * @param {string}  model           - Model name, see models.js.
+ * @param {Object}  [options]       - Options of the getter.
+ * @param {boolean} [options.raw]   - Resolve the received data only, even if normalization is enabled.
+ *
+ * @returns {Function} Promise handler, which resolves {client, result, raw} or the unchanged data.
+ */
+niuCloudConnector.Client.prototype._normalizer = function (model, options) {
+  var isRaw =
+    "object" === typeof options && null !== options && true === options.raw;
 
-      return Promise.resolve({
-        client: _this,
-        result: result.body.data,
-      });
+  return function (data) {
+    if (!data.client._normalize || isRaw) {
+      return data;
     }
-  );
+
+    return {
+      client: data.client,
+      result: models[model](data.result),
+      raw: data.result,
+    };
+  };
 };
 
 /* ------------------------------- */
@@ -385,13 +1560,16 @@ niuCloudConnector.Client.prototype._makeRequest = function (options) {
 /**
  * Get a list of vehicles.
  *
+ * @param {Object}  [options]       - Options.
+ * @param {boolean} [options.raw]   - Resolve the received data, even if normalization is enabled.
+ *
  * @returns {Vehicles} Vehicles.
  */
-niuCloudConnector.Client.prototype.getVehicles = function () {
-  var funcName = "getVehicles()";
-
+niuCloudConnector.Client.prototype.getVehicles = function (options) {
   if (0 === this._token.length) {
-    return Promise.reject(this._error("No valid token available.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.AuthError("No valid token available.")
+    );
   }
 
   return this._makeRequest({
@@ -402,7 +1580,7 @@ niuCloudConnector.Client.prototype.getVehicles = function () {
       token: this._token,
       "user-agent": this._userAgent,
     },
-  });
+  }).then(this._normalizer("vehicles", options));
 };
 
 /**
@@ -429,19 +1607,21 @@ niuCloudConnector.Client.prototype.getVehicles = function () {
  * @returns {VehiclePos} Vehicle position.
  */
 niuCloudConnector.Client.prototype.getVehiclePos = function (options) {
-  var funcName = "getVehiclePos()";
-
   if (0 === this._token.length) {
-    return Promise.reject(this._error("No valid token available.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.AuthError("No valid token available.")
+    );
   }
 
   if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
   }
 
   if ("string" !== typeof options.sn) {
     return Promise.reject(
-      this._error("Vehicle serial number is missing.", funcName)
+      new niuCloudConnector.ValidationError("Vehicle serial number is missing.")
     );
   }
 
@@ -456,7 +1636,7 @@ niuCloudConnector.Client.prototype.getVehiclePos = function (options) {
     data: {
       sn: options.sn,
     },
-  });
+  }).then(this._normalizer("position", options));
 };
 
 /**
@@ -481,19 +1661,21 @@ niuCloudConnector.Client.prototype.getVehiclePos = function (options) {
  * @returns {OverallTally} Overall tally.
  */
 niuCloudConnector.Client.prototype.getOverallTally = function (options) {
-  var funcName = "getOverallTally()";
-
   if (0 === this._token.length) {
-    return Promise.reject(this._error("No valid token available.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.AuthError("No valid token available.")
+    );
   }
 
   if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
   }
 
   if ("string" !== typeof options.sn) {
     return Promise.reject(
-      this._error("Vehicle serial number is missing.", funcName)
+      new niuCloudConnector.ValidationError("Vehicle serial number is missing.")
     );
   }
 
@@ -508,7 +1690,7 @@ niuCloudConnector.Client.prototype.getOverallTally = function (options) {
     data: {
       sn: options.sn,
     },
-  });
+  }).then(this._normalizer("tally", options));
 };
 
 /**
@@ -544,28 +1726,34 @@ niuCloudConnector.Client.prototype.getOverallTally = function (options) {
  * @returns {TrackDetail} Track detail.
  */
 niuCloudConnector.Client.prototype.getTrackDetail = function (options) {
-  var funcName = "getTrackDetail()";
-
   if (0 === this._token.length) {
-    return Promise.reject(this._error("No valid token available.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.AuthError("No valid token available.")
+    );
   }
 
   if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
   }
 
   if ("string" !== typeof options.sn) {
     return Promise.reject(
-      this._error("Vehicle serial number is missing.", funcName)
+      new niuCloudConnector.ValidationError("Vehicle serial number is missing.")
     );
   }
 
   if ("string" !== typeof options.trackId) {
-    return Promise.reject(this._error("Track ID is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Track ID is missing.")
+    );
   }
 
   if ("string" !== typeof options.trackDate) {
-    return Promise.reject(this._error("Track date is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Track date is missing.")
+    );
   }
 
   return this._makeRequest({
@@ -582,7 +1770,7 @@ niuCloudConnector.Client.prototype.getTrackDetail = function (options) {
       date: options.trackDate,
       token: this._token,
     },
-  });
+  }).then(this._normalizer("trackDetail", options));
 };
 
 /* ------------------------------------ */
@@ -633,19 +1821,21 @@ niuCloudConnector.Client.prototype.getTrackDetail = function (options) {
  * @returns {BatteryInfo} Battery info.
  */
 niuCloudConnector.Client.prototype.getBatteryInfo = function (options) {
-  var funcName = "getBatteryInfo()";
-
   if (0 === this._token.length) {
-    return Promise.reject(this._error("No valid token available.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.AuthError("No valid token available.")
+    );
   }
 
   if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
   }
 
   if ("string" !== typeof options.sn) {
     return Promise.reject(
-      this._error("Vehicle serial number is missing.", funcName)
+      new niuCloudConnector.ValidationError("Vehicle serial number is missing.")
     );
   }
 
@@ -657,7 +1847,7 @@ niuCloudConnector.Client.prototype.getBatteryInfo = function (options) {
       token: this._token,
       "user-agent": this._userAgent,
     },
-  });
+  }).then(this._normalizer("battery", options));
 };
 
 /**
@@ -697,19 +1887,21 @@ niuCloudConnector.Client.prototype.getBatteryInfo = function (options) {
  * @returns {BatteryInfoHealth} Battery info health.
  */
 niuCloudConnector.Client.prototype.getBatteryHealth = function (options) {
-  var funcName = "getBatteryInfo()";
-
   if (0 === this._token.length) {
-    return Promise.reject(this._error("No valid token available.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.AuthError("No valid token available.")
+    );
   }
 
   if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
   }
 
   if ("string" !== typeof options.sn) {
     return Promise.reject(
-      this._error("Vehicle serial number is missing.", funcName)
+      new niuCloudConnector.ValidationError("Vehicle serial number is missing.")
     );
   }
 
@@ -721,7 +1913,7 @@ niuCloudConnector.Client.prototype.getBatteryHealth = function (options) {
       token: this._token,
       "user-agent": this._userAgent,
     },
-  });
+  }).then(this._normalizer("batteryHealth", options));
 };
 
 /**
@@ -756,36 +1948,46 @@ niuCloudConnector.Client.prototype.getBatteryHealth = function (options) {
  * @returns {BatteryChart} Battery chart information.
  */
 niuCloudConnector.Client.prototype.getBatteryChart = function (options) {
-  var funcName = "getBatteryChart()";
-
   if (0 === this._token.length) {
-    return Promise.reject(this._error("No valid token available.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.AuthError("No valid token available.")
+    );
   }
 
   if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
   }
 
   if ("string" !== typeof options.sn) {
     return Promise.reject(
-      this._error("Vehicle serial number is missing.", funcName)
+      new niuCloudConnector.ValidationError("Vehicle serial number is missing.")
     );
   }
 
   if ("number" !== typeof options.bmsId) {
-    return Promise.reject(this._error("BMS id is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("BMS id is missing.")
+    );
   }
 
   if ("number" !== typeof options.page) {
-    return Promise.reject(this._error("Page is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Page is missing.")
+    );
   }
 
   if ("string" !== typeof options.pageSize) {
-    return Promise.reject(this._error("Page size is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Page size is missing.")
+    );
   }
 
   if ("number" !== typeof options.pageLength) {
-    return Promise.reject(this._error("Page length is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Page length is missing.")
+    );
   }
 
   return this._makeRequest({
@@ -806,7 +2008,131 @@ niuCloudConnector.Client.prototype.getBatteryChart = function (options) {
       token: this._token,
       "user-agent": this._userAgent,
     },
-  });
+  }).then(this._normalizer("batteryChart", options));
+};
+
+/**
+ * Maximum number of battery chart pages, which are requested for one curve.
+ */
+niuCloudConnector.BatteryCurveMaxPages = 50;
+
+/**
+ * @typedef {Object} BatteryCurvePoint
+ * @property {number}   mileage - Mileage in km
+ * @property {number}   [soc_a] - Battery SOC of compartment A in percent
+ * @property {number}   [soc_b] - Battery SOC of compartment B in percent
+ */
+
+/**
+ * @typedef {Promise} BatteryCurve
+ * @property {niuCloudConnector.Client} client                  - Client
+ * @property {Object}                   result                  - Merged battery chart data
+ * @property {boolean}                  result.isDoubleBattery  - Vehicle has one or two batteries
+ * @property {BatteryCurvePoint[]}      result.items            - SOC vs. mileage, ascending by mileage
+ */
+
+/**
+ * Get the whole battery chart data, by requesting all pages.
+ * The data of both compartments is merged by mileage.
+ *
+ * @param {Object}  options         - Options.
+ * @param {string}  options.sn      - Vehicle serial number.
+ * @param {number}  [options.bmsId] - Selects the battery (1: Battery A / 2: Battery B). Default are all batteries.
+ *
+ * @returns {BatteryCurve} Battery curve.
+ */
+niuCloudConnector.Client.prototype.getBatteryCurve = function (options) {
+  var _this = this;
+  var isDoubleBattery = false;
+  var points = {};
+
+  var fetchPages = function (bmsId, page) {
+    return _this
+      .getBatteryChart({
+        sn: options.sn,
+        bmsId: bmsId,
+        page: page,
+        pageSize: "B",
+        pageLength: 1,
+        raw: true,
+      })
+      .then(function (result) {
+        var items = Array.isArray(result.result.items1)
+          ? result.result.items1
+          : [];
+        var key = 1 === bmsId ? "soc_a" : "soc_b";
+
+        if (true === result.result.isDoubleBattery) {
+          isDoubleBattery = true;
+        }
+
+        items.forEach(function (item) {
+          var mileage = Number(item.m);
+
+          if (!points.hasOwnProperty(mileage)) {
+            points[mileage] = { mileage: mileage };
+          }
+
+          points[mileage][key] = Number(item.b);
+        });
+
+        if (
+          0 === items.length ||
+          niuCloudConnector.BatteryCurveMaxPages <= page
+        ) {
+          return Promise.resolve();
+        }
+
+        return fetchPages(bmsId, page + 1);
+      });
+  };
+
+  if ("object" !== typeof options) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
+  }
+
+  if ("string" !== typeof options.sn) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Vehicle serial number is missing.")
+    );
+  }
+
+  if (
+    "undefined" !== typeof options.bmsId &&
+    1 !== options.bmsId &&
+    2 !== options.bmsId
+  ) {
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Invalid BMS id.")
+    );
+  }
+
+  return fetchPages("number" === typeof options.bmsId ? options.bmsId : 1, 1)
+    .then(function () {
+      if ("undefined" === typeof options.bmsId && true === isDoubleBattery) {
+        return fetchPages(2, 1);
+      }
+
+      return Promise.resolve();
+    })
+    .then(function () {
+      return Promise.resolve({
+        client: _this,
+        result: {
+          isDoubleBattery: isDoubleBattery,
+          items: Object.keys(points)
+            .map(function (mileage) {
+              return points[mileage];
+            })
+            .sort(function (a, b) {
+              return a.mileage - b.mileage;
+            }),
+        },
+      });
+    })
+    .then(this._normalizer("batteryCurve", options));
 };
 
 /**
@@ -864,19 +2190,21 @@ niuCloudConnector.Client.prototype.getBatteryChart = function (options) {
  * @returns {MotorData} Motor data.
  */
 niuCloudConnector.Client.prototype.getMotorInfo = function (options) {
-  var funcName = "getMotorInfo()";
-
   if (0 === this._token.length) {
-    return Promise.reject(this._error("No valid token available.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.AuthError("No valid token available.")
+    );
   }
 
   if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
   }
 
   if ("string" !== typeof options.sn) {
     return Promise.reject(
-      this._error("Vehicle serial number is missing.", funcName)
+      new niuCloudConnector.ValidationError("Vehicle serial number is missing.")
     );
   }
 
@@ -888,7 +2216,7 @@ niuCloudConnector.Client.prototype.getMotorInfo = function (options) {
       token: this._token,
       "user-agent": this._userAgent,
     },
-  });
+  }).then(this._normalizer("motor", options));
 };
 
 /**
@@ -928,28 +2256,34 @@ niuCloudConnector.Client.prototype.getMotorInfo = function (options) {
  * @returns {Tracks} Tracks.
  */
 niuCloudConnector.Client.prototype.getTracks = function (options) {
-  var funcName = "getTracks()";
-
   if (0 === this._token.length) {
-    return Promise.reject(this._error("No valid token available.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.AuthError("No valid token available.")
+    );
   }
 
   if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
   }
 
   if ("string" !== typeof options.sn) {
     return Promise.reject(
-      this._error("Vehicle serial number is missing.", funcName)
+      new niuCloudConnector.ValidationError("Vehicle serial number is missing.")
     );
   }
 
   if ("number" !== typeof options.index) {
-    return Promise.reject(this._error("Index is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Index is missing.")
+    );
   }
 
   if ("number" !== typeof options.pageSize) {
-    return Promise.reject(this._error("Page size is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Page size is missing.")
+    );
   }
 
   return this._makeRequest({
@@ -966,7 +2300,7 @@ niuCloudConnector.Client.prototype.getTracks = function (options) {
       pagesize: options.pageSize,
       token: this._token,
     },
-  });
+  }).then(this._normalizer("tracks", options));
 };
 
 /* -------------------------------------------- */
@@ -1002,19 +2336,21 @@ niuCloudConnector.Client.prototype.getTracks = function (options) {
  * @returns {FirmwareVersion} Firmware version.
  */
 niuCloudConnector.Client.prototype.getFirmwareVersion = function (options) {
-  var funcName = "getTracks()";
-
   if (0 === this._token.length) {
-    return Promise.reject(this._error("No valid token available.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.AuthError("No valid token available.")
+    );
   }
 
   if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
   }
 
   if ("string" !== typeof options.sn) {
     return Promise.reject(
-      this._error("Vehicle serial number is missing.", funcName)
+      new niuCloudConnector.ValidationError("Vehicle serial number is missing.")
     );
   }
 
@@ -1029,7 +2365,7 @@ niuCloudConnector.Client.prototype.getFirmwareVersion = function (options) {
     data: {
       sn: options.sn,
     },
-  });
+  }).then(this._normalizer("firmware", options));
 };
 
 /**
@@ -1054,19 +2390,21 @@ niuCloudConnector.Client.prototype.getFirmwareVersion = function (options) {
  * @returns {UpdateInfo} Update information.
  */
 niuCloudConnector.Client.prototype.getUpdateInfo = function (options) {
-  var funcName = "getTracks()";
-
   if (0 === this._token.length) {
-    return Promise.reject(this._error("No valid token available.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.AuthError("No valid token available.")
+    );
   }
 
   if ("object" !== typeof options) {
-    return Promise.reject(this._error("Options is missing.", funcName));
+    return Promise.reject(
+      new niuCloudConnector.ValidationError("Options is missing.")
+    );
   }
 
   if ("string" !== typeof options.sn) {
     return Promise.reject(
-      this._error("Vehicle serial number is missing.", funcName)
+      new niuCloudConnector.ValidationError("Vehicle serial number is missing.")
     );
   }
 
@@ -1081,5 +2419,323 @@ niuCloudConnector.Client.prototype.getUpdateInfo = function (options) {
     data: {
       sn: options.sn,
     },
-  });
+  }).then(this._normalizer("updateInfo", options));
+};
+
+/* ------------------------------- */
+/* ---------- Vehicle    --------- */
+/* ------------------------------- */
+
+/**
+ * Number of tracks, which are requested per page by Vehicle.tracks().
+ */
+niuCloudConnector.VehicleTrackPageSize = 20;
+
+/**
+ * Get a unix timestamp from a time option.
+ *
+ * @private
+ *
+ * @param {Date|number|string} value - Date, unix timestamp epoch format (13 digits) or date string.
+ *
+ * @returns {number|null} Unix timestamp epoch format (13 digits) or null if missing.
+ */
+var getTimestamp = function (value) {
+  var timestamp = NaN;
+
+  if ("undefined" === typeof value || null === value) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    timestamp = value.getTime();
+  } else if ("number" === typeof value) {
+    timestamp = value;
+  } else if ("string" === typeof value) {
+    timestamp = Date.parse(value);
+  }
+
+  if (isNaN(timestamp)) {
+    throw new niuCloudConnector.ValidationError("Invalid time: " + value);
+  }
+
+  return timestamp;
+};
+
+/**
+ * Handle of a single vehicle, which saves repeating the serial number.
+ * The methods resolve the result of the client getters, normalized if
+ * the client normalizes.
+ *
+ * @class
+ *
+ * @param {niuCloudConnector.Client}    client  - Client.
+ * @param {string}                      sn      - Vehicle serial number.
+ */
+niuCloudConnector.Vehicle = function (client, sn) {
+  /** Client */
+  this.client = client;
+
+  /** Vehicle serial number */
+  this.sn = sn;
+};
+
+/**
+ * Get a handle of a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {niuCloudConnector.Vehicle} Vehicle handle.
+ */
+niuCloudConnector.Client.prototype.vehicle = function (sn) {
+  if ("string" !== typeof sn || 0 === sn.length) {
+    throw new niuCloudConnector.ValidationError(
+      "Vehicle serial number is missing."
+    );
+  }
+
+  return new niuCloudConnector.Vehicle(this, sn);
+};
+
+/**
+ * Call a getter of the client with the serial number of the vehicle.
+ *
+ * @private
+ *
+ * @param {string} getter       - Name of the client getter, e.g. "getVehiclePos".
+ * @param {Object} [options]    - Further options of the getter.
+ *
+ * @returns {Promise} Result of the getter.
+ */
+niuCloudConnector.Vehicle.prototype._get = function (getter, options) {
+  return this.client[getter](Object.assign({}, options, { sn: this.sn })).then(
+    function (data) {
+      return data.result;
+    }
+  );
+};
+
+/**
+ * Get the current position.
+ *
+ * @param {Object} [options] - Options, see Client.getVehiclePos().
+ *
+ * @returns {Promise} Position.
+ */
+niuCloudConnector.Vehicle.prototype.position = function (options) {
+  return this._get("getVehiclePos", options);
+};
+
+/**
+ * Get the battery info.
+ *
+ * @param {Object} [options] - Options, see Client.getBatteryInfo().
+ *
+ * @returns {Promise} Battery info.
+ */
+niuCloudConnector.Vehicle.prototype.battery = function (options) {
+  return this._get("getBatteryInfo", options);
+};
+
+/**
+ * Get the battery health.
+ *
+ * @param {Object} [options] - Options, see Client.getBatteryHealth().
+ *
+ * @returns {Promise} Battery health.
+ */
+niuCloudConnector.Vehicle.prototype.health = function (options) {
+  return this._get("getBatteryHealth", options);
+};
+
+/**
+ * Get the battery curve of all battery chart pages.
+ *
+ * @param {Object} [options] - Options, see Client.getBatteryCurve().
+ *
+ * @returns {Promise} Battery curve.
+ */
+niuCloudConnector.Vehicle.prototype.batteryCurve = function (options) {
+  return this._get("getBatteryCurve", options);
+};
+
+/**
+ * Get the motor info.
+ *
+ * @param {Object} [options] - Options, see Client.getMotorInfo().
+ *
+ * @returns {Promise} Motor info.
+ */
+niuCloudConnector.Vehicle.prototype.motor = function (options) {
+  return this._get("getMotorInfo", options);
+};
+
+/**
+ * Get the overall tally.
+ *
+ * @param {Object} [options] - Options, see Client.getOverallTally().
+ *
+ * @returns {Promise} Overall tally.
+ */
+niuCloudConnector.Vehicle.prototype.tally = function (options) {
+  return this._get("getOverallTally", options);
+};
+
+/**
+ * Get the firmware version.
+ *
+ * @param {Object} [options] - Options, see Client.getFirmwareVersion().
+ *
+ * @returns {Promise} Firmware version.
+ */
+niuCloudConnector.Vehicle.prototype.firmware = function (options) {
+  return this._get("getFirmwareVersion", options);
+};
+
+/**
+ * Get the update info.
+ *
+ * @param {Object} [options] - Options, see Client.getUpdateInfo().
+ *
+ * @returns {Promise} Update info.
+ */
+niuCloudConnector.Vehicle.prototype.updateInfo = function (options) {
+  return this._get("getUpdateInfo", options);
+};
+
+/**
+ * Get the detail of a track.
+ *
+ * @param {string}  trackId     - Track identification number.
+ * @param {string}  trackDate   - Track date in yyyymmdd format.
+ * @param {Object}  [options]   - Options, see Client.getTrackDetail().
+ *
+ * @returns {Promise} Track detail.
+ */
+niuCloudConnector.Vehicle.prototype.track = function (
+  trackId,
+  trackDate,
+  options
+) {
+  return this._get(
+    "getTrackDetail",
+    Object.assign({}, options, { trackId: trackId, trackDate: trackDate })
+  );
+};
+
+/**
+ * Iterate the tracks, newest first. The pages are requested lazily, so
+ * stopping the iteration stops the requests.
+ *
+ * @example
+ * for await (const track of client.vehicle(sn).tracks({ since: "2022-03-01" })) {
+ *   console.log(track.trackId);
+ * }
+ *
+ * @param {Object}              [options]       - Options.
+ * @param {Date|number|string}  [options.since] - Earliest start time, inclusive.
+ * @param {Date|number|string}  [options.until] - Latest start time, exclusive.
+ * @param {boolean}             [options.raw]   - Yield the received tracks, even if normalization is enabled.
+ *
+ * @returns {AsyncGenerator} Tracks, as received by Client.getTracks() or normalized.
+ */
+niuCloudConnector.Vehicle.prototype.tracks = async function* (options) {
+  var since = null;
+  var until = null;
+  var isNormalized = false;
+  var index = 0;
+  var items = [];
+  var itemIndex = 0;
+  var startTime = 0;
+  var data = null;
+
+  options = options || {};
+  since = getTimestamp(options.since);
+  until = getTimestamp(options.until);
+  isNormalized = this.client._normalize && true !== options.raw;
+
+  do {
+    data = await this.client.getTracks({
+      sn: this.sn,
+      index: index,
+      pageSize: niuCloudConnector.VehicleTrackPageSize,
+      raw: true,
+    });
+
+    items = Array.isArray(data.result.items) ? data.result.items : [];
+
+    for (itemIndex = 0; itemIndex < items.length; ++itemIndex) {
+      startTime = Number(items[itemIndex].startTime);
+
+      /* The tracks are newest first, all further tracks are older. */
+      if (null !== since && startTime < since) {
+        return;
+      }
+
+      if (null === until || startTime < until) {
+        yield isNormalized
+          ? models.tracks({ items: [items[itemIndex]] })[0]
+          : items[itemIndex];
+      }
+    }
+
+    index += items.length;
+  } while (niuCloudConnector.VehicleTrackPageSize <= items.length);
+};
+
+/**
+ * Iterate the battery chart points of a battery. The pages are requested
+ * lazily, up to niuCloudConnector.BatteryCurveMaxPages.
+ *
+ * @example
+ * for await (const point of client.vehicle(sn).batteryChart({ bmsId: 2 })) {
+ *   console.log(point.m, point.b);
+ * }
+ *
+ * @param {Object}  [options]       - Options.
+ * @param {number}  [options.bmsId] - Selects the battery (1: Battery A / 2: Battery B). Default is 1.
+ * @param {boolean} [options.raw]   - Yield the received points, even if normalization is enabled.
+ *
+ * @returns {AsyncGenerator} Points: {m, b}, as received by Client.getBatteryChart(), or {distance, charge} normalized.
+ */
+niuCloudConnector.Vehicle.prototype.batteryChart = async function* (options) {
+  var bmsId = 1;
+  var isNormalized = false;
+  var page = 1;
+  var items = [];
+  var itemIndex = 0;
+  var data = null;
+
+  options = options || {};
+  isNormalized = this.client._normalize && true !== options.raw;
+
+  if ("undefined" !== typeof options.bmsId) {
+    if (1 !== options.bmsId && 2 !== options.bmsId) {
+      throw new niuCloudConnector.ValidationError("Invalid BMS id.");
+    }
+
+    bmsId = options.bmsId;
+  }
+
+  do {
+    data = await this.client.getBatteryChart({
+      sn: this.sn,
+      bmsId: bmsId,
+      page: page,
+      pageSize: "B",
+      pageLength: 1,
+      raw: true,
+    });
+
+    items = Array.isArray(data.result.items1) ? data.result.items1 : [];
+
+    for (itemIndex = 0; itemIndex < items.length; ++itemIndex) {
+      yield isNormalized
+        ? models.batteryChart({ items1: [items[itemIndex]] }).compartments[0]
+            .points[0]
+        : items[itemIndex];
+    }
+
+    ++page;
+  } while (0 < items.length && niuCloudConnector.BatteryCurveMaxPages >= page);
 };
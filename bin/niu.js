@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+
+/*
+ * niu command-line tool, see README.
+ */
+
+require("dotenv").config();
+const cli = require("../lib/cli");
+
+cli.run(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -4,224 +4,255 @@
  */
 
 require("dotenv").config();
-const express = require("express");
-const crypto = require('crypto');
-const api = require("./api");
+const fs = require("fs");
+const path = require("path");
+const AccountManager = require("./lib/accounts");
+const Authenticator = require("./lib/auth");
+const Fleet = require("./lib/fleet");
+const sources = require("./lib/sources");
+const createApp = require("./lib/app");
+const errors = require("./lib/errors");
+const FirmwareMonitor = require("./lib/firmware");
+const HistoryStore = require("./lib/history");
+const HealthTracker = require("./lib/health");
+const MetricsCollector = require("./lib/metrics");
+const MqttPublisher = require("./lib/mqtt");
+const AlertEngine = require("./lib/alerts");
+const GeofenceStore = require("./lib/geofences");
+const LiveFeed = require("./lib/live");
+const listenLive = require("./lib/socket");
+const TheftDetector = require("./lib/theft");
+const WebhookDispatcher = require("./lib/webhooks");
 
-const app = express();
 const port = process.env.PORT;
-const key = crypto.createHash('sha256').update(process.env.API_KEY, 'utf8').digest('hex');
-
-/* Access data */
-const account = process.env.API_ACCOUNT;
-const password = process.env.API_PWD;
-const countryCode = process.env.API_COUNTRY_CODE;
-
-/** Cloud init */
-var client = new api.Client();
-var vehicles = [];
-
-var data = {
-  vehicle: {
-    sn: String,
-    type: String,
-    name: String,
-  },
-  position: {
-    latitude: String,
-    longitude: String,
-  },
-  battery: {
-    estimated_milage: Number,
-    batteries: [
-      {
-        bms: String,
-        capacity: Number,
-        grade: Number,
-      },
-      {
-        bms: String,
-        capacity: Number,
-        grade: Number,
-      },
-    ],
-  },
-  current_speed: Number,
-  total_mileage: Number,
-  firmware_version: String,
-  track: {
-    id: String,
-    start_time: String,
-    end_time: String,
-    distance: Number,
-    average_speed: Number,
-    riding_time: Number,
-  },
-};
-
-client
-  .createSessionToken({
-    account: account,
-    password: password,
-    countryCode: countryCode,
-  })
-  .then((result) => {
-    console.log("\tSession token created: " + result.result);
-    console.log("\tToken key created: " + key);
-    return result.client.getVehicles();
-  })
-  .then((result) => {
-    var index = 0;
-    var nextPromise = Promise.resolve({
-      client: result.client,
-      index: 0,
-    });
-
-    vehicles = result;
-
-    if (0 === vehicles.length) {
-      console.log("\tNo vehicles found.");
-      return Promise.reject(new Error("Aborted."));
-    }
-
-    for (index = 0; index < 1; ++index) {
-      nextPromise = nextPromise.then((vehicleResult) => {
-        var vehicleIndex = vehicleResult.index;
-
-        ++vehicleResult.index;
-
-        data.vehicle.sn = vehicles.result[vehicleIndex].sn;
-        data.vehicle.type = vehicles.result[vehicleIndex].type;
-        data.vehicle.name = vehicles.result[vehicleIndex].name;
-
-        return result.client
-          .getVehiclePos({
-            sn: vehicles.result[vehicleIndex].sn,
-          })
-          .then((vehiclePosResult) => {
-            data.position.latitude = vehiclePosResult.result.lat;
-            data.position.longitude = vehiclePosResult.result.lng;
-
-            return Promise.resolve({
-              client: vehiclePosResult.client,
-              index: vehicleResult.index,
-            });
-          });
-      });
-    }
-
-    nextPromise = nextPromise.then(() => {
-      return result.client.getBatteryInfo({
-        sn: vehicles.result[0].sn,
-      });
-    });
-
-    return nextPromise;
-  })
-  .then((result) => {
-    var batteries = result.result.batteries;
-
-    if ("object" === typeof batteries.compartmentA) {
-      data.battery.batteries[0].bms = batteries.compartmentA.bmsId;
-      data.battery.batteries[0].capacity =
-        batteries.compartmentA.batteryCharging;
-    }
-
-    if ("object" === typeof batteries.compartmentB) {
-      data.battery.batteries[1].bms = batteries.compartmentA.bmsId;
-      data.battery.batteries[1].capacity =
-        batteries.compartmentA.batteryCharging;
-    }
-
-    data.battery.estimated_milage = result.result.estimatedMileage;
-
-    return result.client.getBatteryHealth({
-      sn: vehicles.result[0].sn,
-    });
-  })
-  .then((result) => {
-    var batteries = result.result.batteries;
-
-    if ("object" === typeof batteries.compartmentA) {
-      data.battery.batteries[0].grade = Number(
-        batteries.compartmentA.gradeBattery
-      );
-    }
-
-    if ("object" === typeof batteries.compartmentB) {
-      data.battery.batteries[1].grade = Number(
-        batteries.compartmentA.gradeBattery
-      );
-    }
-
-    return result.client.getMotorInfo({
-      sn: vehicles.result[0].sn,
-    });
-  })
-  .then((result) => {
-    return result.client.getOverallTally({
-      sn: vehicles.result[0].sn,
-    });
-  })
-  .then((result) => {
-    data.total_mileage = result.result.totalMileage;
-    return result.client.getFirmwareVersion({
-      sn: vehicles.result[0].sn,
-    });
-  })
-  .then((result) => {
-    data.firmware_version = result.result.version;
-    return result.client.getTracks({
-      sn: vehicles.result[0].sn,
-      index: 0,
-      pageSize: 1,
-    });
-  })
-  .then((result) => {
-    if (0 === result.result.length) {
-      console.log("\tNo tracks available.");
-    } else {
-      var track = result.result.items[0];
-      var startTime = new Date(track.startTime);
-      var endTime = new Date(track.endTime);
-
-      data.track.id = track.trackId;
-      data.track.start_time = startTime.toString();
-      data.track.end_time = endTime.toString();
-      data.track.distance = track.distance / 1000;
-      data.track.average_speed = track.avespeed;
-      data.track.riding_time = track.ridingtime / 60;
-    }
-  })
-  .catch((error) => {
-    if ("object" === typeof error) {
-      if ("object" === typeof error.debug) {
-        console.log("Debug: " + error.debug.date + " " + error.debug.funcName);
-      }
-
-      if ("object" === typeof error.error) {
-        if (null === error.error) {
-          console.log("Error: Unknown");
-        } else if ("string" === typeof error.error.message) {
-          console.log("Error: " + error.error.message);
-        } else {
-          console.log("Error: ");
-          console.log(JSON.stringify(error.error, null, 4));
-        }
-      } else if ("string" === typeof error.message) {
-        console.log("Error:");
-        console.log(error.message);
-      } else {
-        console.log("Internal error: Unsupported error");
-        console.log(JSON.stringify(error, null, 4));
-      }
-    } else {
-      console.log("Error: Unknown");
-    }
+
+/* API keys, see README. API_KEY alone is a key with access to everything. */
+const keyConfig = process.env.KEYS_FILE
+  ? JSON.parse(fs.readFileSync(process.env.KEYS_FILE, "utf8"))
+  : { keys: [] };
+
+if ("string" === typeof process.env.API_KEY && 0 < process.env.API_KEY.length) {
+  keyConfig.keys.push({
+    name: "default",
+    hash: Authenticator.hash(process.env.API_KEY),
+  });
+}
+
+if (0 === keyConfig.keys.length) {
+  console.log("\tNo API keys configured, every request is rejected.");
+}
+
+const auth = new Authenticator({
+  keys: keyConfig.keys,
+  rateLimit: Number(process.env.RATE_LIMIT) || keyConfig.rateLimit,
+});
+
+/* Directory of the persistent data */
+const dataDir = process.env.DATA_DIR || path.join(__dirname, "data");
+
+/* NIU accounts, see README. API_ACCOUNT alone is a single account. */
+const accountConfig = process.env.ACCOUNTS_FILE
+  ? JSON.parse(fs.readFileSync(process.env.ACCOUNTS_FILE, "utf8"))
+  : { accounts: [] };
+
+if ("string" === typeof process.env.API_ACCOUNT) {
+  accountConfig.accounts.push({
+    name: "default",
+    account: process.env.API_ACCOUNT,
+    password: process.env.API_PWD,
+    countryCode: process.env.API_COUNTRY_CODE,
+  });
+}
+
+/* Refresh intervals in seconds, e.g. POLL_INTERVAL_POSITION=30 */
+var intervals = {};
+
+sources.all.forEach((source) => {
+  var value = process.env["POLL_INTERVAL_" + source.name.toUpperCase()];
+
+  if ("string" === typeof value && 0 < Number(value)) {
+    intervals[source.name] = Number(value);
+  }
+});
+
+var fleet = new Fleet({
+  sources: sources.all,
+  intervals: intervals,
+});
+
+fleet.on("failure", (sn, name, error) => {
+  console.log("\tFailed to update " + name + " of " + sn + ".");
+  logError(error);
+});
+
+var history = new HistoryStore({
+  dir: path.join(dataDir, "history"),
+  retentionDays: Number(process.env.HISTORY_RETENTION_DAYS) || undefined,
+  downsampleAfterDays:
+    Number(process.env.HISTORY_DOWNSAMPLE_AFTER_DAYS) || undefined,
+  downsampleStep: Number(process.env.HISTORY_DOWNSAMPLE_STEP) || undefined,
+});
+
+history.attach(fleet);
+history.start();
+
+var health = new HealthTracker({
+  dir: path.join(dataDir, "health"),
+  endOfLifeGrade: Number(process.env.BATTERY_END_OF_LIFE_GRADE) || undefined,
+});
+
+health.attach(fleet);
+health.load().catch(logError);
+
+var firmware = new FirmwareMonitor({ dir: path.join(dataDir, "firmware") });
+
+firmware.attach(fleet);
+firmware.load().catch(logError);
+
+var metrics = new MetricsCollector();
+
+metrics.attach(fleet);
+
+var live = new LiveFeed();
+
+live.attach(fleet);
+
+var geofences = new GeofenceStore({ dir: path.join(dataDir, "geofences") });
+
+geofences.attach(fleet);
+geofences.load().catch(logError);
+geofences.on("event", (sn, event) => {
+  console.log("\tGeofence " + event.name + " of " + sn + ": " + event.type);
+  live.publishEvent(sn, "geofence", event);
+});
+
+/* Alert rules and webhooks, see README */
+var alertConfig = process.env.ALERTS_FILE
+  ? JSON.parse(fs.readFileSync(process.env.ALERTS_FILE, "utf8"))
+  : {};
+
+var alerts = new AlertEngine({ rules: alertConfig.rules });
+
+var webhooks = new WebhookDispatcher({
+  webhooks: alertConfig.webhooks,
+  retries: alertConfig.retries,
+  retryDelay: alertConfig.retryDelay,
+});
+
+alerts.attach(fleet);
+alerts.on("alert", (alert) => {
+  console.log("\tAlert " + alert.rule + " of " + alert.sn + ": " + alert.message);
+  webhooks.deliver(alert);
+  live.publishEvent(alert.sn, "alert", alert);
+});
+
+var theft = new TheftDetector({
+  lockedStatus: process.env.THEFT_LOCKED_STATUS
+    ? Number(process.env.THEFT_LOCKED_STATUS)
+    : undefined,
+  minDistance: Number(process.env.THEFT_MIN_DISTANCE) || undefined,
+  fastInterval: Number(process.env.THEFT_FAST_INTERVAL) || undefined,
+});
+
+theft.attach(fleet);
+["alarm", "clear"].forEach((type) => {
+  theft.on(type, (sn, event) => {
+    console.log("\tTheft " + type + " of " + sn + ": " + event.reason);
+    live.publishEvent(sn, "theft", event);
+    webhooks.deliver(
+      Object.assign({ sn: sn }, event, { type: "theft_" + type })
+    );
   });
+});
 
-app.get("/api", (req, res) => {
-  if (key == req.body.key) res.send(data);
+firmware.on("available", (sn, event) => {
+  console.log("\tFirmware " + event.version + " of " + sn + " is available.");
+  live.publishEvent(sn, "firmware", event);
+  webhooks.deliver(
+    Object.assign({ sn: sn }, event, { type: "firmware_available" })
+  );
 });
 
-app.listen(port);
+if ("string" === typeof process.env.MQTT_URL) {
+  var publisher = new MqttPublisher({
+    url: process.env.MQTT_URL,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    prefix: process.env.MQTT_TOPIC_PREFIX,
+    discoveryPrefix: process.env.MQTT_DISCOVERY_PREFIX,
+  });
+
+  publisher.attach(fleet);
+  publisher
+    .start()
+    .then(() => {
+      console.log("\tConnected to MQTT broker " + process.env.MQTT_URL);
+    })
+    .catch(logError);
+}
+
+/**
+ * Print a error to the console.
+ *
+ * @param {Error} error - Error, e.g. a NiuError of the client.
+ */
+function logError(error) {
+  console.log(
+    (error instanceof Error ? error.name : "Error") +
+      ": " +
+      errors.getMessage(error)
+  );
+}
+
+var accounts = new AccountManager({
+  fleet: fleet,
+  accounts: accountConfig.accounts,
+  defaults: {
+    tokenFile: process.env.TOKEN_FILE,
+    region: process.env.API_REGION,
+    accountBaseUrl: process.env.API_ACCOUNT_BASE_URL,
+    appApiBaseUrl: process.env.API_APP_BASE_URL,
+    acceptLanguage: process.env.API_LANGUAGE,
+    cache: "true" === process.env.API_CACHE,
+    timeout: Number(process.env.API_TIMEOUT) || undefined,
+    retries: process.env.API_RETRIES
+      ? Number(process.env.API_RETRIES)
+      : undefined,
+    retryDelay: Number(process.env.API_RETRY_DELAY) || undefined,
+    circuitBreaker:
+      "false" === process.env.API_CIRCUIT_BREAKER
+        ? false
+        : {
+            threshold: Number(process.env.API_CIRCUIT_THRESHOLD) || undefined,
+            resetTimeout: Number(process.env.API_CIRCUIT_RESET) || undefined,
+          },
+  },
+  retryInterval: Number(process.env.ACCOUNT_RETRY_INTERVAL) || undefined,
+});
+
+/* Vehicles of every account start polling as soon as they are added. */
+fleet.start();
+accounts.start().then(() => {
+  if (0 === fleet.list().length) {
+    console.log("\tNo vehicles found.");
+  }
+});
+
+const app = createApp({
+  fleet: fleet,
+  auth: auth,
+  accounts: accounts,
+  history: history,
+  health: health,
+  firmware: firmware,
+  geofences: geofences,
+  theft: theft,
+  live: live,
+  metrics: metrics,
+  alerts: alerts,
+  webhooks: webhooks,
+});
+
+const server = app.listen(port);
+
+listenLive(server, { fleet: fleet, auth: auth, live: live });
@@ -0,0 +1,221 @@
+/*
+ * Several NIU accounts, whose vehicles are served together.
+ */
+
+var api = require("../api");
+var errors = require("./errors");
+
+/**
+ * @typedef {Object} Account
+ * @property {string}   [name]              - Account name, used in logs and status. Default is the account.
+ * @property {string}   account             - Account, as used for login, e.g. the email address.
+ * @property {string}   password            - Password.
+ * @property {string}   countryCode         - Country code, e.g. "351".
+ * @property {string}   [region]            - Region profile, see niuCloudConnector.Regions.
+ * @property {string}   [tokenFile]         - Session token cache file, see Client.
+ * @property {string}   [accountBaseUrl]    - URL to NIU login, overwrites the region profile.
+ * @property {string}   [appApiBaseUrl]     - URL to the NIU app API, overwrites the region profile.
+ * @property {string}   [acceptLanguage]    - Accept language of the NIU cloud texts.
+ * @property {boolean|Object} [cache]       - Response cache, see Client.
+ * @property {number}   [timeout]           - Request timeout in seconds, see Client.
+ * @property {number}   [retries]           - Number of retries of a temporary failure, see Client.
+ * @property {number}   [retryDelay]        - Delay in seconds before the first retry, see Client.
+ * @property {boolean|Object} [circuitBreaker] - Circuit breaker, see Client.
+ */
+
+/** Client options, which an account can overwrite */
+var CLIENT_OPTIONS = [
+  "tokenFile",
+  "region",
+  "accountBaseUrl",
+  "appApiBaseUrl",
+  "acceptLanguage",
+  "cache",
+  "timeout",
+  "retries",
+  "retryDelay",
+  "circuitBreaker",
+];
+
+/**
+ * @typedef {Object} AccountStatus
+ * @property {string}       name        - Account name.
+ * @property {string}       status      - "pending", "ok" or "failed".
+ * @property {string|null}  error       - Error of the last login, if failed.
+ * @property {string|null}  last_login  - ISO-8601 date and time of the last login attempt.
+ * @property {string[]}     vehicles    - Serial numbers of the vehicles of the account.
+ * @property {CircuitState|null} circuit - Circuit breaker of the NIU cloud requests, null before the first login.
+ */
+
+/**
+ * Get the name of an account.
+ *
+ * @private
+ *
+ * @param {Object} state - Account state.
+ *
+ * @returns {string} Name.
+ */
+var getName = function (state) {
+  return "string" === typeof state.config.name
+    ? state.config.name
+    : state.config.account;
+};
+
+/**
+ * Logs in to every account with its own client and adds all their vehicles
+ * to one fleet. A vehicle, which is shared by several accounts, is served
+ * once by the client of the first account. A failed login only affects its
+ * account, it is retried after the retry interval.
+ *
+ * @class
+ *
+ * @param {Object}      options                 - Options.
+ * @param {Fleet}       options.fleet           - Vehicles, which receives the vehicles of all accounts.
+ * @param {Account[]}   options.accounts        - Accounts.
+ * @param {Object}      [options.defaults]      - Client options of every account, e.g. the region, overwritten per account.
+ * @param {number}      [options.retryInterval] - Time in seconds before a failed login is retried, 0 disables it. Default is 900.
+ */
+var AccountManager = function (options) {
+  /** Vehicles */
+  this._fleet = options.fleet;
+
+  /** Client options of every account */
+  this._defaults = options.defaults || {};
+
+  /** Time in seconds before a failed login is retried */
+  this._retryInterval =
+    "number" === typeof options.retryInterval ? options.retryInterval : 900;
+
+  /** Accounts with their state: {config, client, status, error, lastLogin, vehicles, timer} */
+  this._accounts = options.accounts.map(function (account) {
+    return {
+      config: account,
+      client: null,
+      status: "pending",
+      error: null,
+      lastLogin: null,
+      vehicles: [],
+      timer: null,
+    };
+  });
+};
+
+module.exports = AccountManager;
+
+/**
+ * Log in to an account and add its vehicles to the fleet.
+ *
+ * @private
+ *
+ * @param {Object} state - Account state.
+ *
+ * @returns {Promise} Resolved after the vehicles were added or the login failed, never rejected.
+ */
+AccountManager.prototype._login = function (state) {
+  var _this = this;
+  var config = state.config;
+
+  state.lastLogin = new Date();
+
+  return Promise.resolve()
+    .then(function () {
+      var clientOptions = {};
+
+      if (null === state.client) {
+        CLIENT_OPTIONS.forEach(function (name) {
+          clientOptions[name] =
+            "undefined" !== typeof config[name]
+              ? config[name]
+              : _this._defaults[name];
+        });
+
+        state.client = new api.Client(clientOptions);
+      }
+
+      return state.client.createSessionToken({
+        account: config.account,
+        password: config.password,
+        countryCode: config.countryCode,
+      });
+    })
+    .then(function (result) {
+      return result.client.getVehicles();
+    })
+    .then(function (result) {
+      state.status = "ok";
+      state.error = null;
+      state.vehicles = result.result.map(function (vehicle) {
+        _this._fleet.add(result.client, vehicle);
+
+        return vehicle.sn;
+      });
+
+      console.log(
+        "\tAccount " +
+          getName(state) +
+          ": " +
+          state.vehicles.length +
+          " vehicles."
+      );
+    })
+    .catch(function (error) {
+      state.status = "failed";
+      state.error = errors.getMessage(error);
+
+      console.log("\tAccount " + getName(state) + " failed: " + state.error);
+
+      if (0 < _this._retryInterval) {
+        state.timer = setTimeout(function () {
+          state.timer = null;
+          _this._login(state);
+        }, _this._retryInterval * 1000);
+      }
+    });
+};
+
+/**
+ * Log in to every account, one after another, so the NIU cloud sees no
+ * burst of logins. Concurrent re-logins may share a session token cache
+ * file, the Client serializes its updates.
+ *
+ * @returns {Promise} Resolved after every account was tried, never rejected.
+ */
+AccountManager.prototype.start = function () {
+  var _this = this;
+
+  return this._accounts.reduce(function (promise, state) {
+    return promise.then(function () {
+      return _this._login(state);
+    });
+  }, Promise.resolve());
+};
+
+/**
+ * Cancel the pending login retries.
+ */
+AccountManager.prototype.stop = function () {
+  this._accounts.forEach(function (state) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  });
+};
+
+/**
+ * Get the status of every account.
+ *
+ * @returns {AccountStatus[]} Status per account.
+ */
+AccountManager.prototype.getStatus = function () {
+  return this._accounts.map(function (state) {
+    return {
+      name: getName(state),
+      status: state.status,
+      error: state.error,
+      last_login:
+        null === state.lastLogin ? null : state.lastLogin.toISOString(),
+      vehicles: state.vehicles.slice(),
+      circuit: null === state.client ? null : state.client.getCircuitState(),
+    };
+  });
+};
@@ -0,0 +1,476 @@
+/*
+ * Alert rules over the polled vehicle state.
+ */
+
+/** Event emitter */
+var EventEmitter = require("events").EventEmitter;
+var util = require("util");
+
+/** Battery compartments, as named in the NIU responses */
+var COMPARTMENTS = {
+  a: "compartmentA",
+  b: "compartmentB",
+};
+
+/**
+ * @typedef {Object} Sample
+ * @property {string}   subject     - Checked part of the vehicle, e.g. battery compartment "a" or "" for the whole vehicle.
+ * @property {boolean}  isActive    - Condition of the rule is met.
+ * @property {*}        value       - Checked value.
+ */
+
+/**
+ * @typedef {Object} RuleType
+ * @property {string}   source          - Data source name, whose updates are checked.
+ * @property {boolean}  isTransition    - Fires only after the condition was seen unmet before.
+ * @property {string[]} parameters      - Rule parameters, which are required numbers.
+ * @property {Function} check           - Checks the received data: check(result, rule), returns Sample[].
+ * @property {Function} describe        - Describes a fired alert: describe(rule, sample), returns a message.
+ */
+
+/**
+ * Get the samples of a field per battery compartment.
+ *
+ * @private
+ *
+ * @param {Object}      result      - Received battery info.
+ * @param {string}      field       - Field name in the compartment data.
+ * @param {Function}    condition   - Condition: condition(value), returns true if met.
+ *
+ * @returns {Sample[]} Samples.
+ */
+var checkCompartments = function (result, field, condition) {
+  var batteries = result.batteries || {};
+  var samples = [];
+
+  Object.keys(COMPARTMENTS).forEach(function (compartment) {
+    var battery = batteries[COMPARTMENTS[compartment]];
+    var value = NaN;
+
+    if ("object" !== typeof battery || null === battery) {
+      return;
+    }
+
+    value = Number(battery[field]);
+
+    if (!isFinite(value)) {
+      return;
+    }
+
+    samples.push({
+      subject: compartment,
+      isActive: condition(value),
+      value: value,
+    });
+  });
+
+  return samples;
+};
+
+/**
+ * Get the sample of a motor info field.
+ *
+ * @private
+ *
+ * @param {Object}      result      - Received motor info.
+ * @param {string}      field       - Field name.
+ * @param {Function}    condition   - Condition: condition(value), returns true if met.
+ *
+ * @returns {Sample[]} Samples.
+ */
+var checkField = function (result, field, condition) {
+  if (!result.hasOwnProperty(field)) {
+    return [];
+  }
+
+  return [
+    {
+      subject: "",
+      isActive: condition(result[field]),
+      value: result[field],
+    },
+  ];
+};
+
+/**
+ * Supported rule types.
+ *
+ * @type {Object.<string, RuleType>}
+ */
+var RULE_TYPES = {
+  /** State of charge of a battery below rule.threshold in % */
+  soc_below: {
+    source: "battery",
+    isTransition: false,
+    parameters: ["threshold"],
+    check: function (result, rule) {
+      return checkCompartments(result, "batteryCharging", function (value) {
+        return value < rule.threshold;
+      });
+    },
+    describe: function (rule, sample) {
+      return (
+        "State of charge of battery " +
+        sample.subject.toUpperCase() +
+        " is " +
+        sample.value +
+        " %, below " +
+        rule.threshold +
+        " %."
+      );
+    },
+  },
+  /** Charging started */
+  charging_started: {
+    source: "motor",
+    isTransition: true,
+    parameters: [],
+    check: function (result) {
+      return checkField(result, "isCharging", function (value) {
+        return 1 === Number(value);
+      });
+    },
+    describe: function () {
+      return "Charging started.";
+    },
+  },
+  /** Charging finished */
+  charging_finished: {
+    source: "motor",
+    isTransition: true,
+    parameters: [],
+    check: function (result) {
+      return checkField(result, "isCharging", function (value) {
+        return 0 === Number(value);
+      });
+    },
+    describe: function () {
+      return "Charging finished.";
+    },
+  },
+  /** Battery temperature outside of rule.min and rule.max in °C */
+  temperature_out_of_range: {
+    source: "battery",
+    isTransition: false,
+    parameters: ["min", "max"],
+    check: function (result, rule) {
+      return checkCompartments(result, "temperature", function (value) {
+        return value < rule.min || value > rule.max;
+      });
+    },
+    describe: function (rule, sample) {
+      return (
+        "Temperature of battery " +
+        sample.subject.toUpperCase() +
+        " is " +
+        sample.value +
+        " °C, outside of " +
+        rule.min +
+        " to " +
+        rule.max +
+        " °C."
+      );
+    },
+  },
+  /** GPS signal below rule.minSignal, default is 1 */
+  gps_lost: {
+    source: "motor",
+    isTransition: false,
+    parameters: [],
+    check: function (result, rule) {
+      var minSignal = "number" === typeof rule.minSignal ? rule.minSignal : 1;
+
+      return checkField(result, "gps", function (value) {
+        return Number(value) < minSignal;
+      });
+    },
+    describe: function () {
+      return "GPS signal lost.";
+    },
+  },
+  /** Vehicle not connected to the NIU cloud */
+  offline: {
+    source: "motor",
+    isTransition: false,
+    parameters: [],
+    check: function (result) {
+      return checkField(result, "isConnected", function (value) {
+        return false === value;
+      });
+    },
+    describe: function () {
+      return "Vehicle is offline.";
+    },
+  },
+};
+
+/** Optional rule parameters, which must be numbers if set */
+var OPTIONAL_PARAMETERS = ["debounce", "minSignal"];
+
+/**
+ * Check whether a rule parameter is a finite number.
+ *
+ * @private
+ *
+ * @param {*} value - Rule parameter.
+ *
+ * @returns {boolean} true if valid, otherwise false.
+ */
+var isValidParameter = function (value) {
+  return "number" === typeof value && isFinite(value);
+};
+
+/**
+ * @typedef {Object} Rule
+ * @property {string}   id          - Rule identification, unique.
+ * @property {string}   type        - Rule type, see AlertEngine.RULE_TYPES.
+ * @property {string}   [sn]        - Vehicle serial number, default are all vehicles.
+ * @property {number}   [debounce]  - Time in seconds, the condition must be met before the alert fires. Default is 0.
+ * @property {number}   [threshold] - soc_below: State of charge in %.
+ * @property {number}   [min]       - temperature_out_of_range: Lowest temperature in °C.
+ * @property {number}   [max]       - temperature_out_of_range: Highest temperature in °C.
+ * @property {number}   [minSignal] - gps_lost: Lowest GPS signal.
+ */
+
+/**
+ * @typedef {Object} Alert
+ * @property {string}   id      - Alert identification.
+ * @property {string}   rule    - Rule identification.
+ * @property {string}   type    - Rule type.
+ * @property {string}   sn      - Vehicle serial number.
+ * @property {string}   subject - Checked part of the vehicle, e.g. battery compartment "a".
+ * @property {*}        value   - Checked value.
+ * @property {string}   message - Description.
+ * @property {string}   time    - ISO-8601 date and time.
+ */
+
+/**
+ * Check the rules against every refreshed data source. An alert fires once
+ * when the condition of a rule is met for the debounce time and fires again
+ * only after the condition was unmet.
+ *
+ * Emitted events:
+ * - "alert" (alert) - A rule fired.
+ *
+ * @class
+ *
+ * @param {Object}  [options]               - Options.
+ * @param {Rule[]}  [options.rules]         - Rules.
+ * @param {number}  [options.historySize]   - Number of kept alerts. Default is 100.
+ */
+var AlertEngine = function (options) {
+  var ids = {};
+
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  /** Rules */
+  this._rules = (options.rules || []).map(function (rule) {
+    if ("string" !== typeof rule.id || 0 === rule.id.length) {
+      throw new Error("Rule id is missing.");
+    }
+
+    if (ids.hasOwnProperty(rule.id)) {
+      throw new Error("Duplicate rule id: " + rule.id);
+    }
+
+    if (!RULE_TYPES.hasOwnProperty(rule.type)) {
+      throw new Error("Unknown rule type: " + rule.type);
+    }
+
+    RULE_TYPES[rule.type].parameters.forEach(function (parameter) {
+      if (!isValidParameter(rule[parameter])) {
+        throw new Error(
+          "Invalid or missing " + parameter + " of rule: " + rule.id
+        );
+      }
+    });
+
+    OPTIONAL_PARAMETERS.forEach(function (parameter) {
+      if (
+        rule.hasOwnProperty(parameter) &&
+        !isValidParameter(rule[parameter])
+      ) {
+        throw new Error("Invalid " + parameter + " of rule: " + rule.id);
+      }
+    });
+
+    if ("temperature_out_of_range" === rule.type && rule.min > rule.max) {
+      throw new Error("Minimum is above maximum of rule: " + rule.id);
+    }
+
+    ids[rule.id] = true;
+
+    return rule;
+  });
+
+  /** Number of kept alerts */
+  this._historySize =
+    "number" === typeof options.historySize ? options.historySize : 100;
+
+  /** Kept alerts, newest first */
+  this._alerts = [];
+
+  /** Condition state per rule, vehicle and subject */
+  this._states = {};
+
+  /** Number of fired alerts, used for the alert identification */
+  this._count = 0;
+};
+
+util.inherits(AlertEngine, EventEmitter);
+
+module.exports = AlertEngine;
+
+/**
+ * Supported rule types.
+ */
+AlertEngine.RULE_TYPES = RULE_TYPES;
+
+/**
+ * Get the rules.
+ *
+ * @returns {Rule[]} Rules.
+ */
+AlertEngine.prototype.getRules = function () {
+  return this._rules.slice();
+};
+
+/**
+ * Get the fired alerts, newest first.
+ *
+ * @param {Object}  [options]       - Options.
+ * @param {string}  [options.sn]    - Only alerts of this vehicle.
+ * @param {string}  [options.rule]  - Only alerts of this rule.
+ *
+ * @returns {Alert[]} Alerts.
+ */
+AlertEngine.prototype.getAlerts = function (options) {
+  options = options || {};
+
+  return this._alerts.filter(function (alert) {
+    return (
+      ("string" !== typeof options.sn || options.sn === alert.sn) &&
+      ("string" !== typeof options.rule || options.rule === alert.rule)
+    );
+  });
+};
+
+/**
+ * Check the rules against the received data of a refreshed data source.
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {string}  name    - Data source name.
+ * @param {Object}  result  - Received data.
+ * @param {number}  [now]   - Current time in unix timestamp epoch format (13 digits), default is now.
+ *
+ * @returns {Alert[]} Fired alerts.
+ */
+AlertEngine.prototype.evaluate = function (sn, name, result, now) {
+  var _this = this;
+  var fired = [];
+
+  if ("object" !== typeof result || null === result) {
+    return fired;
+  }
+
+  if ("number" !== typeof now) {
+    now = Date.now();
+  }
+
+  this._rules.forEach(function (rule) {
+    var type = RULE_TYPES[rule.type];
+    var debounce = "number" === typeof rule.debounce ? rule.debounce : 0;
+
+    if (
+      name !== type.source ||
+      ("string" === typeof rule.sn && sn !== rule.sn)
+    ) {
+      return;
+    }
+
+    type.check(result, rule).forEach(function (sample) {
+      var key = rule.id + "/" + sn + "/" + sample.subject;
+      var state = _this._states[key];
+
+      if ("undefined" === typeof state) {
+        state = {
+          isArmed: !type.isTransition,
+          isActive: false,
+          since: 0,
+          isFired: false,
+        };
+        _this._states[key] = state;
+      }
+
+      if (false === sample.isActive) {
+        state.isArmed = true;
+        state.isActive = false;
+        state.isFired = false;
+        return;
+      }
+
+      if (false === state.isActive) {
+        state.isActive = true;
+        state.since = now;
+      }
+
+      if (
+        true === state.isArmed &&
+        false === state.isFired &&
+        now - state.since >= debounce * 1000
+      ) {
+        state.isFired = true;
+        fired.push(_this._fire(rule, sn, sample, now));
+      }
+    });
+  });
+
+  return fired;
+};
+
+/**
+ * Fire an alert.
+ *
+ * @private
+ *
+ * @param {Rule}    rule    - Rule.
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {Sample}  sample  - Sample, which met the condition.
+ * @param {number}  now     - Current time in unix timestamp epoch format (13 digits).
+ *
+ * @returns {Alert} Alert.
+ */
+AlertEngine.prototype._fire = function (rule, sn, sample, now) {
+  var alert = {
+    id: now.toString(36) + "-" + (++this._count).toString(36),
+    rule: rule.id,
+    type: rule.type,
+    sn: sn,
+    subject: sample.subject,
+    value: sample.value,
+    message: RULE_TYPES[rule.type].describe(rule, sample),
+    time: new Date(now).toISOString(),
+  };
+
+  this._alerts.unshift(alert);
+  this._alerts.splice(this._historySize);
+
+  this.emit("alert", alert);
+
+  return alert;
+};
+
+/**
+ * Check the rules against every refreshed data source of the fleet.
+ *
+ * @param {Fleet} fleet - Vehicles.
+ */
+AlertEngine.prototype.attach = function (fleet) {
+  var _this = this;
+
+  fleet.on("update", function (sn, name, result) {
+    _this.evaluate(sn, name, result);
+  });
+};
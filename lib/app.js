@@ -0,0 +1,157 @@
+/*
+ * Express app, which serves the vehicle data.
+ */
+
+var express = require("express");
+var bodyParser = require("body-parser");
+
+var Authenticator = require("./auth");
+var errors = require("./errors");
+var MetricsCollector = require("./metrics");
+var alertRoutes = require("./routes/alerts");
+var vehicleRoutes = require("./routes/vehicles");
+
+/** Path of the SSE stream, relative to /api/vehicles, which accepts the API key in the query */
+var STREAM_PATH = /^\/[^/]+\/stream$/;
+
+/**
+ * Create the express app.
+ *
+ * @param {Object}  options         - Options.
+ * @param {Fleet}           options.fleet       - Vehicles, which are served.
+ * @param {Authenticator}   options.auth        - API authentication.
+ * @param {AccountManager}  [options.accounts]  - NIU accounts, whose login status is served.
+ * @param {HistoryStore}    [options.history]   - Time series store.
+ * @param {HealthTracker}   [options.health]    - Battery health analytics.
+ * @param {FirmwareMonitor} [options.firmware]  - Firmware versions.
+ * @param {GeofenceStore}   [options.geofences] - Geofences.
+ * @param {TheftDetector}   [options.theft]     - Theft detection.
+ * @param {LiveFeed}        [options.live]      - Live vehicle state, streamed per vehicle.
+ * @param {MetricsCollector} [options.metrics]  - Prometheus metrics, served at /metrics.
+ * @param {AlertEngine}     [options.alerts]    - Alert rules.
+ * @param {WebhookDispatcher} [options.webhooks] - Webhooks, which receive the alerts.
+ *
+ * @returns {Object} Express app.
+ */
+module.exports = function (options) {
+  var app = express();
+  var fleet = options.fleet;
+  var authenticate = options.auth.middleware();
+
+  app.use(bodyParser.json());
+
+  /* Health of the NIU accounts without API key, e.g. for a readiness probe.
+   * No account names, errors or vehicles are served. */
+  app.get("/health", function (req, res) {
+    var accounts =
+      "object" === typeof options.accounts && null !== options.accounts
+        ? options.accounts.getStatus()
+        : [];
+    var usable = accounts.filter(function (account) {
+      return (
+        "ok" === account.status &&
+        (null === account.circuit || "open" !== account.circuit.state)
+      );
+    });
+    var status = "unavailable";
+
+    if (0 === accounts.length) {
+      /* No account is configured or loaded, nothing can be served. */
+      status = "degraded";
+    } else if (usable.length === accounts.length) {
+      status = "ok";
+    } else if (0 < usable.length) {
+      status = "degraded";
+    }
+
+    res.status("unavailable" === status ? 503 : 200).send({
+      status: status,
+      accounts: accounts.map(function (account) {
+        return {
+          status: account.status,
+          circuit: null === account.circuit ? null : account.circuit.state,
+        };
+      }),
+    });
+  });
+
+  /* Data of the first accessible vehicle */
+  app.get(
+    "/api",
+    authenticate,
+    Authenticator.requireScope("vehicle"),
+    function (req, res) {
+      var vehicles = fleet.list().filter(function (vehicle) {
+        return Authenticator.canAccess(req.apiKey, vehicle.sn);
+      });
+
+      res.send(
+        0 === vehicles.length
+          ? {}
+          : Authenticator.filterData(
+              req.apiKey,
+              fleet.get(vehicles[0].sn).toJSON()
+            )
+      );
+    }
+  );
+
+  /* Login status of the NIU accounts */
+  app.get(
+    "/api/accounts",
+    authenticate,
+    Authenticator.requireScope("vehicle"),
+    function (req, res) {
+      if ("object" !== typeof options.accounts || null === options.accounts) {
+        errors.send(res, 404, "Accounts are not configured.");
+        return;
+      }
+
+      res.send(
+        options.accounts.getStatus().map(function (account) {
+          account.vehicles = account.vehicles.filter(function (sn) {
+            return Authenticator.canAccess(req.apiKey, sn);
+          });
+
+          return account;
+        })
+      );
+    }
+  );
+
+  app.use(
+    "/api/vehicles",
+    options.auth.middleware({ queryPath: STREAM_PATH }),
+    vehicleRoutes(options)
+  );
+
+  if ("object" === typeof options.alerts && null !== options.alerts) {
+    app.use(
+      "/api/alerts",
+      authenticate,
+      Authenticator.requireScope("alerts"),
+      alertRoutes(options)
+    );
+  }
+
+  /* Scraped by Prometheus with the API key as bearer token */
+  if ("object" === typeof options.metrics && null !== options.metrics) {
+    app.get(
+      "/metrics",
+      authenticate,
+      Authenticator.requireScope("metrics"),
+      function (req, res) {
+        res.set("Content-Type", MetricsCollector.CONTENT_TYPE);
+        res.send(
+          options.metrics.render(function (sn) {
+            return Authenticator.canAccess(req.apiKey, sn);
+          })
+        );
+      }
+    );
+  }
+
+  app.use(errors.handler());
+
+  return app;
+};
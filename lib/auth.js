@@ -0,0 +1,444 @@
+/*
+ * API authentication with named keys, scopes and rate limits.
+ */
+
+var crypto = require("crypto");
+var url = require("url");
+
+var errors = require("./errors");
+
+/**
+ * Scopes, which grant access to the data types of a vehicle.
+ * - vehicle:   Vehicle list, vehicle data and firmware.
+ * - position:  Position, tracks, track exports, geofences and theft detection.
+ * - geofences: Create, change and delete geofences, besides position.
+ * - battery:   Battery info, battery curve and battery health.
+ * - history:   Time series of all metrics.
+ * - live:      Live streams over SSE and WebSocket.
+ * - alerts:    Alerts, alert rules and webhook deliveries.
+ * - metrics:   Prometheus metrics.
+ */
+var SCOPES = [
+  "vehicle",
+  "position",
+  "battery",
+  "history",
+  "live",
+  "alerts",
+  "metrics",
+  "geofences",
+];
+
+/** Fields of the vehicle data, which need a scope besides "vehicle" */
+var SCOPED_FIELDS = {
+  position: ["position", "track"],
+  battery: ["battery"],
+};
+
+/** Fields of the live state, which need a scope besides "live" */
+var LIVE_SCOPED_FIELDS = {
+  position: ["position"],
+  battery: ["soc", "estimated_mileage"],
+};
+
+/** Scopes of the live events per event source */
+var EVENT_SCOPES = {
+  geofence: "position",
+  theft: "position",
+  alert: "alerts",
+  firmware: "vehicle",
+};
+
+/** Length of the rate limit window in ms */
+var RATE_WINDOW = 60 * 1000;
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {string}           name        - Key name, e.g. the name of the consumer.
+ * @property {string}           hash        - SHA256 hash of the key as hex string.
+ * @property {string[]}         [vehicles]  - Vehicle serial numbers, which are accessible. Default are all.
+ * @property {string[]}         [scopes]    - Scopes, see Authenticator.SCOPES. Default are all.
+ * @property {number}           [rateLimit] - Maximum number of requests per minute, overwrites the default.
+ */
+
+/**
+ * Check whether a value is an array of strings.
+ *
+ * @private
+ *
+ * @param {*} value - Value.
+ *
+ * @returns {boolean} true if an array of strings, otherwise false.
+ */
+var isStringArray = function (value) {
+  return (
+    Array.isArray(value) &&
+    value.every(function (item) {
+      return "string" === typeof item;
+    })
+  );
+};
+
+/**
+ * Hash a key.
+ *
+ * @param {string} key - Key in plain text.
+ *
+ * @returns {string} SHA256 hash as hex string.
+ */
+var hash = function (key) {
+  return crypto.createHash("sha256").update(key, "utf8").digest("hex");
+};
+
+/**
+ * Send an error response.
+ *
+ * @private
+ *
+ * @param {Object}  res     - Express response.
+ * @param {number}  status  - HTTP status code.
+ * @param {string}  message - Error message.
+ */
+var sendError = function (res, status, message) {
+  if (401 === status) {
+    res.set("WWW-Authenticate", 'Bearer realm="niu"');
+  }
+
+  errors.send(res, status, message);
+};
+
+/**
+ * Authenticates requests with named keys, sent in the "Authorization" header
+ * as "Bearer <key>". Only the hashes of the keys are kept. Every key is
+ * limited to its vehicles and scopes and to a number of requests per minute.
+ *
+ * @class
+ *
+ * @param {Object}      options             - Options.
+ * @param {ApiKey[]}    options.keys        - Keys.
+ * @param {number}      [options.rateLimit] - Maximum number of requests per minute and key. Default is 60.
+ */
+var Authenticator = function (options) {
+  var names = {};
+
+  /** Keys */
+  this._keys = options.keys.map(function (key) {
+    if ("string" !== typeof key.name || 0 === key.name.length) {
+      throw new Error("Key name is missing.");
+    }
+
+    if (names.hasOwnProperty(key.name)) {
+      throw new Error("Duplicate key name: " + key.name);
+    }
+
+    if ("string" !== typeof key.hash || !/^[0-9a-f]{64}$/i.test(key.hash)) {
+      throw new Error("Invalid hash of key: " + key.name);
+    }
+
+    if ("undefined" !== typeof key.vehicles && !isStringArray(key.vehicles)) {
+      throw new Error("Invalid vehicles of key: " + key.name);
+    }
+
+    if ("undefined" !== typeof key.scopes && !isStringArray(key.scopes)) {
+      throw new Error("Invalid scopes of key: " + key.name);
+    }
+
+    (key.scopes || []).forEach(function (scope) {
+      if (-1 === SCOPES.indexOf(scope)) {
+        throw new Error("Unknown scope of key " + key.name + ": " + scope);
+      }
+    });
+
+    names[key.name] = true;
+
+    return key;
+  });
+
+  /** Default maximum number of requests per minute and key */
+  this._rateLimit =
+    "number" === typeof options.rateLimit ? options.rateLimit : 60;
+
+  /** Rate limit window per key name: {start, count} */
+  this._windows = {};
+};
+
+module.exports = Authenticator;
+
+/**
+ * Supported scopes.
+ */
+Authenticator.SCOPES = SCOPES;
+
+/**
+ * Hash a key, e.g. for the key configuration.
+ */
+Authenticator.hash = hash;
+
+/**
+ * Check whether a key has access to a vehicle.
+ *
+ * @param {ApiKey}  key - Key.
+ * @param {string}  sn  - Vehicle serial number.
+ *
+ * @returns {boolean} true if accessible, otherwise false.
+ */
+Authenticator.canAccess = function (key, sn) {
+  return !Array.isArray(key.vehicles) || -1 !== key.vehicles.indexOf(sn);
+};
+
+/**
+ * Check whether a key has a scope.
+ *
+ * @param {ApiKey}  key     - Key.
+ * @param {string}  scope   - Scope.
+ *
+ * @returns {boolean} true if granted, otherwise false.
+ */
+Authenticator.hasScope = function (key, scope) {
+  return !Array.isArray(key.scopes) || -1 !== key.scopes.indexOf(scope);
+};
+
+/**
+ * Remove the fields of the vehicle data, whose scope is missing.
+ *
+ * @param {ApiKey}  key     - Key.
+ * @param {Object}  data    - Vehicle data, see Poller.toJSON().
+ *
+ * @returns {Object} Vehicle data.
+ */
+Authenticator.filterData = function (key, data) {
+  var result = Object.assign({}, data);
+
+  Object.keys(SCOPED_FIELDS).forEach(function (scope) {
+    if (!Authenticator.hasScope(key, scope)) {
+      SCOPED_FIELDS[scope].forEach(function (field) {
+        delete result[field];
+      });
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Remove the fields of a live message, whose scope is missing.
+ *
+ * @param {ApiKey}      key     - Key.
+ * @param {LiveMessage} message - Live message, see LiveFeed.
+ *
+ * @returns {LiveMessage|null} Live message or null, if nothing is left.
+ */
+Authenticator.filterLiveMessage = function (key, message) {
+  var property = "snapshot" === message.type ? "state" : "changes";
+  var fields = null;
+  var data = null;
+
+  if ("event" === message.type) {
+    return Authenticator.hasScope(
+      key,
+      EVENT_SCOPES[message.data.source] || "live"
+    )
+      ? message
+      : null;
+  }
+
+  fields = Object.assign({}, message.data[property]);
+
+  Object.keys(LIVE_SCOPED_FIELDS).forEach(function (scope) {
+    if (!Authenticator.hasScope(key, scope)) {
+      LIVE_SCOPED_FIELDS[scope].forEach(function (field) {
+        delete fields[field];
+      });
+    }
+  });
+
+  if ("change" === message.type && 0 === Object.keys(fields).length) {
+    return null;
+  }
+
+  data = Object.assign({}, message.data);
+  data[property] = fields;
+
+  return { type: message.type, data: data };
+};
+
+/**
+ * Middleware, which continues only if the key of the request has a scope.
+ *
+ * @param {string} scope - Scope.
+ *
+ * @returns {Function} Express middleware.
+ */
+Authenticator.requireScope = function (scope) {
+  return function (req, res, next) {
+    if (!Authenticator.hasScope(req.apiKey, scope)) {
+      sendError(res, 403, "The API key has no " + scope + " scope.");
+      return;
+    }
+
+    next();
+  };
+};
+
+/**
+ * Find the key of a token.
+ *
+ * @param {string} token - Key in plain text.
+ *
+ * @returns {ApiKey|null} Key or null, if unknown.
+ */
+Authenticator.prototype.authenticate = function (token) {
+  var digest = null;
+  var index = 0;
+
+  if ("string" !== typeof token || 0 === token.length) {
+    return null;
+  }
+
+  digest = Buffer.from(hash(token), "hex");
+
+  for (index = 0; index < this._keys.length; ++index) {
+    if (
+      crypto.timingSafeEqual(digest, Buffer.from(this._keys[index].hash, "hex"))
+    ) {
+      return this._keys[index];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Count a request of a key against its rate limit.
+ *
+ * @param {ApiKey}  key     - Key.
+ * @param {number}  [now]   - Current time in unix timestamp epoch format (13 digits), default is now.
+ *
+ * @returns {Object} {limit, remaining, reset, isLimited}, reset is the end of the window in seconds from now.
+ */
+Authenticator.prototype.consume = function (key, now) {
+  var limit =
+    "number" === typeof key.rateLimit ? key.rateLimit : this._rateLimit;
+  var current = this._windows[key.name];
+
+  if ("number" !== typeof now) {
+    now = Date.now();
+  }
+
+  if ("undefined" === typeof current || now - current.start >= RATE_WINDOW) {
+    current = { start: now, count: 0 };
+    this._windows[key.name] = current;
+  }
+
+  ++current.count;
+
+  return {
+    limit: limit,
+    remaining: Math.max(0, limit - current.count),
+    reset: Math.ceil((current.start + RATE_WINDOW - now) / 1000),
+    isLimited: current.count > limit,
+  };
+};
+
+/**
+ * Get the token of a request, from the "Authorization" header or, if
+ * allowed, from the query parameter "key". Only the streams accept the
+ * query parameter, an EventSource and a browser WebSocket can't set
+ * headers. Elsewhere it would end up in access logs and Referer headers.
+ *
+ * @param {Object}  req                 - Request.
+ * @param {boolean} [isQueryAllowed]    - Accept the query parameter "key", default is false.
+ *
+ * @returns {string|null} Token or null, if missing.
+ */
+Authenticator.prototype.getToken = function (req, isQueryAllowed) {
+  var header = req.headers.authorization;
+  var match = null;
+  var key = null;
+
+  if ("string" === typeof header) {
+    match = /^Bearer\s+(\S+)$/i.exec(header);
+    return null === match ? null : match[1];
+  }
+
+  if (true !== isQueryAllowed) {
+    return null;
+  }
+
+  key = url.parse(req.url, true).query.key;
+
+  return "string" === typeof key ? key : null;
+};
+
+/**
+ * Check the key and the rate limit of a request.
+ *
+ * @param {Object}  req                 - Request.
+ * @param {boolean} [isQueryAllowed]    - Accept the query parameter "key", default is false.
+ *
+ * @returns {Object} {key, rate} on success, otherwise {status, error}.
+ */
+Authenticator.prototype.check = function (req, isQueryAllowed) {
+  var token = this.getToken(req, isQueryAllowed);
+  var key = null;
+  var rate = null;
+
+  if (null === token) {
+    return { status: 401, error: "Missing API key." };
+  }
+
+  key = this.authenticate(token);
+
+  if (null === key) {
+    return { status: 401, error: "Invalid API key." };
+  }
+
+  rate = this.consume(key);
+
+  if (rate.isLimited) {
+    return { status: 429, error: "Rate limit exceeded.", rate: rate };
+  }
+
+  return { key: key, rate: rate };
+};
+
+/**
+ * Create the middleware, which authenticates every request. The key is
+ * available as req.apiKey.
+ *
+ * @param {Object}  [options]           - Options.
+ * @param {RegExp}  [options.queryPath] - Paths, which accept the API key in the query parameter "key". Default are none.
+ *
+ * @returns {Function} Express middleware.
+ */
+Authenticator.prototype.middleware = function (options) {
+  var _this = this;
+  var queryPath = (options || {}).queryPath || null;
+
+  return function (req, res, next) {
+    var result = _this.check(
+      req,
+      null !== queryPath && queryPath.test(req.path)
+    );
+
+    if ("object" === typeof result.rate) {
+      res.set({
+        "X-RateLimit-Limit": String(result.rate.limit),
+        "X-RateLimit-Remaining": String(result.rate.remaining),
+        "X-RateLimit-Reset": String(result.rate.reset),
+      });
+    }
+
+    if ("number" === typeof result.status) {
+      if (429 === result.status) {
+        res.set("Retry-After", String(result.rate.reset));
+      }
+
+      sendError(res, result.status, result.error);
+      return;
+    }
+
+    req.apiKey = result.key;
+    next();
+  };
+};
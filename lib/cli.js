@@ -0,0 +1,826 @@
+/*
+ * Command-line tool of the NIU cloud connector, see bin/niu.js.
+ */
+
+var os = require("os");
+var path = require("path");
+var api = require("../api");
+var models = require("../models");
+var tracks = require("./tracks");
+var trackExport = require("./export");
+
+/**
+ * Command-line tool
+ * @namespace
+ */
+var cli = {};
+
+module.exports = cli;
+
+/**
+ * Exit codes, one per kind of failure, so scripts can react on them.
+ */
+cli.EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  auth: 3,
+  network: 4,
+  status: 5,
+  rateLimit: 6,
+  notFound: 7,
+};
+
+/** Maximum number of tracks, listed or exported by default */
+var TRACK_LIMIT = 20;
+
+/** Options, which take a value */
+var VALUE_OPTIONS = [
+  "account",
+  "country-code",
+  "region",
+  "token-file",
+  "sn",
+  "since",
+  "until",
+  "limit",
+  "format",
+];
+
+/** Options, which take no value */
+var FLAG_OPTIONS = ["json", "help"];
+
+/**
+ * Error of the command line usage, e.g. an unknown command.
+ *
+ * @private
+ *
+ * @param {string} message - Error message.
+ *
+ * @returns {Error} Error with exitCode.
+ */
+var usageError = function (message) {
+  var error = new Error(message);
+
+  error.exitCode = cli.EXIT_CODES.usage;
+
+  return error;
+};
+
+/**
+ * Error of a missing vehicle or track.
+ *
+ * @private
+ *
+ * @param {string} message - Error message.
+ *
+ * @returns {Error} Error with exitCode.
+ */
+var notFoundError = function (message) {
+  var error = new Error(message);
+
+  error.exitCode = cli.EXIT_CODES.notFound;
+
+  return error;
+};
+
+/**
+ * Parse the command line arguments.
+ *
+ * @param {string[]} argv - Arguments without node and script, e.g. ["tracks", "--limit", "5"].
+ *
+ * @returns {Object} {command, args, options}, options are named like the long options, e.g. "country-code".
+ */
+cli.parseArgs = function (argv) {
+  var result = {
+    command: "",
+    args: [],
+    options: {},
+  };
+  var index = 0;
+  var arg = "";
+  var name = "";
+  var value = null;
+  var separator = 0;
+
+  for (index = 0; index < argv.length; ++index) {
+    arg = argv[index];
+
+    if (0 !== arg.indexOf("--")) {
+      if (0 === result.command.length) {
+        result.command = arg;
+      } else {
+        result.args.push(arg);
+      }
+      continue;
+    }
+
+    separator = arg.indexOf("=");
+    name = -1 === separator ? arg.slice(2) : arg.slice(2, separator);
+    value = -1 === separator ? null : arg.slice(separator + 1);
+
+    if (-1 !== FLAG_OPTIONS.indexOf(name)) {
+      result.options[name] = true;
+    } else if (-1 !== VALUE_OPTIONS.indexOf(name)) {
+      if (null === value) {
+        ++index;
+
+        if (index >= argv.length) {
+          throw usageError("Option --" + name + " needs a value.");
+        }
+
+        value = argv[index];
+      }
+
+      result.options[name] = value;
+    } else {
+      throw usageError("Unknown option: --" + name);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Get the exit code of an error.
+ *
+ * @param {*} error - Error, e.g. of the client.
+ *
+ * @returns {number} Exit code, see cli.EXIT_CODES.
+ */
+cli.getExitCode = function (error) {
+  if (error instanceof api.ValidationError) {
+    return cli.EXIT_CODES.usage;
+  }
+
+  if (error instanceof api.AuthError) {
+    return cli.EXIT_CODES.auth;
+  }
+
+  if (error instanceof api.RateLimitError) {
+    return cli.EXIT_CODES.rateLimit;
+  }
+
+  if (error instanceof api.NetworkError) {
+    return cli.EXIT_CODES.network;
+  }
+
+  if (error instanceof api.ApiStatusError) {
+    return cli.EXIT_CODES.status;
+  }
+
+  if (
+    "object" === typeof error &&
+    null !== error &&
+    "number" === typeof error.exitCode
+  ) {
+    return error.exitCode;
+  }
+
+  return cli.EXIT_CODES.error;
+};
+
+/**
+ * Check whether a value is a plain object.
+ *
+ * @private
+ *
+ * @param {*} value - Value.
+ *
+ * @returns {boolean} Value is an object, but no array.
+ */
+var isObject = function (value) {
+  return "object" === typeof value && null !== value && !Array.isArray(value);
+};
+
+/**
+ * Get a text of a value in a table cell.
+ *
+ * @private
+ *
+ * @param {*} value - Value.
+ *
+ * @returns {string} Text.
+ */
+var toCell = function (value) {
+  if (null === value || "undefined" === typeof value) {
+    return "-";
+  }
+
+  if (Array.isArray(value)) {
+    if (value.some(isObject)) {
+      return value.length + " items";
+    }
+
+    return value.join(", ");
+  }
+
+  return String(value);
+};
+
+/**
+ * Flatten nested objects to a single level with dotted keys,
+ * e.g. {start: {latitude: 1}} to {"start.latitude": 1}.
+ *
+ * @private
+ *
+ * @param {Object} object   - Object.
+ * @param {string} [prefix] - Prefix of the keys.
+ *
+ * @returns {Object} Flat object.
+ */
+var flatten = function (object, prefix) {
+  var flat = {};
+
+  Object.keys(object).forEach(function (key) {
+    var name = "string" === typeof prefix ? prefix + "." + key : key;
+
+    if (isObject(object[key])) {
+      Object.assign(flat, flatten(object[key], name));
+    } else {
+      flat[name] = object[key];
+    }
+  });
+
+  return flat;
+};
+
+/**
+ * Format rows as a text table with a header line.
+ *
+ * @param {Object[]}  rows        - Rows.
+ * @param {string[]}  [columns]   - Columns, default are all keys of the flattened rows.
+ *
+ * @returns {string} Table, with a trailing line break.
+ */
+cli.formatTable = function (rows, columns) {
+  var flatRows = rows.map(function (row) {
+    return isObject(row) ? flatten(row) : { value: row };
+  });
+  var widths = [];
+  var lines = [];
+
+  if (!Array.isArray(columns)) {
+    columns = [];
+
+    flatRows.forEach(function (row) {
+      Object.keys(row).forEach(function (key) {
+        if (-1 === columns.indexOf(key)) {
+          columns.push(key);
+        }
+      });
+    });
+  }
+
+  if (0 === flatRows.length) {
+    return "(none)\n";
+  }
+
+  lines.push(columns);
+  flatRows.forEach(function (row) {
+    lines.push(
+      columns.map(function (column) {
+        return toCell(row[column]);
+      })
+    );
+  });
+
+  widths = columns.map(function (column, index) {
+    return lines.reduce(function (width, line) {
+      return Math.max(width, line[index].length);
+    }, 0);
+  });
+
+  return (
+    lines
+      .map(function (line) {
+        return line
+          .map(function (cell, index) {
+            return cell.padEnd(widths[index]);
+          })
+          .join("  ")
+          .trimEnd();
+      })
+      .join("\n") + "\n"
+  );
+};
+
+/**
+ * Format a result for the console. An object is printed as key value
+ * table, its lists of objects follow as separate tables.
+ *
+ * @param {*}           data        - Result, e.g. a normalized model.
+ * @param {Object}      [options]   - Options.
+ * @param {boolean}     [options.json]      - Print JSON instead of tables.
+ * @param {string[]}    [options.columns]   - Columns of a list.
+ *
+ * @returns {string} Text, with a trailing line break.
+ */
+cli.format = function (data, options) {
+  var fields = {};
+  var lists = [];
+  var text = "";
+
+  options = options || {};
+
+  if (true === options.json) {
+    return JSON.stringify(data, null, 2) + "\n";
+  }
+
+  if (Array.isArray(data)) {
+    return cli.formatTable(data, options.columns);
+  }
+
+  if (!isObject(data)) {
+    return toCell(data) + "\n";
+  }
+
+  Object.keys(data).forEach(function (key) {
+    if (Array.isArray(data[key]) && data[key].some(isObject)) {
+      lists.push(key);
+    } else {
+      fields[key] = data[key];
+    }
+  });
+
+  fields = flatten(fields);
+  text = cli.formatTable(
+    Object.keys(fields).map(function (name) {
+      return { field: name, value: fields[name] };
+    }),
+    ["field", "value"]
+  );
+
+  lists.forEach(function (key) {
+    text += "\n" + key + ":\n" + cli.formatTable(data[key]);
+  });
+
+  return text;
+};
+
+/**
+ * Collect the items of an async iterator.
+ *
+ * @private
+ *
+ * @param {AsyncIterator}   iterator    - Iterator.
+ * @param {number}          limit       - Maximum number of items.
+ *
+ * @returns {Promise} Items.
+ */
+var collect = function (iterator, limit) {
+  var items = [];
+
+  var next = function () {
+    if (items.length >= limit) {
+      return iterator.return().then(function () {
+        return items;
+      });
+    }
+
+    return iterator.next().then(function (step) {
+      if (true === step.done) {
+        return items;
+      }
+
+      items.push(step.value);
+
+      return next();
+    });
+  };
+
+  return next();
+};
+
+/**
+ * Get the track limit of the command line options.
+ *
+ * @private
+ *
+ * @param {Object} options - Command line options.
+ *
+ * @returns {number} Limit.
+ */
+var getLimit = function (options) {
+  var limit = TRACK_LIMIT;
+
+  if ("string" === typeof options.limit) {
+    limit = Number(options.limit);
+
+    if (!Number.isInteger(limit) || 0 >= limit) {
+      throw usageError("Invalid limit.");
+    }
+  }
+
+  return limit;
+};
+
+/**
+ * Commands. run(context) resolves the result, which is printed, or a text
+ * with raw set to true.
+ */
+var COMMANDS = {
+  login: {
+    usage: "login",
+    description: "Login and cache the session token",
+    run: function (context) {
+      return context.login(true).then(function () {
+        return {
+          account: context.account,
+          tokenFile: context.tokenFile,
+        };
+      });
+    },
+  },
+  vehicles: {
+    usage: "vehicles",
+    description: "List the vehicles of the account",
+    columns: ["sn", "name", "model", "isDoubleBattery", "infoTime"],
+    run: function (context) {
+      return context.client.getVehicles().then(function (result) {
+        return result.result;
+      });
+    },
+  },
+  status: {
+    usage: "status [--sn SN]",
+    description: "Show the state of the vehicle",
+    run: function (context) {
+      return context.vehicle().then(function (vehicle) {
+        return vehicle.motor();
+      });
+    },
+  },
+  position: {
+    usage: "position [--sn SN]",
+    description: "Show the current position",
+    run: function (context) {
+      return context.vehicle().then(function (vehicle) {
+        return vehicle.position();
+      });
+    },
+  },
+  battery: {
+    usage: "battery [--sn SN]",
+    description: "Show the batteries and the estimated range",
+    run: function (context) {
+      return context.vehicle().then(function (vehicle) {
+        return vehicle.battery();
+      });
+    },
+  },
+  health: {
+    usage: "health [--sn SN]",
+    description: "Show the battery health checks",
+    run: function (context) {
+      return context.vehicle().then(function (vehicle) {
+        return vehicle.health();
+      });
+    },
+  },
+  tracks: {
+    usage: "tracks [--sn SN] [--since TIME] [--until TIME] [--limit N]",
+    description: "List the tracks, newest first",
+    columns: [
+      "id",
+      "startTime",
+      "endTime",
+      "distance",
+      "duration",
+      "averageSpeed",
+    ],
+    run: function (context) {
+      var limit = getLimit(context.options);
+
+      return context.vehicle().then(function (vehicle) {
+        return collect(
+          vehicle.tracks({
+            since: context.options.since,
+            until: context.options.until,
+          }),
+          limit
+        );
+      });
+    },
+  },
+  track: {
+    usage: "track TRACK_ID [--sn SN]",
+    description: "Show a track with all points",
+    run: function (context) {
+      return context.trackDetails().then(function (items) {
+        return models.trackDetail(items[0].detail);
+      });
+    },
+  },
+  firmware: {
+    usage: "firmware [--sn SN]",
+    description: "Show the firmware version",
+    run: function (context) {
+      return context.vehicle().then(function (vehicle) {
+        return vehicle.firmware();
+      });
+    },
+  },
+  export: {
+    usage:
+      "export (TRACK_ID | --since TIME [--until TIME] [--limit N]) [--sn SN] [--format gpx|kml|geojson]",
+    description: "Print tracks as GPX, KML or GeoJSON",
+    run: function (context) {
+      var format = context.options.format || "gpx";
+
+      if (!trackExport.formats.hasOwnProperty(format)) {
+        return Promise.reject(usageError("Unsupported format."));
+      }
+
+      return context.trackDetails().then(function (items) {
+        return {
+          raw: true,
+          text: trackExport.formats[format].render(
+            items,
+            context.sn + "-" + (context.args[0] || "tracks")
+          ),
+        };
+      });
+    },
+  },
+};
+
+/**
+ * Get the usage text.
+ *
+ * @returns {string} Usage.
+ */
+cli.getUsage = function () {
+  return (
+    "Usage: niu <command> [options]\n\n" +
+    "Commands:\n" +
+    cli.formatTable(
+      Object.keys(COMMANDS).map(function (name) {
+        return {
+          command: COMMANDS[name].usage,
+          description: COMMANDS[name].description,
+        };
+      })
+    ) +
+    "\nOptions:\n" +
+    cli.formatTable([
+      { option: "--json", description: "Print JSON instead of tables" },
+      {
+        option: "--account, --country-code",
+        description: "Login, default are API_ACCOUNT and API_COUNTRY_CODE",
+      },
+      {
+        option: "--region",
+        description: "Region profile, default is API_REGION or overseas",
+      },
+      {
+        option: "--token-file",
+        description:
+          "Session token cache, default is TOKEN_FILE or ~/.niu-token.json",
+      },
+    ]) +
+    "\nThe password is read from API_PWD.\n"
+  );
+};
+
+/**
+ * Create the context of a command.
+ *
+ * @private
+ *
+ * @param {Object} parsed   - Parsed arguments, see cli.parseArgs().
+ * @param {Object} env      - Environment variables.
+ *
+ * @returns {Object} Context.
+ */
+var createContext = function (parsed, env) {
+  var options = parsed.options;
+  var context = {
+    args: parsed.args,
+    options: options,
+    account: options.account || env.API_ACCOUNT || "",
+    countryCode: options["country-code"] || env.API_COUNTRY_CODE || "",
+    password: env.API_PWD || "",
+    tokenFile:
+      options["token-file"] ||
+      env.TOKEN_FILE ||
+      path.join(os.homedir(), ".niu-token.json"),
+    sn: options.sn || "",
+    client: null,
+  };
+
+  context.client = new api.Client({
+    region: options.region || env.API_REGION,
+    accountBaseUrl: env.API_ACCOUNT_BASE_URL,
+    appApiBaseUrl: env.API_APP_BASE_URL,
+    acceptLanguage: env.API_LANGUAGE,
+    tokenFile: context.tokenFile,
+    timeout: Number(env.API_TIMEOUT) || undefined,
+    normalize: true,
+  });
+
+  /**
+   * Get a session, with the cached session token if possible.
+   * Without password only the cached session token is used.
+   *
+   * @param {boolean} [isValidated] - Validate the session by a request.
+   *
+   * @returns {Promise} Nothing.
+   */
+  context.login = function (isValidated) {
+    var session = null;
+
+    if (0 === context.account.length) {
+      return Promise.reject(
+        usageError("Account is missing, set API_ACCOUNT or --account.")
+      );
+    }
+
+    if (0 === context.password.length) {
+      session = context.client.restoreSessionToken({
+        account: context.account,
+      });
+    } else {
+      session = context.client.createSessionToken({
+        account: context.account,
+        password: context.password,
+        countryCode: context.countryCode,
+      });
+    }
+
+    return session.then(function () {
+      /* A rejected cached token is renewed on the first request. */
+      if (true === isValidated) {
+        return context.client.getVehicles({ raw: true });
+      }
+    });
+  };
+
+  /**
+   * Get the handle of the selected vehicle, default is the first one.
+   *
+   * @returns {Promise} Vehicle handle.
+   */
+  context.vehicle = function () {
+    if (0 < context.sn.length) {
+      return Promise.resolve(context.client.vehicle(context.sn));
+    }
+
+    return context.client.getVehicles({ raw: true }).then(function (result) {
+      if (!Array.isArray(result.result) || 0 === result.result.length) {
+        return Promise.reject(notFoundError("No vehicles found."));
+      }
+
+      context.sn = result.result[0].sn;
+
+      return context.client.vehicle(context.sn);
+    });
+  };
+
+  /**
+   * Get the tracks with details, either the track of the track id argument
+   * or the tracks in the time range, oldest first.
+   *
+   * @returns {Promise} Tracks with details, see trackExport.
+   */
+  context.trackDetails = function () {
+    var trackId = context.args[0];
+    var limit = 0;
+
+    if ("string" !== typeof trackId && "string" !== typeof options.since) {
+      return Promise.reject(usageError("Track id or --since is missing."));
+    }
+
+    try {
+      limit = getLimit(options);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return context.vehicle().then(function (vehicle) {
+      if ("string" === typeof trackId) {
+        return tracks
+          .getDetail(context.client, context.sn, trackId)
+          .then(function (item) {
+            if (null === item) {
+              return Promise.reject(notFoundError("Track not found."));
+            }
+
+            return [item];
+          });
+      }
+
+      return collect(
+        vehicle.tracks({
+          since: options.since,
+          until: options.until,
+          raw: true,
+        }),
+        limit
+      ).then(function (found) {
+        var items = [];
+
+        /* Details are requested one after another. */
+        return found
+          .reverse()
+          .reduce(function (previous, track) {
+            return previous.then(function () {
+              return tracks
+                .fetchDetail(context.client, context.sn, track)
+                .then(function (item) {
+                  items.push(item);
+                });
+            });
+          }, Promise.resolve())
+          .then(function () {
+            return items;
+          });
+      });
+    });
+  };
+
+  return context;
+};
+
+/**
+ * Run the command line tool.
+ *
+ * @param {string[]}    argv            - Arguments without node and script.
+ * @param {Object}      [io]            - Environment and output streams.
+ * @param {Object}      [io.env]        - Environment variables, default is process.env.
+ * @param {Object}      [io.stdout]     - Output stream, default is process.stdout.
+ * @param {Object}      [io.stderr]     - Error stream, default is process.stderr.
+ *
+ * @returns {Promise} Exit code, see cli.EXIT_CODES.
+ */
+cli.run = function (argv, io) {
+  var parsed = null;
+  var command = null;
+  var context = null;
+  var env = null;
+  var stdout = null;
+  var stderr = null;
+
+  io = io || {};
+  env = io.env || process.env;
+  stdout = io.stdout || process.stdout;
+  stderr = io.stderr || process.stderr;
+
+  try {
+    parsed = cli.parseArgs(argv);
+  } catch (error) {
+    stderr.write("Error: " + error.message + "\n\n" + cli.getUsage());
+    return Promise.resolve(cli.EXIT_CODES.usage);
+  }
+
+  if (true === parsed.options.help || 0 === parsed.command.length) {
+    stdout.write(cli.getUsage());
+    return Promise.resolve(
+      true === parsed.options.help ? cli.EXIT_CODES.ok : cli.EXIT_CODES.usage
+    );
+  }
+
+  if (!COMMANDS.hasOwnProperty(parsed.command)) {
+    stderr.write(
+      "Error: Unknown command: " + parsed.command + "\n\n" + cli.getUsage()
+    );
+    return Promise.resolve(cli.EXIT_CODES.usage);
+  }
+
+  command = COMMANDS[parsed.command];
+
+  try {
+    context = createContext(parsed, env);
+  } catch (error) {
+    stderr.write("Error: " + error.message + "\n");
+    return Promise.resolve(cli.getExitCode(error));
+  }
+
+  return ("login" === parsed.command ? Promise.resolve() : context.login(false))
+    .then(function () {
+      return command.run(context);
+    })
+    .then(function (result) {
+      if (isObject(result) && true === result.raw) {
+        stdout.write(result.text);
+      } else {
+        stdout.write(
+          cli.format(result, {
+            json: true === parsed.options.json,
+            columns: command.columns,
+          })
+        );
+      }
+
+      return cli.EXIT_CODES.ok;
+    })
+    .catch(function (error) {
+      stderr.write(
+        "Error: " +
+          (error instanceof Error ? error.message : "Unknown error.") +
+          "\n"
+      );
+
+      return cli.getExitCode(error);
+    });
+};
@@ -0,0 +1,233 @@
+/*
+ * Error handling helpers.
+ */
+
+var api = require("../api");
+
+/**
+ * Error helpers
+ * @namespace
+ */
+var errors = {};
+
+module.exports = errors;
+
+/** Error classes of the client, see api.js */
+errors.NiuError = api.NiuError;
+errors.NetworkError = api.NetworkError;
+errors.AuthError = api.AuthError;
+errors.ApiStatusError = api.ApiStatusError;
+errors.ValidationError = api.ValidationError;
+errors.RateLimitError = api.RateLimitError;
+
+/** Error codes of the HTTP error responses per HTTP status code */
+var CODES = {
+  400: "invalid_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  429: "rate_limited",
+  500: "internal_error",
+  502: "bad_gateway",
+  503: "service_unavailable",
+  504: "gateway_timeout",
+};
+
+/** HTTP status codes of the network error reasons, default is 502 */
+var NETWORK_STATUS = {
+  timeout: 504,
+  circuit_open: 503,
+};
+
+/**
+ * @typedef {Object} ErrorBody
+ * @property {string}   error       - Error message.
+ * @property {string}   code        - Error code, e.g. "not_found" or "upstream_status".
+ * @property {Object}   [details]   - Details of a failed NIU cloud request, e.g. the NIU status.
+ */
+
+/**
+ * Get the message of an error.
+ *
+ * @param {*} error - Error.
+ *
+ * @returns {string} Error message.
+ */
+errors.getMessage = function (error) {
+  if (error instanceof Error) {
+    return error.message;
+  }
+
+  return "Unknown error.";
+};
+
+/**
+ * Create the body of a HTTP error response.
+ *
+ * @param {number}  status      - HTTP status code.
+ * @param {string}  message     - Error message.
+ * @param {string}  [code]      - Error code, default is derived from the HTTP status code.
+ * @param {Object}  [details]   - Details.
+ *
+ * @returns {ErrorBody} Body.
+ */
+errors.createBody = function (status, message, code, details) {
+  var body = {
+    error: message,
+    code: "string" === typeof code ? code : CODES[status] || "error",
+  };
+
+  if ("object" === typeof details && null !== details) {
+    body.details = details;
+  }
+
+  return body;
+};
+
+/**
+ * Map an error to a HTTP error response. Failed requests to the NIU cloud
+ * are a bad gateway, unless the NIU cloud is unavailable or too slow.
+ * Unexpected errors, e.g. of the storage, are internal errors with a
+ * generic message, their details stay in the log.
+ *
+ * @param {*} error - Error.
+ *
+ * @returns {Object} {status, body, retryAfter}, retryAfter in seconds or null.
+ */
+errors.toResponse = function (error) {
+  var message = errors.getMessage(error);
+  var retryAfter = null;
+  var status = 0;
+
+  if (error instanceof api.ValidationError) {
+    return {
+      status: 400,
+      body: errors.createBody(400, message),
+      retryAfter: null,
+    };
+  }
+
+  if (error instanceof api.RateLimitError) {
+    retryAfter = "number" === typeof error.retryAfter ? error.retryAfter : null;
+
+    return {
+      status: 429,
+      body: errors.createBody(429, message, "upstream_rate_limited", {
+        endpoint: error.endpoint,
+      }),
+      retryAfter: retryAfter,
+    };
+  }
+
+  if (error instanceof api.AuthError) {
+    return {
+      status: 502,
+      body: errors.createBody(502, message, "upstream_auth", {
+        endpoint: error.endpoint,
+        status: "number" === typeof error.status ? error.status : null,
+      }),
+      retryAfter: null,
+    };
+  }
+
+  if (error instanceof api.ApiStatusError) {
+    return {
+      status: 502,
+      body: errors.createBody(502, message, "upstream_status", {
+        endpoint: error.endpoint,
+        status: error.status,
+        desc: error.desc,
+      }),
+      retryAfter: null,
+    };
+  }
+
+  if (error instanceof api.NetworkError) {
+    status = NETWORK_STATUS[error.reason] || 502;
+
+    return {
+      status: status,
+      body: errors.createBody(status, message, "upstream_" + error.reason, {
+        endpoint: error.endpoint,
+        http_status:
+          "number" === typeof error.httpStatus ? error.httpStatus : null,
+      }),
+      retryAfter: null,
+    };
+  }
+
+  return {
+    status: 500,
+    body: errors.createBody(500, "Internal server error."),
+    retryAfter: null,
+  };
+};
+
+/**
+ * Send a HTTP error response.
+ *
+ * @param {Object}  res     - Express response.
+ * @param {number}  status  - HTTP status code.
+ * @param {string}  message - Error message.
+ */
+errors.send = function (res, status, message) {
+  res.status(status).send(errors.createBody(status, message));
+};
+
+/**
+ * Send the HTTP error response of an error, see errors.toResponse().
+ *
+ * @param {Object}  res     - Express response.
+ * @param {*}       error   - Error.
+ */
+errors.sendError = function (res, error) {
+  var response = errors.toResponse(error);
+
+  if (500 === response.status) {
+    console.log("\tInternal error: " + errors.getMessage(error));
+  }
+
+  /* The NIU trace is for debug purposes only, it isn't sent to the client. */
+  if (
+    error instanceof api.ApiStatusError &&
+    undefined !== error.trace &&
+    null !== error.trace
+  ) {
+    console.log(
+      "\tNIU trace of " +
+        error.endpoint +
+        ": " +
+        ("string" === typeof error.trace
+          ? error.trace
+          : JSON.stringify(error.trace))
+    );
+  }
+
+  if (null !== response.retryAfter) {
+    res.set("Retry-After", String(response.retryAfter));
+  }
+
+  res.status(response.status).send(response.body);
+};
+
+/**
+ * Create the express error handler, which sends every error passed to
+ * next() as JSON, e.g. a malformed request body.
+ *
+ * @returns {Function} Express error middleware.
+ */
+errors.handler = function () {
+  /* Express detects an error handler by its four parameters. */
+  return function (error, req, res, next) {
+    if (
+      "number" === typeof error.status &&
+      400 <= error.status &&
+      500 > error.status
+    ) {
+      errors.send(res, error.status, errors.getMessage(error));
+      return;
+    }
+
+    errors.sendError(res, error);
+  };
+};
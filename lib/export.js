@@ -0,0 +1,268 @@
+/*
+ * Export of recorded tracks to GPX 1.1, KML and GeoJSON.
+ */
+
+var tracks = require("./tracks");
+
+/**
+ * Track export
+ * @namespace
+ */
+var trackExport = {};
+
+module.exports = trackExport;
+
+/**
+ * @typedef {Object} ExportTrack
+ * @property {Object}   track   - Track, as received by getTracks().
+ * @property {Object}   detail  - Track detail, as received by getTrackDetail().
+ */
+
+/**
+ * Escape a text for the use in XML.
+ *
+ * @private
+ *
+ * @param {string} text - Text.
+ *
+ * @returns {string} Escaped text.
+ */
+var escapeXml = function (text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+};
+
+/**
+ * Get a timestamp in ISO-8601 format.
+ *
+ * @private
+ *
+ * @param {number|string} timestamp - Unix timestamp epoch format (13 digits).
+ *
+ * @returns {string} ISO-8601 date and time in UTC.
+ */
+var toIsoString = function (timestamp) {
+  return new Date(Number(timestamp)).toISOString();
+};
+
+/**
+ * Get the track points in chronological order. A point without valid time
+ * can't be exported and is skipped.
+ *
+ * @private
+ *
+ * @param {Object} detail - Track detail, as received by getTrackDetail().
+ *
+ * @returns {Object[]} Track points: {lat, lng, date}.
+ */
+var getPoints = function (detail) {
+  return tracks.getPoints(detail).filter(function (point) {
+    return !isNaN(new Date(Number(point.date)).getTime());
+  });
+};
+
+/**
+ * Get the name of a track.
+ *
+ * @private
+ *
+ * @param {Object} track - Track, as received by getTracks().
+ *
+ * @returns {string} Name.
+ */
+var getName = function (track) {
+  return "NIU ride " + toIsoString(track.startTime).slice(0, 16) + "Z";
+};
+
+/**
+ * Get the description of a track.
+ *
+ * @private
+ *
+ * @param {Object} track - Track, as received by getTracks().
+ *
+ * @returns {string} Description.
+ */
+var getDescription = function (track) {
+  var summary = tracks.toSummary(track);
+
+  return (
+    summary.distance.toFixed(2) +
+    " km, " +
+    summary.riding_time.toFixed(0) +
+    " min, " +
+    summary.average_speed +
+    " km/h average"
+  );
+};
+
+/**
+ * Render tracks as GPX 1.1 document, one trk per track.
+ *
+ * @param {ExportTrack[]}   items   - Tracks with details.
+ * @param {string}          name    - Document name.
+ *
+ * @returns {string} GPX document.
+ */
+trackExport.toGpx = function (items, name) {
+  var lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="niu-cloud-api" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+    "  <metadata>",
+    "    <name>" + escapeXml(name) + "</name>",
+    "    <time>" + new Date().toISOString() + "</time>",
+    "  </metadata>",
+  ];
+
+  items.forEach(function (item) {
+    lines.push("  <trk>");
+    lines.push("    <name>" + escapeXml(getName(item.track)) + "</name>");
+    lines.push(
+      "    <desc>" + escapeXml(getDescription(item.track)) + "</desc>"
+    );
+    lines.push("    <trkseg>");
+
+    getPoints(item.detail).forEach(function (point) {
+      lines.push(
+        '      <trkpt lat="' +
+          Number(point.lat) +
+          '" lon="' +
+          Number(point.lng) +
+          '"><time>' +
+          toIsoString(point.date) +
+          "</time></trkpt>"
+      );
+    });
+
+    lines.push("    </trkseg>");
+    lines.push("  </trk>");
+  });
+
+  lines.push("</gpx>");
+
+  return lines.join("\n") + "\n";
+};
+
+/**
+ * Render tracks as KML document, one placemark with a gx:Track per track.
+ *
+ * @param {ExportTrack[]}   items   - Tracks with details.
+ * @param {string}          name    - Document name.
+ *
+ * @returns {string} KML document.
+ */
+trackExport.toKml = function (items, name) {
+  var lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    "  <Document>",
+    "    <name>" + escapeXml(name) + "</name>",
+  ];
+
+  items.forEach(function (item) {
+    var points = getPoints(item.detail);
+
+    lines.push("    <Placemark>");
+    lines.push("      <name>" + escapeXml(getName(item.track)) + "</name>");
+    lines.push(
+      "      <description>" +
+        escapeXml(getDescription(item.track)) +
+        "</description>"
+    );
+    lines.push("      <TimeSpan>");
+    lines.push(
+      "        <begin>" + toIsoString(item.track.startTime) + "</begin>"
+    );
+    lines.push("        <end>" + toIsoString(item.track.endTime) + "</end>");
+    lines.push("      </TimeSpan>");
+    lines.push("      <gx:Track>");
+
+    points.forEach(function (point) {
+      lines.push("        <when>" + toIsoString(point.date) + "</when>");
+    });
+
+    points.forEach(function (point) {
+      lines.push(
+        "        <gx:coord>" +
+          Number(point.lng) +
+          " " +
+          Number(point.lat) +
+          " 0</gx:coord>"
+      );
+    });
+
+    lines.push("      </gx:Track>");
+    lines.push("    </Placemark>");
+  });
+
+  lines.push("  </Document>");
+  lines.push("</kml>");
+
+  return lines.join("\n") + "\n";
+};
+
+/**
+ * Render tracks as GeoJSON feature collection, one LineString feature per
+ * track. The point timestamps are in the "coordTimes" property.
+ *
+ * @param {ExportTrack[]}   items   - Tracks with details.
+ * @param {string}          name    - Collection name.
+ *
+ * @returns {string} GeoJSON document.
+ */
+trackExport.toGeoJson = function (items, name) {
+  var collection = {
+    type: "FeatureCollection",
+    name: name,
+    features: items.map(function (item) {
+      var points = getPoints(item.detail);
+      var summary = tracks.toSummary(item.track);
+
+      return {
+        type: "Feature",
+        properties: {
+          id: summary.id,
+          name: getName(item.track),
+          start_time: toIsoString(item.track.startTime),
+          end_time: toIsoString(item.track.endTime),
+          distance: summary.distance,
+          average_speed: summary.average_speed,
+          riding_time: summary.riding_time,
+          coordTimes: points.map(function (point) {
+            return toIsoString(point.date);
+          }),
+        },
+        geometry: {
+          type: "LineString",
+          coordinates: points.map(function (point) {
+            return [Number(point.lng), Number(point.lat)];
+          }),
+        },
+      };
+    }),
+  };
+
+  return JSON.stringify(collection, null, 2) + "\n";
+};
+
+/**
+ * Supported export formats.
+ */
+trackExport.formats = {
+  gpx: {
+    contentType: "application/gpx+xml",
+    render: trackExport.toGpx,
+  },
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml",
+    render: trackExport.toKml,
+  },
+  geojson: {
+    contentType: "application/geo+json",
+    render: trackExport.toGeoJson,
+  },
+};
@@ -0,0 +1,388 @@
+/*
+ * Firmware monitoring: installed versions over time and available updates.
+ */
+
+/** Event emitter */
+var EventEmitter = require("events").EventEmitter;
+var fs = require("fs").promises;
+var path = require("path");
+var util = require("util");
+
+/**
+ * @typedef {Object} FirmwareVersion
+ * @property {string}       version         - Firmware version.
+ * @property {string|null}  hardwareVersion - Hardware version.
+ * @property {number}       firstSeen       - Unix timestamp epoch format (13 digits) of the first check with this version.
+ * @property {number}       lastSeen        - Unix timestamp epoch format (13 digits) of the last check with this version.
+ * @property {number|null}  installedAfter  - Last check with the previous version, null for the first known version.
+ * @property {number|null}  installedAt     - Inferred install time, the first check with this version. null for the first known version, which was installed before.
+ */
+
+/**
+ * @typedef {Object} FirmwareEvent
+ * @property {string}   type                - "available".
+ * @property {string}   version             - Available firmware version.
+ * @property {string}   current_version     - Installed firmware version.
+ * @property {string}   description         - Update description of the NIU cloud.
+ * @property {boolean}  is_update_supported - Vehicle can install the update over the air.
+ * @property {string}   time                - ISO-8601 date and time.
+ */
+
+/**
+ * Get an ISO-8601 date and time.
+ *
+ * @private
+ *
+ * @param {number|null} time - Unix timestamp epoch format (13 digits).
+ *
+ * @returns {string|null} Date and time or null.
+ */
+var toIsoString = function (time) {
+  return "number" === typeof time ? new Date(time).toISOString() : null;
+};
+
+/**
+ * Get a number or null.
+ *
+ * @private
+ *
+ * @param {*} value - Received value.
+ *
+ * @returns {number|null} Number or null.
+ */
+var toNumber = function (value) {
+  var number = Number(value);
+
+  return null === value || "undefined" === typeof value || !isFinite(number)
+    ? null
+    : number;
+};
+
+/**
+ * Get a boolean of a received flag, which may be a number or a string.
+ *
+ * @private
+ *
+ * @param {*} value - Received flag.
+ *
+ * @returns {boolean} Flag.
+ */
+var isSet = function (value) {
+  return true === value || 1 === Number(value);
+};
+
+/**
+ * Keeps the firmware versions of every vehicle, as checked by the firmware
+ * data source. A version change is taken as install, between the last check
+ * with the old and the first check with the new version.
+ *
+ * Emitted events:
+ * - "available" (sn, event) - A new firmware update became available.
+ *
+ * @class
+ *
+ * @param {Object}  [options]       - Options.
+ * @param {string}  [options.dir]   - Directory, where the versions are kept. Default is no persistence.
+ */
+var FirmwareMonitor = function (options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  /** Directory of the versions */
+  this._dir = "string" === typeof options.dir ? options.dir : "";
+
+  /** State per vehicle serial number: {checkedAt, available, history} */
+  this._states = {};
+
+  /** All file operations are serialized */
+  this._queue = Promise.resolve();
+};
+
+util.inherits(FirmwareMonitor, EventEmitter);
+
+module.exports = FirmwareMonitor;
+
+/**
+ * Load the kept versions.
+ *
+ * @returns {Promise} Nothing.
+ */
+FirmwareMonitor.prototype.load = function () {
+  var _this = this;
+
+  if (0 === this._dir.length) {
+    return Promise.resolve();
+  }
+
+  return fs
+    .readdir(this._dir)
+    .catch(function (error) {
+      if ("ENOENT" === error.code) {
+        return [];
+      }
+
+      throw error;
+    })
+    .then(function (files) {
+      return Promise.all(
+        files
+          .filter(function (file) {
+            return /\.json$/.test(file);
+          })
+          .map(function (file) {
+            return fs
+              .readFile(path.join(_this._dir, file), "utf8")
+              .then(function (content) {
+                _this._merge(
+                  decodeURIComponent(file.slice(0, -5)),
+                  JSON.parse(content)
+                );
+              });
+          })
+      );
+    });
+};
+
+/**
+ * Merge a kept state with the checks, which arrived while loading.
+ *
+ * @private
+ *
+ * @param {string} sn       - Vehicle serial number.
+ * @param {Object} loaded   - Kept state.
+ */
+FirmwareMonitor.prototype._merge = function (sn, loaded) {
+  var state = this._states[sn];
+  var history = null;
+
+  if ("undefined" === typeof state) {
+    this._states[sn] = loaded;
+    return;
+  }
+
+  history = loaded.history.slice();
+
+  state.history.forEach(function (entry) {
+    var last = history[history.length - 1];
+
+    if ("undefined" !== typeof last && last.version === entry.version) {
+      last.lastSeen = Math.max(last.lastSeen, entry.lastSeen);
+      return;
+    }
+
+    history.push(
+      Object.assign({}, entry, {
+        installedAfter: "undefined" === typeof last ? null : last.lastSeen,
+        installedAt: "undefined" === typeof last ? null : entry.firstSeen,
+      })
+    );
+  });
+
+  state.history = history;
+
+  if (null === state.available) {
+    state.available = loaded.available;
+  }
+};
+
+/**
+ * Keep the versions of a vehicle.
+ *
+ * @private
+ *
+ * @param {string} sn - Vehicle serial number.
+ */
+FirmwareMonitor.prototype._save = function (sn) {
+  var _this = this;
+  var file = "";
+  var content = "";
+
+  if (0 === this._dir.length) {
+    return;
+  }
+
+  file = path.join(this._dir, encodeURIComponent(sn) + ".json");
+  content = JSON.stringify(this._states[sn]);
+
+  this._queue = this._queue
+    .then(function () {
+      return fs.mkdir(_this._dir, { recursive: true });
+    })
+    .then(function () {
+      return fs.writeFile(file, content);
+    })
+    .catch(function (error) {
+      console.log("\tFailed to keep firmware versions: " + error.message);
+    });
+};
+
+/**
+ * Wait until all versions are kept.
+ *
+ * @returns {Promise} Nothing.
+ */
+FirmwareMonitor.prototype.flush = function () {
+  return this._queue;
+};
+
+/**
+ * Record a firmware check of a vehicle.
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {Object}  result  - Firmware version, as received by getFirmwareVersion(), with the update info of getUpdateInfo() as updateInfo, if available.
+ * @param {number}  [time]  - Time of the check in unix timestamp epoch format (13 digits). Default is now.
+ */
+FirmwareMonitor.prototype.check = function (sn, result, time) {
+  var state = null;
+  var last = null;
+  var version = "";
+  var event = null;
+  var info = null;
+
+  time = "number" === typeof time ? time : Date.now();
+  version = result.nowVersion || result.version;
+  info =
+    "object" === typeof result.updateInfo && null !== result.updateInfo
+      ? result.updateInfo
+      : {};
+
+  if ("string" !== typeof version || 0 === version.length) {
+    return;
+  }
+
+  if (!this._states.hasOwnProperty(sn)) {
+    this._states[sn] = {
+      checkedAt: null,
+      available: null,
+      history: [],
+    };
+  }
+
+  state = this._states[sn];
+  state.checkedAt = time;
+  last = state.history[state.history.length - 1];
+
+  if ("undefined" !== typeof last && last.version === version) {
+    last.lastSeen = time;
+    last.hardwareVersion = result.hardVersion || last.hardwareVersion;
+  } else {
+    state.history.push({
+      version: version,
+      hardwareVersion: result.hardVersion || null,
+      firstSeen: time,
+      lastSeen: time,
+      installedAfter: "undefined" === typeof last ? null : last.lastSeen,
+      installedAt: "undefined" === typeof last ? null : time,
+    });
+  }
+
+  if (
+    isSet(result.needUpdate) &&
+    "string" === typeof result.version &&
+    version !== result.version
+  ) {
+    if (
+      null === state.available ||
+      result.version !== state.available.version
+    ) {
+      event = {
+        type: "available",
+        version: result.version,
+        current_version: version,
+        description: result.otaDescribe || "",
+        is_update_supported: isSet(result.isSupportUpdate),
+        time: new Date(time).toISOString(),
+      };
+    }
+
+    state.available = {
+      version: result.version,
+      description: result.otaDescribe || "",
+      size: Number(result.byteSize) || null,
+      date: Number(result.date) || null,
+      isUpdateSupported: isSet(result.isSupportUpdate),
+      cellularSignal: toNumber(info.csq),
+      controllerCharge: toNumber(info.centreCtrlBattery),
+      firstSeen: null === event ? state.available.firstSeen : time,
+    };
+  } else {
+    state.available = null;
+  }
+
+  this._save(sn);
+
+  if (null !== event) {
+    this.emit("available", sn, event);
+  }
+};
+
+/**
+ * Record every firmware check of the fleet.
+ *
+ * @param {Fleet} fleet - Vehicles.
+ */
+FirmwareMonitor.prototype.attach = function (fleet) {
+  var _this = this;
+
+  fleet.on("update", function (sn, name, result) {
+    if ("firmware" === name && "object" === typeof result) {
+      _this.check(sn, result);
+    }
+  });
+};
+
+/**
+ * Get the current, available and historical firmware versions of a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {Object} {current, available, history, checked_at}, current and available are null if unknown, history is newest first.
+ */
+FirmwareMonitor.prototype.getStatus = function (sn) {
+  var state = this._states[sn];
+  var history = [];
+  var available = null;
+
+  if ("undefined" === typeof state) {
+    return {
+      current: null,
+      available: null,
+      history: [],
+      checked_at: null,
+    };
+  }
+
+  history = state.history
+    .map(function (entry) {
+      return {
+        version: entry.version,
+        hardware_version: entry.hardwareVersion,
+        installed_at: toIsoString(entry.installedAt),
+        installed_after: toIsoString(entry.installedAfter),
+        first_seen: toIsoString(entry.firstSeen),
+        last_seen: toIsoString(entry.lastSeen),
+      };
+    })
+    .reverse();
+  available = state.available;
+
+  return {
+    current: 0 < history.length ? history[0] : null,
+    available:
+      null === available
+        ? null
+        : {
+            version: available.version,
+            description: available.description,
+            size: available.size,
+            date: toIsoString(available.date),
+            is_update_supported: available.isUpdateSupported,
+            cellular_signal: toNumber(available.cellularSignal),
+            controller_charge: toNumber(available.controllerCharge),
+            first_seen: toIsoString(available.firstSeen),
+          },
+    history: history,
+    checked_at: toIsoString(state.checkedAt),
+  };
+};
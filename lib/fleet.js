@@ -0,0 +1,164 @@
+/*
+ * All vehicles, which are served by the API.
+ */
+
+/** Event emitter */
+var EventEmitter = require("events").EventEmitter;
+var util = require("util");
+
+var Poller = require("./poller");
+var sources = require("./sources");
+
+/**
+ * Holds a poller with the state of every vehicle, identified by its serial number.
+ *
+ * Emitted events:
+ * - "update" (sn, name, result) - A data source of a vehicle was refreshed successfully.
+ * - "failure" (sn, name, error) - A data source of a vehicle could not be refreshed.
+ *
+ * @class
+ *
+ * @param {Object}    [options]           - Options.
+ * @param {Source[]}  [options.sources]   - Data sources, default are all.
+ * @param {Object}    [options.intervals] - Refresh interval in seconds per source name.
+ */
+var Fleet = function (options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  /** Data sources */
+  this._sources = options.sources || sources.all;
+
+  /** Refresh intervals in seconds per source name */
+  this._intervals = options.intervals || {};
+
+  /** Vehicles, as received by getVehicles() */
+  this._vehicles = [];
+
+  /** Pollers per vehicle serial number */
+  this._pollers = {};
+
+  /** NIU cloud connector clients per vehicle serial number */
+  this._clients = {};
+
+  /** Is polling active or not */
+  this._isRunning = false;
+};
+
+util.inherits(Fleet, EventEmitter);
+
+module.exports = Fleet;
+
+/**
+ * Add a vehicle. Adding a vehicle twice has no effect.
+ *
+ * @param {Object}  client      - NIU cloud connector client, which has access to the vehicle.
+ * @param {Object}  vehicle     - Vehicle, as received by getVehicles().
+ * @param {string}  vehicle.sn  - Vehicle serial number.
+ *
+ * @returns {Poller} Poller of the vehicle.
+ */
+Fleet.prototype.add = function (client, vehicle) {
+  var _this = this;
+  var poller = null;
+
+  if (this._pollers.hasOwnProperty(vehicle.sn)) {
+    return this._pollers[vehicle.sn];
+  }
+
+  poller = new Poller({
+    client: client,
+    sn: vehicle.sn,
+    data: sources.createData(vehicle),
+    sources: this._sources,
+    intervals: this._intervals,
+  });
+
+  poller.on("update", function (name, result) {
+    _this.emit("update", vehicle.sn, name, result);
+  });
+
+  poller.on("failure", function (name, error) {
+    _this.emit("failure", vehicle.sn, name, error);
+  });
+
+  this._vehicles.push(vehicle);
+  this._pollers[vehicle.sn] = poller;
+  this._clients[vehicle.sn] = client;
+
+  if (true === this._isRunning) {
+    poller.start();
+  }
+
+  return poller;
+};
+
+/**
+ * Get the poller of a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {Poller|null} Poller or null, if the vehicle is unknown.
+ */
+Fleet.prototype.get = function (sn) {
+  if (!this._pollers.hasOwnProperty(sn)) {
+    return null;
+  }
+
+  return this._pollers[sn];
+};
+
+/**
+ * Get the client, which has access to a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {Object|null} NIU cloud connector client or null, if the vehicle is unknown.
+ */
+Fleet.prototype.getClient = function (sn) {
+  if (!this._clients.hasOwnProperty(sn)) {
+    return null;
+  }
+
+  return this._clients[sn];
+};
+
+/**
+ * Get all vehicles.
+ *
+ * @returns {Object[]} Vehicles, as received by getVehicles().
+ */
+Fleet.prototype.list = function () {
+  return this._vehicles.slice();
+};
+
+/**
+ * Start polling of all vehicles.
+ *
+ * @returns {Promise} Resolved after the first cycle of every vehicle finished.
+ */
+Fleet.prototype.start = function () {
+  var _this = this;
+
+  this._isRunning = true;
+
+  return Promise.all(
+    this._vehicles.map(function (vehicle) {
+      return _this._pollers[vehicle.sn].start();
+    })
+  );
+};
+
+/**
+ * Stop polling of all vehicles.
+ */
+Fleet.prototype.stop = function () {
+  var sn = "";
+
+  this._isRunning = false;
+
+  for (sn in this._pollers) {
+    this._pollers[sn].stop();
+  }
+};
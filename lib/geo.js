@@ -0,0 +1,62 @@
+/*
+ * Geographic helpers for WGS84 coordinates.
+ */
+
+/**
+ * Geographic helpers
+ * @namespace
+ */
+var geo = {};
+
+module.exports = geo;
+
+/** Mean earth radius in m */
+var EARTH_RADIUS = 6371008.8;
+
+/**
+ * @typedef {Object} Coordinate
+ * @property {number}   latitude    - WGS84 latitude.
+ * @property {number}   longitude   - WGS84 longitude.
+ */
+
+/**
+ * Check a coordinate.
+ *
+ * @param {*} coordinate - Coordinate.
+ *
+ * @returns {boolean} true if valid, otherwise false.
+ */
+geo.isCoordinate = function (coordinate) {
+  return (
+    "object" === typeof coordinate &&
+    null !== coordinate &&
+    "number" === typeof coordinate.latitude &&
+    "number" === typeof coordinate.longitude &&
+    -90 <= coordinate.latitude &&
+    90 >= coordinate.latitude &&
+    -180 <= coordinate.longitude &&
+    180 >= coordinate.longitude
+  );
+};
+
+/**
+ * Get the distance between two coordinates with the haversine formula.
+ *
+ * @param {Coordinate} a - Coordinate.
+ * @param {Coordinate} b - Coordinate.
+ *
+ * @returns {number} Distance in m.
+ */
+geo.getDistance = function (a, b) {
+  var toRadians = Math.PI / 180;
+  var dLatitude = (b.latitude - a.latitude) * toRadians;
+  var dLongitude = (b.longitude - a.longitude) * toRadians;
+  var h =
+    Math.sin(dLatitude / 2) * Math.sin(dLatitude / 2) +
+    Math.cos(a.latitude * toRadians) *
+      Math.cos(b.latitude * toRadians) *
+      Math.sin(dLongitude / 2) *
+      Math.sin(dLongitude / 2);
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+};
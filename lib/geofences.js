@@ -0,0 +1,594 @@
+/*
+ * Named geofences per vehicle with enter, exit and dwell events.
+ *
+ * Every vehicle has its own directory with the geofences in "fences.json"
+ * and the events in "events.jsonl", one JSON object per line:
+ * {t, fence, name, type, latitude, longitude[, duration]}.
+ */
+
+/** Event emitter */
+var EventEmitter = require("events").EventEmitter;
+var crypto = require("crypto");
+var fs = require("fs").promises;
+var path = require("path");
+var util = require("util");
+
+var errors = require("./errors");
+var geo = require("./geo");
+
+/** Default dwell time in seconds */
+var DEFAULT_DWELL = 10 * 60;
+
+/**
+ * @typedef {Object} Geofence
+ * @property {string}       id          - Geofence identification.
+ * @property {string}       name        - Name, e.g. "home".
+ * @property {string}       type        - "circle" or "polygon".
+ * @property {Coordinate}   [center]    - circle: Center.
+ * @property {number}       [radius]    - circle: Radius in m.
+ * @property {Coordinate[]} [points]    - polygon: Corners.
+ * @property {number}       dwell       - Time in seconds inside, after which a dwell event is recorded. 0 disables it.
+ */
+
+/**
+ * @typedef {Object} GeofenceEvent
+ * @property {number}   t           - Unix timestamp epoch format (13 digits).
+ * @property {string}   fence       - Geofence identification.
+ * @property {string}   name        - Geofence name.
+ * @property {string}   type        - "enter", "exit" or "dwell".
+ * @property {number}   latitude    - Position latitude.
+ * @property {number}   longitude   - Position longitude.
+ * @property {number}   [duration]  - dwell and exit: Time inside in seconds.
+ */
+
+/**
+ * Check whether a coordinate is inside a polygon, with ray casting.
+ *
+ * @private
+ *
+ * @param {Coordinate}      coordinate  - Coordinate.
+ * @param {Coordinate[]}    points      - Polygon corners.
+ *
+ * @returns {boolean} true if inside, otherwise false.
+ */
+var isInPolygon = function (coordinate, points) {
+  var isInside = false;
+  var index = 0;
+  var previous = points.length - 1;
+  var a = null;
+  var b = null;
+
+  for (index = 0; index < points.length; previous = index++) {
+    a = points[index];
+    b = points[previous];
+
+    if (
+      a.latitude > coordinate.latitude !== b.latitude > coordinate.latitude &&
+      coordinate.longitude <
+        ((b.longitude - a.longitude) * (coordinate.latitude - a.latitude)) /
+          (b.latitude - a.latitude) +
+          a.longitude
+    ) {
+      isInside = !isInside;
+    }
+  }
+
+  return isInside;
+};
+
+/**
+ * Check whether a coordinate is inside a geofence.
+ *
+ * @private
+ *
+ * @param {Geofence}    fence       - Geofence.
+ * @param {Coordinate}  coordinate  - Coordinate.
+ *
+ * @returns {boolean} true if inside, otherwise false.
+ */
+var contains = function (fence, coordinate) {
+  if ("circle" === fence.type) {
+    return geo.getDistance(fence.center, coordinate) <= fence.radius;
+  }
+
+  return isInPolygon(coordinate, fence.points);
+};
+
+/**
+ * Build a geofence from a valid definition.
+ *
+ * @private
+ *
+ * @param {string} id      - Geofence identification.
+ * @param {Object} fence   - Geofence definition, see GeofenceStore.validate().
+ *
+ * @returns {Geofence} Geofence.
+ */
+var build = function (id, fence) {
+  var result = {
+    id: id,
+    name: fence.name.trim(),
+    type: fence.type,
+    dwell: "number" === typeof fence.dwell ? fence.dwell : DEFAULT_DWELL,
+  };
+
+  if ("circle" === fence.type) {
+    result.center = {
+      latitude: fence.center.latitude,
+      longitude: fence.center.longitude,
+    };
+    result.radius = fence.radius;
+  } else {
+    result.points = fence.points.map(function (point) {
+      return { latitude: point.latitude, longitude: point.longitude };
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Keeps the geofences of every vehicle and records the events, which the
+ * polled positions cause. The first position after a start or a geofence
+ * change only sets the state, it records no event.
+ *
+ * Emitted events:
+ * - "event" (sn, event) - A geofence event was recorded.
+ *
+ * @class
+ *
+ * @param {Object}  options     - Options.
+ * @param {string}  options.dir - Directory of the geofences and events.
+ */
+var GeofenceStore = function (options) {
+  EventEmitter.call(this);
+
+  /** Directory of the geofences and events */
+  this._dir = options.dir;
+
+  /** Geofences per vehicle serial number */
+  this._fences = {};
+
+  /** State per vehicle serial number and geofence identification: {isInside, since, isDwelling} */
+  this._states = {};
+
+  /** All file operations are serialized */
+  this._queue = Promise.resolve();
+};
+
+util.inherits(GeofenceStore, EventEmitter);
+
+module.exports = GeofenceStore;
+
+/**
+ * Validate a geofence definition.
+ *
+ * @param {Object} fence - Geofence without identification.
+ *
+ * @returns {string|null} Error message or null if valid.
+ */
+GeofenceStore.validate = function (fence) {
+  if ("object" !== typeof fence || null === fence) {
+    return "Geofence is missing.";
+  }
+
+  if ("string" !== typeof fence.name || 0 === fence.name.trim().length) {
+    return "Name is missing.";
+  }
+
+  if ("circle" === fence.type) {
+    if (!geo.isCoordinate(fence.center)) {
+      return "Invalid center.";
+    }
+
+    if ("number" !== typeof fence.radius || !(0 < fence.radius)) {
+      return "Invalid radius.";
+    }
+  } else if ("polygon" === fence.type) {
+    if (
+      !Array.isArray(fence.points) ||
+      3 > fence.points.length ||
+      !fence.points.every(geo.isCoordinate)
+    ) {
+      return "Invalid points, at least 3 coordinates are required.";
+    }
+  } else {
+    return "Invalid type, use circle or polygon.";
+  }
+
+  if (
+    undefined !== fence.dwell &&
+    ("number" !== typeof fence.dwell || !(0 <= fence.dwell))
+  ) {
+    return "Invalid dwell time.";
+  }
+
+  return null;
+};
+
+/**
+ * Serialize a file operation.
+ *
+ * @private
+ *
+ * @param {Function} operation - Returns a promise.
+ *
+ * @returns {Promise} Result of the operation.
+ */
+GeofenceStore.prototype._enqueue = function (operation) {
+  var result = this._queue.then(operation);
+
+  /* A failed operation doesn't block the following ones. */
+  this._queue = result.catch(function () {});
+
+  return result;
+};
+
+/**
+ * Get the directory of a vehicle.
+ *
+ * @private
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {string} Directory.
+ */
+GeofenceStore.prototype._getVehicleDir = function (sn) {
+  return path.join(this._dir, encodeURIComponent(sn));
+};
+
+/**
+ * Load the geofences of all vehicles.
+ *
+ * @returns {Promise} Nothing.
+ */
+GeofenceStore.prototype.load = function () {
+  var _this = this;
+
+  return this._enqueue(function () {
+    return fs
+      .readdir(_this._dir)
+      .catch(function (error) {
+        if ("ENOENT" === error.code) {
+          return [];
+        }
+
+        throw error;
+      })
+      .then(function (dirs) {
+        return Promise.all(
+          dirs.map(function (dir) {
+            return fs
+              .readFile(path.join(_this._dir, dir, "fences.json"), "utf8")
+              .then(
+                function (content) {
+                  _this._fences[decodeURIComponent(dir)] = JSON.parse(content);
+                },
+                function (error) {
+                  if ("ENOENT" !== error.code) {
+                    throw error;
+                  }
+                }
+              );
+          })
+        );
+      });
+  });
+};
+
+/**
+ * Save the geofences of a vehicle.
+ *
+ * @private
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {Promise} Nothing.
+ */
+GeofenceStore.prototype._save = function (sn) {
+  var dir = this._getVehicleDir(sn);
+  var content = JSON.stringify(this._fences[sn], null, 2);
+
+  return this._enqueue(function () {
+    return fs.mkdir(dir, { recursive: true }).then(function () {
+      return fs.writeFile(path.join(dir, "fences.json"), content);
+    });
+  });
+};
+
+/**
+ * Get the geofences of a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {Geofence[]} Geofences.
+ */
+GeofenceStore.prototype.list = function (sn) {
+  return (this._fences[sn] || []).slice();
+};
+
+/**
+ * Get a geofence of a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ * @param {string} id - Geofence identification.
+ *
+ * @returns {Geofence|null} Geofence or null if not found.
+ */
+GeofenceStore.prototype.get = function (sn, id) {
+  var fences = this._fences[sn] || [];
+  var index = 0;
+
+  for (index = 0; index < fences.length; ++index) {
+    if (id === fences[index].id) {
+      return fences[index];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Add a geofence to a vehicle.
+ *
+ * @param {string} sn      - Vehicle serial number.
+ * @param {Object} fence   - Geofence definition, see GeofenceStore.validate().
+ *
+ * @returns {Promise} Created geofence, rejected if invalid.
+ */
+GeofenceStore.prototype.create = function (sn, fence) {
+  var error = GeofenceStore.validate(fence);
+  var created = null;
+
+  if (null !== error) {
+    return Promise.reject(new errors.ValidationError(error));
+  }
+
+  created = build(crypto.randomBytes(8).toString("hex"), fence);
+
+  if (!this._fences.hasOwnProperty(sn)) {
+    this._fences[sn] = [];
+  }
+
+  this._fences[sn].push(created);
+
+  return this._save(sn).then(function () {
+    return created;
+  });
+};
+
+/**
+ * Replace a geofence of a vehicle. Its state is reset.
+ *
+ * @param {string} sn      - Vehicle serial number.
+ * @param {string} id      - Geofence identification.
+ * @param {Object} fence   - Geofence definition, see GeofenceStore.validate().
+ *
+ * @returns {Promise} Updated geofence or null if not found, rejected if invalid.
+ */
+GeofenceStore.prototype.update = function (sn, id, fence) {
+  var error = GeofenceStore.validate(fence);
+  var fences = this._fences[sn] || [];
+  var index = 0;
+  var updated = null;
+
+  if (null !== error) {
+    return Promise.reject(new errors.ValidationError(error));
+  }
+
+  for (index = 0; index < fences.length; ++index) {
+    if (id === fences[index].id) {
+      updated = build(id, fence);
+      fences[index] = updated;
+      delete this._states[sn + "/" + id];
+
+      return this._save(sn).then(function () {
+        return updated;
+      });
+    }
+  }
+
+  return Promise.resolve(null);
+};
+
+/**
+ * Remove a geofence of a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ * @param {string} id - Geofence identification.
+ *
+ * @returns {Promise} true if removed, false if not found.
+ */
+GeofenceStore.prototype.remove = function (sn, id) {
+  var fences = this._fences[sn] || [];
+  var index = 0;
+
+  for (index = 0; index < fences.length; ++index) {
+    if (id === fences[index].id) {
+      fences.splice(index, 1);
+      delete this._states[sn + "/" + id];
+
+      return this._save(sn).then(function () {
+        return true;
+      });
+    }
+  }
+
+  return Promise.resolve(false);
+};
+
+/**
+ * Check a position of a vehicle against its geofences and record the events.
+ *
+ * @param {string}      sn          - Vehicle serial number.
+ * @param {Coordinate}  coordinate  - Position.
+ * @param {number}      [time]      - Unix timestamp epoch format (13 digits), default is now.
+ *
+ * @returns {Promise} Recorded events.
+ */
+GeofenceStore.prototype.recordPosition = function (sn, coordinate, time) {
+  var _this = this;
+  var dir = this._getVehicleDir(sn);
+  var events = [];
+
+  if (!geo.isCoordinate(coordinate)) {
+    return Promise.resolve(events);
+  }
+
+  if ("number" !== typeof time) {
+    time = Date.now();
+  }
+
+  this.list(sn).forEach(function (fence) {
+    var key = sn + "/" + fence.id;
+    var state = _this._states[key];
+    var isInside = contains(fence, coordinate);
+    var event = null;
+
+    if ("undefined" === typeof state) {
+      _this._states[key] = {
+        isInside: isInside,
+        since: time,
+        isDwelling: false,
+      };
+      return;
+    }
+
+    event = {
+      t: time,
+      fence: fence.id,
+      name: fence.name,
+      type: "",
+      latitude: coordinate.latitude,
+      longitude: coordinate.longitude,
+    };
+
+    if (isInside !== state.isInside) {
+      event.type = isInside ? "enter" : "exit";
+
+      if (false === isInside) {
+        event.duration = Math.round((time - state.since) / 1000);
+      }
+
+      state.isInside = isInside;
+      state.since = time;
+      state.isDwelling = false;
+    } else if (
+      true === isInside &&
+      false === state.isDwelling &&
+      0 < fence.dwell &&
+      time - state.since >= fence.dwell * 1000
+    ) {
+      event.type = "dwell";
+      event.duration = Math.round((time - state.since) / 1000);
+      state.isDwelling = true;
+    } else {
+      return;
+    }
+
+    events.push(event);
+  });
+
+  if (0 === events.length) {
+    return Promise.resolve(events);
+  }
+
+  return this._enqueue(function () {
+    return fs.mkdir(dir, { recursive: true }).then(function () {
+      return fs.appendFile(
+        path.join(dir, "events.jsonl"),
+        events
+          .map(function (event) {
+            return JSON.stringify(event) + "\n";
+          })
+          .join("")
+      );
+    });
+  }).then(function () {
+    events.forEach(function (event) {
+      _this.emit("event", sn, event);
+    });
+
+    return events;
+  });
+};
+
+/**
+ * Check the polled positions of every vehicle in the fleet.
+ *
+ * @param {Fleet} fleet - Vehicles.
+ */
+GeofenceStore.prototype.attach = function (fleet) {
+  var _this = this;
+
+  fleet.on("update", function (sn, name, result) {
+    if ("position" !== name) {
+      return;
+    }
+
+    _this
+      .recordPosition(
+        sn,
+        { latitude: result.lat, longitude: result.lng },
+        "number" === typeof result.timestamp ? result.timestamp : undefined
+      )
+      .catch(function (error) {
+        console.log(
+          "\tFailed to record geofence events of " + sn + ": " + error.message
+        );
+      });
+  });
+};
+
+/**
+ * Query the events of a vehicle.
+ *
+ * @param {string}  sn                  - Vehicle serial number.
+ * @param {Object}  [options]           - Options.
+ * @param {number}  [options.from]      - Start in unix timestamp epoch format (13 digits), inclusive.
+ * @param {number}  [options.to]        - End in unix timestamp epoch format (13 digits), exclusive.
+ * @param {string}  [options.fence]     - Only events of this geofence.
+ * @param {string}  [options.type]      - Only events of this type.
+ *
+ * @returns {Promise} Events in chronological order.
+ */
+GeofenceStore.prototype.queryEvents = function (sn, options) {
+  var file = path.join(this._getVehicleDir(sn), "events.jsonl");
+
+  options = options || {};
+
+  return this._enqueue(function () {
+    return fs.readFile(file, "utf8").catch(function (error) {
+      if ("ENOENT" === error.code) {
+        return "";
+      }
+
+      throw error;
+    });
+  }).then(function (content) {
+    return content
+      .split("\n")
+      .filter(function (line) {
+        return 0 < line.length;
+      })
+      .map(function (line) {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          /* Skip a partially written line. */
+          return null;
+        }
+      })
+      .filter(function (event) {
+        return (
+          "object" === typeof event &&
+          null !== event &&
+          ("number" !== typeof options.from || event.t >= options.from) &&
+          ("number" !== typeof options.to || event.t < options.to) &&
+          ("string" !== typeof options.fence ||
+            options.fence === event.fence) &&
+          ("string" !== typeof options.type || options.type === event.type)
+        );
+      });
+  });
+};
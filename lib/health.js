@@ -0,0 +1,402 @@
+/*
+ * Battery health analytics: battery grade against charging cycles over time.
+ */
+
+var fs = require("fs").promises;
+var path = require("path");
+
+/** Length of one year in ms */
+var YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+/** Battery compartments, as named in the NIU responses */
+var COMPARTMENTS = {
+  A: "compartmentA",
+  B: "compartmentB",
+};
+
+/**
+ * @typedef {Object} HealthObservation
+ * @property {number}   time        - Unix timestamp epoch format (13 digits)
+ * @property {number}   chargeCount - Charging cycles
+ * @property {number}   grade       - Battery grade points [0; 100]
+ */
+
+/**
+ * Fit a straight line y = intercept + slope * x with least squares.
+ *
+ * @private
+ *
+ * @param {number[]} xs - X values.
+ * @param {number[]} ys - Y values.
+ *
+ * @returns {Object|null} {intercept, slope} or null, if the x values don't vary.
+ */
+var fitLine = function (xs, ys) {
+  var count = xs.length;
+  var meanX = 0;
+  var meanY = 0;
+  var covariance = 0;
+  var variance = 0;
+  var index = 0;
+
+  for (index = 0; index < count; ++index) {
+    meanX += xs[index] / count;
+    meanY += ys[index] / count;
+  }
+
+  for (index = 0; index < count; ++index) {
+    covariance += (xs[index] - meanX) * (ys[index] - meanY);
+    variance += (xs[index] - meanX) * (xs[index] - meanX);
+  }
+
+  if (0 === variance) {
+    return null;
+  }
+
+  return {
+    intercept: meanY - (covariance / variance) * meanX,
+    slope: covariance / variance,
+  };
+};
+
+/**
+ * Round a number to two decimals.
+ *
+ * @private
+ *
+ * @param {number} value - Value.
+ *
+ * @returns {number} Rounded value.
+ */
+var round = function (value) {
+  return Math.round(value * 100) / 100;
+};
+
+/**
+ * Tracks the battery grade of every battery, identified by its BMS id.
+ *
+ * @class
+ *
+ * @param {Object}  [options]                   - Options.
+ * @param {string}  [options.dir]               - Directory, where the observations are kept. Default is no persistence.
+ * @param {number}  [options.endOfLifeGrade]    - Battery grade, at which a battery is worn out. Default is 70.
+ */
+var HealthTracker = function (options) {
+  options = options || {};
+
+  /** Directory of the observations */
+  this._dir = "string" === typeof options.dir ? options.dir : "";
+
+  /** Battery grade, at which a battery is worn out */
+  this._endOfLifeGrade =
+    "number" === typeof options.endOfLifeGrade ? options.endOfLifeGrade : 70;
+
+  /** Observations per BMS id, in chronological order */
+  this._observations = {};
+
+  /** BMS id per compartment per vehicle serial number */
+  this._compartments = {};
+
+  /** All file operations are serialized */
+  this._queue = Promise.resolve();
+};
+
+module.exports = HealthTracker;
+
+/**
+ * Load the kept observations.
+ *
+ * @returns {Promise} Nothing.
+ */
+HealthTracker.prototype.load = function () {
+  var _this = this;
+
+  if (0 === this._dir.length) {
+    return Promise.resolve();
+  }
+
+  return fs
+    .readdir(this._dir)
+    .catch(function (error) {
+      if ("ENOENT" === error.code) {
+        return [];
+      }
+
+      throw error;
+    })
+    .then(function (files) {
+      return Promise.all(
+        files
+          .filter(function (file) {
+            return /\.json$/.test(file);
+          })
+          .map(function (file) {
+            return fs
+              .readFile(path.join(_this._dir, file), "utf8")
+              .then(function (content) {
+                var bmsId = decodeURIComponent(file.slice(0, -5));
+
+                /* Merged, because updates may arrive while loading. */
+                JSON.parse(content).forEach(function (observation) {
+                  _this.observe(bmsId, observation);
+                });
+              });
+          })
+      );
+    });
+};
+
+/**
+ * Keep the observations of a battery.
+ *
+ * @private
+ *
+ * @param {string} bmsId - Battery management system identification number.
+ */
+HealthTracker.prototype._save = function (bmsId) {
+  var _this = this;
+  var file = "";
+  var content = "";
+
+  if (0 === this._dir.length) {
+    return;
+  }
+
+  file = path.join(this._dir, encodeURIComponent(bmsId) + ".json");
+  content = JSON.stringify(this._observations[bmsId]);
+
+  this._queue = this._queue
+    .then(function () {
+      return fs.mkdir(_this._dir, { recursive: true });
+    })
+    .then(function () {
+      return fs.writeFile(file, content);
+    })
+    .catch(function (error) {
+      console.log("\tFailed to keep battery health: " + error.message);
+    });
+};
+
+/**
+ * Wait until all observations are kept.
+ *
+ * @returns {Promise} Nothing.
+ */
+HealthTracker.prototype.flush = function () {
+  return this._queue;
+};
+
+/**
+ * Add an observation of a battery. An observation, which is equal to the
+ * previous one or already known, is skipped.
+ *
+ * @param {string}              bmsId       - Battery management system identification number.
+ * @param {HealthObservation}   observation - Observation.
+ *
+ * @returns {boolean} true if added, otherwise false.
+ */
+HealthTracker.prototype.observe = function (bmsId, observation) {
+  var observations = null;
+  var index = 0;
+
+  if (
+    !isFinite(observation.time) ||
+    !isFinite(observation.chargeCount) ||
+    !isFinite(observation.grade)
+  ) {
+    return false;
+  }
+
+  if (!this._observations.hasOwnProperty(bmsId)) {
+    this._observations[bmsId] = [];
+  }
+
+  observations = this._observations[bmsId];
+
+  for (index = 0; index < observations.length; ++index) {
+    if (
+      observations[index].time === observation.time ||
+      (observations[index].chargeCount === observation.chargeCount &&
+        observations[index].grade === observation.grade)
+    ) {
+      return false;
+    }
+  }
+
+  observations.push({
+    time: observation.time,
+    chargeCount: observation.chargeCount,
+    grade: observation.grade,
+  });
+
+  observations.sort(function (a, b) {
+    return a.time - b.time;
+  });
+
+  return true;
+};
+
+/**
+ * Add the observations of a refreshed data source.
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {string}  name    - Data source name.
+ * @param {Object}  result  - Received data.
+ */
+HealthTracker.prototype.recordUpdate = function (sn, name, result) {
+  var _this = this;
+  var batteries = null;
+
+  if (("health" !== name && "battery" !== name) || "object" !== typeof result) {
+    return;
+  }
+
+  batteries = result.batteries || {};
+
+  Object.keys(COMPARTMENTS).forEach(function (compartment) {
+    var battery = batteries[COMPARTMENTS[compartment]];
+    var isChanged = false;
+
+    if ("object" !== typeof battery || "string" !== typeof battery.bmsId) {
+      return;
+    }
+
+    if (!_this._compartments.hasOwnProperty(sn)) {
+      _this._compartments[sn] = {};
+    }
+
+    _this._compartments[sn][compartment] = battery.bmsId;
+
+    if ("health" === name) {
+      (battery.healthRecords || []).forEach(function (record) {
+        isChanged =
+          _this.observe(battery.bmsId, {
+            time: Number(record.time),
+            chargeCount: Number(record.chargeCount),
+            grade: 100 - Number(record.result),
+          }) || isChanged;
+      });
+    } else {
+      isChanged = _this.observe(battery.bmsId, {
+        time: Date.now(),
+        chargeCount: Number(battery.chargedTimes),
+        grade: Number(battery.gradeBattery),
+      });
+    }
+
+    if (true === isChanged) {
+      _this._save(battery.bmsId);
+    }
+  });
+};
+
+/**
+ * Add the observations of every refreshed data source of the fleet.
+ *
+ * @param {Fleet} fleet - Vehicles.
+ */
+HealthTracker.prototype.attach = function (fleet) {
+  var _this = this;
+
+  fleet.on("update", function (sn, name, result) {
+    _this.recordUpdate(sn, name, result);
+  });
+};
+
+/**
+ * Analyze the health of a battery.
+ *
+ * @param {string} bmsId - Battery management system identification number.
+ *
+ * @returns {Object} Analysis.
+ */
+HealthTracker.prototype.analyze = function (bmsId) {
+  var observations = this._observations[bmsId] || [];
+  var latest = observations[observations.length - 1];
+  var byCycles = null;
+  var byTime = null;
+  var result = {
+    bms_id: bmsId,
+    observations: observations.map(function (observation) {
+      return {
+        time: new Date(observation.time).toISOString(),
+        charge_count: observation.chargeCount,
+        grade: observation.grade,
+      };
+    }),
+    grade: null,
+    charge_count: null,
+    degradation_per_100_cycles: null,
+    degradation_per_year: null,
+    end_of_life_grade: this._endOfLifeGrade,
+    end_of_life_cycles: null,
+    remaining_cycles: null,
+  };
+
+  if ("undefined" === typeof latest) {
+    return result;
+  }
+
+  result.grade = latest.grade;
+  result.charge_count = latest.chargeCount;
+
+  byCycles = fitLine(
+    observations.map(function (observation) {
+      return observation.chargeCount;
+    }),
+    observations.map(function (observation) {
+      return observation.grade;
+    })
+  );
+
+  byTime = fitLine(
+    observations.map(function (observation) {
+      return observation.time / YEAR;
+    }),
+    observations.map(function (observation) {
+      return observation.grade;
+    })
+  );
+
+  if (null !== byCycles) {
+    result.degradation_per_100_cycles = round(-byCycles.slope * 100);
+
+    /* Only a degrading battery reaches its end of life. */
+    if (0 > byCycles.slope) {
+      result.end_of_life_cycles = Math.round(
+        (this._endOfLifeGrade - byCycles.intercept) / byCycles.slope
+      );
+      result.remaining_cycles = Math.max(
+        0,
+        result.end_of_life_cycles - latest.chargeCount
+      );
+    }
+  }
+
+  if (null !== byTime) {
+    result.degradation_per_year = round(-byTime.slope);
+  }
+
+  return result;
+};
+
+/**
+ * Analyze the health of the batteries in a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {Object[]} Analysis per compartment, with the additional "compartment" name.
+ */
+HealthTracker.prototype.analyzeVehicle = function (sn) {
+  var _this = this;
+  var compartments = this._compartments[sn] || {};
+
+  return Object.keys(compartments)
+    .sort()
+    .map(function (compartment) {
+      return Object.assign(
+        { compartment: compartment },
+        _this.analyze(compartments[compartment])
+      );
+    });
+};
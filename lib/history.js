@@ -0,0 +1,601 @@
+/*
+ * Persistent time series of polled vehicle data, stored in append-only files.
+ *
+ * Every vehicle has its own directory with one file per day (UTC), which
+ * contains one JSON object per line: {t, <field>: <value>, ...}.
+ */
+
+var fs = require("fs").promises;
+var path = require("path");
+
+var errors = require("./errors");
+
+/** Length of one day in ms */
+var DAY = 24 * 60 * 60 * 1000;
+
+/** Maintenance interval in ms */
+var MAINTENANCE_INTERVAL = 60 * 60 * 1000;
+
+/** File name of a day, which is not downsampled yet */
+var RAW_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/** File name of a downsampled day */
+var DOWNSAMPLED_FILE = /^(\d{4}-\d{2}-\d{2})\.downsampled\.jsonl$/;
+
+/**
+ * Queryable metrics and the fields they consist of.
+ */
+var METRICS = {
+  position: ["latitude", "longitude"],
+  soc: ["soc_a", "soc_b"],
+  estimated_mileage: ["estimated_mileage"],
+  total_mileage: ["total_mileage"],
+  speed: ["speed"],
+};
+
+/**
+ * Fields, which are recorded per data source, derived from the received data.
+ */
+var EXTRACTORS = {
+  position: function (result) {
+    return {
+      latitude: result.lat,
+      longitude: result.lng,
+    };
+  },
+  motor: function (result) {
+    return {
+      speed: result.nowSpeed,
+    };
+  },
+  battery: function (result) {
+    var batteries = result.batteries || {};
+    var fields = {
+      estimated_mileage: result.estimatedMileage,
+    };
+
+    if ("object" === typeof batteries.compartmentA) {
+      fields.soc_a = batteries.compartmentA.batteryCharging;
+    }
+
+    if ("object" === typeof batteries.compartmentB) {
+      fields.soc_b = batteries.compartmentB.batteryCharging;
+    }
+
+    return fields;
+  },
+  tally: function (result) {
+    return {
+      total_mileage: result.totalMileage,
+    };
+  },
+};
+
+/**
+ * Get the UTC day of a timestamp.
+ *
+ * @private
+ *
+ * @param {number} timestamp - Unix timestamp epoch format (13 digits).
+ *
+ * @returns {string} Day in the format yyyy-mm-dd.
+ */
+var getDay = function (timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+};
+
+/**
+ * Parse the records of a day file.
+ *
+ * @private
+ *
+ * @param {string} content - File content, one JSON record per line.
+ *
+ * @returns {Object[]} Records in chronological order.
+ */
+var parseRecords = function (content) {
+  return content
+    .split("\n")
+    .filter(function (line) {
+      return 0 < line.length;
+    })
+    .map(function (line) {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        /* Skip a partially written line. */
+        return null;
+      }
+    })
+    .filter(function (record) {
+      return null !== record;
+    })
+    .sort(function (a, b) {
+      return a.t - b.t;
+    });
+};
+
+/**
+ * Average the records per time step.
+ *
+ * @private
+ *
+ * @param {Object[]}  records - Records {t, ...}, in chronological order.
+ * @param {number}    step    - Time step in ms.
+ * @param {string[]}  [fields] - Fields to average, default are all.
+ *
+ * @returns {Object[]} One record per step with values, with the start of the step as time.
+ */
+var downsample = function (records, step, fields) {
+  var buckets = [];
+  var current = null;
+
+  records.forEach(function (record) {
+    var start = Math.floor(record.t / step) * step;
+
+    if (null === current || current.t !== start) {
+      current = { t: start, sums: {}, counts: {} };
+      buckets.push(current);
+    }
+
+    Object.keys(record).forEach(function (field) {
+      if ("t" === field || "number" !== typeof record[field]) {
+        return;
+      }
+
+      if (Array.isArray(fields) && -1 === fields.indexOf(field)) {
+        return;
+      }
+
+      current.sums[field] = (current.sums[field] || 0) + record[field];
+      current.counts[field] = (current.counts[field] || 0) + 1;
+    });
+  });
+
+  return buckets
+    .filter(function (bucket) {
+      return 0 < Object.keys(bucket.sums).length;
+    })
+    .map(function (bucket) {
+      var record = { t: bucket.t };
+
+      Object.keys(bucket.sums).forEach(function (field) {
+        record[field] = bucket.sums[field] / bucket.counts[field];
+      });
+
+      return record;
+    });
+};
+
+/**
+ * Time series store.
+ *
+ * @class
+ *
+ * @param {Object}  options                         - Options.
+ * @param {string}  options.dir                     - Directory of the store.
+ * @param {number}  [options.retentionDays]         - Days after which the records are deleted. Default is 365.
+ * @param {number}  [options.downsampleAfterDays]   - Days after which the records are downsampled. Default is 7.
+ * @param {number}  [options.downsampleStep]        - Time step in seconds of downsampled records. Default is 300.
+ */
+var HistoryStore = function (options) {
+  /** Directory of the store */
+  this._dir = options.dir;
+
+  /** Days after which the records are deleted */
+  this._retentionDays = options.retentionDays || 365;
+
+  /** Days after which the records are downsampled */
+  this._downsampleAfterDays = options.downsampleAfterDays || 7;
+
+  /** Time step in seconds of downsampled records */
+  this._downsampleStep = options.downsampleStep || 300;
+
+  /** All file operations are serialized */
+  this._queue = Promise.resolve();
+
+  /** Maintenance timer */
+  this._timer = null;
+};
+
+module.exports = HistoryStore;
+
+/**
+ * Queryable metrics and the fields they consist of.
+ */
+HistoryStore.METRICS = METRICS;
+
+/**
+ * Run a file operation after all previous ones finished.
+ *
+ * @private
+ *
+ * @param {Function} operation - Returns a promise.
+ *
+ * @returns {Promise} Result of the operation.
+ */
+HistoryStore.prototype._enqueue = function (operation) {
+  var result = this._queue.then(operation);
+
+  /* A failed operation doesn't block the following ones. */
+  this._queue = result.catch(function () {});
+
+  return result;
+};
+
+/**
+ * Get the directory of a vehicle.
+ *
+ * @private
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {string} Directory.
+ */
+HistoryStore.prototype._getVehicleDir = function (sn) {
+  return path.join(this._dir, encodeURIComponent(sn));
+};
+
+/**
+ * Record fields of a vehicle.
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {Object}  fields  - Field values, only numbers are recorded.
+ * @param {number}  [time]  - Unix timestamp epoch format (13 digits), default is now.
+ *
+ * @returns {Promise} Nothing.
+ */
+HistoryStore.prototype.record = function (sn, fields, time) {
+  var dir = this._getVehicleDir(sn);
+  var record = { t: "number" === typeof time ? time : Date.now() };
+  var hasFields = false;
+
+  Object.keys(fields).forEach(function (field) {
+    if ("number" === typeof fields[field] && isFinite(fields[field])) {
+      record[field] = fields[field];
+      hasFields = true;
+    }
+  });
+
+  if (false === hasFields) {
+    return Promise.resolve();
+  }
+
+  return this._enqueue(function () {
+    return fs.mkdir(dir, { recursive: true }).then(function () {
+      return fs.appendFile(
+        path.join(dir, getDay(record.t) + ".jsonl"),
+        JSON.stringify(record) + "\n"
+      );
+    });
+  });
+};
+
+/**
+ * Record the data of a refreshed data source.
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {string}  name    - Data source name.
+ * @param {Object}  result  - Received data.
+ *
+ * @returns {Promise} Nothing.
+ */
+HistoryStore.prototype.recordUpdate = function (sn, name, result) {
+  if (!EXTRACTORS.hasOwnProperty(name)) {
+    return Promise.resolve();
+  }
+
+  return this.record(sn, EXTRACTORS[name](result));
+};
+
+/**
+ * Record every refreshed data source of the fleet.
+ *
+ * @param {Fleet} fleet - Vehicles.
+ */
+HistoryStore.prototype.attach = function (fleet) {
+  var _this = this;
+
+  fleet.on("update", function (sn, name, result) {
+    _this.recordUpdate(sn, name, result).catch(function (error) {
+      console.log("\tFailed to record history of " + sn + ": " + error.message);
+    });
+  });
+};
+
+/**
+ * Read all records of a vehicle in a time range.
+ *
+ * @private
+ *
+ * @param {string}      sn      - Vehicle serial number.
+ * @param {number|null} from    - Start in unix timestamp epoch format (13 digits), inclusive.
+ * @param {number|null} to      - End in unix timestamp epoch format (13 digits), exclusive.
+ *
+ * @returns {Promise} Records in chronological order.
+ */
+HistoryStore.prototype._read = function (sn, from, to) {
+  var dir = this._getVehicleDir(sn);
+  var fromDay = null === from ? "" : getDay(from);
+  var toDay = null === to ? "" : getDay(to);
+
+  return fs
+    .readdir(dir)
+    .catch(function (error) {
+      if ("ENOENT" === error.code) {
+        return [];
+      }
+
+      throw error;
+    })
+    .then(function (files) {
+      files = files.filter(function (file) {
+        var match = RAW_FILE.exec(file) || DOWNSAMPLED_FILE.exec(file);
+
+        return (
+          null !== match &&
+          ("" === fromDay || match[1] >= fromDay) &&
+          ("" === toDay || match[1] <= toDay)
+        );
+      });
+
+      return Promise.all(
+        files.map(function (file) {
+          return fs.readFile(path.join(dir, file), "utf8");
+        })
+      );
+    })
+    .then(function (contents) {
+      var records = [];
+
+      contents.forEach(function (content) {
+        content.split("\n").forEach(function (line) {
+          var record = null;
+
+          if (0 === line.length) {
+            return;
+          }
+
+          try {
+            record = JSON.parse(line);
+          } catch (error) {
+            /* Skip a partially written line. */
+            return;
+          }
+
+          if (
+            (null === from || record.t >= from) &&
+            (null === to || record.t < to)
+          ) {
+            records.push(record);
+          }
+        });
+      });
+
+      return records.sort(function (a, b) {
+        return a.t - b.t;
+      });
+    });
+};
+
+/**
+ * Query a metric of a vehicle.
+ *
+ * @param {string}  sn              - Vehicle serial number.
+ * @param {Object}  options         - Options.
+ * @param {string}  options.metric  - Metric, see HistoryStore.METRICS.
+ * @param {number}  [options.from]  - Start in unix timestamp epoch format (13 digits), inclusive.
+ * @param {number}  [options.to]    - End in unix timestamp epoch format (13 digits), exclusive.
+ * @param {number}  [options.step]  - Time step in seconds, the values are averaged per step.
+ *
+ * @returns {Promise} Points {t, <field>: <value>, ...} in chronological order.
+ */
+HistoryStore.prototype.query = function (sn, options) {
+  var _this = this;
+  var fields = METRICS[options.metric];
+  var from = "number" === typeof options.from ? options.from : null;
+  var to = "number" === typeof options.to ? options.to : null;
+
+  if (!Array.isArray(fields)) {
+    return Promise.reject(
+      new errors.ValidationError("Unknown metric: " + options.metric)
+    );
+  }
+
+  return this._enqueue(function () {
+    return _this._read(sn, from, to);
+  }).then(function (records) {
+    var points = [];
+
+    if ("number" === typeof options.step) {
+      return downsample(records, options.step * 1000, fields);
+    }
+
+    records.forEach(function (record) {
+      var point = { t: record.t };
+      var hasFields = false;
+
+      fields.forEach(function (field) {
+        if ("number" === typeof record[field]) {
+          point[field] = record[field];
+          hasFields = true;
+        }
+      });
+
+      if (true === hasFields) {
+        points.push(point);
+      }
+    });
+
+    return points;
+  });
+};
+
+/**
+ * Delete expired days and downsample old days of all vehicles.
+ *
+ * @param {number} [now] - Unix timestamp epoch format (13 digits), default is now.
+ *
+ * @returns {Promise} Nothing.
+ */
+HistoryStore.prototype.maintain = function (now) {
+  var _this = this;
+  var deleteBefore = "";
+  var downsampleBefore = "";
+
+  now = "number" === typeof now ? now : Date.now();
+  deleteBefore = getDay(now - this._retentionDays * DAY);
+  downsampleBefore = getDay(now - this._downsampleAfterDays * DAY);
+
+  return this._enqueue(function () {
+    return fs
+      .readdir(_this._dir, { withFileTypes: true })
+      .catch(function (error) {
+        if ("ENOENT" === error.code) {
+          return [];
+        }
+
+        throw error;
+      })
+      .then(function (entries) {
+        var vehicleDirs = entries.filter(function (entry) {
+          return entry.isDirectory();
+        });
+
+        return Promise.all(
+          vehicleDirs.map(function (vehicleDir) {
+            return _this._maintainVehicle(
+              path.join(_this._dir, vehicleDir.name),
+              deleteBefore,
+              downsampleBefore
+            );
+          })
+        );
+      });
+  });
+};
+
+/**
+ * Delete expired days and downsample old days of a vehicle. A day, which was
+ * downsampled before, e.g. by an interrupted run, is merged with the records
+ * of the day.
+ *
+ * @private
+ *
+ * @param {string} dir              - Directory of the vehicle.
+ * @param {string} deleteBefore     - Days before are deleted, in the format yyyy-mm-dd.
+ * @param {string} downsampleBefore - Days before are downsampled, in the format yyyy-mm-dd.
+ *
+ * @returns {Promise} Nothing.
+ */
+HistoryStore.prototype._maintainVehicle = function (
+  dir,
+  deleteBefore,
+  downsampleBefore
+) {
+  var step = this._downsampleStep * 1000;
+
+  return fs.readdir(dir, { withFileTypes: true }).then(function (entries) {
+    var files = entries
+      .filter(function (entry) {
+        return entry.isFile();
+      })
+      .map(function (entry) {
+        return entry.name;
+      });
+
+    return Promise.all(
+      files.map(function (file) {
+        var raw = RAW_FILE.exec(file);
+        var match = raw || DOWNSAMPLED_FILE.exec(file);
+        var filePath = path.join(dir, file);
+        var downsampledPath = "";
+
+        if (null === match) {
+          return Promise.resolve();
+        }
+
+        if (match[1] < deleteBefore) {
+          return fs.unlink(filePath);
+        }
+
+        if (null === raw || match[1] >= downsampleBefore) {
+          return Promise.resolve();
+        }
+
+        downsampledPath = path.join(dir, match[1] + ".downsampled.jsonl");
+
+        return Promise.all([
+          fs.readFile(filePath, "utf8"),
+          fs.readFile(downsampledPath, "utf8").catch(function (error) {
+            if ("ENOENT" === error.code) {
+              return "";
+            }
+
+            throw error;
+          }),
+        ])
+          .then(function (contents) {
+            var records = downsample(parseRecords(contents[0]), step);
+            var steps = {};
+
+            records.forEach(function (record) {
+              steps[record.t] = true;
+            });
+
+            /* The records of the day replace the same steps of a former run. */
+            parseRecords(contents[1]).forEach(function (record) {
+              if (!steps.hasOwnProperty(record.t)) {
+                records.push(record);
+              }
+            });
+
+            records.sort(function (a, b) {
+              return a.t - b.t;
+            });
+
+            return fs.writeFile(
+              downsampledPath,
+              records
+                .map(function (record) {
+                  return JSON.stringify(record) + "\n";
+                })
+                .join("")
+            );
+          })
+          .then(function () {
+            return fs.unlink(filePath);
+          });
+      })
+    );
+  });
+};
+
+/**
+ * Start the periodic maintenance.
+ */
+HistoryStore.prototype.start = function () {
+  var _this = this;
+  var run = function () {
+    _this.maintain().catch(function (error) {
+      console.log("\tHistory maintenance failed: " + error.message);
+    });
+  };
+
+  if (null !== this._timer) {
+    return;
+  }
+
+  run();
+  this._timer = setInterval(run, MAINTENANCE_INTERVAL);
+};
+
+/**
+ * Stop the periodic maintenance.
+ */
+HistoryStore.prototype.stop = function () {
+  if (null !== this._timer) {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+};
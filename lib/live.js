@@ -0,0 +1,285 @@
+/*
+ * Live vehicle state for push subscribers.
+ */
+
+/** Battery compartments, as named in the NIU responses */
+var COMPARTMENTS = {
+  a: "compartmentA",
+  b: "compartmentB",
+};
+
+/**
+ * @typedef {Object} LiveState
+ * @property {Object|null}  position            - {latitude, longitude}.
+ * @property {number|null}  speed               - Current speed in km/h.
+ * @property {Object}       soc                 - State of charge in % per battery compartment: {a, b}.
+ * @property {number|null}  estimated_mileage   - Estimated mileage in km.
+ * @property {number|null}  lock_status         - Lock status, as reported by the NIU cloud.
+ * @property {boolean|null} is_acc_on           - ACC on or off.
+ * @property {boolean|null} is_charging         - Charging or not.
+ * @property {boolean|null} is_connected        - Connected to the NIU cloud or not.
+ */
+
+/**
+ * @typedef {Object} LiveMessage
+ * @property {string}   type    - "snapshot", "change" or "event".
+ * @property {Object}   data    - snapshot: {sn, state, time}, change: {sn, changes, time}, event: {sn, source, event}.
+ */
+
+/**
+ * Get a number or null.
+ *
+ * @private
+ *
+ * @param {*} value - Received value.
+ *
+ * @returns {number|null} Number or null.
+ */
+var toNumber = function (value) {
+  var number = Number(value);
+
+  return null === value || "undefined" === typeof value || !isFinite(number)
+    ? null
+    : number;
+};
+
+/**
+ * Get the state fields from the received data of a data source.
+ *
+ * @private
+ *
+ * @param {string}  name    - Data source name.
+ * @param {Object}  result  - Received data.
+ *
+ * @returns {Object} Received state fields, may be empty.
+ */
+var extract = function (name, result) {
+  var fields = {};
+  var batteries = null;
+
+  if ("position" === name) {
+    if ("number" === typeof result.lat && "number" === typeof result.lng) {
+      fields.position = { latitude: result.lat, longitude: result.lng };
+    }
+  } else if ("motor" === name) {
+    fields.speed = toNumber(result.nowSpeed);
+    fields.lock_status = toNumber(result.lockStatus);
+    fields.is_acc_on = 1 === Number(result.isAccOn);
+    fields.is_charging = 1 === Number(result.isCharging);
+
+    if ("boolean" === typeof result.isConnected) {
+      fields.is_connected = result.isConnected;
+    }
+
+    if (
+      "object" === typeof result.postion &&
+      null !== result.postion &&
+      "number" === typeof result.postion.lat &&
+      "number" === typeof result.postion.lng
+    ) {
+      fields.position = {
+        latitude: result.postion.lat,
+        longitude: result.postion.lng,
+      };
+    }
+  } else if ("battery" === name) {
+    batteries = result.batteries || {};
+
+    fields.soc = {};
+    Object.keys(COMPARTMENTS).forEach(function (compartment) {
+      var battery = batteries[COMPARTMENTS[compartment]];
+
+      fields.soc[compartment] =
+        "object" === typeof battery && null !== battery
+          ? toNumber(battery.batteryCharging)
+          : null;
+    });
+
+    fields.estimated_mileage = toNumber(result.estimatedMileage);
+  }
+
+  return fields;
+};
+
+/**
+ * Keeps the live state of every vehicle and pushes every change to the
+ * subscribers of the vehicle. A new subscriber gets a snapshot of the
+ * current state first.
+ *
+ * @class
+ */
+var LiveFeed = function () {
+  /** Live state per vehicle serial number */
+  this._states = {};
+
+  /** Time of the last change per vehicle serial number, in unix timestamp epoch format (13 digits) */
+  this._updated = {};
+
+  /** Subscribers per vehicle serial number */
+  this._subscribers = {};
+};
+
+module.exports = LiveFeed;
+
+/**
+ * Get the live state of a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {LiveState} Live state, every field is null until received.
+ */
+LiveFeed.prototype.getState = function (sn) {
+  if (!this._states.hasOwnProperty(sn)) {
+    this._states[sn] = {
+      position: null,
+      speed: null,
+      soc: { a: null, b: null },
+      estimated_mileage: null,
+      lock_status: null,
+      is_acc_on: null,
+      is_charging: null,
+      is_connected: null,
+    };
+  }
+
+  return this._states[sn];
+};
+
+/**
+ * Send a message to every subscriber of a vehicle.
+ *
+ * @private
+ *
+ * @param {string}      sn      - Vehicle serial number.
+ * @param {LiveMessage} message - Message.
+ */
+LiveFeed.prototype._send = function (sn, message) {
+  (this._subscribers[sn] || []).slice().forEach(function (listener) {
+    listener(message);
+  });
+};
+
+/**
+ * Subscribe to the live state of a vehicle. The listener gets a snapshot
+ * immediately.
+ *
+ * @param {string}      sn          - Vehicle serial number.
+ * @param {Function}    listener    - Listener: listener(message), message is a LiveMessage.
+ *
+ * @returns {Function} Unsubscribes the listener.
+ */
+LiveFeed.prototype.subscribe = function (sn, listener) {
+  var _this = this;
+
+  if (!this._subscribers.hasOwnProperty(sn)) {
+    this._subscribers[sn] = [];
+  }
+
+  this._subscribers[sn].push(listener);
+
+  listener({
+    type: "snapshot",
+    data: {
+      sn: sn,
+      state: JSON.parse(JSON.stringify(this.getState(sn))),
+      time: this._updated.hasOwnProperty(sn)
+        ? new Date(this._updated[sn]).toISOString()
+        : null,
+    },
+  });
+
+  return function () {
+    var listeners = _this._subscribers[sn] || [];
+    var index = listeners.indexOf(listener);
+
+    if (-1 !== index) {
+      listeners.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Get the number of subscribers of a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {number} Number of subscribers.
+ */
+LiveFeed.prototype.getSubscriberCount = function (sn) {
+  return (this._subscribers[sn] || []).length;
+};
+
+/**
+ * Apply the received data of a refreshed data source and push the changed
+ * fields.
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {string}  name    - Data source name.
+ * @param {Object}  result  - Received data.
+ * @param {number}  [now]   - Current time in unix timestamp epoch format (13 digits), default is now.
+ *
+ * @returns {Object} Changed state fields, may be empty.
+ */
+LiveFeed.prototype.recordUpdate = function (sn, name, result, now) {
+  var state = null;
+  var fields = null;
+  var changes = {};
+
+  if ("object" !== typeof result || null === result) {
+    return changes;
+  }
+
+  if ("number" !== typeof now) {
+    now = Date.now();
+  }
+
+  state = this.getState(sn);
+  fields = extract(name, result);
+
+  Object.keys(fields).forEach(function (field) {
+    if (JSON.stringify(state[field]) !== JSON.stringify(fields[field])) {
+      state[field] = fields[field];
+      changes[field] = fields[field];
+    }
+  });
+
+  if (0 === Object.keys(changes).length) {
+    return changes;
+  }
+
+  this._updated[sn] = now;
+
+  this._send(sn, {
+    type: "change",
+    data: { sn: sn, changes: changes, time: new Date(now).toISOString() },
+  });
+
+  return changes;
+};
+
+/**
+ * Push a derived event, e.g. a geofence event or an alert.
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {string}  source  - Event source, e.g. "geofence", "theft" or "alert".
+ * @param {Object}  event   - Event.
+ */
+LiveFeed.prototype.publishEvent = function (sn, source, event) {
+  this._send(sn, {
+    type: "event",
+    data: { sn: sn, source: source, event: event },
+  });
+};
+
+/**
+ * Keep the live state of every vehicle in the fleet.
+ *
+ * @param {Fleet} fleet - Vehicles.
+ */
+LiveFeed.prototype.attach = function (fleet) {
+  var _this = this;
+
+  fleet.on("update", function (sn, name, result) {
+    _this.recordUpdate(sn, name, result);
+  });
+};
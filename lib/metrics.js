@@ -0,0 +1,477 @@
+/*
+ * Prometheus metrics in the text exposition format.
+ */
+
+var api = require("../api");
+
+/** Battery compartments, as named in the NIU responses */
+var COMPARTMENTS = {
+  a: "compartmentA",
+  b: "compartmentB",
+};
+
+/** Label values of the cache metric, mapped to the client cache statistics */
+var CACHE_RESULTS = {
+  hit: "hits",
+  miss: "misses",
+  coalesced: "coalesced",
+};
+
+/**
+ * @typedef {Object} VehicleMetric
+ * @property {string}   name    - Metric name.
+ * @property {string}   help    - Metric description.
+ * @property {Function} collect - Gets the samples of a vehicle: collect(results), returns {labels, value}[].
+ */
+
+/**
+ * Get a number from a received value.
+ *
+ * @private
+ *
+ * @param {*} value - Received value, e.g. a number or numeric string.
+ *
+ * @returns {number|null} Number or null if not numeric.
+ */
+var toNumber = function (value) {
+  var number = NaN;
+
+  if ("boolean" === typeof value) {
+    return value ? 1 : 0;
+  }
+
+  if ("number" !== typeof value && "string" !== typeof value) {
+    return null;
+  }
+
+  number = Number(value);
+
+  return isFinite(number) ? number : null;
+};
+
+/**
+ * Create a collector of a single field of a data source result.
+ *
+ * @private
+ *
+ * @param {string} source  - Data source name.
+ * @param {string} field   - Field name in the received data.
+ *
+ * @returns {Function} Collector, see VehicleMetric.
+ */
+var fieldOf = function (source, field) {
+  return function (results) {
+    var value = null;
+
+    if ("object" !== typeof results[source]) {
+      return [];
+    }
+
+    value = toNumber(results[source][field]);
+
+    return null === value ? [] : [{ labels: {}, value: value }];
+  };
+};
+
+/**
+ * Create a collector of a field per battery compartment of the battery info.
+ *
+ * @private
+ *
+ * @param {string} field - Field name in the received compartment data.
+ *
+ * @returns {Function} Collector, see VehicleMetric.
+ */
+var compartmentFieldOf = function (field) {
+  return function (results) {
+    var batteries = null;
+    var samples = [];
+
+    if ("object" !== typeof results.battery) {
+      return samples;
+    }
+
+    batteries = results.battery.batteries || {};
+
+    Object.keys(COMPARTMENTS).forEach(function (compartment) {
+      var battery = batteries[COMPARTMENTS[compartment]];
+      var value = null;
+
+      if ("object" !== typeof battery || null === battery) {
+        return;
+      }
+
+      value = toNumber(battery[field]);
+
+      if (null !== value) {
+        samples.push({ labels: { compartment: compartment }, value: value });
+      }
+    });
+
+    return samples;
+  };
+};
+
+/**
+ * Gauges per vehicle.
+ *
+ * @type {VehicleMetric[]}
+ */
+var VEHICLE_METRICS = [
+  {
+    name: "niu_battery_soc_percent",
+    help: "State of charge per battery compartment.",
+    collect: compartmentFieldOf("batteryCharging"),
+  },
+  {
+    name: "niu_battery_temperature_celsius",
+    help: "Battery temperature per battery compartment.",
+    collect: compartmentFieldOf("temperature"),
+  },
+  {
+    name: "niu_estimated_mileage_km",
+    help: "Estimated mileage with the current state of charge.",
+    collect: fieldOf("battery", "estimatedMileage"),
+  },
+  {
+    name: "niu_total_mileage_km",
+    help: "Total mileage.",
+    collect: fieldOf("tally", "totalMileage"),
+  },
+  {
+    name: "niu_speed_kmh",
+    help: "Current speed.",
+    collect: fieldOf("motor", "nowSpeed"),
+  },
+  {
+    name: "niu_gps_signal",
+    help: "GPS signal strength.",
+    collect: fieldOf("motor", "gps"),
+  },
+  {
+    name: "niu_gsm_signal",
+    help: "GSM signal strength.",
+    collect: fieldOf("motor", "gsm"),
+  },
+  {
+    name: "niu_charging",
+    help: "1 if the vehicle is charging, otherwise 0.",
+    collect: fieldOf("motor", "isCharging"),
+  },
+  {
+    name: "niu_lock_status",
+    help: "Lock status, as reported by the NIU cloud.",
+    collect: fieldOf("motor", "lockStatus"),
+  },
+  {
+    name: "niu_firmware_update_available",
+    help: "1 if a firmware update is available, otherwise 0.",
+    collect: fieldOf("firmware", "needUpdate"),
+  },
+];
+
+/**
+ * Escape a label value.
+ *
+ * @private
+ *
+ * @param {string} value - Label value.
+ *
+ * @returns {string} Escaped label value.
+ */
+var escapeLabel = function (value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+};
+
+/**
+ * Render a sample line.
+ *
+ * @private
+ *
+ * @param {string}  name    - Metric name.
+ * @param {Object}  labels  - Label values per label name.
+ * @param {number}  value   - Sample value.
+ *
+ * @returns {string} Sample line.
+ */
+var renderSample = function (name, labels, value) {
+  var pairs = Object.keys(labels).map(function (label) {
+    return label + '="' + escapeLabel(labels[label]) + '"';
+  });
+
+  return (
+    name + (0 === pairs.length ? "" : "{" + pairs.join(",") + "}") + " " + value
+  );
+};
+
+/**
+ * Render the HELP and TYPE lines of a metric.
+ *
+ * @private
+ *
+ * @param {string} name    - Metric name.
+ * @param {string} type    - Metric type, e.g. "gauge".
+ * @param {string} help    - Metric description.
+ *
+ * @returns {string[]} Lines.
+ */
+var renderHeader = function (name, type, help) {
+  return ["# HELP " + name + " " + help, "# TYPE " + name + " " + type];
+};
+
+/**
+ * Collects the latest data of every vehicle and the request statistics of
+ * their clients.
+ *
+ * @class
+ */
+var MetricsCollector = function () {
+  /** Vehicles, set by attach() */
+  this._fleet = null;
+
+  /** Latest received data per data source per vehicle serial number */
+  this._results = {};
+};
+
+module.exports = MetricsCollector;
+
+/**
+ * Content type of the text exposition format.
+ */
+MetricsCollector.CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/**
+ * Keep the received data of a refreshed data source.
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {string}  name    - Data source name.
+ * @param {Object}  result  - Received data.
+ */
+MetricsCollector.prototype.recordUpdate = function (sn, name, result) {
+  if (!this._results.hasOwnProperty(sn)) {
+    this._results[sn] = {};
+  }
+
+  this._results[sn][name] = result;
+};
+
+/**
+ * Collect the metrics of every vehicle in the fleet.
+ *
+ * @param {Fleet} fleet - Vehicles.
+ */
+MetricsCollector.prototype.attach = function (fleet) {
+  var _this = this;
+
+  this._fleet = fleet;
+
+  fleet.on("update", function (sn, name, result) {
+    _this.recordUpdate(sn, name, result);
+  });
+};
+
+/**
+ * Get the distinct clients of the fleet.
+ *
+ * @private
+ *
+ * @returns {Object[]} NIU cloud connector clients.
+ */
+MetricsCollector.prototype._getClients = function () {
+  var _this = this;
+  var clients = [];
+
+  if (null === this._fleet) {
+    return clients;
+  }
+
+  this._fleet.list().forEach(function (vehicle) {
+    var client = _this._fleet.getClient(vehicle.sn);
+
+    if (null !== client && -1 === clients.indexOf(client)) {
+      clients.push(client);
+    }
+  });
+
+  return clients;
+};
+
+/**
+ * Render the request statistics of all clients.
+ *
+ * @private
+ *
+ * @returns {string[]} Lines.
+ */
+MetricsCollector.prototype._renderRequestStats = function () {
+  var requests = {};
+  var failures = {};
+  var cache = { hit: {}, miss: {}, coalesced: {} };
+  var buckets = api.LatencyBuckets.map(function () {
+    return 0;
+  });
+  var sum = 0;
+  var count = 0;
+  var lines = [];
+
+  this._getClients().forEach(function (client) {
+    var stats = client.getStats();
+
+    Object.keys(stats.requests).forEach(function (path) {
+      requests[path] = (requests[path] || 0) + stats.requests[path];
+    });
+
+    Object.keys(stats.failures).forEach(function (status) {
+      failures[status] = (failures[status] || 0) + stats.failures[status];
+    });
+
+    Object.keys(CACHE_RESULTS).forEach(function (result) {
+      var counts = stats.cache[CACHE_RESULTS[result]];
+
+      Object.keys(counts).forEach(function (path) {
+        cache[result][path] = (cache[result][path] || 0) + counts[path];
+      });
+    });
+
+    stats.latency.buckets.forEach(function (value, index) {
+      buckets[index] += value;
+    });
+
+    sum += stats.latency.sum;
+    count += stats.latency.count;
+  });
+
+  lines = lines.concat(
+    renderHeader(
+      "niu_client_requests_total",
+      "counter",
+      "Requests to the NIU app API per path."
+    )
+  );
+
+  Object.keys(requests)
+    .sort()
+    .forEach(function (path) {
+      lines.push(
+        renderSample(
+          "niu_client_requests_total",
+          { path: path },
+          requests[path]
+        )
+      );
+    });
+
+  lines = lines.concat(
+    renderHeader(
+      "niu_client_request_failures_total",
+      "counter",
+      "Failed requests to the NIU app API per NIU status, HTTP status or network error."
+    )
+  );
+
+  Object.keys(failures)
+    .sort()
+    .forEach(function (status) {
+      lines.push(
+        renderSample(
+          "niu_client_request_failures_total",
+          { status: status },
+          failures[status]
+        )
+      );
+    });
+
+  lines = lines.concat(
+    renderHeader(
+      "niu_client_cache_requests_total",
+      "counter",
+      "Requests to the NIU app API per path, served from the response cache (hit), sent (miss) or joined to an identical request in flight (coalesced)."
+    )
+  );
+
+  Object.keys(cache).forEach(function (result) {
+    Object.keys(cache[result])
+      .sort()
+      .forEach(function (path) {
+        lines.push(
+          renderSample(
+            "niu_client_cache_requests_total",
+            { path: path, result: result },
+            cache[result][path]
+          )
+        );
+      });
+  });
+
+  lines = lines.concat(
+    renderHeader(
+      "niu_client_request_duration_seconds",
+      "histogram",
+      "Latency of the requests to the NIU app API."
+    )
+  );
+
+  api.LatencyBuckets.forEach(function (bound, index) {
+    lines.push(
+      renderSample(
+        "niu_client_request_duration_seconds_bucket",
+        { le: String(bound) },
+        buckets[index]
+      )
+    );
+  });
+
+  lines.push(
+    renderSample(
+      "niu_client_request_duration_seconds_bucket",
+      { le: "+Inf" },
+      count
+    )
+  );
+  lines.push(renderSample("niu_client_request_duration_seconds_sum", {}, sum));
+  lines.push(
+    renderSample("niu_client_request_duration_seconds_count", {}, count)
+  );
+
+  return lines;
+};
+
+/**
+ * Render all metrics in the text exposition format.
+ *
+ * @param {Function} [filter] - Selects the rendered vehicles: filter(sn), returns true to render. Default are all.
+ *
+ * @returns {string} Metrics.
+ */
+MetricsCollector.prototype.render = function (filter) {
+  var _this = this;
+  var serialNumbers = Object.keys(this._results)
+    .filter(function (sn) {
+      return "function" !== typeof filter || filter(sn);
+    })
+    .sort();
+  var lines = [];
+
+  VEHICLE_METRICS.forEach(function (metric) {
+    lines = lines.concat(renderHeader(metric.name, "gauge", metric.help));
+
+    serialNumbers.forEach(function (sn) {
+      metric.collect(_this._results[sn]).forEach(function (sample) {
+        lines.push(
+          renderSample(
+            metric.name,
+            Object.assign({ sn: sn }, sample.labels),
+            sample.value
+          )
+        );
+      });
+    });
+  });
+
+  lines = lines.concat(this._renderRequestStats());
+
+  return lines.join("\n") + "\n";
+};
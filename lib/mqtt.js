@@ -0,0 +1,402 @@
+/*
+ * MQTT publisher of the vehicle state, with Home Assistant discovery.
+ */
+
+var mqtt = require("mqtt");
+
+/**
+ * @typedef {Object} DiscoveryEntity
+ * @property {string}   component       - Home Assistant component, e.g. "sensor".
+ * @property {string}   id              - Entity id, unique per vehicle.
+ * @property {string}   name            - Entity name.
+ * @property {string}   source          - Data source name, whose state topic is used.
+ * @property {string}   template        - Home Assistant value template.
+ * @property {string}   [unit]          - Unit of measurement.
+ * @property {string}   [deviceClass]   - Home Assistant device class.
+ * @property {boolean}  [isSecondBattery] - Available only in vehicles with two batteries.
+ */
+
+/**
+ * Entities, which are announced per vehicle.
+ *
+ * @type {DiscoveryEntity[]}
+ */
+var ENTITIES = [
+  {
+    component: "sensor",
+    id: "soc_a",
+    name: "Battery A",
+    source: "battery",
+    template: "{{ value_json.batteries.compartmentA.batteryCharging }}",
+    unit: "%",
+    deviceClass: "battery",
+  },
+  {
+    component: "sensor",
+    id: "soc_b",
+    name: "Battery B",
+    source: "battery",
+    template: "{{ value_json.batteries.compartmentB.batteryCharging }}",
+    unit: "%",
+    deviceClass: "battery",
+    isSecondBattery: true,
+  },
+  {
+    component: "sensor",
+    id: "temperature_a",
+    name: "Battery A temperature",
+    source: "battery",
+    template: "{{ value_json.batteries.compartmentA.temperature }}",
+    unit: "°C",
+    deviceClass: "temperature",
+  },
+  {
+    component: "sensor",
+    id: "temperature_b",
+    name: "Battery B temperature",
+    source: "battery",
+    template: "{{ value_json.batteries.compartmentB.temperature }}",
+    unit: "°C",
+    deviceClass: "temperature",
+    isSecondBattery: true,
+  },
+  {
+    component: "sensor",
+    id: "estimated_mileage",
+    name: "Estimated mileage",
+    source: "battery",
+    template: "{{ value_json.estimatedMileage }}",
+    unit: "km",
+    deviceClass: "distance",
+  },
+  {
+    component: "sensor",
+    id: "speed",
+    name: "Speed",
+    source: "motor",
+    template: "{{ value_json.nowSpeed }}",
+    unit: "km/h",
+    deviceClass: "speed",
+  },
+  {
+    component: "sensor",
+    id: "gps_signal",
+    name: "GPS signal",
+    source: "motor",
+    template: "{{ value_json.gps }}",
+  },
+  {
+    component: "sensor",
+    id: "gsm_signal",
+    name: "GSM signal",
+    source: "motor",
+    template: "{{ value_json.gsm }}",
+  },
+  {
+    component: "binary_sensor",
+    id: "charging",
+    name: "Charging",
+    source: "motor",
+    template: "{{ 'ON' if value_json.isCharging == 1 else 'OFF' }}",
+    deviceClass: "battery_charging",
+  },
+  {
+    component: "binary_sensor",
+    id: "connected",
+    name: "Connected",
+    source: "motor",
+    template: "{{ 'ON' if value_json.isConnected else 'OFF' }}",
+    deviceClass: "connectivity",
+  },
+];
+
+/**
+ * Publishes the state of every vehicle to MQTT topics per serial number:
+ * "<prefix>/<sn>/motor", "<prefix>/<sn>/battery" and "<prefix>/<sn>/position",
+ * each with the received data as JSON. The vehicles are announced to Home
+ * Assistant with sensors and a device tracker.
+ *
+ * @class
+ *
+ * @param {Object}  options                     - Options.
+ * @param {string}  options.url                 - Broker URL, e.g. "mqtt://localhost:1883".
+ * @param {string}  [options.username]          - User name.
+ * @param {string}  [options.password]          - Password.
+ * @param {string}  [options.prefix]            - Topic prefix. Default is "niu".
+ * @param {string}  [options.discoveryPrefix]   - Home Assistant discovery prefix. Default is "homeassistant".
+ */
+var MqttPublisher = function (options) {
+  /** Broker URL */
+  this._url = options.url;
+
+  /** Topic prefix */
+  this._prefix = "string" === typeof options.prefix ? options.prefix : "niu";
+
+  /** Home Assistant discovery prefix */
+  this._discoveryPrefix =
+    "string" === typeof options.discoveryPrefix
+      ? options.discoveryPrefix
+      : "homeassistant";
+
+  /** Connect options */
+  this._connectOptions = {
+    username: options.username,
+    password: options.password,
+    will: {
+      topic: this._prefix + "/status",
+      payload: "offline",
+      retain: true,
+    },
+  };
+
+  /** Vehicles, set by attach() */
+  this._fleet = null;
+
+  /** MQTT client, set by start() */
+  this._client = null;
+
+  /** Announced vehicle serial numbers since the last connect */
+  this._announced = {};
+};
+
+module.exports = MqttPublisher;
+
+/**
+ * Data sources, which are published.
+ */
+MqttPublisher.SOURCES = ["motor", "battery", "position"];
+
+/**
+ * Get the availability topic.
+ *
+ * @returns {string} Topic.
+ */
+MqttPublisher.prototype.getStatusTopic = function () {
+  return this._prefix + "/status";
+};
+
+/**
+ * Get the state topic of a data source.
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {string}  name    - Data source name.
+ *
+ * @returns {string} Topic.
+ */
+MqttPublisher.prototype.getStateTopic = function (sn, name) {
+  return this._prefix + "/" + sn + "/" + name;
+};
+
+/**
+ * Publish a retained message.
+ *
+ * @private
+ *
+ * @param {string}          topic   - Topic.
+ * @param {string|Object}   payload - Payload, an object is sent as JSON.
+ */
+MqttPublisher.prototype._publish = function (topic, payload) {
+  if (null === this._client) {
+    return;
+  }
+
+  this._client.publish(
+    topic,
+    "string" === typeof payload ? payload : JSON.stringify(payload),
+    { retain: true }
+  );
+};
+
+/**
+ * Get the vehicle with the given serial number.
+ *
+ * @private
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {Object} Vehicle, as received by getVehicles(), or just {sn}, if unknown.
+ */
+MqttPublisher.prototype._getVehicle = function (sn) {
+  var vehicles = null === this._fleet ? [] : this._fleet.list();
+  var index = 0;
+
+  for (index = 0; index < vehicles.length; ++index) {
+    if (sn === vehicles[index].sn) {
+      return vehicles[index];
+    }
+  }
+
+  return { sn: sn };
+};
+
+/**
+ * Publish the Home Assistant discovery configs of a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ */
+MqttPublisher.prototype.announce = function (sn) {
+  var _this = this;
+  var vehicle = this._getVehicle(sn);
+  var device = {
+    identifiers: ["niu_" + sn],
+    name: "string" === typeof vehicle.name ? vehicle.name : sn,
+    manufacturer: "NIU",
+    model: "string" === typeof vehicle.type ? vehicle.type.trim() : undefined,
+    serial_number: sn,
+  };
+
+  ENTITIES.forEach(function (entity) {
+    var config = {
+      name: entity.name,
+      unique_id: "niu_" + sn + "_" + entity.id,
+      state_topic: _this.getStateTopic(sn, entity.source),
+      value_template: entity.template,
+      availability_topic: _this.getStatusTopic(),
+      device: device,
+    };
+
+    if (true === entity.isSecondBattery && false === vehicle.isDoubleBattery) {
+      return;
+    }
+
+    if ("string" === typeof entity.unit) {
+      config.unit_of_measurement = entity.unit;
+    }
+
+    if ("string" === typeof entity.deviceClass) {
+      config.device_class = entity.deviceClass;
+    }
+
+    if ("sensor" === entity.component) {
+      config.state_class = "measurement";
+    }
+
+    _this._publish(
+      _this._discoveryPrefix +
+        "/" +
+        entity.component +
+        "/" +
+        sn +
+        "/" +
+        entity.id +
+        "/config",
+      config
+    );
+  });
+
+  this._publish(this._discoveryPrefix + "/device_tracker/" + sn + "/config", {
+    name: "Position",
+    unique_id: "niu_" + sn + "_position",
+    json_attributes_topic: this.getStateTopic(sn, "position"),
+    json_attributes_template:
+      '{{ {"latitude": value_json.lat, "longitude": value_json.lng} | tojson }}',
+    source_type: "gps",
+    availability_topic: this.getStatusTopic(),
+    device: device,
+  });
+
+  this._announced[sn] = true;
+};
+
+/**
+ * Publish the received data of a refreshed data source. The vehicle is
+ * announced before its first state.
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {string}  name    - Data source name.
+ * @param {Object}  result  - Received data.
+ */
+MqttPublisher.prototype.publishUpdate = function (sn, name, result) {
+  if (-1 === MqttPublisher.SOURCES.indexOf(name)) {
+    return;
+  }
+
+  if (true !== this._announced[sn]) {
+    this.announce(sn);
+  }
+
+  this._publish(this.getStateTopic(sn, name), result);
+};
+
+/**
+ * Publish the state of every vehicle in the fleet.
+ *
+ * @param {Fleet} fleet - Vehicles.
+ */
+MqttPublisher.prototype.attach = function (fleet) {
+  var _this = this;
+
+  this._fleet = fleet;
+
+  fleet.on("update", function (sn, name, result) {
+    _this.publishUpdate(sn, name, result);
+  });
+};
+
+/**
+ * Connect to the broker. The client reconnects by itself and announces the
+ * vehicles again after every connect, e.g. after a broker restart, also if
+ * the first connect failed.
+ *
+ * @returns {Promise} Resolved after the first connect, rejected with the error
+ *                    of the first connect, e.g. if the broker is unreachable.
+ */
+MqttPublisher.prototype.start = function () {
+  var _this = this;
+
+  return new Promise(function (resolve, reject) {
+    var settled = false;
+
+    _this._client = mqtt.connect(_this._url, _this._connectOptions);
+
+    _this._client.on("connect", function () {
+      _this._announced = {};
+      _this._publish(_this.getStatusTopic(), "online");
+
+      settled = true;
+      resolve();
+    });
+
+    _this._client.on("error", function (error) {
+      if (!settled) {
+        settled = true;
+        reject(error);
+        return;
+      }
+
+      console.log("\tMQTT error: " + error.message);
+    });
+  });
+};
+
+/**
+ * Mark the vehicles as offline and disconnect from the broker.
+ *
+ * @returns {Promise} Resolved after the disconnect.
+ */
+MqttPublisher.prototype.stop = function () {
+  var _this = this;
+  var client = this._client;
+
+  if (null === client) {
+    return Promise.resolve();
+  }
+
+  this._client = null;
+
+  return new Promise(function (resolve) {
+    if (!client.connected) {
+      client.end(true, {}, resolve);
+      return;
+    }
+
+    client.publish(
+      _this.getStatusTopic(),
+      "offline",
+      { retain: true },
+      function () {
+        client.end(false, {}, resolve);
+      }
+    );
+  });
+};
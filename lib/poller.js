@@ -0,0 +1,210 @@
+/*
+ * Background polling of the NIU cloud data.
+ */
+
+/** Event emitter */
+var EventEmitter = require("events").EventEmitter;
+var util = require("util");
+
+var errors = require("./errors");
+
+/**
+ * Periodically refreshes the data of a single vehicle.
+ * Every data source runs on its own interval. If a cycle fails, the last
+ * good value is kept and the error is recorded.
+ *
+ * Emitted events:
+ * - "update" (name, result) - A data source was refreshed successfully.
+ * - "failure" (name, error) - A data source could not be refreshed.
+ *
+ * @class
+ *
+ * @param {Object}    options             - Options.
+ * @param {Object}    options.client      - NIU cloud connector client.
+ * @param {string}    options.sn          - Vehicle serial number.
+ * @param {Object}    options.data        - Vehicle data, which is updated by the sources.
+ * @param {Source[]}  options.sources     - Data sources.
+ * @param {Object}    [options.intervals] - Refresh interval in seconds per source name, overwrites the source default.
+ */
+var Poller = function (options) {
+  EventEmitter.call(this);
+
+  /** NIU cloud connector client */
+  this._client = options.client;
+
+  /** Vehicle serial number */
+  this._sn = options.sn;
+
+  /** Data sources */
+  this._sources = options.sources;
+
+  /** Refresh intervals in seconds per source name */
+  this._intervals = options.intervals || {};
+
+  /** Temporary refresh intervals in seconds per source name, see setOverrides() */
+  this._overrides = {};
+
+  /** Pending timers per source name */
+  this._timers = {};
+
+  /** Is polling active or not */
+  this._isRunning = false;
+
+  /** Vehicle data */
+  this.data = options.data;
+
+  /** Date of the last successful update per source name */
+  this.lastUpdated = {};
+
+  /** Last error per source name, removed after the next successful update */
+  this.lastError = {};
+};
+
+util.inherits(Poller, EventEmitter);
+
+module.exports = Poller;
+
+/**
+ * Get the refresh interval of a data source.
+ *
+ * @param {Source} source - Data source.
+ *
+ * @returns {number} Interval in seconds.
+ */
+Poller.prototype.getInterval = function (source) {
+  if ("number" === typeof this._overrides[source.name]) {
+    return this._overrides[source.name];
+  }
+
+  if ("number" === typeof this._intervals[source.name]) {
+    return this._intervals[source.name];
+  }
+
+  return source.interval;
+};
+
+/**
+ * Overwrite refresh intervals temporarily, e.g. to track a vehicle closely.
+ * A data source, which gets a new interval, is fetched immediately.
+ *
+ * @param {Object|null} overrides - Refresh interval in seconds per source name, null restores the configured intervals.
+ */
+Poller.prototype.setOverrides = function (overrides) {
+  var _this = this;
+
+  this._overrides = overrides || {};
+
+  this._sources.forEach(function (source) {
+    if (
+      _this._timers.hasOwnProperty(source.name) &&
+      "number" === typeof _this._overrides[source.name]
+    ) {
+      clearTimeout(_this._timers[source.name]);
+      _this._poll(source);
+    }
+  });
+};
+
+/**
+ * Start polling. Every data source is fetched immediately once.
+ *
+ * @returns {Promise} Resolved after the first cycle of every source finished.
+ */
+Poller.prototype.start = function () {
+  var _this = this;
+
+  if (true === this._isRunning) {
+    return Promise.resolve();
+  }
+
+  this._isRunning = true;
+
+  return Promise.all(
+    this._sources.map(function (source) {
+      return _this._poll(source);
+    })
+  );
+};
+
+/**
+ * Stop polling. Requests already sent are not aborted, but their results
+ * don't schedule another cycle.
+ */
+Poller.prototype.stop = function () {
+  var name = "";
+
+  this._isRunning = false;
+
+  for (name in this._timers) {
+    clearTimeout(this._timers[name]);
+  }
+
+  this._timers = {};
+};
+
+/**
+ * Fetch a single data source and schedule the next cycle.
+ *
+ * @private
+ *
+ * @param {Source} source - Data source.
+ *
+ * @returns {Promise} Resolved after the cycle finished, never rejected.
+ */
+Poller.prototype._poll = function (source) {
+  var _this = this;
+
+  delete this._timers[source.name];
+
+  return source
+    .fetch(this._client, this._sn)
+    .then(function (result) {
+      source.apply(_this.data, result.result);
+
+      _this.lastUpdated[source.name] = new Date();
+      delete _this.lastError[source.name];
+
+      _this.emit("update", source.name, result.result);
+    })
+    .catch(function (error) {
+      _this.lastError[source.name] = {
+        date: new Date(),
+        message: errors.getMessage(error),
+      };
+
+      _this.emit("failure", source.name, error);
+    })
+    .then(function () {
+      if (true === _this._isRunning) {
+        _this._timers[source.name] = setTimeout(function () {
+          _this._poll(source);
+        }, _this.getInterval(source) * 1000);
+      }
+    });
+};
+
+/**
+ * Get the vehicle data together with the update records.
+ *
+ * @returns {Object} Vehicle data, with the additional "last_updated" and "last_error" records.
+ */
+Poller.prototype.toJSON = function () {
+  var result = Object.assign({}, this.data);
+  var name = "";
+
+  result.last_updated = {};
+  result.last_error = {};
+
+  for (name in this.lastUpdated) {
+    result.last_updated[name] = this.lastUpdated[name].toISOString();
+  }
+
+  for (name in this.lastError) {
+    result.last_error[name] = {
+      date: this.lastError[name].date.toISOString(),
+      message: this.lastError[name].message,
+    };
+  }
+
+  return result;
+};
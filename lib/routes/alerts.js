@@ -0,0 +1,90 @@
+/*
+ * Alert routes: /api/alerts
+ */
+
+var express = require("express");
+
+var Authenticator = require("../auth");
+var errors = require("../errors");
+var query = require("./query");
+
+/** Delivery status values */
+var DELIVERY_STATUS = ["pending", "delivered", "failed"];
+
+/**
+ * Create the alert routes.
+ *
+ * @param {Object}              options             - Options.
+ * @param {AlertEngine}         options.alerts      - Alert rules.
+ * @param {WebhookDispatcher}   [options.webhooks]  - Webhooks, which receive the alerts.
+ *
+ * @returns {express.Router} Router.
+ */
+module.exports = function (options) {
+  var router = express.Router();
+
+  router.get("/", function (req, res) {
+    res.send(
+      options.alerts
+        .getAlerts({
+          sn: req.query.sn,
+          rule: req.query.rule,
+        })
+        .filter(function (alert) {
+          return Authenticator.canAccess(req.apiKey, alert.sn);
+        })
+    );
+  });
+
+  router.get("/rules", function (req, res) {
+    res.send(
+      options.alerts.getRules().filter(function (rule) {
+        return (
+          "string" !== typeof rule.sn ||
+          Authenticator.canAccess(req.apiKey, rule.sn)
+        );
+      })
+    );
+  });
+
+  router.get("/deliveries", function (req, res) {
+    var limit = query.parsePositiveInteger(req.query.limit, null);
+
+    if (isNaN(limit)) {
+      errors.send(res, 400, "Invalid limit.");
+      return;
+    }
+
+    if (
+      undefined !== req.query.status &&
+      -1 === DELIVERY_STATUS.indexOf(req.query.status)
+    ) {
+      errors.send(
+        res,
+        400,
+        "Invalid status, use one of: " + DELIVERY_STATUS.join(", ") + "."
+      );
+      return;
+    }
+
+    if ("object" !== typeof options.webhooks || null === options.webhooks) {
+      res.send([]);
+      return;
+    }
+
+    res.send(
+      options.webhooks
+        .getDeliveries({
+          status: req.query.status,
+          sn: req.query.sn,
+          rule: req.query.rule,
+        })
+        .filter(function (delivery) {
+          return Authenticator.canAccess(req.apiKey, delivery.payload.sn);
+        })
+        .slice(0, null === limit ? undefined : limit)
+    );
+  });
+
+  return router;
+};
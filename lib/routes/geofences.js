@@ -0,0 +1,181 @@
+/*
+ * Geofence routes: /api/vehicles/:sn/geofences
+ */
+
+var express = require("express");
+
+var Authenticator = require("../auth");
+var errors = require("../errors");
+var GeofenceStore = require("../geofences");
+var query = require("./query");
+
+/** Geofence event types */
+var EVENT_TYPES = ["enter", "exit", "dwell"];
+
+/**
+ * Get the geofence definition from a request body, without the API key.
+ *
+ * @private
+ *
+ * @param {Object} body - Request body.
+ *
+ * @returns {Object} Geofence definition.
+ */
+var getDefinition = function (body) {
+  return {
+    name: body.name,
+    type: body.type,
+    center: body.center,
+    radius: body.radius,
+    points: body.points,
+    dwell: body.dwell,
+  };
+};
+
+/**
+ * Create the geofence routes of a vehicle. The vehicle is resolved by the
+ * parent router.
+ *
+ * @param {Object}          options             - Options.
+ * @param {GeofenceStore}   [options.geofences] - Geofences.
+ *
+ * @returns {express.Router} Router.
+ */
+module.exports = function (options) {
+  var router = express.Router({ mergeParams: true });
+  var geofences = options.geofences;
+  var canWrite = Authenticator.requireScope("geofences");
+
+  router.use(function (req, res, next) {
+    if ("object" !== typeof geofences || null === geofences) {
+      errors.send(res, 404, "Geofences are disabled.");
+      return;
+    }
+
+    next();
+  });
+
+  router.get("/", function (req, res) {
+    res.send(geofences.list(req.params.sn));
+  });
+
+  router.post("/", canWrite, function (req, res) {
+    var definition = getDefinition(req.body);
+    var error = GeofenceStore.validate(definition);
+
+    if (null !== error) {
+      errors.send(res, 400, error);
+      return;
+    }
+
+    geofences
+      .create(req.params.sn, definition)
+      .then(function (fence) {
+        res.status(201).send(fence);
+      })
+      .catch(function (error) {
+        errors.sendError(res, error);
+      });
+  });
+
+  router.get("/events", function (req, res) {
+    var from = query.parseDate(req.query.from, false);
+    var to = query.parseDate(req.query.to, true);
+
+    if (isNaN(from) || isNaN(to)) {
+      errors.send(res, 400, "Invalid from or to.");
+      return;
+    }
+
+    if (
+      undefined !== req.query.type &&
+      -1 === EVENT_TYPES.indexOf(req.query.type)
+    ) {
+      errors.send(
+        res,
+        400,
+        "Invalid type, use one of: " + EVENT_TYPES.join(", ") + "."
+      );
+      return;
+    }
+
+    geofences
+      .queryEvents(req.params.sn, {
+        from: from,
+        to: to,
+        fence: req.query.fence,
+        type: req.query.type,
+      })
+      .then(function (events) {
+        res.send(
+          events.map(function (event) {
+            var result = { time: new Date(event.t).toISOString() };
+
+            Object.keys(event).forEach(function (field) {
+              if ("t" !== field) {
+                result[field] = event[field];
+              }
+            });
+
+            return result;
+          })
+        );
+      })
+      .catch(function (error) {
+        errors.sendError(res, error);
+      });
+  });
+
+  router.get("/:fenceId", function (req, res) {
+    var fence = geofences.get(req.params.sn, req.params.fenceId);
+
+    if (null === fence) {
+      errors.send(res, 404, "Geofence not found.");
+      return;
+    }
+
+    res.send(fence);
+  });
+
+  router.put("/:fenceId", canWrite, function (req, res) {
+    var definition = getDefinition(req.body);
+    var error = GeofenceStore.validate(definition);
+
+    if (null !== error) {
+      errors.send(res, 400, error);
+      return;
+    }
+
+    geofences
+      .update(req.params.sn, req.params.fenceId, definition)
+      .then(function (fence) {
+        if (null === fence) {
+          errors.send(res, 404, "Geofence not found.");
+          return;
+        }
+
+        res.send(fence);
+      })
+      .catch(function (error) {
+        errors.sendError(res, error);
+      });
+  });
+
+  router.delete("/:fenceId", canWrite, function (req, res) {
+    geofences
+      .remove(req.params.sn, req.params.fenceId)
+      .then(function (isRemoved) {
+        if (false === isRemoved) {
+          errors.send(res, 404, "Geofence not found.");
+          return;
+        }
+
+        res.status(204).end();
+      })
+      .catch(function (error) {
+        errors.sendError(res, error);
+      });
+  });
+
+  return router;
+};
@@ -0,0 +1,67 @@
+/*
+ * Query parameter parsing.
+ */
+
+/**
+ * Query helpers
+ * @namespace
+ */
+var query = {};
+
+module.exports = query;
+
+/** Length of one day in ms */
+var DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a date query parameter. A date without time, e.g. "2022-03-18",
+ * which is used as end of a range includes the whole day.
+ *
+ * @param {string}  [value]     - Query parameter value, as ISO-8601 date or unix timestamp epoch format (13 digits).
+ * @param {boolean} [isEnd]     - Value is the exclusive end of a range.
+ *
+ * @returns {number|null} Unix timestamp epoch format (13 digits), NaN if invalid or null if missing.
+ */
+query.parseDate = function (value, isEnd) {
+  var timestamp = NaN;
+
+  if ("string" !== typeof value || 0 === value.length) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  timestamp = Date.parse(value);
+
+  if (true === isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    timestamp += DAY;
+  }
+
+  return timestamp;
+};
+
+/**
+ * Parse a positive integer query parameter.
+ *
+ * @param {string}  [value]         - Query parameter value.
+ * @param {number}  defaultValue    - Used if the parameter is missing.
+ *
+ * @returns {number} Value or NaN if invalid.
+ */
+query.parsePositiveInteger = function (value, defaultValue) {
+  var number = NaN;
+
+  if ("string" !== typeof value || 0 === value.length) {
+    return defaultValue;
+  }
+
+  number = Number(value);
+
+  if (!Number.isInteger(number) || 1 > number) {
+    return NaN;
+  }
+
+  return number;
+};
@@ -0,0 +1,451 @@
+/*
+ * Vehicle routes: /api/vehicles
+ */
+
+var express = require("express");
+
+var Authenticator = require("../auth");
+var errors = require("../errors");
+var geofenceRoutes = require("./geofences");
+var HistoryStore = require("../history");
+var trackExport = require("../export");
+var tracks = require("../tracks");
+var query = require("./query");
+
+/**
+ * Build a sub-resource of the vehicle data, together with the update
+ * records of the data sources it derives from.
+ *
+ * @private
+ *
+ * @param {Poller}    poller  - Poller of the vehicle.
+ * @param {string}    key     - Key of the vehicle data.
+ * @param {string[]}  names   - Data source names.
+ *
+ * @returns {Object} Sub-resource.
+ */
+var subResource = function (poller, key, names) {
+  var json = poller.toJSON();
+  var result = {};
+
+  result[key] = json[key];
+  result.last_updated = {};
+  result.last_error = {};
+
+  names.forEach(function (name) {
+    if (json.last_updated.hasOwnProperty(name)) {
+      result.last_updated[name] = json.last_updated[name];
+    }
+
+    if (json.last_error.hasOwnProperty(name)) {
+      result.last_error[name] = json.last_error[name];
+    }
+  });
+
+  return result;
+};
+
+/** Interval of the live stream heartbeat in ms */
+var HEARTBEAT_INTERVAL = 30000;
+
+/** Maximum number of tracks in one export */
+var EXPORT_LIMIT = 50;
+
+/**
+ * Send exported tracks as download.
+ *
+ * @private
+ *
+ * @param {Object}          res         - Express response.
+ * @param {string}          format      - Export format, see trackExport.formats.
+ * @param {ExportTrack[]}   items       - Tracks with details.
+ * @param {string}          filename    - Download file name without extension.
+ */
+var sendExport = function (res, format, items, filename) {
+  var exportFormat = trackExport.formats[format];
+
+  res.set("Content-Type", exportFormat.contentType);
+  res.attachment(filename + "." + format);
+  res.send(exportFormat.render(items, filename));
+};
+
+/**
+ * Create the vehicle routes.
+ *
+ * @param {Object}          options             - Options.
+ * @param {Fleet}           options.fleet       - Vehicles, which are served.
+ * @param {HistoryStore}    [options.history]   - Time series store.
+ * @param {HealthTracker}   [options.health]    - Battery health analytics.
+ * @param {FirmwareMonitor} [options.firmware]  - Firmware versions.
+ * @param {GeofenceStore}   [options.geofences] - Geofences.
+ * @param {TheftDetector}   [options.theft]     - Theft detection.
+ * @param {LiveFeed}        [options.live]      - Live vehicle state.
+ *
+ * @returns {express.Router} Router.
+ */
+module.exports = function (options) {
+  var router = express.Router();
+  var fleet = options.fleet;
+  var scope = Authenticator.requireScope;
+
+  router.param("sn", function (req, res, next, sn) {
+    var poller = fleet.get(sn);
+
+    if (!Authenticator.canAccess(req.apiKey, sn)) {
+      errors.send(res, 403, "The API key has no access to this vehicle.");
+      return;
+    }
+
+    if (null === poller) {
+      errors.send(res, 404, "Vehicle not found.");
+      return;
+    }
+
+    req.poller = poller;
+    req.client = fleet.getClient(sn);
+    next();
+  });
+
+  router.get("/", scope("vehicle"), function (req, res) {
+    res.send(
+      fleet.list().filter(function (vehicle) {
+        return Authenticator.canAccess(req.apiKey, vehicle.sn);
+      })
+    );
+  });
+
+  router.get("/:sn", scope("vehicle"), function (req, res) {
+    res.send(Authenticator.filterData(req.apiKey, req.poller.toJSON()));
+  });
+
+  router.get("/:sn/position", scope("position"), function (req, res) {
+    res.send(subResource(req.poller, "position", ["position"]));
+  });
+
+  router.get("/:sn/battery", scope("battery"), function (req, res) {
+    res.send(subResource(req.poller, "battery", ["battery", "health"]));
+  });
+
+  router.get("/:sn/battery/curve", scope("battery"), function (req, res) {
+    var bmsId = query.parsePositiveInteger(req.query.bmsId, undefined);
+    var format = req.query.format || "json";
+
+    if (undefined !== bmsId && 1 !== bmsId && 2 !== bmsId) {
+      errors.send(res, 400, "Invalid bmsId, use 1 or 2.");
+      return;
+    }
+
+    if ("json" !== format && "csv" !== format) {
+      errors.send(res, 400, "Unsupported format.");
+      return;
+    }
+
+    req.client
+      .getBatteryCurve({ sn: req.params.sn, bmsId: bmsId })
+      .then(function (result) {
+        if ("json" === format) {
+          res.send(result.result);
+          return;
+        }
+
+        res.set("Content-Type", "text/csv");
+        res.attachment(req.params.sn + "-battery-curve.csv");
+        res.send(
+          ["mileage,soc_a,soc_b"]
+            .concat(
+              result.result.items.map(function (item) {
+                return [item.mileage, item.soc_a, item.soc_b]
+                  .map(function (value) {
+                    return "number" === typeof value ? value : "";
+                  })
+                  .join(",");
+              })
+            )
+            .join("\n") + "\n"
+        );
+      })
+      .catch(function (error) {
+        errors.sendError(res, error);
+      });
+  });
+
+  router.get("/:sn/firmware", scope("vehicle"), function (req, res) {
+    var result = subResource(req.poller, "firmware_version", ["firmware"]);
+
+    if ("object" === typeof options.firmware && null !== options.firmware) {
+      Object.assign(result, options.firmware.getStatus(req.params.sn));
+    }
+
+    res.send(result);
+  });
+
+  router.get("/:sn/tracks", scope("position"), function (req, res) {
+    var from = query.parseDate(req.query.from, false);
+    var to = query.parseDate(req.query.to, true);
+    var page = query.parsePositiveInteger(req.query.page, 1);
+
+    if (isNaN(from) || isNaN(to) || isNaN(page)) {
+      errors.send(res, 400, "Invalid from, to or page.");
+      return;
+    }
+
+    tracks
+      .list(req.client, req.params.sn, {
+        from: from,
+        to: to,
+        page: page,
+      })
+      .then(function (result) {
+        res.send({
+          page: page,
+          page_size: tracks.PAGE_SIZE,
+          has_more: result.hasMore,
+          tracks: result.items.map(tracks.toSummary),
+        });
+      })
+      .catch(function (error) {
+        errors.sendError(res, error);
+      });
+  });
+
+  router.get("/:sn/tracks/:trackId", scope("position"), function (req, res) {
+    tracks
+      .getDetail(req.client, req.params.sn, req.params.trackId)
+      .then(function (result) {
+        if (null === result) {
+          errors.send(res, 404, "Track not found.");
+          return;
+        }
+
+        res.send({
+          track: tracks.toSummary(result.track),
+          points: tracks.getPoints(result.detail),
+        });
+      })
+      .catch(function (error) {
+        errors.sendError(res, error);
+      });
+  });
+
+  router.get("/:sn/battery/health", scope("battery"), function (req, res) {
+    if ("object" !== typeof options.health || null === options.health) {
+      errors.send(res, 404, "Battery health analytics are disabled.");
+      return;
+    }
+
+    res.send({ batteries: options.health.analyzeVehicle(req.params.sn) });
+  });
+
+  router.get("/:sn/theft", scope("position"), function (req, res) {
+    if ("object" !== typeof options.theft || null === options.theft) {
+      errors.send(res, 404, "Theft detection is disabled.");
+      return;
+    }
+
+    res.send(options.theft.getStatus(req.params.sn));
+  });
+
+  router.get("/:sn/stream", scope("live"), function (req, res) {
+    var unsubscribe = null;
+    var heartbeat = null;
+
+    if ("object" !== typeof options.live || null === options.live) {
+      errors.send(res, 404, "Live streams are disabled.");
+      return;
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+
+    unsubscribe = options.live.subscribe(req.params.sn, function (message) {
+      message = Authenticator.filterLiveMessage(req.apiKey, message);
+
+      if (null === message) {
+        return;
+      }
+
+      res.write(
+        "event: " +
+          message.type +
+          "\ndata: " +
+          JSON.stringify(message.data) +
+          "\n\n"
+      );
+    });
+
+    /* Keeps proxies from closing an idle stream. */
+    heartbeat = setInterval(function () {
+      res.write(": heartbeat\n\n");
+    }, HEARTBEAT_INTERVAL);
+
+    req.on("close", function () {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  router.get("/:sn/history", scope("history"), function (req, res) {
+    var metric = req.query.metric;
+    var from = query.parseDate(req.query.from, false);
+    var to = query.parseDate(req.query.to, true);
+    var step = query.parsePositiveInteger(req.query.step, null);
+
+    if ("object" !== typeof options.history || null === options.history) {
+      errors.send(res, 404, "History is disabled.");
+      return;
+    }
+
+    if (!HistoryStore.METRICS.hasOwnProperty(metric)) {
+      errors.send(
+        res,
+        400,
+        "Invalid metric, use one of: " +
+          Object.keys(HistoryStore.METRICS).join(", ") +
+          "."
+      );
+      return;
+    }
+
+    if (isNaN(from) || isNaN(to) || isNaN(step)) {
+      errors.send(res, 400, "Invalid from, to or step.");
+      return;
+    }
+
+    options.history
+      .query(req.params.sn, {
+        metric: metric,
+        from: from,
+        to: to,
+        step: step,
+      })
+      .then(function (points) {
+        res.send({
+          metric: metric,
+          fields: HistoryStore.METRICS[metric],
+          step: step,
+          points: points.map(function (point) {
+            var result = { time: new Date(point.t).toISOString() };
+
+            Object.keys(point).forEach(function (field) {
+              if ("t" !== field) {
+                result[field] = point[field];
+              }
+            });
+
+            return result;
+          }),
+        });
+      })
+      .catch(function (error) {
+        errors.sendError(res, error);
+      });
+  });
+
+  router.use("/:sn/geofences", scope("position"), geofenceRoutes(options));
+
+  router.param("format", function (req, res, next, format) {
+    if (!trackExport.formats.hasOwnProperty(format)) {
+      errors.send(res, 400, "Unsupported format.");
+      return;
+    }
+
+    next();
+  });
+
+  router.get(
+    "/:sn/tracks/:trackId/export/:format",
+    scope("position"),
+    function (req, res) {
+      tracks
+        .getDetail(req.client, req.params.sn, req.params.trackId)
+        .then(function (result) {
+          if (null === result) {
+            errors.send(res, 404, "Track not found.");
+            return;
+          }
+
+          sendExport(
+            res,
+            req.params.format,
+            [result],
+            req.params.sn + "-" + req.params.trackId
+          );
+        })
+        .catch(function (error) {
+          errors.sendError(res, error);
+        });
+    }
+  );
+
+  router.get("/:sn/export/:format", scope("position"), function (req, res) {
+    var from = query.parseDate(req.query.from, false);
+    var to = query.parseDate(req.query.to, true);
+
+    if (null === from || isNaN(from) || isNaN(to)) {
+      errors.send(res, 400, "Invalid from or to.");
+      return;
+    }
+
+    tracks
+      .list(req.client, req.params.sn, {
+        from: from,
+        to: to,
+        pageSize: EXPORT_LIMIT,
+      })
+      .then(function (result) {
+        var items = [];
+
+        if (true === result.hasMore) {
+          errors.send(
+            res,
+            400,
+            "More than " + EXPORT_LIMIT + " tracks, narrow the time range."
+          );
+          return;
+        }
+
+        if (true === result.isTruncated) {
+          errors.send(
+            res,
+            400,
+            "The time range reaches beyond the listed tracks, narrow it."
+          );
+          return;
+        }
+
+        /* Oldest track first, details are requested one after another. */
+        return result.items
+          .reverse()
+          .reduce(function (previous, track) {
+            return previous.then(function () {
+              return tracks
+                .fetchDetail(req.client, req.params.sn, track)
+                .then(function (item) {
+                  items.push(item);
+                });
+            });
+          }, Promise.resolve())
+          .then(function () {
+            sendExport(
+              res,
+              req.params.format,
+              items,
+              req.params.sn +
+                "-" +
+                new Date(from).toISOString().slice(0, 10) +
+                (null === to
+                  ? ""
+                  : "-" + new Date(to - 1).toISOString().slice(0, 10))
+            );
+          });
+      })
+      .catch(function (error) {
+        errors.sendError(res, error);
+      });
+  });
+
+  return router;
+};
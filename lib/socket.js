@@ -0,0 +1,153 @@
+/*
+ * WebSocket endpoint of the live vehicle state: /api/vehicles/:sn/live
+ */
+
+var http = require("http");
+var url = require("url");
+var WebSocket = require("ws");
+
+var Authenticator = require("./auth");
+var errors = require("./errors");
+
+/** Path of the endpoint, with the vehicle serial number */
+var PATH = /^\/api\/vehicles\/([^/]+)\/live$/;
+
+/** Interval of the ping, which detects broken connections, in ms */
+var PING_INTERVAL = 30000;
+
+/**
+ * Reject an upgrade request.
+ *
+ * @private
+ *
+ * @param {net.Socket}  socket  - Socket of the request.
+ * @param {number}      status  - HTTP status code.
+ * @param {string}      message - Error message, sent as JSON.
+ */
+var reject = function (socket, status, message) {
+  var body = JSON.stringify(errors.createBody(status, message));
+
+  socket.end(
+    "HTTP/1.1 " +
+      status +
+      " " +
+      http.STATUS_CODES[status] +
+      "\r\nContent-Type: application/json\r\nContent-Length: " +
+      Buffer.byteLength(body) +
+      "\r\nConnection: close\r\n\r\n" +
+      body
+  );
+};
+
+/**
+ * Serve the live vehicle state over WebSocket. Every message is JSON:
+ * {type, data}, see LiveMessage. Browsers can't set the "Authorization"
+ * header of the upgrade, therefore the API key is accepted in the query
+ * parameter "key" too.
+ *
+ * @param {http.Server}     server          - HTTP server of the express app.
+ * @param {Object}          options         - Options.
+ * @param {Fleet}           options.fleet   - Vehicles, which are served.
+ * @param {Authenticator}   options.auth    - API authentication.
+ * @param {LiveFeed}        options.live    - Live vehicle state.
+ *
+ * @returns {WebSocket.Server} WebSocket server.
+ */
+module.exports = function (server, options) {
+  var wss = new WebSocket.Server({ noServer: true });
+  var timer = null;
+
+  server.on("upgrade", function (req, socket, head) {
+    var parsed = url.parse(req.url, true);
+    var match = PATH.exec(parsed.pathname);
+    var sn = "";
+    var result = null;
+
+    /* A reset connection must not crash the server. */
+    socket.on("error", function () {
+      socket.destroy();
+    });
+
+    if (null === match) {
+      reject(socket, 404, "Not found.");
+      return;
+    }
+
+    try {
+      sn = decodeURIComponent(match[1]);
+    } catch (error) {
+      reject(socket, 400, "Invalid vehicle serial number.");
+      return;
+    }
+
+    result = options.auth.check(req, true);
+
+    if ("number" === typeof result.status) {
+      reject(socket, result.status, result.error);
+      return;
+    }
+
+    if (!Authenticator.hasScope(result.key, "live")) {
+      reject(socket, 403, "The API key has no live scope.");
+      return;
+    }
+
+    if (!Authenticator.canAccess(result.key, sn)) {
+      reject(socket, 403, "The API key has no access to this vehicle.");
+      return;
+    }
+
+    if (null === options.fleet.get(sn)) {
+      reject(socket, 404, "Vehicle not found.");
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, function (ws) {
+      var unsubscribe = null;
+
+      ws.isAlive = true;
+      ws.on("pong", function () {
+        ws.isAlive = true;
+      });
+
+      unsubscribe = options.live.subscribe(sn, function (message) {
+        message = Authenticator.filterLiveMessage(result.key, message);
+
+        if (null !== message && WebSocket.OPEN === ws.readyState) {
+          ws.send(JSON.stringify(message));
+        }
+      });
+
+      ws.on("close", unsubscribe);
+
+      /* E.g. a malformed frame, the connection is dropped. */
+      ws.on("error", function () {
+        unsubscribe();
+        ws.terminate();
+      });
+    });
+  });
+
+  timer = setInterval(function () {
+    wss.clients.forEach(function (ws) {
+      if (false === ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, PING_INTERVAL);
+  timer.unref();
+
+  wss.on("close", function () {
+    clearInterval(timer);
+  });
+
+  server.on("close", function () {
+    wss.close();
+  });
+
+  return wss;
+};
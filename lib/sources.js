@@ -0,0 +1,252 @@
+/*
+ * Data sources, which are periodically polled from the NIU cloud.
+ */
+
+/**
+ * Data sources
+ * @namespace
+ */
+var sources = {};
+
+module.exports = sources;
+
+var tracks = require("./tracks");
+
+/**
+ * @typedef {Object} Source
+ * @property {string}   name    - Source name, used for interval configuration and update records.
+ * @property {number}   interval - Default refresh interval in seconds.
+ * @property {Function} fetch   - Requests the data from the cloud: fetch(client, sn).
+ * @property {Function} apply   - Stores the received data: apply(data, result).
+ */
+
+/**
+ * Create an empty vehicle data object.
+ *
+ * @param {Object}  vehicle         - Vehicle, as received by getVehicles().
+ * @param {string}  vehicle.sn      - Vehicle serial number.
+ * @param {string}  vehicle.type    - Vehicle model.
+ * @param {string}  vehicle.name    - Vehicle name, given by the user.
+ *
+ * @returns {Object} Vehicle data.
+ */
+sources.createData = function (vehicle) {
+  return {
+    vehicle: {
+      sn: vehicle.sn,
+      type: vehicle.type,
+      name: vehicle.name,
+    },
+    position: {
+      latitude: null,
+      longitude: null,
+    },
+    battery: {
+      estimated_milage: null,
+      batteries: [
+        {
+          bms: null,
+          capacity: null,
+          grade: null,
+        },
+        {
+          bms: null,
+          capacity: null,
+          grade: null,
+        },
+      ],
+    },
+    current_speed: null,
+    total_mileage: null,
+    firmware_version: null,
+    track: {
+      id: null,
+      date: null,
+      start_time: null,
+      end_time: null,
+      distance: null,
+      average_speed: null,
+      riding_time: null,
+    },
+  };
+};
+
+/**
+ * Current vehicle position.
+ *
+ * @type {Source}
+ */
+sources.position = {
+  name: "position",
+  interval: 30,
+  fetch: function (client, sn) {
+    return client.getVehiclePos({ sn: sn });
+  },
+  apply: function (data, result) {
+    data.position.latitude = result.lat;
+    data.position.longitude = result.lng;
+  },
+};
+
+/**
+ * Motor info, e.g. the current speed.
+ *
+ * @type {Source}
+ */
+sources.motor = {
+  name: "motor",
+  interval: 30,
+  fetch: function (client, sn) {
+    return client.getMotorInfo({ sn: sn });
+  },
+  apply: function (data, result) {
+    data.current_speed = result.nowSpeed;
+  },
+};
+
+/**
+ * State of charge per battery compartment and estimated mileage.
+ *
+ * @type {Source}
+ */
+sources.battery = {
+  name: "battery",
+  interval: 5 * 60,
+  fetch: function (client, sn) {
+    return client.getBatteryInfo({ sn: sn });
+  },
+  apply: function (data, result) {
+    var batteries = result.batteries;
+
+    if ("object" === typeof batteries.compartmentA) {
+      data.battery.batteries[0].bms = batteries.compartmentA.bmsId;
+      data.battery.batteries[0].capacity =
+        batteries.compartmentA.batteryCharging;
+    }
+
+    if ("object" === typeof batteries.compartmentB) {
+      data.battery.batteries[1].bms = batteries.compartmentB.bmsId;
+      data.battery.batteries[1].capacity =
+        batteries.compartmentB.batteryCharging;
+    }
+
+    data.battery.estimated_milage = result.estimatedMileage;
+  },
+};
+
+/**
+ * Battery grade per compartment.
+ *
+ * @type {Source}
+ */
+sources.health = {
+  name: "health",
+  interval: 60 * 60,
+  fetch: function (client, sn) {
+    return client.getBatteryHealth({ sn: sn });
+  },
+  apply: function (data, result) {
+    var batteries = result.batteries;
+
+    if ("object" === typeof batteries.compartmentA) {
+      data.battery.batteries[0].grade = Number(
+        batteries.compartmentA.gradeBattery
+      );
+    }
+
+    if ("object" === typeof batteries.compartmentB) {
+      data.battery.batteries[1].grade = Number(
+        batteries.compartmentB.gradeBattery
+      );
+    }
+  },
+};
+
+/**
+ * Total mileage.
+ *
+ * @type {Source}
+ */
+sources.tally = {
+  name: "tally",
+  interval: 15 * 60,
+  fetch: function (client, sn) {
+    return client.getOverallTally({ sn: sn });
+  },
+  apply: function (data, result) {
+    data.total_mileage = result.totalMileage;
+  },
+};
+
+/**
+ * Firmware version. The update availability and description are part of
+ * the firmware version. For an available update, the update info of
+ * getUpdateInfo() is added as updateInfo, it tells whether the vehicle is
+ * ready to install it: cellular signal and central control battery charge.
+ *
+ * @type {Source}
+ */
+sources.firmware = {
+  name: "firmware",
+  interval: 24 * 60 * 60,
+  fetch: function (client, sn) {
+    return client.getFirmwareVersion({ sn: sn }).then(function (version) {
+      if (1 !== Number(version.result.needUpdate)) {
+        return version;
+      }
+
+      return client.getUpdateInfo({ sn: sn }).then(
+        function (info) {
+          return {
+            client: version.client,
+            result: Object.assign({}, version.result, {
+              updateInfo: info.result,
+            }),
+          };
+        },
+        function () {
+          /* The firmware version is still valid without update info. */
+          return version;
+        }
+      );
+    });
+  },
+  apply: function (data, result) {
+    data.firmware_version = result.version;
+  },
+};
+
+/**
+ * Most recent track.
+ *
+ * @type {Source}
+ */
+sources.track = {
+  name: "track",
+  interval: 10 * 60,
+  fetch: function (client, sn) {
+    return client.getTracks({ sn: sn, index: 0, pageSize: 1 });
+  },
+  apply: function (data, result) {
+    if (!Array.isArray(result.items) || 0 === result.items.length) {
+      return;
+    }
+
+    data.track = tracks.toSummary(result.items[0]);
+  },
+};
+
+/**
+ * All data sources, in the order they are fetched at startup.
+ *
+ * @type {Source[]}
+ */
+sources.all = [
+  sources.position,
+  sources.motor,
+  sources.battery,
+  sources.health,
+  sources.tally,
+  sources.firmware,
+  sources.track,
+];
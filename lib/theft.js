@@ -0,0 +1,370 @@
+/*
+ * Theft and unexpected movement detection.
+ */
+
+/** Event emitter */
+var EventEmitter = require("events").EventEmitter;
+var util = require("util");
+
+var geo = require("./geo");
+
+/**
+ * Assumed GPS user equivalent range error in m, multiplied by the dilution
+ * of precision to estimate the accuracy of a position.
+ */
+var UERE = 5;
+
+/**
+ * @typedef {Object} TheftEvent
+ * @property {string}   type        - "alarm" or "clear".
+ * @property {string}   reason      - alarm: "moved" or "speed", clear: "unlocked" or "timeout".
+ * @property {string}   priority    - "high" for an alarm, otherwise "normal".
+ * @property {string}   time        - ISO-8601 date and time.
+ * @property {number}   [latitude]  - Last known position latitude.
+ * @property {number}   [longitude] - Last known position longitude.
+ * @property {number}   [distance]  - moved: Distance from the parking position in m.
+ * @property {number}   [speed]     - speed: Reported speed in km/h.
+ */
+
+/**
+ * Watches parked vehicles. A vehicle is parked while it is locked and ACC is
+ * off. An alarm is raised, if a parked vehicle moves farther than the GPS
+ * noise or reports speed. While the alarm is active, the position and motor
+ * info of the vehicle are polled fast. The alarm is cleared after the vehicle
+ * was unlocked or ACC switched on, or after no movement for the alarm timeout.
+ *
+ * Emitted events:
+ * - "alarm" (sn, event) - An alarm was raised.
+ * - "clear" (sn, event) - An alarm was cleared.
+ *
+ * @class
+ *
+ * @param {Object}  [options]                   - Options.
+ * @param {number}  [options.lockedStatus]      - lockStatus value of a locked vehicle. Default is 0.
+ * @param {number}  [options.minDistance]       - Distance in m, which is always considered as GPS noise. Default is 30.
+ * @param {number}  [options.speedThreshold]    - Speed in km/h, which is considered as driving. Default is 3.
+ * @param {number}  [options.fastInterval]      - Refresh interval in seconds of position and motor info during an alarm. Default is 10.
+ * @param {number}  [options.alarmTimeout]      - Time in seconds without movement, after which an alarm is cleared. Default is 3600.
+ * @param {number}  [options.historySize]       - Number of kept events per vehicle. Default is 50.
+ */
+var TheftDetector = function (options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  /** lockStatus value of a locked vehicle */
+  this._lockedStatus =
+    "number" === typeof options.lockedStatus ? options.lockedStatus : 0;
+
+  /** Distance in m, which is always considered as GPS noise */
+  this._minDistance =
+    "number" === typeof options.minDistance ? options.minDistance : 30;
+
+  /** Speed in km/h, which is considered as driving */
+  this._speedThreshold =
+    "number" === typeof options.speedThreshold ? options.speedThreshold : 3;
+
+  /** Refresh interval in seconds during an alarm */
+  this._fastInterval =
+    "number" === typeof options.fastInterval ? options.fastInterval : 10;
+
+  /** Time in seconds without movement, after which an alarm is cleared */
+  this._alarmTimeout =
+    "number" === typeof options.alarmTimeout ? options.alarmTimeout : 3600;
+
+  /** Number of kept events per vehicle */
+  this._historySize =
+    "number" === typeof options.historySize ? options.historySize : 50;
+
+  /** Vehicles, set by attach() */
+  this._fleet = null;
+
+  /** State per vehicle serial number: {isParked, anchor, position, alarm, events} */
+  this._states = {};
+};
+
+util.inherits(TheftDetector, EventEmitter);
+
+module.exports = TheftDetector;
+
+/**
+ * Get the state of a vehicle.
+ *
+ * @private
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {Object} State.
+ */
+TheftDetector.prototype._getState = function (sn) {
+  if (!this._states.hasOwnProperty(sn)) {
+    this._states[sn] = {
+      isParked: false,
+      anchor: null,
+      position: null,
+      alarm: null,
+      events: [],
+    };
+  }
+
+  return this._states[sn];
+};
+
+/**
+ * Get the alarm state and the recent events of a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {Object} {is_parked, alarm, events}, alarm is the active alarm event or null, events are newest first.
+ */
+TheftDetector.prototype.getStatus = function (sn) {
+  var state = this._getState(sn);
+
+  return {
+    is_parked: state.isParked,
+    alarm: null === state.alarm ? null : state.alarm.event,
+    events: state.events.slice(),
+  };
+};
+
+/**
+ * Record an event and notify the listeners.
+ *
+ * @private
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {Object}  state   - State of the vehicle.
+ * @param {Object}  event   - Event without position.
+ *
+ * @returns {TheftEvent} Event.
+ */
+TheftDetector.prototype._emitEvent = function (sn, state, event) {
+  if (null !== state.position) {
+    event.latitude = state.position.latitude;
+    event.longitude = state.position.longitude;
+  }
+
+  state.events.unshift(event);
+  state.events.splice(this._historySize);
+
+  this.emit(event.type, sn, event);
+
+  return event;
+};
+
+/**
+ * Switch the fast polling of a vehicle on or off.
+ *
+ * @private
+ *
+ * @param {string}  sn          - Vehicle serial number.
+ * @param {boolean} isEnabled   - Fast polling on or off.
+ */
+TheftDetector.prototype._setFastPolling = function (sn, isEnabled) {
+  var poller = null === this._fleet ? null : this._fleet.get(sn);
+
+  if (null === poller) {
+    return;
+  }
+
+  poller.setOverrides(
+    isEnabled
+      ? { position: this._fastInterval, motor: this._fastInterval }
+      : null
+  );
+};
+
+/**
+ * Raise an alarm or keep an active alarm alive.
+ *
+ * @private
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {Object}  state   - State of the vehicle.
+ * @param {Object}  details - Alarm details: {reason, distance} or {reason, speed}.
+ * @param {number}  now     - Current time in unix timestamp epoch format (13 digits).
+ */
+TheftDetector.prototype._raise = function (sn, state, details, now) {
+  if (null !== state.alarm) {
+    state.alarm.lastMovement = now;
+    return;
+  }
+
+  state.alarm = {
+    lastMovement: now,
+    event: this._emitEvent(
+      sn,
+      state,
+      Object.assign(
+        {
+          type: "alarm",
+          priority: "high",
+          time: new Date(now).toISOString(),
+        },
+        details
+      )
+    ),
+  };
+
+  this._setFastPolling(sn, true);
+};
+
+/**
+ * Clear an active alarm.
+ *
+ * @private
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {Object}  state   - State of the vehicle.
+ * @param {string}  reason  - "unlocked" or "timeout".
+ * @param {number}  now     - Current time in unix timestamp epoch format (13 digits).
+ */
+TheftDetector.prototype._clear = function (sn, state, reason, now) {
+  if (null === state.alarm) {
+    return;
+  }
+
+  state.alarm = null;
+
+  this._emitEvent(sn, state, {
+    type: "clear",
+    reason: reason,
+    priority: "normal",
+    time: new Date(now).toISOString(),
+  });
+
+  this._setFastPolling(sn, false);
+};
+
+/**
+ * Check a position of a parked vehicle against its parking position.
+ *
+ * @private
+ *
+ * @param {string}  sn          - Vehicle serial number.
+ * @param {Object}  state       - State of the vehicle.
+ * @param {Object}  position    - Position: {latitude, longitude, precision}, precision is the dilution of precision.
+ * @param {number}  now         - Current time in unix timestamp epoch format (13 digits).
+ */
+TheftDetector.prototype._checkPosition = function (sn, state, position, now) {
+  var distance = 0;
+  var noise = 0;
+
+  if (!geo.isCoordinate(position)) {
+    return;
+  }
+
+  state.position = position;
+
+  if (false === state.isParked) {
+    return;
+  }
+
+  if (null === state.anchor) {
+    state.anchor = position;
+    return;
+  }
+
+  distance = geo.getDistance(state.anchor, position);
+  noise =
+    this._minDistance + UERE * (state.anchor.precision + position.precision);
+
+  if (distance > noise) {
+    /* Follow the vehicle, further movement keeps the alarm alive. */
+    state.anchor = position;
+
+    this._raise(
+      sn,
+      state,
+      { reason: "moved", distance: Math.round(distance) },
+      now
+    );
+  }
+};
+
+/**
+ * Check the received data of a refreshed data source.
+ *
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {string}  name    - Data source name.
+ * @param {Object}  result  - Received data.
+ * @param {number}  [now]   - Current time in unix timestamp epoch format (13 digits), default is now.
+ */
+TheftDetector.prototype.recordUpdate = function (sn, name, result, now) {
+  var state = null;
+  var speed = NaN;
+
+  if (("motor" !== name && "position" !== name) || "object" !== typeof result) {
+    return;
+  }
+
+  if ("number" !== typeof now) {
+    now = Date.now();
+  }
+
+  state = this._getState(sn);
+
+  if ("motor" === name) {
+    state.isParked =
+      this._lockedStatus === Number(result.lockStatus) &&
+      0 === Number(result.isAccOn);
+
+    if (false === state.isParked) {
+      state.anchor = null;
+      this._clear(sn, state, "unlocked", now);
+      return;
+    }
+
+    speed = Number(result.nowSpeed);
+
+    if (speed > this._speedThreshold) {
+      this._raise(sn, state, { reason: "speed", speed: speed }, now);
+    }
+
+    if ("object" === typeof result.postion && null !== result.postion) {
+      this._checkPosition(
+        sn,
+        state,
+        {
+          latitude: result.postion.lat,
+          longitude: result.postion.lng,
+          precision: Number(result.hdop) || 0,
+        },
+        now
+      );
+    }
+  } else {
+    this._checkPosition(
+      sn,
+      state,
+      {
+        latitude: result.lat,
+        longitude: result.lng,
+        precision: Number(result.gpsPrecision) || 0,
+      },
+      now
+    );
+  }
+
+  if (
+    null !== state.alarm &&
+    now - state.alarm.lastMovement > this._alarmTimeout * 1000
+  ) {
+    this._clear(sn, state, "timeout", now);
+  }
+};
+
+/**
+ * Watch every vehicle in the fleet.
+ *
+ * @param {Fleet} fleet - Vehicles.
+ */
+TheftDetector.prototype.attach = function (fleet) {
+  var _this = this;
+
+  this._fleet = fleet;
+
+  fleet.on("update", function (sn, name, result) {
+    _this.recordUpdate(sn, name, result);
+  });
+};
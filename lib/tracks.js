@@ -0,0 +1,294 @@
+/*
+ * Recorded tracks (rides) of a vehicle.
+ */
+
+/**
+ * Track helpers
+ * @namespace
+ */
+var tracks = {};
+
+module.exports = tracks;
+
+/**
+ * Number of tracks requested from the NIU cloud at once.
+ */
+tracks.UPSTREAM_PAGE_SIZE = 20;
+
+/**
+ * Number of tracks per page, served by the API.
+ */
+tracks.PAGE_SIZE = 20;
+
+/**
+ * Maximum number of pages requested from the NIU cloud to find a track.
+ * Older tracks are not found, so an unknown track id can't walk through the
+ * whole track history.
+ */
+tracks.MAX_FIND_PAGES = 10;
+
+/**
+ * Maximum number of pages requested from the NIU cloud to list tracks.
+ * Older tracks are not listed, so a time range far in the past can't walk
+ * through the whole track history.
+ */
+tracks.MAX_LIST_PAGES = 50;
+
+/**
+ * Get the summary of a track, as served by the API.
+ *
+ * @param {Object} track - Track, as received by getTracks().
+ *
+ * @returns {Object} Track summary.
+ */
+tracks.toSummary = function (track) {
+  return {
+    id: track.trackId,
+    date: tracks.getDate(track),
+    start_time: new Date(track.startTime).toString(),
+    end_time: new Date(track.endTime).toString(),
+    distance: track.distance / 1000,
+    average_speed: track.avespeed,
+    riding_time: track.ridingtime / 60,
+  };
+};
+
+/**
+ * Get the date of a track in the yyyymmdd format, which is required to
+ * request the track details. Without date the UTC date of the start time is
+ * used, independent of the time zone of the host.
+ *
+ * @param {Object} track - Track, as received by getTracks().
+ *
+ * @returns {string} Track date.
+ */
+tracks.getDate = function (track) {
+  var startTime = null;
+
+  if ("string" === typeof track.date && 8 === track.date.length) {
+    return track.date;
+  }
+
+  startTime = new Date(track.startTime);
+
+  return (
+    "" +
+    startTime.getUTCFullYear() +
+    String(startTime.getUTCMonth() + 1).padStart(2, "0") +
+    String(startTime.getUTCDate()).padStart(2, "0")
+  );
+};
+
+/**
+ * Get the track points in chronological order.
+ * The NIU cloud delivers them newest first.
+ *
+ * @param {Object} detail - Track detail, as received by getTrackDetail().
+ *
+ * @returns {Object[]} Track points: {lat, lng, date}.
+ */
+tracks.getPoints = function (detail) {
+  if (!Array.isArray(detail.trackItems)) {
+    return [];
+  }
+
+  return detail.trackItems.slice().sort(function (a, b) {
+    return a.date - b.date;
+  });
+};
+
+/**
+ * Walk through the tracks of a vehicle, newest first.
+ * The walk stops if the visitor returns false, no more tracks are available
+ * or the maximum number of pages was requested.
+ *
+ * @private
+ *
+ * @param {Object}    client      - NIU cloud connector client.
+ * @param {string}    sn          - Vehicle serial number.
+ * @param {Function}  visitor     - Called for every track: visitor(track), returns false to stop.
+ * @param {number}    [maxPages]  - Maximum number of requested pages, default is no limit.
+ *
+ * @returns {Promise} Resolved after the walk stopped, with true if it stopped at the maximum number of pages.
+ */
+var walk = function (client, sn, visitor, maxPages) {
+  var pageCount = 0;
+  var fetchPage = function (index) {
+    ++pageCount;
+
+    return client
+      .getTracks({
+        sn: sn,
+        index: index,
+        pageSize: tracks.UPSTREAM_PAGE_SIZE,
+        raw: true,
+      })
+      .then(function (result) {
+        var items = Array.isArray(result.result.items)
+          ? result.result.items
+          : [];
+        var itemIndex = 0;
+
+        for (itemIndex = 0; itemIndex < items.length; ++itemIndex) {
+          if (false === visitor(items[itemIndex])) {
+            return false;
+          }
+        }
+
+        if (tracks.UPSTREAM_PAGE_SIZE > items.length) {
+          return false;
+        }
+
+        if (pageCount === maxPages) {
+          return true;
+        }
+
+        return fetchPage(index + items.length);
+      });
+  };
+
+  return fetchPage(0);
+};
+
+/**
+ * Get a page of tracks, which started in the given time range, within the
+ * newest tracks.MAX_LIST_PAGES pages of tracks.
+ *
+ * @param {Object}  client              - NIU cloud connector client.
+ * @param {string}  sn                  - Vehicle serial number.
+ * @param {Object}  [options]           - Options.
+ * @param {number}  [options.from]      - Earliest start time in unix timestamp epoch format (13 digits), inclusive.
+ * @param {number}  [options.to]        - Latest start time in unix timestamp epoch format (13 digits), exclusive.
+ * @param {number}  [options.page]      - Page number, starting with 1.
+ * @param {number}  [options.pageSize]  - Number of tracks per page.
+ *
+ * @returns {Promise} Page: {items, hasMore, isTruncated}, items are received by getTracks(), isTruncated is true if older tracks weren't requested.
+ */
+tracks.list = function (client, sn, options) {
+  var from = null;
+  var to = null;
+  var page = 1;
+  var pageSize = tracks.PAGE_SIZE;
+  var first = 0;
+  var matches = [];
+
+  options = options || {};
+
+  if ("number" === typeof options.from) {
+    from = options.from;
+  }
+
+  if ("number" === typeof options.to) {
+    to = options.to;
+  }
+
+  if ("number" === typeof options.page) {
+    page = options.page;
+  }
+
+  if ("number" === typeof options.pageSize) {
+    pageSize = options.pageSize;
+  }
+
+  first = (page - 1) * pageSize;
+
+  return walk(
+    client,
+    sn,
+    function (track) {
+      if (null !== to && track.startTime >= to) {
+        return true;
+      }
+
+      if (null !== from && track.startTime < from) {
+        return false;
+      }
+
+      matches.push(track);
+
+      /* One more than the page, to know whether more tracks are available. */
+      return matches.length <= first + pageSize;
+    },
+    tracks.MAX_LIST_PAGES
+  ).then(function (isTruncated) {
+    return {
+      items: matches.slice(first, first + pageSize),
+      hasMore: matches.length > first + pageSize,
+      isTruncated: isTruncated,
+    };
+  });
+};
+
+/**
+ * Find a track by its identification number, within the newest
+ * tracks.MAX_FIND_PAGES pages of tracks.
+ *
+ * @param {Object}  client  - NIU cloud connector client.
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {string}  trackId - Track identification number.
+ *
+ * @returns {Promise} Track, as received by getTracks() or null if not found.
+ */
+tracks.find = function (client, sn, trackId) {
+  var found = null;
+
+  return walk(
+    client,
+    sn,
+    function (track) {
+      if (trackId === track.trackId) {
+        found = track;
+        return false;
+      }
+
+      return true;
+    },
+    tracks.MAX_FIND_PAGES
+  ).then(function () {
+    return found;
+  });
+};
+
+/**
+ * Get the details of a track. The track date is derived from the track summary.
+ *
+ * @param {Object}  client  - NIU cloud connector client.
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {Object}  track   - Track, as received by getTracks().
+ *
+ * @returns {Promise} {track, detail}, detail is received by getTrackDetail().
+ */
+tracks.fetchDetail = function (client, sn, track) {
+  return client
+    .getTrackDetail({
+      sn: sn,
+      trackId: track.trackId,
+      trackDate: tracks.getDate(track),
+      raw: true,
+    })
+    .then(function (result) {
+      return {
+        track: track,
+        detail: result.result,
+      };
+    });
+};
+
+/**
+ * Get a track together with its details.
+ *
+ * @param {Object}  client  - NIU cloud connector client.
+ * @param {string}  sn      - Vehicle serial number.
+ * @param {string}  trackId - Track identification number.
+ *
+ * @returns {Promise} {track, detail} or null if not found.
+ */
+tracks.getDetail = function (client, sn, trackId) {
+  return tracks.find(client, sn, trackId).then(function (track) {
+    if (null === track) {
+      return null;
+    }
+
+    return tracks.fetchDetail(client, sn, track);
+  });
+};
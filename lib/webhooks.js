@@ -0,0 +1,238 @@
+/*
+ * Signed JSON webhooks with retries and a delivery log.
+ */
+
+var crypto = require("crypto");
+var got = require("got");
+
+/**
+ * @typedef {Object} Webhook
+ * @property {string}   url         - URL, which receives the POST requests.
+ * @property {string}   [secret]    - Secret of the HMAC-SHA256 signature in the "X-Niu-Signature" header.
+ */
+
+/**
+ * @typedef {Object} Delivery
+ * @property {string}   id          - Delivery identification, sent in the "X-Niu-Delivery" header.
+ * @property {Object}   payload     - Sent JSON payload.
+ * @property {string}   url         - Webhook URL.
+ * @property {string}   status      - "pending", "delivered" or "failed".
+ * @property {number}   attempts    - Number of attempts.
+ * @property {number}   [status_code] - HTTP status code of the last attempt.
+ * @property {string}   [error]     - Error of the last attempt.
+ * @property {string}   created     - ISO-8601 date and time of the first attempt.
+ * @property {string}   updated     - ISO-8601 date and time of the last attempt.
+ */
+
+/**
+ * Sign a request body.
+ *
+ * @param {string} secret  - Webhook secret.
+ * @param {string} body    - Request body.
+ *
+ * @returns {string} Signature: "sha256=<hex digest>".
+ */
+var sign = function (secret, body) {
+  return (
+    "sha256=" +
+    crypto.createHmac("sha256", secret).update(body, "utf8").digest("hex")
+  );
+};
+
+/**
+ * Posts JSON payloads to every webhook. A failed delivery is retried with
+ * exponential backoff.
+ *
+ * @class
+ *
+ * @param {Object}      [options]               - Options.
+ * @param {Webhook[]}   [options.webhooks]      - Webhooks.
+ * @param {number}      [options.retries]       - Number of retries after a failed attempt. Default is 3.
+ * @param {number}      [options.retryDelay]    - Delay before the first retry in seconds, doubled per retry. Default is 5.
+ * @param {number}      [options.timeout]       - Request timeout in ms. Default is 10000.
+ * @param {number}      [options.logSize]       - Number of kept deliveries. Default is 500.
+ */
+var WebhookDispatcher = function (options) {
+  options = options || {};
+
+  /** Webhooks */
+  this._webhooks = options.webhooks || [];
+
+  /** Number of retries */
+  this._retries = "number" === typeof options.retries ? options.retries : 3;
+
+  /** Delay before the first retry in seconds */
+  this._retryDelay =
+    "number" === typeof options.retryDelay ? options.retryDelay : 5;
+
+  /** Request timeout in ms */
+  this._timeout = "number" === typeof options.timeout ? options.timeout : 10000;
+
+  /** Number of kept deliveries */
+  this._logSize = "number" === typeof options.logSize ? options.logSize : 500;
+
+  /** Deliveries, newest first */
+  this._deliveries = [];
+
+  /** Pending retries: {delivery, resolve, timer} */
+  this._pending = [];
+
+  /** Number of deliveries, used for the delivery identification */
+  this._count = 0;
+};
+
+module.exports = WebhookDispatcher;
+
+/**
+ * Sign a request body, e.g. to verify a received webhook.
+ */
+WebhookDispatcher.sign = sign;
+
+/**
+ * Deliver a payload to every webhook.
+ *
+ * @param {Object} payload - JSON payload.
+ *
+ * @returns {Promise} Resolved with the deliveries after they were delivered or finally failed.
+ */
+WebhookDispatcher.prototype.deliver = function (payload) {
+  var _this = this;
+  var now = new Date().toISOString();
+
+  return Promise.all(
+    this._webhooks.map(function (webhook) {
+      var delivery = {
+        id: Date.now().toString(36) + "-" + (++_this._count).toString(36),
+        payload: payload,
+        url: webhook.url,
+        status: "pending",
+        attempts: 0,
+        created: now,
+        updated: now,
+      };
+
+      _this._deliveries.unshift(delivery);
+      _this._deliveries.splice(_this._logSize);
+
+      return _this._attempt(webhook, delivery);
+    })
+  );
+};
+
+/**
+ * Attempt a delivery and schedule a retry if it fails.
+ *
+ * @private
+ *
+ * @param {Webhook}     webhook     - Webhook.
+ * @param {Delivery}    delivery    - Delivery.
+ *
+ * @returns {Promise} Resolved with the delivery after it was delivered or finally failed.
+ */
+WebhookDispatcher.prototype._attempt = function (webhook, delivery) {
+  var _this = this;
+  var body = JSON.stringify(delivery.payload);
+  var headers = {
+    "content-type": "application/json",
+    "x-niu-delivery": delivery.id,
+  };
+
+  if ("string" === typeof webhook.secret) {
+    headers["x-niu-signature"] = sign(webhook.secret, body);
+  }
+
+  ++delivery.attempts;
+
+  return got
+    .post(webhook.url, {
+      body: body,
+      headers: headers,
+      timeout: this._timeout,
+      retry: 0,
+    })
+    .then(
+      function (response) {
+        delivery.status = "delivered";
+        delivery.status_code = response.statusCode;
+        delete delivery.error;
+        delivery.updated = new Date().toISOString();
+
+        return delivery;
+      },
+      function (error) {
+        delivery.error = error.message;
+        delivery.updated = new Date().toISOString();
+
+        if ("object" === typeof error.response) {
+          delivery.status_code = error.response.statusCode;
+        }
+
+        if (delivery.attempts > _this._retries) {
+          delivery.status = "failed";
+          return delivery;
+        }
+
+        return new Promise(function (resolve) {
+          var retry = {
+            delivery: delivery,
+            resolve: resolve,
+            timer: null,
+          };
+
+          retry.timer = setTimeout(function () {
+            _this._pending.splice(_this._pending.indexOf(retry), 1);
+            resolve(_this._attempt(webhook, delivery));
+          }, _this._retryDelay * 1000 * Math.pow(2, delivery.attempts - 1));
+
+          _this._pending.push(retry);
+        });
+      }
+    );
+};
+
+/**
+ * Get the deliveries, newest first.
+ *
+ * @param {Object}  [options]           - Options.
+ * @param {string}  [options.status]    - Only deliveries with this status.
+ * @param {string}  [options.sn]        - Only deliveries of alerts of this vehicle.
+ * @param {string}  [options.rule]      - Only deliveries of alerts of this rule.
+ * @param {number}  [options.limit]     - Maximum number of deliveries.
+ *
+ * @returns {Delivery[]} Deliveries.
+ */
+WebhookDispatcher.prototype.getDeliveries = function (options) {
+  var deliveries = null;
+
+  options = options || {};
+
+  deliveries = this._deliveries.filter(function (delivery) {
+    return (
+      ("string" !== typeof options.status ||
+        options.status === delivery.status) &&
+      ("string" !== typeof options.sn || options.sn === delivery.payload.sn) &&
+      ("string" !== typeof options.rule ||
+        options.rule === delivery.payload.rule)
+    );
+  });
+
+  if ("number" === typeof options.limit) {
+    deliveries = deliveries.slice(0, options.limit);
+  }
+
+  return deliveries;
+};
+
+/**
+ * Cancel all pending retries. Their deliveries fail.
+ */
+WebhookDispatcher.prototype.stop = function () {
+  this._pending.forEach(function (retry) {
+    clearTimeout(retry.timer);
+    retry.delivery.status = "failed";
+    retry.delivery.error = "Cancelled.";
+    retry.resolve(retry.delivery);
+  });
+
+  this._pending = [];
+};
@@ -0,0 +1,409 @@
+/*
+ * Local stand-in for the NIU cloud, which serves recorded fixtures.
+ *
+ * Run it standalone with "npm run mock", it serves the login and the app API
+ * on the same base URL.
+ */
+
+var express = require("express");
+var fs = require("fs");
+var path = require("path");
+
+/** Directory with the recorded responses */
+var FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+/** NIU response status of an invalid session token */
+var STATUS_TOKEN_INVALID = 1131;
+
+/** Number of battery chart items per page, selected by the page size */
+var CHART_PAGE_SIZES = {
+  A: 10,
+  B: 20,
+};
+
+/**
+ * Load a fixture. Every call returns a new copy, which can be modified.
+ *
+ * @private
+ *
+ * @param {string} name - Fixture name, without file extension.
+ *
+ * @returns {Object} Recorded response body.
+ */
+var loadFixture = function (name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(FIXTURES_DIR, name + ".json"), "utf8")
+  );
+};
+
+/**
+ * Get the request path without trailing slash.
+ *
+ * @private
+ *
+ * @param {Object} req - Express request.
+ *
+ * @returns {string} Request path.
+ */
+var getPath = function (req) {
+  return 1 < req.path.length ? req.path.replace(/\/$/, "") : req.path;
+};
+
+/**
+ * Fake NIU cloud server.
+ *
+ * @class
+ *
+ * @param {Object}  [options]               - Options.
+ * @param {string}  [options.account]       - Account, which is accepted for login.
+ * @param {string}  [options.password]      - Password, which is accepted for login.
+ * @param {string}  [options.countryCode]   - Country code, which is accepted for login.
+ */
+var MockServer = function (options) {
+  options = options || {};
+
+  /** Login data, which is accepted */
+  this.credentials = {
+    account: options.account || "rider@example.com",
+    password: options.password || "secret",
+    countryCode: options.countryCode || "351",
+  };
+
+  /** Currently valid session token */
+  this.token = "";
+
+  /** Number of successful logins */
+  this.loginCount = 0;
+
+  /** All received requests: {method, path, query, body, headers} */
+  this.requests = [];
+
+  /** Overwritten responses per path */
+  this._overrides = {};
+
+  /** HTTP server, while listening */
+  this._server = null;
+
+  /** Express app */
+  this.app = this._createApp();
+};
+
+module.exports = MockServer;
+
+/**
+ * Start listening.
+ *
+ * @param {number} [port] - TCP port, default is a random free port.
+ *
+ * @returns {Promise} Base URL of the server.
+ */
+MockServer.prototype.listen = function (port) {
+  var _this = this;
+
+  return new Promise(function (resolve, reject) {
+    _this._server = _this.app.listen(port || 0, "127.0.0.1", function () {
+      resolve(_this.getBaseUrl());
+    });
+
+    _this._server.on("error", reject);
+  });
+};
+
+/**
+ * Stop listening.
+ *
+ * @returns {Promise} Nothing.
+ */
+MockServer.prototype.close = function () {
+  var _this = this;
+
+  if (null === this._server) {
+    return Promise.resolve();
+  }
+
+  return new Promise(function (resolve) {
+    _this._server.close(function () {
+      _this._server = null;
+      resolve();
+    });
+  });
+};
+
+/**
+ * Get the base URL, which is used for login and the app API.
+ *
+ * @returns {string} Base URL.
+ */
+MockServer.prototype.getBaseUrl = function () {
+  return "http://127.0.0.1:" + this._server.address().port;
+};
+
+/**
+ * Invalidate the current session token, like the NIU cloud does after a while.
+ */
+MockServer.prototype.expireToken = function () {
+  this.token = "";
+};
+
+/**
+ * Overwrite the response of a path.
+ *
+ * @param {string}  path                    - Request path without query and trailing slash, e.g. "/motoinfo/list".
+ * @param {Object}  response                - Response.
+ * @param {number}  [response.httpStatus]   - HTTP status code, default is 200.
+ * @param {number}  [response.status]       - NIU response status number.
+ * @param {string}  [response.desc]         - NIU response status description.
+ * @param {string}  [response.message]      - NIU response message.
+ * @param {*}       [response.trace]        - NIU response trace.
+ * @param {*}       [response.data]         - Response data, default is the recorded one.
+ * @param {number}  [response.times]        - Number of responses, default is 1. Use Infinity to keep it.
+ * @param {number}  [response.delay]        - Delay in ms before responding, e.g. to provoke a timeout.
+ */
+MockServer.prototype.respondWith = function (path, response) {
+  this._overrides[path] = Object.assign({ times: 1 }, response);
+};
+
+/**
+ * Remove all overwritten responses and forget the received requests.
+ */
+MockServer.prototype.reset = function () {
+  this._overrides = {};
+  this.requests = [];
+};
+
+/**
+ * Get the received requests of a path.
+ *
+ * @param {string} path - Request path without query.
+ *
+ * @returns {Object[]} Requests.
+ */
+MockServer.prototype.getRequests = function (path) {
+  return this.requests.filter(function (request) {
+    return path === request.path;
+  });
+};
+
+/**
+ * Send a response, considering an overwritten one.
+ *
+ * @private
+ *
+ * @param {Object} req  - Express request.
+ * @param {Object} res  - Express response.
+ * @param {Object} body - Regular response body.
+ */
+MockServer.prototype._send = function (req, res, body) {
+  var reqPath = getPath(req);
+  var override = this._overrides[reqPath];
+  var httpStatus = 200;
+  var delay = 0;
+
+  if ("object" === typeof override) {
+    --override.times;
+
+    if (0 >= override.times) {
+      delete this._overrides[reqPath];
+    }
+
+    ["status", "desc", "message", "trace", "data"].forEach(function (key) {
+      if (override.hasOwnProperty(key)) {
+        body[key] = override[key];
+      }
+    });
+
+    if ("number" === typeof override.httpStatus) {
+      httpStatus = override.httpStatus;
+    }
+
+    if ("number" === typeof override.delay) {
+      delay = override.delay;
+    }
+  }
+
+  if (0 === delay) {
+    res.status(httpStatus).json(body);
+    return;
+  }
+
+  setTimeout(function () {
+    if (!res.socket.destroyed) {
+      res.status(httpStatus).json(body);
+    }
+  }, delay);
+};
+
+/**
+ * Send a response, if the session token of the request is valid.
+ *
+ * @private
+ *
+ * @param {Object} req  - Express request.
+ * @param {Object} res  - Express response.
+ * @param {Object} body - Regular response body.
+ */
+MockServer.prototype._sendAuthorized = function (req, res, body) {
+  if (0 === this.token.length || this.token !== req.get("token")) {
+    res.json({
+      status: STATUS_TOKEN_INVALID,
+      desc: "token invalid",
+      trace: "token invalid",
+    });
+    return;
+  }
+
+  this._send(req, res, body);
+};
+
+/**
+ * Create the express app.
+ *
+ * @private
+ *
+ * @returns {Object} Express app.
+ */
+MockServer.prototype._createApp = function () {
+  var _this = this;
+  var app = express();
+
+  app.use(express.json());
+
+  app.use(function (req, res, next) {
+    _this.requests.push({
+      method: req.method,
+      path: getPath(req),
+      query: req.query,
+      body: req.body,
+      headers: req.headers,
+    });
+    next();
+  });
+
+  app.post("/appv2/login", function (req, res) {
+    var body = loadFixture("login");
+
+    if (
+      _this.credentials.account !== req.body.account ||
+      _this.credentials.password !== req.body.password ||
+      _this.credentials.countryCode !== req.body.countryCode
+    ) {
+      _this._send(req, res, {
+        status: 1,
+        desc: "Account or password error",
+        trace: "Account or password error",
+      });
+      return;
+    }
+
+    ++_this.loginCount;
+    _this.token = "mock-token-" + _this.loginCount;
+
+    body.data.token = _this.token;
+    body.data.refresh_token = "mock-refresh-" + _this.loginCount;
+
+    _this._send(req, res, body);
+  });
+
+  app.post("/motoinfo/list", function (req, res) {
+    _this._sendAuthorized(req, res, loadFixture("motoinfo-list"));
+  });
+
+  app.post("/motoinfo/currentpos", function (req, res) {
+    _this._sendAuthorized(req, res, loadFixture("currentpos"));
+  });
+
+  app.post("/motoinfo/overallTally", function (req, res) {
+    _this._sendAuthorized(req, res, loadFixture("overallTally"));
+  });
+
+  app.get("/v3/motor_data/battery_info", function (req, res) {
+    _this._sendAuthorized(req, res, loadFixture("battery_info"));
+  });
+
+  app.get("/v3/motor_data/battery_info/health", function (req, res) {
+    _this._sendAuthorized(req, res, loadFixture("battery_health"));
+  });
+
+  app.get("/v3/motor_data/battery_chart", function (req, res) {
+    var fixture = loadFixture("battery_chart");
+    var series = fixture.series[req.query.bmsId] || [];
+    var size = CHART_PAGE_SIZES[req.query.page_size] || CHART_PAGE_SIZES.A;
+    var start = (Number(req.query.page) - 1) * size;
+    var body = {
+      data: {
+        items1: series.slice(start, start + size),
+        isDoubleBattery: 1 < Object.keys(fixture.series).length,
+      },
+      desc: fixture.desc,
+      trace: fixture.trace,
+      status: fixture.status,
+    };
+
+    if ("2" === req.query.pageLength) {
+      body.data.items2 = series.slice(start + size, start + 2 * size);
+    }
+
+    _this._sendAuthorized(req, res, body);
+  });
+
+  app.get("/v3/motor_data/index_info", function (req, res) {
+    _this._sendAuthorized(req, res, loadFixture("index_info"));
+  });
+
+  app.post("/v5/track/list/v2", function (req, res) {
+    var body = loadFixture("track-list");
+    var index = Number(req.body.index);
+    var pageSize = Number(req.body.pagesize);
+
+    body.data.items = body.data.items.slice(index, index + pageSize);
+
+    _this._sendAuthorized(req, res, body);
+  });
+
+  app.post("/v5/track/detail", function (req, res) {
+    var fixture = loadFixture("track-detail");
+    var detail = fixture.tracks[req.body.trackId];
+    var body = {
+      data: detail,
+      desc: fixture.desc,
+      trace: fixture.trace,
+      status: fixture.status,
+    };
+
+    if ("object" !== typeof detail) {
+      body = {
+        status: 1,
+        desc: "Track not found",
+        trace: "Track not found",
+      };
+    }
+
+    _this._sendAuthorized(req, res, body);
+  });
+
+  app.post("/motorota/getfirmwareversion", function (req, res) {
+    _this._sendAuthorized(req, res, loadFixture("firmwareversion"));
+  });
+
+  app.post("/motorota/getupdateinfo", function (req, res) {
+    _this._sendAuthorized(req, res, loadFixture("updateinfo"));
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  var server = new MockServer();
+
+  server.listen(Number(process.env.PORT) || 3001).then(function (baseUrl) {
+    console.log("\tMock NIU cloud listening on " + baseUrl);
+    console.log(
+      "\tLogin: " +
+        server.credentials.account +
+        " / " +
+        server.credentials.password +
+        " / " +
+        server.credentials.countryCode
+    );
+  });
+}
@@ -0,0 +1,662 @@
+/*
+ * Normalized response models of the NIU cloud connector.
+ *
+ * The NIU cloud mixes numbers and numeric strings, units and spellings.
+ * The models use numbers, ISO-8601 timestamps, camel case field names and
+ * the following units:
+ * - Distances in m.
+ * - Durations in s.
+ * - Speeds in km/h.
+ * - State of charge and battery grade in %.
+ * - Temperatures in °C.
+ * Battery compartments are an array, compartment A first. A value, which is
+ * missing in the payload, is null.
+ */
+
+/**
+ * Response models
+ * @namespace
+ */
+var models = {};
+
+module.exports = models;
+
+/** Battery compartments, as named in the NIU payloads */
+var COMPARTMENTS = [
+  { id: "A", key: "compartmentA", chartKey: "items1" },
+  { id: "B", key: "compartmentB", chartKey: "items2" },
+];
+
+/**
+ * Get a number from a received value.
+ *
+ * @private
+ *
+ * @param {*} value - Received value, e.g. a number or numeric string.
+ *
+ * @returns {number|null} Number or null if not numeric.
+ */
+var toNumber = function (value) {
+  var number = NaN;
+
+  if ("number" !== typeof value && "string" !== typeof value) {
+    return null;
+  }
+
+  if ("string" === typeof value && 0 === value.trim().length) {
+    return null;
+  }
+
+  number = Number(value);
+
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Get a boolean from a received value, e.g. 0, 1, "0", "1" or a boolean.
+ *
+ * @private
+ *
+ * @param {*} value - Received value.
+ *
+ * @returns {boolean|null} Boolean or null if unknown.
+ */
+var toBoolean = function (value) {
+  var number = null;
+
+  if ("boolean" === typeof value) {
+    return value;
+  }
+
+  number = toNumber(value);
+
+  return null === number ? null : 0 !== number;
+};
+
+/**
+ * Get an ISO-8601 date and time from a unix timestamp.
+ *
+ * @private
+ *
+ * @param {*} value - Unix timestamp epoch format (13 digits), number or numeric string.
+ *
+ * @returns {string|null} Date and time or null if missing.
+ */
+var toTime = function (value) {
+  var timestamp = toNumber(value);
+
+  if (null === timestamp || 0 >= timestamp) {
+    return null;
+  }
+
+  return new Date(timestamp).toISOString();
+};
+
+/**
+ * Get a distance in m from km.
+ *
+ * @private
+ *
+ * @param {*} value - Distance in km, number or numeric string.
+ *
+ * @returns {number|null} Distance in m, rounded to 1 m.
+ */
+var kmToMeters = function (value) {
+  var km = toNumber(value);
+
+  return null === km ? null : Math.round(km * 1000);
+};
+
+/**
+ * Get a coordinate from a received point.
+ *
+ * @private
+ *
+ * @param {Object} point - Point with lat and lng, numbers or numeric strings.
+ *
+ * @returns {Coordinate|null} Coordinate or null if missing.
+ */
+var toCoordinate = function (point) {
+  var latitude = null;
+  var longitude = null;
+
+  if ("object" !== typeof point || null === point) {
+    return null;
+  }
+
+  latitude = toNumber(point.lat);
+  longitude = toNumber(point.lng);
+
+  if (null === latitude || null === longitude) {
+    return null;
+  }
+
+  return { latitude: latitude, longitude: longitude };
+};
+
+/**
+ * Get a text from a received value.
+ *
+ * @private
+ *
+ * @param {*} value - Received value.
+ *
+ * @returns {string|null} Text or null if missing or empty.
+ */
+var toText = function (value) {
+  return "string" === typeof value && 0 < value.length ? value : null;
+};
+
+/**
+ * Map the received battery compartments to an array.
+ *
+ * @private
+ *
+ * @param {Object}      batteries   - Batteries with compartmentA and compartmentB.
+ * @param {Function}    map         - Maps a compartment: map(compartment), returns the model fields.
+ *
+ * @returns {Object[]} Compartments with id and the model fields, compartment A first.
+ */
+var toCompartments = function (batteries, map) {
+  if ("object" !== typeof batteries || null === batteries) {
+    return [];
+  }
+
+  return COMPARTMENTS.filter(function (compartment) {
+    return (
+      "object" === typeof batteries[compartment.key] &&
+      null !== batteries[compartment.key]
+    );
+  }).map(function (compartment) {
+    return Object.assign(
+      { id: compartment.id },
+      map(batteries[compartment.key])
+    );
+  });
+};
+
+/**
+ * Get the riding time of a track in s. The NIU cloud delivers it in s or in
+ * min, whichever is closer to the time between start and end is taken.
+ *
+ * @private
+ *
+ * @param {*} ridingTime    - Riding time in s or min.
+ * @param {*} startTime     - Start time in unix timestamp epoch format (13 digits).
+ * @param {*} endTime       - End time in unix timestamp epoch format (13 digits).
+ *
+ * @returns {number|null} Riding time in s.
+ */
+var toDuration = function (ridingTime, startTime, endTime) {
+  var value = toNumber(ridingTime);
+  var start = toNumber(startTime);
+  var end = toNumber(endTime);
+  var elapsed = 0;
+
+  if (null === value) {
+    return null;
+  }
+
+  if (null !== start && null !== end && end > start) {
+    elapsed = (end - start) / 1000;
+
+    if (Math.abs(value * 60 - elapsed) < Math.abs(value - elapsed)) {
+      return value * 60;
+    }
+  }
+
+  return value;
+};
+
+/**
+ * @typedef {Object} Coordinate
+ * @property {number} latitude  - Latitude in decimal degree (WGS 84).
+ * @property {number} longitude - Longitude in decimal degree (WGS 84).
+ */
+
+/**
+ * @typedef {Object} VehicleModel
+ * @property {string}       sn              - Vehicle serial number.
+ * @property {string|null}  name            - Vehicle name, given by the user.
+ * @property {string|null}  model           - Vehicle model, e.g. "NGT Black with Red Stripes".
+ * @property {string|null}  frameNumber     - Vehicle identification number (VIN).
+ * @property {string|null}  engineNumber    - Engine identification number.
+ * @property {boolean|null} isMaster        - Account is the vehicle owner.
+ * @property {boolean|null} isDoubleBattery - Vehicle has two battery compartments.
+ * @property {string|null}  boundAt         - Time, when the vehicle was bound to the account.
+ * @property {string|null}  gpsTime         - Time of the last GPS update.
+ * @property {string|null}  infoTime        - Time of the last info update.
+ * @property {string|null}  imageUrl        - URL to the vehicle image.
+ * @property {Object[]}     features        - Features: {name, isSupported, status}.
+ */
+
+/**
+ * Normalize the vehicle list.
+ *
+ * @param {Object[]} data - Payload of getVehicles().
+ *
+ * @returns {VehicleModel[]} Vehicles.
+ */
+models.vehicles = function (data) {
+  return (Array.isArray(data) ? data : []).map(function (vehicle) {
+    return {
+      sn: vehicle.sn,
+      name: toText(vehicle.name),
+      model:
+        "string" === typeof vehicle.type
+          ? vehicle.type.replace(/\s+/g, " ").trim()
+          : null,
+      frameNumber: toText(vehicle.frameNo),
+      engineNumber: toText(vehicle.engineNo),
+      isMaster: toBoolean(vehicle.isMaster),
+      isDoubleBattery: toBoolean(vehicle.isDoubleBattery),
+      boundAt: toTime(vehicle.bindDate),
+      gpsTime: toTime(vehicle.gpsTimestamp),
+      infoTime: toTime(vehicle.infoTimestamp),
+      imageUrl: toText(vehicle.scootorImg),
+      features: (Array.isArray(vehicle.features) ? vehicle.features : []).map(
+        function (feature) {
+          return {
+            name: feature.featureName,
+            isSupported: toBoolean(feature.isSupport),
+            status: toNumber(feature.switch_status),
+          };
+        }
+      ),
+    };
+  });
+};
+
+/**
+ * @typedef {Object} PositionModel
+ * @property {number|null} latitude     - Latitude in decimal degree (WGS 84).
+ * @property {number|null} longitude    - Longitude in decimal degree (WGS 84).
+ * @property {number|null} precision    - GPS precision, the lower the better.
+ * @property {number|null} gpsSignal    - GPS signal level.
+ * @property {string|null} time         - Time of the position.
+ */
+
+/**
+ * Normalize the current position.
+ *
+ * @param {Object} data - Payload of getVehiclePos().
+ *
+ * @returns {PositionModel} Position.
+ */
+models.position = function (data) {
+  var coordinate = toCoordinate(data) || { latitude: null, longitude: null };
+
+  return {
+    latitude: coordinate.latitude,
+    longitude: coordinate.longitude,
+    precision: toNumber(data.gpsPrecision),
+    gpsSignal: toNumber(data.gps),
+    time: toTime(data.timestamp),
+  };
+};
+
+/**
+ * @typedef {Object} TallyModel
+ * @property {number|null} totalDistance    - Total mileage in m.
+ * @property {number|null} boundDays        - Number of days, since the vehicle was bound to the account.
+ */
+
+/**
+ * Normalize the overall tally.
+ *
+ * @param {Object} data - Payload of getOverallTally().
+ *
+ * @returns {TallyModel} Tally.
+ */
+models.tally = function (data) {
+  return {
+    totalDistance: kmToMeters(data.totalMileage),
+    boundDays: toNumber(data.bindDaysCount),
+  };
+};
+
+/**
+ * @typedef {Object} TrackModel
+ * @property {string}           id                  - Track identification number.
+ * @property {string|null}      date                - Date of the track, e.g. "2022-03-19", required in yyyymmdd format by getTrackDetail().
+ * @property {string|null}      startTime           - Start time.
+ * @property {string|null}      endTime             - End time.
+ * @property {number|null}      distance            - Distance in m.
+ * @property {number|null}      duration            - Riding time in s.
+ * @property {number|null}      averageSpeed        - Average speed in km/h.
+ * @property {Coordinate|null}  start               - Start point.
+ * @property {Coordinate|null}  end                 - End point.
+ * @property {number|null}      powerConsumption    - Power consumption, as received.
+ * @property {string|null}      thumbnailUrl        - URL to the track thumbnail.
+ */
+
+/**
+ * Normalize a page of tracks.
+ *
+ * @param {Object} data - Payload of getTracks().
+ *
+ * @returns {TrackModel[]} Tracks, newest first.
+ */
+models.tracks = function (data) {
+  return (Array.isArray(data.items) ? data.items : []).map(function (track) {
+    var date = /^(\d{4})(\d{2})(\d{2})$/.exec(track.date);
+
+    return {
+      id: track.trackId,
+      date: null === date ? null : date[1] + "-" + date[2] + "-" + date[3],
+      startTime: toTime(track.startTime),
+      endTime: toTime(track.endTime),
+      distance: toNumber(track.distance),
+      duration: toDuration(track.ridingtime, track.startTime, track.endTime),
+      averageSpeed: toNumber(track.avespeed),
+      start: toCoordinate(track.startPoint),
+      end: toCoordinate(track.lastPoint),
+      powerConsumption: toNumber(track.power_consumption),
+      thumbnailUrl: toText(track.track_thumb),
+    };
+  });
+};
+
+/**
+ * @typedef {Object} TrackDetailModel
+ * @property {string|null}      startTime   - Start time.
+ * @property {string|null}      endTime     - End time.
+ * @property {Coordinate|null}  start       - Start point.
+ * @property {Coordinate|null}  end         - End point.
+ * @property {Object[]}         points      - Track points in chronological order: {latitude, longitude, time}.
+ */
+
+/**
+ * Normalize a track detail.
+ *
+ * @param {Object} data - Payload of getTrackDetail().
+ *
+ * @returns {TrackDetailModel} Track detail.
+ */
+models.trackDetail = function (data) {
+  var items = Array.isArray(data.trackItems) ? data.trackItems : [];
+
+  return {
+    startTime: toTime(data.startTime),
+    endTime: toTime(data.lastDate),
+    start: toCoordinate(data.startPoint),
+    end: toCoordinate(data.lastPoint),
+    points: items
+      .map(function (item) {
+        var coordinate = toCoordinate(item);
+
+        return null === coordinate
+          ? null
+          : {
+              latitude: coordinate.latitude,
+              longitude: coordinate.longitude,
+              time: toTime(item.date),
+            };
+      })
+      .filter(function (point) {
+        return null !== point;
+      })
+      .sort(function (a, b) {
+        return a.time < b.time ? -1 : a.time > b.time ? 1 : 0;
+      }),
+  };
+};
+
+/**
+ * @typedef {Object} BatteryModel
+ * @property {boolean|null} isCharging          - Vehicle is charging.
+ * @property {number|null}  estimatedRange      - Estimated remaining mileage in m.
+ * @property {number|null}  controllerCharge    - State of charge of the central control battery in %.
+ * @property {Object[]}     compartments        - Compartments: {id, bmsId, isConnected, charge, chargeCycles, temperature, temperatureState, grade, energyConsumedToday}.
+ */
+
+/**
+ * Normalize the battery info.
+ *
+ * @param {Object} data - Payload of getBatteryInfo().
+ *
+ * @returns {BatteryModel} Battery info.
+ */
+models.battery = function (data) {
+  return {
+    isCharging: toBoolean(data.isCharging),
+    estimatedRange: kmToMeters(data.estimatedMileage),
+    controllerCharge: toNumber(data.centreCtrlBattery),
+    compartments: toCompartments(data.batteries, function (compartment) {
+      return {
+        bmsId: toText(compartment.bmsId),
+        isConnected: toBoolean(compartment.isConnected),
+        charge: toNumber(compartment.batteryCharging),
+        chargeCycles: toNumber(compartment.chargedTimes),
+        temperature: toNumber(compartment.temperature),
+        temperatureState: toText(compartment.temperatureDesc),
+        grade: toNumber(compartment.gradeBattery),
+        energyConsumedToday: toNumber(compartment.energyConsumedTody),
+      };
+    }),
+  };
+};
+
+/**
+ * @typedef {Object} BatteryHealthModel
+ * @property {boolean|null} isDoubleBattery - Vehicle has two battery compartments.
+ * @property {Object[]}     compartments    - Compartments: {id, bmsId, isConnected, grade, faults, checks}, checks are {time, name, result, chargeCycles}, oldest first.
+ */
+
+/**
+ * Normalize the battery health.
+ *
+ * @param {Object} data - Payload of getBatteryHealth().
+ *
+ * @returns {BatteryHealthModel} Battery health.
+ */
+models.batteryHealth = function (data) {
+  return {
+    isDoubleBattery: toBoolean(data.isDoubleBattery),
+    compartments: toCompartments(data.batteries, function (compartment) {
+      var records = Array.isArray(compartment.healthRecords)
+        ? compartment.healthRecords
+        : [];
+
+      return {
+        bmsId: toText(compartment.bmsId),
+        isConnected: toBoolean(compartment.isConnected),
+        grade: toNumber(compartment.gradeBattery),
+        faults: Array.isArray(compartment.faults) ? compartment.faults : [],
+        checks: records
+          .map(function (record) {
+            return {
+              time: toTime(record.time),
+              name: toText(record.name),
+              result: toNumber(record.result),
+              chargeCycles: toNumber(record.chargeCount),
+            };
+          })
+          .sort(function (a, b) {
+            return a.time < b.time ? -1 : a.time > b.time ? 1 : 0;
+          }),
+      };
+    }),
+  };
+};
+
+/**
+ * @typedef {Object} BatteryChartModel
+ * @property {boolean|null} isDoubleBattery - Vehicle has two battery compartments.
+ * @property {Object[]}     compartments    - Received compartments, compartment A first: {id, points}, points of the requested pages: {distance, charge}, distance in m and charge in %.
+ */
+
+/**
+ * Normalize a battery chart page.
+ *
+ * @param {Object} data - Payload of getBatteryChart().
+ *
+ * @returns {BatteryChartModel} Battery chart.
+ */
+models.batteryChart = function (data) {
+  return {
+    isDoubleBattery: toBoolean(data.isDoubleBattery),
+    compartments: COMPARTMENTS.filter(function (compartment) {
+      return Array.isArray(data[compartment.chartKey]);
+    }).map(function (compartment) {
+      return {
+        id: compartment.id,
+        points: data[compartment.chartKey].map(function (item) {
+          return {
+            distance: kmToMeters(item.m),
+            charge: toNumber(item.b),
+          };
+        }),
+      };
+    }),
+  };
+};
+
+/**
+ * @typedef {Object} BatteryCurveModel
+ * @property {boolean}  isDoubleBattery - Vehicle has two battery compartments.
+ * @property {Object[]} points          - Points sorted by distance: {distance, charge}, distance in m and charge in % per compartment.
+ */
+
+/**
+ * Normalize the battery curve.
+ *
+ * @param {Object} data - Result of getBatteryCurve().
+ *
+ * @returns {BatteryCurveModel} Battery curve.
+ */
+models.batteryCurve = function (data) {
+  return {
+    isDoubleBattery: data.isDoubleBattery,
+    points: data.items.map(function (item) {
+      return {
+        distance: kmToMeters(item.mileage),
+        charge: [
+          "number" === typeof item.soc_a ? item.soc_a : null,
+          "number" === typeof item.soc_b ? item.soc_b : null,
+        ],
+      };
+    }),
+  };
+};
+
+/**
+ * @typedef {Object} MotorModel
+ * @property {boolean|null}     isCharging          - Vehicle is charging.
+ * @property {number|null}      lockStatus          - Lock status, as received.
+ * @property {boolean|null}     isAccOn             - Ignition is on.
+ * @property {boolean|null}     isFortificationOn   - Alarm is armed.
+ * @property {boolean|null}     isConnected         - Vehicle is connected to the NIU cloud.
+ * @property {Coordinate|null}  position            - Current position.
+ * @property {number|null}      hdop                - Horizontal dilution of precision.
+ * @property {number|null}      speed               - Current speed in km/h.
+ * @property {number|null}      estimatedRange      - Estimated remaining mileage in m.
+ * @property {number|null}      controllerCharge    - State of charge of the central control battery in %.
+ * @property {Object[]}         compartments        - Compartments: {id, bmsId, isConnected, charge, grade}.
+ * @property {number|null}      gpsSignal           - GPS signal level.
+ * @property {number|null}      gsmSignal           - GSM signal level.
+ * @property {Object|null}      lastTrack           - Last track: {distance, duration, time}, distance in m and duration in s.
+ * @property {string|null}      time                - Time of the motor info.
+ * @property {string|null}      gpsTime             - Time of the last GPS update.
+ * @property {string|null}      infoTime            - Time of the last info update.
+ */
+
+/**
+ * Normalize the motor info.
+ *
+ * @param {Object} data - Payload of getMotorInfo().
+ *
+ * @returns {MotorModel} Motor info.
+ */
+models.motor = function (data) {
+  var lastTrack = data.lastTrack;
+
+  return {
+    isCharging: toBoolean(data.isCharging),
+    lockStatus: toNumber(data.lockStatus),
+    isAccOn: toBoolean(data.isAccOn),
+    isFortificationOn: toBoolean(data.isFortificationOn),
+    isConnected: toBoolean(data.isConnected),
+    /* "postion" is the spelling of the NIU cloud. */
+    position: toCoordinate(data.postion),
+    hdop: toNumber(data.hdop),
+    speed: toNumber(data.nowSpeed),
+    estimatedRange: kmToMeters(data.estimatedMileage),
+    controllerCharge: toNumber(data.centreCtrlBattery),
+    compartments: toCompartments(data.batteries, function (compartment) {
+      return {
+        bmsId: toText(compartment.bmsId),
+        isConnected: toBoolean(compartment.isConnected),
+        charge: toNumber(compartment.batteryCharging),
+        grade: toNumber(compartment.gradeBattery),
+      };
+    }),
+    gpsSignal: toNumber(data.gps),
+    gsmSignal: toNumber(data.gsm),
+    lastTrack:
+      "object" === typeof lastTrack && null !== lastTrack
+        ? {
+            distance: toNumber(lastTrack.distance),
+            duration: toNumber(lastTrack.ridingTime),
+            time: toTime(lastTrack.time),
+          }
+        : null,
+    time: toTime(data.time),
+    gpsTime: toTime(data.gpsTimestamp),
+    infoTime: toTime(data.infoTimestamp),
+  };
+};
+
+/**
+ * @typedef {Object} FirmwareModel
+ * @property {string|null}  version             - Latest firmware version.
+ * @property {string|null}  currentVersion      - Installed firmware version.
+ * @property {string|null}  hardwareVersion     - Hardware version.
+ * @property {number|null}  size                - Size of the update in bytes.
+ * @property {string|null}  date                - Release date.
+ * @property {boolean|null} isUpdateSupported   - Vehicle supports updates over the air.
+ * @property {boolean|null} isUpdateNeeded      - An update is available.
+ * @property {string|null}  description         - Update description.
+ */
+
+/**
+ * Normalize the firmware version.
+ *
+ * @param {Object} data - Payload of getFirmwareVersion().
+ *
+ * @returns {FirmwareModel} Firmware version.
+ */
+models.firmware = function (data) {
+  return {
+    version: toText(data.version),
+    currentVersion: toText(data.nowVersion),
+    hardwareVersion: toText(data.hardVersion),
+    size: toNumber(data.byteSize),
+    date: toTime(data.date),
+    isUpdateSupported: toBoolean(data.isSupportUpdate),
+    isUpdateNeeded: toBoolean(data.needUpdate),
+    description: toText(data.otaDescribe),
+  };
+};
+
+/**
+ * @typedef {Object} UpdateInfoModel
+ * @property {number|null} cellularSignal      - Cellular signal quality.
+ * @property {number|null} controllerCharge    - State of charge of the central control battery in %.
+ * @property {string|null} date                - Time of the update info.
+ */
+
+/**
+ * Normalize the update info.
+ *
+ * @param {Object} data - Payload of getUpdateInfo().
+ *
+ * @returns {UpdateInfoModel} Update info.
+ */
+models.updateInfo = function (data) {
+  return {
+    cellularSignal: toNumber(data.csq),
+    controllerCharge: toNumber(data.centreCtrlBattery),
+    date: toTime(data.date),
+  };
+};
@@ -0,0 +1,161 @@
+/*
+ * Several NIU accounts, tested against two mock NIU clouds.
+ */
+
+var assert = require("assert");
+var test = require("node:test");
+
+var AccountManager = require("../lib/accounts");
+var Fleet = require("../lib/fleet");
+var MockServer = require("../mock/server");
+
+var describe = test.describe;
+var it = test.it;
+var before = test.before;
+var after = test.after;
+var beforeEach = test.beforeEach;
+
+var SN = "NQGT2A1B3C4D5E6F";
+var OTHER_SN = "NQMQI9Z8Y7X6W5V4";
+var SECOND_SN = "NQGT2A9Z8Y7X6W5V";
+
+describe("AccountManager", function () {
+  var first = new MockServer();
+  var second = new MockServer();
+  var firstUrl = "";
+  var secondUrl = "";
+  var manager = null;
+
+  /**
+   * Get the account config of a mock NIU cloud.
+   *
+   * @param {MockServer}  mock    - Mock NIU cloud.
+   * @param {string}      url     - Base URL of the mock.
+   * @param {string}      name    - Account name.
+   *
+   * @returns {Account} Account.
+   */
+  var accountOf = function (mock, url, name) {
+    return Object.assign({}, mock.credentials, {
+      name: name,
+      accountBaseUrl: url,
+      appApiBaseUrl: url,
+    });
+  };
+
+  before(function () {
+    return first
+      .listen()
+      .then(function (url) {
+        firstUrl = url;
+        return second.listen();
+      })
+      .then(function (url) {
+        secondUrl = url;
+      });
+  });
+
+  after(function () {
+    return first.close().then(function () {
+      return second.close();
+    });
+  });
+
+  beforeEach(function () {
+    first.reset();
+    second.reset();
+
+    if (null !== manager) {
+      manager.stop();
+    }
+  });
+
+  it("merges the vehicles of all accounts", function () {
+    var fleet = new Fleet({ sources: [] });
+
+    second.respondWith("/motoinfo/list", {
+      data: [{ sn: SN }, { sn: SECOND_SN, name: "Second" }],
+    });
+
+    manager = new AccountManager({
+      fleet: fleet,
+      accounts: [
+        accountOf(first, firstUrl, "first"),
+        accountOf(second, secondUrl, "second"),
+      ],
+    });
+
+    return manager.start().then(function () {
+      var status = manager.getStatus();
+
+      assert.deepStrictEqual(
+        fleet.list().map(function (vehicle) {
+          return vehicle.sn;
+        }),
+        [SN, OTHER_SN, SECOND_SN]
+      );
+      assert.notStrictEqual(fleet.getClient(SN), fleet.getClient(SECOND_SN));
+      assert.deepStrictEqual(status[0].vehicles, [SN, OTHER_SN]);
+      assert.deepStrictEqual(status[1].vehicles, [SN, SECOND_SN]);
+      assert.strictEqual(status[1].status, "ok");
+      assert.strictEqual(status[1].error, null);
+      assert.strictEqual(status[1].circuit.state, "closed");
+    });
+  });
+
+  it("isolates a failed login", function () {
+    var fleet = new Fleet({ sources: [] });
+    var broken = accountOf(first, firstUrl, "broken");
+
+    broken.password = "wrong";
+
+    manager = new AccountManager({
+      fleet: fleet,
+      accounts: [broken, accountOf(second, secondUrl, "second")],
+      retryInterval: 0.05,
+    });
+
+    return manager
+      .start()
+      .then(function () {
+        var status = manager.getStatus();
+
+        assert.strictEqual(status[0].status, "failed");
+        assert.strictEqual(status[0].error, "Invalid login data.");
+        assert.strictEqual(status[1].status, "ok");
+        assert.strictEqual(fleet.list().length, 2);
+
+        return new Promise(function (resolve) {
+          setTimeout(resolve, 120);
+        });
+      })
+      .then(function () {
+        manager.stop();
+
+        assert.ok(2 <= first.getRequests("/appv2/login").length);
+        assert.strictEqual(manager.getStatus()[0].status, "failed");
+      });
+  });
+
+  it("isolates an invalid account config", function () {
+    var fleet = new Fleet({ sources: [] });
+
+    manager = new AccountManager({
+      fleet: fleet,
+      accounts: [
+        Object.assign(accountOf(first, firstUrl, "mars"), { region: "mars" }),
+        accountOf(second, secondUrl, "second"),
+      ],
+      retryInterval: 0,
+    });
+
+    return manager.start().then(function () {
+      var status = manager.getStatus();
+
+      assert.strictEqual(status[0].status, "failed");
+      assert.strictEqual(status[0].error, "Unknown region: mars");
+      assert.strictEqual(status[1].status, "ok");
+      assert.strictEqual(fleet.list().length, 2);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/*
+ * Alert rules.
+ */
+
+var assert = require("assert");
+var test = require("node:test");
+
+var AlertEngine = require("../lib/alerts");
+
+var describe = test.describe;
+var it = test.it;
+
+var SN = "NQGT2A1B3C4D5E6F";
+var NOW = Date.UTC(2022, 2, 19, 12);
+
+/**
+ * Create a battery info with the given state of charge per compartment.
+ *
+ * @param {number} socA - State of charge of compartment A.
+ * @param {number} socB - State of charge of compartment B.
+ *
+ * @returns {Object} Battery info, as received by getBatteryInfo().
+ */
+var battery = function (socA, socB) {
+  return {
+    batteries: {
+      compartmentA: { batteryCharging: socA, temperature: 21 },
+      compartmentB: { batteryCharging: socB, temperature: 22 },
+    },
+  };
+};
+
+describe("AlertEngine", function () {
+  it("rejects an unknown rule type", function () {
+    assert.throws(function () {
+      return new AlertEngine({ rules: [{ id: "x", type: "unknown" }] });
+    }, /Unknown rule type/);
+  });
+
+  it("rejects invalid rule parameters", function () {
+    assert.throws(function () {
+      return new AlertEngine({ rules: [{ id: "low", type: "soc_below" }] });
+    }, /Invalid or missing threshold of rule: low/);
+    assert.throws(function () {
+      return new AlertEngine({
+        rules: [{ id: "low", type: "soc_below", threshold: "20" }],
+      });
+    }, /Invalid or missing threshold/);
+    assert.throws(function () {
+      return new AlertEngine({
+        rules: [{ id: "t", type: "temperature_out_of_range", min: 0 }],
+      });
+    }, /Invalid or missing max/);
+    assert.throws(function () {
+      return new AlertEngine({
+        rules: [{ id: "t", type: "temperature_out_of_range", min: 9, max: 1 }],
+      });
+    }, /Minimum is above maximum/);
+    assert.throws(function () {
+      return new AlertEngine({
+        rules: [{ id: "off", type: "offline", debounce: "60" }],
+      });
+    }, /Invalid debounce of rule: off/);
+  });
+
+  it("fires once per compartment when the state of charge drops", function () {
+    var engine = new AlertEngine({
+      rules: [{ id: "low", type: "soc_below", threshold: 20 }],
+    });
+    var events = [];
+
+    engine.on("alert", function (alert) {
+      events.push(alert);
+    });
+
+    engine.evaluate(SN, "battery", battery(25, 30), NOW);
+    engine.evaluate(SN, "battery", battery(18, 30), NOW + 1000);
+    engine.evaluate(SN, "battery", battery(15, 30), NOW + 2000);
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].rule, "low");
+    assert.strictEqual(events[0].sn, SN);
+    assert.strictEqual(events[0].subject, "a");
+    assert.strictEqual(events[0].value, 18);
+    assert.strictEqual(
+      events[0].message,
+      "State of charge of battery A is 18 %, below 20 %."
+    );
+
+    /* Fires again, after the battery was charged. */
+    engine.evaluate(SN, "battery", battery(50, 30), NOW + 3000);
+    engine.evaluate(SN, "battery", battery(19, 30), NOW + 4000);
+
+    assert.strictEqual(engine.getAlerts().length, 2);
+    assert.strictEqual(engine.getAlerts()[0].value, 19);
+  });
+
+  it("fires a transition only after the previous state is known", function () {
+    var engine = new AlertEngine({
+      rules: [
+        { id: "started", type: "charging_started" },
+        { id: "finished", type: "charging_finished" },
+      ],
+    });
+
+    assert.deepStrictEqual(
+      engine.evaluate(SN, "motor", { isCharging: 1 }, NOW),
+      []
+    );
+    assert.deepStrictEqual(
+      engine
+        .evaluate(SN, "motor", { isCharging: 0 }, NOW + 1000)
+        .map(function (alert) {
+          return alert.rule;
+        }),
+      ["finished"]
+    );
+    assert.deepStrictEqual(
+      engine
+        .evaluate(SN, "motor", { isCharging: 1 }, NOW + 2000)
+        .map(function (alert) {
+          return alert.rule;
+        }),
+      ["started"]
+    );
+  });
+
+  it("debounces a condition", function () {
+    var engine = new AlertEngine({
+      rules: [{ id: "offline", type: "offline", debounce: 60 }],
+    });
+
+    assert.strictEqual(
+      engine.evaluate(SN, "motor", { isConnected: false }, NOW).length,
+      0
+    );
+    assert.strictEqual(
+      engine.evaluate(SN, "motor", { isConnected: true }, NOW + 30000).length,
+      0
+    );
+    assert.strictEqual(
+      engine.evaluate(SN, "motor", { isConnected: false }, NOW + 40000).length,
+      0
+    );
+    assert.strictEqual(
+      engine.evaluate(SN, "motor", { isConnected: false }, NOW + 100000).length,
+      1
+    );
+  });
+
+  it("checks temperature range and GPS signal", function () {
+    var engine = new AlertEngine({
+      rules: [
+        { id: "hot", type: "temperature_out_of_range", min: 0, max: 21.5 },
+        { id: "gps", type: "gps_lost", sn: SN },
+      ],
+    });
+
+    assert.deepStrictEqual(
+      engine.evaluate(SN, "battery", battery(50, 50), NOW).map(function (a) {
+        return a.subject;
+      }),
+      ["b"]
+    );
+    assert.strictEqual(
+      engine.evaluate("OTHER", "motor", { gps: 0 }, NOW).length,
+      0
+    );
+    assert.strictEqual(engine.evaluate(SN, "motor", { gps: 0 }, NOW).length, 1);
+  });
+});
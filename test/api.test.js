@@ -0,0 +1,1138 @@
+/*
+ * NIU cloud connector client, tested against the mock NIU cloud.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var test = require("node:test");
+
+var api = require("../api");
+var MockServer = require("../mock/server");
+
+var describe = test.describe;
+var it = test.it;
+var before = test.before;
+var after = test.after;
+var beforeEach = test.beforeEach;
+
+var SN = "NQGT2A1B3C4D5E6F";
+
+describe("Client", function () {
+  var mock = new MockServer();
+  var baseUrl = "";
+  var client = null;
+
+  var createClient = function (options) {
+    return new api.Client(
+      Object.assign(
+        {
+          accountBaseUrl: baseUrl,
+          appApiBaseUrl: baseUrl,
+          retryDelay: 0.01,
+        },
+        options
+      )
+    );
+  };
+
+  var login = function (aClient) {
+    return aClient.createSessionToken(mock.credentials);
+  };
+
+  before(function () {
+    return mock.listen().then(function (url) {
+      baseUrl = url;
+    });
+  });
+
+  after(function () {
+    return mock.close();
+  });
+
+  beforeEach(function () {
+    mock.reset();
+    client = createClient();
+
+    return login(client);
+  });
+
+  describe("createSessionToken()", function () {
+    it("stores the received token", function () {
+      var aClient = createClient();
+
+      return login(aClient).then(function (result) {
+        assert.strictEqual(result.client, aClient);
+        assert.strictEqual(result.result, mock.token);
+        assert.strictEqual(aClient._token, mock.token);
+      });
+    });
+
+    it("rejects invalid login data", function () {
+      return assert.rejects(
+        createClient().createSessionToken({
+          account: mock.credentials.account,
+          password: "wrong",
+          countryCode: mock.credentials.countryCode,
+        }),
+        function (error) {
+          assert.ok(error instanceof api.AuthError);
+          assert.strictEqual(error.message, "Invalid login data.");
+          assert.strictEqual(error.endpoint, "/appv2/login");
+          return true;
+        }
+      );
+    });
+
+    it("rejects missing options", function () {
+      return assert.rejects(
+        createClient().createSessionToken({ account: "rider@example.com" }),
+        function (error) {
+          assert.ok(error instanceof api.ValidationError);
+          assert.strictEqual(error.message, "Password is missing.");
+          return true;
+        }
+      );
+    });
+  });
+
+  describe("setSessionToken()", function () {
+    it("uses the given token for requests", function () {
+      var aClient = createClient();
+
+      return aClient
+        .setSessionToken({ token: mock.token })
+        .then(function () {
+          return aClient.getVehicles();
+        })
+        .then(function (result) {
+          assert.strictEqual(2, result.result.length);
+        });
+    });
+  });
+
+  describe("request headers", function () {
+    it("contain token, language and user agent", function () {
+      return client.getVehicles().then(function () {
+        var headers = mock.getRequests("/motoinfo/list")[0].headers;
+
+        assert.strictEqual(headers.token, mock.token);
+        assert.strictEqual(headers["accept-language"], "en-US");
+        assert.match(headers["user-agent"], /^manager\/4\.6\.2 /);
+        assert.match(headers["user-agent"], /clientIdentifier=Overseas;/);
+      });
+    });
+
+    it("follow the client options", function () {
+      var aClient = createClient({
+        region: "china",
+        appVersion: "5.1.0",
+        acceptLanguage: "de-DE",
+      });
+
+      return login(aClient)
+        .then(function () {
+          return aClient.getVehicles();
+        })
+        .then(function () {
+          var headers = mock.getRequests("/motoinfo/list")[0].headers;
+
+          assert.strictEqual(headers["accept-language"], "de-DE");
+          assert.match(headers["user-agent"], /^manager\/5\.1\.0 /);
+          assert.match(headers["user-agent"], /clientIdentifier=Domestic;/);
+        });
+    });
+
+    it("reject an unknown region", function () {
+      assert.throws(function () {
+        createClient({ region: "moon" });
+      }, api.ValidationError);
+    });
+  });
+
+  describe("getVehicles()", function () {
+    it("returns all vehicles", function () {
+      return client.getVehicles().then(function (result) {
+        assert.deepStrictEqual(
+          result.result.map(function (vehicle) {
+            return vehicle.sn;
+          }),
+          [SN, "NQMQI9Z8Y7X6W5V4"]
+        );
+      });
+    });
+
+    it("rejects without token", function () {
+      return assert.rejects(createClient().getVehicles(), function (error) {
+        assert.ok(error instanceof api.AuthError);
+        assert.strictEqual(error.message, "No valid token available.");
+        return true;
+      });
+    });
+  });
+
+  describe("getVehiclePos()", function () {
+    it("returns the current position", function () {
+      return client.getVehiclePos({ sn: SN }).then(function (result) {
+        assert.strictEqual(result.result.lat, 38.722252);
+        assert.strictEqual(result.result.lng, -9.139337);
+        assert.deepStrictEqual(
+          mock.getRequests("/motoinfo/currentpos")[0].body,
+          {
+            sn: SN,
+          }
+        );
+      });
+    });
+
+    it("rejects a missing serial number", function () {
+      return assert.rejects(client.getVehiclePos({}), function (error) {
+        assert.ok(error instanceof api.ValidationError);
+        assert.strictEqual(error.message, "Vehicle serial number is missing.");
+        return true;
+      });
+    });
+  });
+
+  describe("getOverallTally()", function () {
+    it("returns the total mileage", function () {
+      return client.getOverallTally({ sn: SN }).then(function (result) {
+        assert.strictEqual(result.result.totalMileage, 4321.7);
+      });
+    });
+  });
+
+  describe("getTracks()", function () {
+    it("returns a page of tracks", function () {
+      return client
+        .getTracks({ sn: SN, index: 1, pageSize: 2 })
+        .then(function (result) {
+          assert.deepStrictEqual(
+            result.result.items.map(function (track) {
+              return track.trackId;
+            }),
+            ["2022031802", "2022030103"]
+          );
+        });
+    });
+
+    it("rejects a missing page size", function () {
+      return assert.rejects(
+        client.getTracks({ sn: SN, index: 0 }),
+        function (error) {
+          assert.strictEqual(error.message, "Page size is missing.");
+          return true;
+        }
+      );
+    });
+  });
+
+  describe("getTrackDetail()", function () {
+    it("returns the track items", function () {
+      return client
+        .getTrackDetail({
+          sn: SN,
+          trackId: "2022031901",
+          trackDate: "20220319",
+        })
+        .then(function (result) {
+          var items = result.result.trackItems;
+
+          assert.strictEqual(items.length, 6);
+          assert.ok(items[0].date > items[items.length - 1].date);
+          assert.strictEqual(
+            mock.getRequests("/v5/track/detail")[0].body.date,
+            "20220319"
+          );
+        });
+    });
+  });
+
+  describe("getBatteryInfo()", function () {
+    it("returns both compartments", function () {
+      return client.getBatteryInfo({ sn: SN }).then(function (result) {
+        var batteries = result.result.batteries;
+
+        assert.strictEqual(batteries.compartmentA.batteryCharging, 78);
+        assert.strictEqual(batteries.compartmentB.batteryCharging, 64);
+        assert.strictEqual(result.result.estimatedMileage, 71);
+        assert.strictEqual(
+          mock.getRequests("/v3/motor_data/battery_info")[0].query.sn,
+          SN
+        );
+      });
+    });
+  });
+
+  describe("getBatteryHealth()", function () {
+    it("returns the health records", function () {
+      return client.getBatteryHealth({ sn: SN }).then(function (result) {
+        var compartmentA = result.result.batteries.compartmentA;
+
+        assert.strictEqual(compartmentA.gradeBattery, "91.5");
+        assert.strictEqual(compartmentA.healthRecords.length, 3);
+      });
+    });
+  });
+
+  describe("getBatteryChart()", function () {
+    it("returns a page of chart data", function () {
+      return client
+        .getBatteryChart({
+          sn: SN,
+          bmsId: 1,
+          page: 2,
+          pageSize: "A",
+          pageLength: 2,
+        })
+        .then(function (result) {
+          assert.strictEqual(result.result.items1.length, 10);
+          assert.strictEqual(result.result.items2.length, 5);
+          assert.strictEqual(result.result.items1[0].m, "29.0");
+        });
+    });
+
+    it("rejects a missing BMS id", function () {
+      return assert.rejects(
+        client.getBatteryChart({ sn: SN, page: 1 }),
+        function (error) {
+          assert.strictEqual(error.message, "BMS id is missing.");
+          return true;
+        }
+      );
+    });
+  });
+
+  describe("getBatteryCurve()", function () {
+    it("merges all pages of both compartments", function () {
+      return client.getBatteryCurve({ sn: SN }).then(function (result) {
+        var items = result.result.items;
+
+        assert.strictEqual(result.result.isDoubleBattery, true);
+        assert.strictEqual(items.length, 25);
+        assert.deepStrictEqual(items[1], {
+          mileage: 2.9,
+          soc_a: 96,
+          soc_b: 95,
+        });
+        assert.deepStrictEqual(items[24], { mileage: 69.6, soc_a: 4 });
+        assert.strictEqual(
+          mock.getRequests("/v3/motor_data/battery_chart").length,
+          5
+        );
+      });
+    });
+
+    it("requests a single compartment", function () {
+      return client
+        .getBatteryCurve({ sn: SN, bmsId: 2 })
+        .then(function (result) {
+          assert.strictEqual(result.result.items.length, 18);
+          assert.strictEqual(result.result.items[0].soc_a, undefined);
+        });
+    });
+
+    it("rejects an invalid BMS id", function () {
+      return assert.rejects(
+        client.getBatteryCurve({ sn: SN, bmsId: 3 }),
+        function (error) {
+          assert.strictEqual(error.message, "Invalid BMS id.");
+          return true;
+        }
+      );
+    });
+  });
+
+  describe("getMotorInfo()", function () {
+    it("returns the motor info", function () {
+      return client.getMotorInfo({ sn: SN }).then(function (result) {
+        assert.strictEqual(result.result.lockStatus, 1);
+        assert.strictEqual(result.result.nowSpeed, 0);
+        assert.strictEqual(result.result.postion.lat, 38.722252);
+      });
+    });
+  });
+
+  describe("getFirmwareVersion()", function () {
+    it("returns the firmware version", function () {
+      return client.getFirmwareVersion({ sn: SN }).then(function (result) {
+        assert.strictEqual(result.result.version, "NGT0V03C12");
+        assert.strictEqual(result.result.needUpdate, false);
+      });
+    });
+  });
+
+  describe("getUpdateInfo()", function () {
+    it("returns the update info", function () {
+      return client.getUpdateInfo({ sn: SN }).then(function (result) {
+        assert.strictEqual(result.result.csq, 22);
+      });
+    });
+  });
+
+  describe("NIU response status", function () {
+    [1325, 1327].forEach(function (status) {
+      it("treats " + status + " as success", function () {
+        mock.respondWith("/motoinfo/currentpos", { status: status });
+
+        return client.getVehiclePos({ sn: SN }).then(function (result) {
+          assert.strictEqual(result.result.lat, 38.722252);
+        });
+      });
+    });
+
+    it("rejects an error status", function () {
+      mock.respondWith("/motoinfo/currentpos", {
+        status: 1,
+        desc: "Vehicle not found",
+        trace: "Vehicle not found",
+      });
+
+      return assert.rejects(client.getVehiclePos({ sn: SN }), function (error) {
+        assert.ok(error instanceof api.ApiStatusError);
+        assert.ok(error instanceof api.NiuError);
+        assert.ok(error instanceof Error);
+        assert.strictEqual(error.name, "ApiStatusError");
+        assert.strictEqual(error.message, "Vehicle not found");
+        assert.strictEqual(error.status, 1);
+        assert.strictEqual(error.desc, "Vehicle not found");
+        assert.strictEqual(error.trace, "Vehicle not found");
+        assert.strictEqual(error.endpoint, "/motoinfo/currentpos");
+        return true;
+      });
+    });
+
+    it("describes an error status by its message without desc", function () {
+      mock.respondWith("/motoinfo/currentpos", {
+        status: 1,
+        desc: "",
+        message: "Vehicle offline",
+        trace: "trace",
+      });
+
+      return assert.rejects(client.getVehiclePos({ sn: SN }), {
+        name: "ApiStatusError",
+        message: "Vehicle offline",
+      });
+    });
+
+    it("rejects HTTP 429 as rate limit", function () {
+      mock.respondWith("/motoinfo/currentpos", { httpStatus: 429 });
+
+      return assert.rejects(client.getVehiclePos({ sn: SN }), function (error) {
+        assert.ok(error instanceof api.RateLimitError);
+        assert.strictEqual(error.httpStatus, 429);
+        return true;
+      });
+    });
+
+    it("rejects a HTTP error", function () {
+      mock.respondWith("/motoinfo/currentpos", {
+        httpStatus: 500,
+        times: Infinity,
+      });
+
+      return assert
+        .rejects(client.getVehiclePos({ sn: SN }), function (error) {
+          assert.ok(error instanceof api.NetworkError);
+          assert.strictEqual(error.reason, "http");
+          assert.strictEqual(error.httpStatus, 500);
+          return true;
+        })
+        .then(function () {
+          assert.strictEqual(
+            mock.getRequests("/motoinfo/currentpos").length,
+            3
+          );
+        });
+    });
+  });
+
+  describe("retries", function () {
+    it("retries a HTTP 5xx", function () {
+      mock.respondWith("/motoinfo/currentpos", { httpStatus: 503, times: 2 });
+
+      return client.getVehiclePos({ sn: SN }).then(function (result) {
+        assert.strictEqual(result.result.lat, 38.722252);
+        assert.strictEqual(mock.getRequests("/motoinfo/currentpos").length, 3);
+      });
+    });
+
+    it("retries a retryable NIU status", function () {
+      mock.respondWith("/motoinfo/currentpos", { status: 503 });
+
+      return client.getVehiclePos({ sn: SN }).then(function (result) {
+        assert.strictEqual(result.result.lat, 38.722252);
+        assert.strictEqual(mock.getRequests("/motoinfo/currentpos").length, 2);
+      });
+    });
+
+    it("doesn't retry a NIU error status", function () {
+      mock.respondWith("/motoinfo/currentpos", { status: 1, desc: "Failed" });
+
+      return assert.rejects(client.getVehiclePos({ sn: SN })).then(function () {
+        assert.strictEqual(mock.getRequests("/motoinfo/currentpos").length, 1);
+      });
+    });
+
+    it("times out", function () {
+      client = createClient({ timeout: 0.05, retries: 1 });
+      mock.respondWith("/motoinfo/currentpos", { delay: 300, times: Infinity });
+
+      return login(client)
+        .then(function () {
+          return assert.rejects(client.getVehiclePos({ sn: SN }));
+        })
+        .then(function () {
+          assert.strictEqual(
+            mock.getRequests("/motoinfo/currentpos").length,
+            2
+          );
+          assert.deepStrictEqual(client.getStats().failures, { network: 1 });
+        });
+    });
+  });
+
+  describe("circuit breaker", function () {
+    beforeEach(function () {
+      client = createClient({
+        retries: 0,
+        circuitBreaker: { threshold: 2, resetTimeout: 0.1 },
+      });
+
+      return login(client);
+    });
+
+    it("fails fast while the circuit is open", function () {
+      mock.respondWith("/motoinfo/currentpos", {
+        httpStatus: 502,
+        times: Infinity,
+      });
+
+      return assert
+        .rejects(client.getVehiclePos({ sn: SN }))
+        .then(function () {
+          assert.strictEqual(client.getCircuitState().state, "closed");
+          assert.strictEqual(client.getCircuitState().failures, 1);
+
+          return assert.rejects(client.getVehiclePos({ sn: SN }));
+        })
+        .then(function () {
+          assert.strictEqual(client.getCircuitState().state, "open");
+          assert.ok(client.getCircuitState().opened_at);
+
+          return assert.rejects(
+            client.getBatteryInfo({ sn: SN }),
+            function (error) {
+              assert.strictEqual(error.reason, "circuit_open");
+              assert.strictEqual(error.message, "NIU cloud is unavailable.");
+              return true;
+            }
+          );
+        })
+        .then(function () {
+          assert.strictEqual(
+            mock.getRequests("/motoinfo/currentpos").length,
+            2
+          );
+          assert.strictEqual(
+            mock.getRequests("/v3/motor_data/battery_info").length,
+            0
+          );
+          assert.strictEqual(client.getStats().failures.circuit_open, 1);
+        });
+    });
+
+    it("closes after a successful trial request", function () {
+      mock.respondWith("/motoinfo/currentpos", {
+        httpStatus: 500,
+        times: 3,
+      });
+
+      return assert
+        .rejects(client.getVehiclePos({ sn: SN }))
+        .then(function () {
+          return assert.rejects(client.getVehiclePos({ sn: SN }));
+        })
+        .then(function () {
+          return new Promise(function (resolve) {
+            setTimeout(resolve, 150);
+          });
+        })
+        .then(function () {
+          assert.strictEqual(client.getCircuitState().state, "half_open");
+
+          /* The failed trial request opens the circuit again. */
+          return assert.rejects(client.getVehiclePos({ sn: SN }));
+        })
+        .then(function () {
+          assert.strictEqual(client.getCircuitState().state, "open");
+
+          return new Promise(function (resolve) {
+            setTimeout(resolve, 150);
+          });
+        })
+        .then(function () {
+          return client.getVehiclePos({ sn: SN });
+        })
+        .then(function () {
+          assert.deepStrictEqual(client.getCircuitState(), {
+            state: "closed",
+            failures: 0,
+            opened_at: null,
+          });
+        });
+    });
+
+    it("can be disabled", function () {
+      client = createClient({ circuitBreaker: false });
+
+      assert.strictEqual(client.getCircuitState().state, "disabled");
+    });
+  });
+
+  describe("getStats()", function () {
+    it("counts requests, failures and latency", function () {
+      mock.respondWith("/motoinfo/currentpos", { status: 1, desc: "Failed" });
+
+      return assert
+        .rejects(client.getVehiclePos({ sn: SN }))
+        .then(function () {
+          return client.getBatteryInfo({ sn: SN });
+        })
+        .then(function () {
+          var stats = client.getStats();
+
+          assert.strictEqual(stats.requests["/motoinfo/currentpos"], 1);
+          assert.strictEqual(stats.requests["/v3/motor_data/battery_info"], 1);
+          assert.strictEqual(stats.requests["/appv2/login"], 1);
+          assert.deepStrictEqual(stats.failures, { 1: 1 });
+          assert.strictEqual(stats.latency.count, 3);
+          assert.strictEqual(
+            stats.latency.buckets[stats.latency.buckets.length - 1],
+            3
+          );
+        });
+    });
+  });
+
+  describe("normalize", function () {
+    beforeEach(function () {
+      client = createClient({ normalize: true });
+
+      return login(client);
+    });
+
+    it("keeps the received data as raw", function () {
+      return client.getVehiclePos({ sn: SN }).then(function (result) {
+        assert.deepStrictEqual(result.result, {
+          latitude: 38.722252,
+          longitude: -9.139337,
+          precision: 3,
+          gpsSignal: 4,
+          time: "2022-03-19T10:00:00.000Z",
+        });
+        assert.strictEqual(result.raw.lat, 38.722252);
+      });
+    });
+
+    it("resolves the received data with the raw option", function () {
+      return client
+        .getOverallTally({ sn: SN, raw: true })
+        .then(function (result) {
+          assert.strictEqual(result.result.totalMileage, 4321.7);
+          assert.strictEqual(result.raw, undefined);
+        });
+    });
+
+    it("converts the tally to m", function () {
+      return client.getOverallTally({ sn: SN }).then(function (result) {
+        assert.deepStrictEqual(result.result, {
+          totalDistance: 4321700,
+          boundDays: 749,
+        });
+      });
+    });
+
+    it("lists the vehicles", function () {
+      return client.getVehicles().then(function (result) {
+        var vehicle = result.result[0];
+
+        assert.strictEqual(result.result.length, 2);
+        assert.strictEqual(vehicle.sn, SN);
+        assert.strictEqual(vehicle.model, "NGT Black with Red Stripes");
+        assert.strictEqual(vehicle.boundAt, "2020-03-01T00:00:00.000Z");
+        assert.deepStrictEqual(vehicle.features, [
+          { name: "lockSwitch", isSupported: true, status: 0 },
+        ]);
+      });
+    });
+
+    it("converts the tracks", function () {
+      return client
+        .getTracks({ sn: SN, index: 0, pageSize: 10 })
+        .then(function (result) {
+          assert.deepStrictEqual(result.result[0], {
+            id: "2022031901",
+            date: "2022-03-19",
+            startTime: "2022-03-19T08:15:00.000Z",
+            endTime: "2022-03-19T08:36:00.000Z",
+            distance: 8450,
+            duration: 1260,
+            averageSpeed: 24.1,
+            start: { latitude: 38.722252, longitude: -9.139337 },
+            end: { latitude: 38.737252, longitude: -9.119337 },
+            powerConsumption: 0.25,
+            thumbnailUrl: "https://example.com/thumb/2022031901.png",
+          });
+        });
+    });
+
+    it("orders the track points chronologically", function () {
+      return client
+        .getTrackDetail({
+          sn: SN,
+          trackId: "2022031901",
+          trackDate: "20220319",
+        })
+        .then(function (result) {
+          var points = result.result.points;
+
+          assert.ok(0 < points.length);
+          assert.deepStrictEqual(points[points.length - 1], {
+            latitude: 38.737252,
+            longitude: -9.119337,
+            time: "2022-03-19T08:36:00.000Z",
+          });
+          assert.ok(points[0].time < points[1].time);
+        });
+    });
+
+    it("lists the battery compartments", function () {
+      return client.getBatteryInfo({ sn: SN }).then(function (result) {
+        assert.strictEqual(result.result.estimatedRange, 71000);
+        assert.strictEqual(result.result.controllerCharge, 100);
+        assert.deepStrictEqual(
+          result.result.compartments.map(function (compartment) {
+            return [
+              compartment.id,
+              compartment.charge,
+              compartment.chargeCycles,
+              compartment.grade,
+            ];
+          }),
+          [
+            ["A", 78, 212, 91.5],
+            ["B", 64, 198, 89],
+          ]
+        );
+      });
+    });
+
+    it("orders the battery health checks chronologically", function () {
+      return client.getBatteryHealth({ sn: SN }).then(function (result) {
+        var checks = result.result.compartments[0].checks;
+
+        assert.strictEqual(checks.length, 3);
+        assert.deepStrictEqual(checks[2], {
+          time: "2022-03-19T10:00:00.000Z",
+          name: "Battery health check",
+          result: 8.5,
+          chargeCycles: 212,
+        });
+      });
+    });
+
+    it("converts the battery curve", function () {
+      return client.getBatteryCurve({ sn: SN }).then(function (result) {
+        assert.strictEqual(result.result.points.length, 25);
+        assert.deepStrictEqual(result.result.points[1], {
+          distance: 2900,
+          charge: [96, 95],
+        });
+        assert.deepStrictEqual(result.result.points[24], {
+          distance: 69600,
+          charge: [4, null],
+        });
+      });
+    });
+
+    it("corrects the motor info", function () {
+      return client.getMotorInfo({ sn: SN }).then(function (result) {
+        assert.deepStrictEqual(result.result.position, {
+          latitude: 38.722252,
+          longitude: -9.139337,
+        });
+        assert.strictEqual(result.result.isFortificationOn, true);
+        assert.strictEqual(result.result.estimatedRange, 71000);
+        assert.deepStrictEqual(result.result.lastTrack, {
+          distance: 8450,
+          duration: 1260,
+          time: "2022-03-19T09:00:00.000Z",
+        });
+      });
+    });
+  });
+
+  describe("vehicle()", function () {
+    var collect = async function (iterator) {
+      var items = [];
+
+      for await (const item of iterator) {
+        items.push(item);
+      }
+
+      return items;
+    };
+
+    it("passes the serial number", function () {
+      return client
+        .vehicle(SN)
+        .position()
+        .then(function (position) {
+          assert.strictEqual(position.lat, 38.722252);
+          assert.strictEqual(
+            mock.getRequests("/motoinfo/currentpos")[0].body.sn,
+            SN
+          );
+        });
+    });
+
+    it("rejects a missing serial number", function () {
+      assert.throws(
+        function () {
+          client.vehicle("");
+        },
+        function (error) {
+          assert.ok(error instanceof api.ValidationError);
+          return true;
+        }
+      );
+    });
+
+    it("iterates all tracks page by page", function () {
+      api.VehicleTrackPageSize = 4;
+
+      return collect(client.vehicle(SN).tracks())
+        .then(function (tracks) {
+          assert.strictEqual(tracks.length, 6);
+          assert.strictEqual(tracks[0].trackId, "2022031901");
+          assert.strictEqual(mock.getRequests("/v5/track/list/v2").length, 2);
+        })
+        .finally(function () {
+          api.VehicleTrackPageSize = 20;
+        });
+    });
+
+    it("stops at the first track before since", function () {
+      api.VehicleTrackPageSize = 2;
+
+      return collect(
+        client.vehicle(SN).tracks({
+          since: "2022-03-18T00:00:00Z",
+          until: new Date("2022-03-19T00:00:00Z"),
+        })
+      )
+        .then(function (tracks) {
+          assert.deepStrictEqual(
+            tracks.map(function (track) {
+              return track.trackId;
+            }),
+            ["2022031802"]
+          );
+          assert.strictEqual(mock.getRequests("/v5/track/list/v2").length, 2);
+        })
+        .finally(function () {
+          api.VehicleTrackPageSize = 20;
+        });
+    });
+
+    it("requests no further page after a break", async function () {
+      for await (const track of client.vehicle(SN).tracks()) {
+        assert.strictEqual(track.trackId, "2022031901");
+        break;
+      }
+
+      assert.strictEqual(mock.getRequests("/v5/track/list/v2").length, 1);
+    });
+
+    it("rejects an invalid time", function () {
+      return assert.rejects(
+        collect(client.vehicle(SN).tracks({ since: "yesterday" })),
+        function (error) {
+          assert.ok(error instanceof api.ValidationError);
+          return true;
+        }
+      );
+    });
+
+    it("iterates the battery chart of a battery", function () {
+      return collect(client.vehicle(SN).batteryChart({ bmsId: 2 })).then(
+        function (points) {
+          assert.strictEqual(points.length, 18);
+          assert.deepStrictEqual(points[0], { m: "0.0", b: "100" });
+        }
+      );
+    });
+
+    it("yields normalized items", function () {
+      client = createClient({ normalize: true });
+
+      return login(client)
+        .then(function () {
+          return collect(client.vehicle(SN).batteryChart());
+        })
+        .then(function (points) {
+          assert.strictEqual(points.length, 25);
+          assert.deepStrictEqual(points[1], { distance: 2900, charge: 96 });
+
+          return collect(client.vehicle(SN).tracks());
+        })
+        .then(function (tracks) {
+          assert.strictEqual(tracks[0].id, "2022031901");
+          assert.strictEqual(tracks[0].duration, 1260);
+        });
+    });
+  });
+
+  describe("cache", function () {
+    beforeEach(function () {
+      client = createClient({
+        cache: { ttl: { "/motoinfo/currentpos": 60 } },
+      });
+
+      return login(client);
+    });
+
+    it("is disabled by default", function () {
+      var plain = createClient();
+
+      return login(plain)
+        .then(function () {
+          return plain.getVehiclePos({ sn: SN });
+        })
+        .then(function () {
+          return plain.getVehiclePos({ sn: SN });
+        })
+        .then(function () {
+          assert.strictEqual(
+            mock.getRequests("/motoinfo/currentpos").length,
+            2
+          );
+          assert.deepStrictEqual(plain.getStats().cache.hits, {});
+        });
+    });
+
+    it("serves a response until it expires", function () {
+      return client
+        .getVehiclePos({ sn: SN })
+        .then(function () {
+          return client.getVehiclePos({ sn: SN });
+        })
+        .then(function (result) {
+          var stats = client.getStats();
+
+          assert.strictEqual(
+            mock.getRequests("/motoinfo/currentpos").length,
+            1
+          );
+          assert.strictEqual(result.client, client);
+          assert.strictEqual(typeof result.result.lat, "number");
+          assert.strictEqual(stats.cache.hits["/motoinfo/currentpos"], 1);
+          assert.strictEqual(stats.cache.misses["/motoinfo/currentpos"], 1);
+          assert.strictEqual(stats.requests["/motoinfo/currentpos"], 1);
+        });
+    });
+
+    it("caches per vehicle", function () {
+      return client
+        .getVehiclePos({ sn: SN })
+        .then(function () {
+          return client.getVehiclePos({ sn: "OTHER" });
+        })
+        .then(function () {
+          assert.strictEqual(
+            mock.getRequests("/motoinfo/currentpos").length,
+            2
+          );
+        });
+    });
+
+    it("sends identical concurrent requests once", function () {
+      return Promise.all([
+        client.getBatteryInfo({ sn: SN }),
+        client.getBatteryInfo({ sn: SN }),
+        client.getBatteryInfo({ sn: SN }),
+      ]).then(function (results) {
+        var stats = client.getStats();
+
+        assert.strictEqual(
+          mock.getRequests("/v3/motor_data/battery_info").length,
+          1
+        );
+        assert.deepStrictEqual(results[0].result, results[2].result);
+        assert.strictEqual(
+          stats.cache.coalesced["/v3/motor_data/battery_info"],
+          2
+        );
+      });
+    });
+
+    it("doesn't cache failures", function () {
+      mock.respondWith("/motoinfo/currentpos", {
+        status: 1,
+        desc: "Failed",
+        times: 1,
+      });
+
+      return assert
+        .rejects(client.getVehiclePos({ sn: SN }))
+        .then(function () {
+          return client.getVehiclePos({ sn: SN });
+        })
+        .then(function () {
+          return client.getVehiclePos({ sn: SN });
+        })
+        .then(function () {
+          assert.strictEqual(
+            mock.getRequests("/motoinfo/currentpos").length,
+            2
+          );
+        });
+    });
+
+    it("doesn't cache a path with a TTL of 0", function () {
+      client = createClient({ cache: { ttl: { "/motoinfo/currentpos": 0 } } });
+
+      return login(client)
+        .then(function () {
+          return client.getVehiclePos({ sn: SN });
+        })
+        .then(function () {
+          return client.getVehiclePos({ sn: SN });
+        })
+        .then(function () {
+          assert.strictEqual(
+            mock.getRequests("/motoinfo/currentpos").length,
+            2
+          );
+        });
+    });
+
+    it("invalidates by path and vehicle", function () {
+      return Promise.all([
+        client.getVehiclePos({ sn: SN }),
+        client.getVehiclePos({ sn: "OTHER" }),
+        client.getBatteryInfo({ sn: SN }),
+      ])
+        .then(function () {
+          assert.strictEqual(
+            client.invalidateCache({ path: "/motoinfo/currentpos", sn: SN }),
+            1
+          );
+
+          return Promise.all([
+            client.getVehiclePos({ sn: SN }),
+            client.getVehiclePos({ sn: "OTHER" }),
+            client.getBatteryInfo({ sn: SN }),
+          ]);
+        })
+        .then(function () {
+          assert.strictEqual(
+            mock.getRequests("/motoinfo/currentpos").length,
+            3
+          );
+          assert.strictEqual(
+            mock.getRequests("/v3/motor_data/battery_info").length,
+            1
+          );
+          assert.strictEqual(client.invalidateCache(), 3);
+        });
+    });
+  });
+
+  describe("session", function () {
+    it("logs in again and replays the request once", function () {
+      var loginCount = mock.loginCount;
+
+      mock.expireToken();
+
+      return client.getVehiclePos({ sn: SN }).then(function (result) {
+        assert.strictEqual(result.result.lat, 38.722252);
+        assert.strictEqual(mock.loginCount, loginCount + 1);
+        assert.strictEqual(client._token, mock.token);
+      });
+    });
+
+    it("shares the login between concurrent requests", function () {
+      var loginCount = mock.loginCount;
+
+      mock.expireToken();
+
+      return Promise.all([
+        client.getVehiclePos({ sn: SN }),
+        client.getBatteryInfo({ sn: SN }),
+      ]).then(function () {
+        assert.strictEqual(mock.loginCount, loginCount + 1);
+      });
+    });
+
+    it("replaces the token in the request body", function () {
+      mock.expireToken();
+
+      return client
+        .getTracks({ sn: SN, index: 0, pageSize: 1 })
+        .then(function () {
+          var requests = mock.getRequests("/v5/track/list/v2");
+
+          assert.strictEqual(requests.length, 2);
+          assert.strictEqual(requests[1].body.token, mock.token);
+        });
+    });
+
+    it("keeps the token in the cache file", function () {
+      var dir = fs.mkdtempSync(path.join(os.tmpdir(), "niu-"));
+      var tokenFile = path.join(dir, "token.json");
+      var loginCount = mock.loginCount;
+
+      return login(createClient({ tokenFile: tokenFile }))
+        .then(function () {
+          return login(createClient({ tokenFile: tokenFile }));
+        })
+        .then(function (result) {
+          var cache = JSON.parse(fs.readFileSync(tokenFile, "utf8"));
+
+          assert.strictEqual(mock.loginCount, loginCount + 1);
+          assert.strictEqual(result.result, mock.token);
+          assert.strictEqual(cache[mock.credentials.account].token, mock.token);
+        })
+        .then(function () {
+          fs.rmSync(dir, { recursive: true });
+        });
+    });
+
+    it("keeps the tokens of concurrent logins in a shared cache file", function () {
+      var dir = fs.mkdtempSync(path.join(os.tmpdir(), "niu-"));
+      var tokenFile = path.join(dir, "token.json");
+      var accounts = ["a@example.com", "b@example.com", "c@example.com"];
+
+      return Promise.all(
+        accounts.map(function (account) {
+          return createClient({ tokenFile: tokenFile })._writeCachedToken(
+            account,
+            "token-" + account
+          );
+        })
+      ).then(function () {
+        var cache = JSON.parse(fs.readFileSync(tokenFile, "utf8"));
+
+        accounts.forEach(function (account) {
+          assert.strictEqual(cache[account].token, "token-" + account);
+        });
+
+        fs.rmSync(dir, { recursive: true });
+      });
+    });
+  });
+});
@@ -0,0 +1,914 @@
+/*
+ * Express routes, served from vehicle data polled from the mock NIU cloud.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var http = require("http");
+var net = require("net");
+var os = require("os");
+var path = require("path");
+var test = require("node:test");
+
+var AlertEngine = require("../lib/alerts");
+var api = require("../api");
+var Authenticator = require("../lib/auth");
+var createApp = require("../lib/app");
+var Fleet = require("../lib/fleet");
+var GeofenceStore = require("../lib/geofences");
+var HealthTracker = require("../lib/health");
+var FirmwareMonitor = require("../lib/firmware");
+var MetricsCollector = require("../lib/metrics");
+var HistoryStore = require("../lib/history");
+var listenLive = require("../lib/socket");
+var LiveFeed = require("../lib/live");
+var MockServer = require("../mock/server");
+var TheftDetector = require("../lib/theft");
+var WebSocket = require("ws");
+
+var describe = test.describe;
+var it = test.it;
+var before = test.before;
+var after = test.after;
+
+var SN = "NQGT2A1B3C4D5E6F";
+var KEY = "test-key";
+
+/**
+ * Send a request with an API key in the "Authorization" header.
+ *
+ * @param {string}      method  - HTTP method.
+ * @param {string}      url     - URL.
+ * @param {Object}      [body]  - JSON request body.
+ * @param {string|null} [key]   - API key, default is KEY, null sends none.
+ *
+ * @returns {Promise} Response: {statusCode, headers, body}, a JSON body is parsed.
+ */
+var request = function (method, url, body, key) {
+  var data = "undefined" === typeof body ? "" : JSON.stringify(body);
+  var headers = {
+    "content-type": "application/json",
+    "content-length": Buffer.byteLength(data),
+  };
+
+  if ("undefined" === typeof key) {
+    key = KEY;
+  }
+
+  if (null !== key) {
+    headers.authorization = "Bearer " + key;
+  }
+
+  return new Promise(function (resolve, reject) {
+    var req = http.request(
+      url,
+      {
+        method: method,
+        headers: headers,
+      },
+      function (res) {
+        var body = "";
+
+        res.setEncoding("utf8");
+        res.on("data", function (chunk) {
+          body += chunk;
+        });
+        res.on("end", function () {
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: /json/.test(res.headers["content-type"])
+              ? JSON.parse(body)
+              : body,
+          });
+        });
+      }
+    );
+
+    req.on("error", reject);
+    req.end(data);
+  });
+};
+
+/**
+ * Send a GET request with an API key in the "Authorization" header.
+ *
+ * @param {string}      url     - URL.
+ * @param {string|null} [key]   - API key, default is KEY, null sends none.
+ *
+ * @returns {Promise} Response: {statusCode, headers, body}, a JSON body is parsed.
+ */
+var get = function (url, key) {
+  return request("GET", url, undefined, key);
+};
+
+describe("app", function () {
+  var mock = new MockServer();
+  var fleet = new Fleet();
+  var historyDir = fs.mkdtempSync(path.join(os.tmpdir(), "niu-app-"));
+  var history = new HistoryStore({ dir: historyDir });
+  var health = new HealthTracker();
+  var firmware = new FirmwareMonitor();
+  var geofences = new GeofenceStore({
+    dir: path.join(historyDir, "geofences"),
+  });
+  var metrics = new MetricsCollector();
+  var theft = new TheftDetector();
+  var live = new LiveFeed();
+  var auth = new Authenticator({
+    keys: [
+      { name: "test", hash: Authenticator.hash(KEY) },
+      {
+        name: "widget",
+        hash: Authenticator.hash("widget-key"),
+        vehicles: [SN],
+        scopes: ["vehicle", "battery", "live"],
+      },
+      {
+        name: "other",
+        hash: Authenticator.hash("other-key"),
+        vehicles: ["OTHER"],
+      },
+      { name: "burst", hash: Authenticator.hash("burst-key"), rateLimit: 2 },
+      {
+        name: "map",
+        hash: Authenticator.hash("map-key"),
+        scopes: ["vehicle", "position"],
+        vehicles: [SN],
+      },
+    ],
+    rateLimit: 1000,
+  });
+  var alerts = new AlertEngine({
+    rules: [
+      { id: "low", type: "soc_below", threshold: 70 },
+      {
+        id: "cold",
+        type: "temperature_out_of_range",
+        min: -40,
+        max: 80,
+        sn: SN,
+      },
+    ],
+  });
+  var server = null;
+  var baseUrl = "";
+
+  before(function () {
+    return mock
+      .listen()
+      .then(function (url) {
+        var client = new api.Client({
+          accountBaseUrl: url,
+          appApiBaseUrl: url,
+        });
+
+        return client.createSessionToken(mock.credentials);
+      })
+      .then(function (result) {
+        return result.client.getVehicles();
+      })
+      .then(function (result) {
+        result.result.forEach(function (vehicle) {
+          fleet.add(result.client, vehicle);
+        });
+
+        history.attach(fleet);
+        health.attach(fleet);
+        firmware.attach(fleet);
+        metrics.attach(fleet);
+        alerts.attach(fleet);
+        theft.attach(fleet);
+        live.attach(fleet);
+
+        return fleet.start();
+      })
+      .then(function () {
+        return new Promise(function (resolve) {
+          server = createApp({
+            fleet: fleet,
+            auth: auth,
+            history: history,
+            health: health,
+            firmware: firmware,
+            geofences: geofences,
+            theft: theft,
+            live: live,
+            metrics: metrics,
+            alerts: alerts,
+          }).listen(0, "127.0.0.1", function () {
+            baseUrl = "http://127.0.0.1:" + server.address().port;
+            listenLive(server, { fleet: fleet, auth: auth, live: live });
+            resolve();
+          });
+        });
+      });
+  });
+
+  after(function () {
+    fleet.stop();
+    server.close();
+    fs.rmSync(historyDir, { recursive: true });
+
+    return mock.close();
+  });
+
+  it("serves the first vehicle at /api", function () {
+    return get(baseUrl + "/api").then(function (res) {
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.vehicle.sn, SN);
+      assert.strictEqual(res.body.position.latitude, 38.722252);
+      assert.strictEqual(res.body.battery.batteries[1].capacity, 64);
+      assert.strictEqual(res.body.total_mileage, 4321.7);
+      assert.strictEqual(res.body.firmware_version, "NGT0V03C12");
+      assert.strictEqual(res.body.track.id, "2022031901");
+      assert.ok(res.body.last_updated.position);
+    });
+  });
+
+  it("lists all vehicles", function () {
+    return get(baseUrl + "/api/vehicles").then(function (res) {
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.length, 2);
+    });
+  });
+
+  it("serves a vehicle by serial number", function () {
+    return get(baseUrl + "/api/vehicles/NQMQI9Z8Y7X6W5V4").then(function (res) {
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.vehicle.name, "Weekend");
+    });
+  });
+
+  it("serves the sub-resources of a vehicle", function () {
+    return Promise.all([
+      get(baseUrl + "/api/vehicles/" + SN + "/position"),
+      get(baseUrl + "/api/vehicles/" + SN + "/battery"),
+      get(baseUrl + "/api/vehicles/" + SN + "/firmware"),
+      get(baseUrl + "/api/vehicles/" + SN + "/tracks"),
+    ]).then(function (responses) {
+      assert.strictEqual(responses[0].body.position.longitude, -9.139337);
+      assert.strictEqual(responses[1].body.battery.batteries[0].grade, 91.5);
+      assert.strictEqual(responses[2].body.firmware_version, "NGT0V03C12");
+      assert.strictEqual(responses[3].body.tracks.length, 6);
+    });
+  });
+
+  it("serves the firmware versions", function () {
+    return get(baseUrl + "/api/vehicles/" + SN + "/firmware").then(function (
+      res
+    ) {
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.current.version, "NGT0V03C12");
+      assert.strictEqual(res.body.current.hardware_version, "NGT0H02");
+      assert.strictEqual(res.body.available, null);
+      assert.strictEqual(res.body.history.length, 1);
+      assert.ok(res.body.checked_at);
+    });
+  });
+
+  it("serves the tracks of a time range", function () {
+    return get(
+      baseUrl +
+        "/api/vehicles/" +
+        SN +
+        "/tracks?from=2022-02-01&to=2022-03-18&page=1"
+    ).then(function (res) {
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.has_more, false);
+      assert.deepStrictEqual(
+        res.body.tracks.map(function (track) {
+          return track.id;
+        }),
+        ["2022031802", "2022030103", "2022021404"]
+      );
+    });
+  });
+
+  it("rejects an invalid track range", function () {
+    return get(baseUrl + "/api/vehicles/" + SN + "/tracks?from=never").then(
+      function (res) {
+        assert.strictEqual(res.statusCode, 400);
+      }
+    );
+  });
+
+  it("serves the points of a track", function () {
+    return get(baseUrl + "/api/vehicles/" + SN + "/tracks/2022030103").then(
+      function (res) {
+        var points = res.body.points;
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.body.track.date, "20220301");
+        assert.strictEqual(points.length, 6);
+        assert.ok(points[0].date < points[points.length - 1].date);
+      }
+    );
+  });
+
+  it("answers an unknown track with 404", function () {
+    return get(baseUrl + "/api/vehicles/" + SN + "/tracks/unknown").then(
+      function (res) {
+        assert.strictEqual(res.statusCode, 404);
+      }
+    );
+  });
+
+  it("exports a track as GPX download", function () {
+    return get(
+      baseUrl + "/api/vehicles/" + SN + "/tracks/2022030103/export/gpx"
+    ).then(function (res) {
+      assert.strictEqual(res.statusCode, 200);
+      assert.match(res.headers["content-type"], /^application\/gpx\+xml/);
+      assert.match(
+        res.headers["content-disposition"],
+        /filename="NQGT2A1B3C4D5E6F-2022030103.gpx"/
+      );
+      assert.strictEqual(res.body.match(/<trkpt /g).length, 6);
+    });
+  });
+
+  it("exports the tracks of a time range", function () {
+    return get(
+      baseUrl +
+        "/api/vehicles/" +
+        SN +
+        "/export/geojson?from=2022-01-01&to=2022-02-28"
+    ).then(function (res) {
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(
+        res.body.features.map(function (feature) {
+          return feature.properties.id;
+        }),
+        ["2022012005", "2022021404"]
+      );
+    });
+  });
+
+  it("rejects an export without start of the time range", function () {
+    return get(baseUrl + "/api/vehicles/" + SN + "/export/kml").then(function (
+      res
+    ) {
+      assert.strictEqual(res.statusCode, 400);
+    });
+  });
+
+  it("rejects an unsupported export format", function () {
+    return get(
+      baseUrl + "/api/vehicles/" + SN + "/tracks/2022030103/export/csv"
+    ).then(function (res) {
+      assert.strictEqual(res.statusCode, 400);
+    });
+  });
+
+  it("serves the history of a metric", function () {
+    return get(baseUrl + "/api/vehicles/" + SN + "/history?metric=soc").then(
+      function (res) {
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(res.body.fields, ["soc_a", "soc_b"]);
+        assert.strictEqual(res.body.points[0].soc_a, 78);
+        assert.ok(!isNaN(Date.parse(res.body.points[0].time)));
+      }
+    );
+  });
+
+  it("rejects an unknown history metric", function () {
+    return get(baseUrl + "/api/vehicles/" + SN + "/history?metric=x").then(
+      function (res) {
+        assert.strictEqual(res.statusCode, 400);
+      }
+    );
+  });
+
+  it("serves the battery health analytics", function () {
+    return get(baseUrl + "/api/vehicles/" + SN + "/battery/health").then(
+      function (res) {
+        var battery = res.body.batteries[0];
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.body.batteries.length, 2);
+        assert.strictEqual(battery.compartment, "A");
+        assert.strictEqual(battery.bms_id, "BN1GAA0000001");
+        assert.strictEqual(battery.observations.length, 3);
+        assert.strictEqual(battery.grade, 91.5);
+        assert.strictEqual(battery.degradation_per_100_cycles, 4.91);
+        assert.strictEqual(battery.end_of_life_cycles, 653);
+      }
+    );
+  });
+
+  it("serves the theft detection status", function () {
+    return get(baseUrl + "/api/vehicles/" + SN + "/theft").then(function (res) {
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.is_parked, false);
+      assert.strictEqual(res.body.alarm, null);
+      assert.deepStrictEqual(res.body.events, []);
+    });
+  });
+
+  it("streams the live state over SSE", function () {
+    return new Promise(function (resolve, reject) {
+      var url = baseUrl + "/api/vehicles/" + SN + "/stream?key=" + KEY;
+
+      http
+        .get(url, function (res) {
+          var text = "";
+
+          assert.strictEqual(res.statusCode, 200);
+          assert.strictEqual(res.headers["content-type"], "text/event-stream");
+
+          res.setEncoding("utf8");
+          res.on("data", function (chunk) {
+            var lines = null;
+
+            text += chunk;
+
+            if (-1 === text.indexOf("\n\n")) {
+              return;
+            }
+
+            res.destroy();
+
+            lines = text.split("\n");
+            assert.strictEqual(lines[0], "event: snapshot");
+            assert.strictEqual(
+              JSON.parse(lines[1].slice("data: ".length)).state.soc.a,
+              78
+            );
+            resolve();
+          });
+        })
+        .on("error", reject);
+    });
+  });
+
+  it("streams only the live state of the key scopes", function () {
+    return new Promise(function (resolve, reject) {
+      var url = baseUrl + "/api/vehicles/" + SN + "/stream?key=widget-key";
+
+      http
+        .get(url, function (res) {
+          var text = "";
+          var state = null;
+
+          res.setEncoding("utf8");
+          res.on("data", function (chunk) {
+            text += chunk;
+
+            if (null === state && -1 !== text.indexOf("\n\n")) {
+              state = JSON.parse(
+                text.split("\n")[1].slice("data: ".length)
+              ).state;
+
+              assert.strictEqual(state.position, undefined);
+              assert.strictEqual(state.soc.a, 78);
+
+              live.publishEvent(SN, "theft", { type: "alarm", latitude: 1 });
+              live.publishEvent(SN, "firmware", { type: "available" });
+            }
+
+            if (-1 === text.indexOf("event: event")) {
+              return;
+            }
+
+            res.destroy();
+            assert.strictEqual(text.indexOf("theft"), -1);
+            assert.notStrictEqual(text.indexOf("firmware"), -1);
+            resolve();
+          });
+        })
+        .on("error", reject);
+    });
+  });
+
+  it("accepts the API key in the query only for the streams", function () {
+    return get(baseUrl + "/api/vehicles?key=" + KEY, null).then(function (res) {
+      assert.strictEqual(res.statusCode, 401);
+      assert.strictEqual(res.body.error, "Missing API key.");
+    });
+  });
+
+  it("streams the live state over WebSocket", function () {
+    var url =
+      baseUrl.replace("http", "ws") + "/api/vehicles/" + SN + "/live?key=";
+
+    return new Promise(function (resolve, reject) {
+      var ws = new WebSocket(url + "wrong");
+
+      ws.on("unexpected-response", function (req, res) {
+        assert.strictEqual(res.statusCode, 401);
+        res.resume();
+        resolve();
+      });
+      ws.on("error", reject);
+    }).then(function () {
+      return new Promise(function (resolve, reject) {
+        var ws = new WebSocket(url + KEY);
+
+        ws.on("message", function (data) {
+          var message = JSON.parse(data);
+
+          assert.strictEqual(message.type, "snapshot");
+          assert.strictEqual(message.data.sn, SN);
+          assert.strictEqual(message.data.state.lock_status, 1);
+
+          live.publishEvent(SN, "theft", { type: "alarm" });
+          ws.removeAllListeners("message");
+          ws.on("message", function (data) {
+            assert.strictEqual(JSON.parse(data).data.source, "theft");
+            ws.close();
+          });
+        });
+        ws.on("close", resolve);
+        ws.on("error", reject);
+      });
+    });
+  });
+
+  it("rejects a malformed WebSocket path", function () {
+    return new Promise(function (resolve, reject) {
+      var socket = net.connect(server.address().port, "127.0.0.1");
+      var text = "";
+
+      socket.setEncoding("utf8");
+      socket.on("data", function (chunk) {
+        text += chunk;
+      });
+      socket.on("end", function () {
+        assert.match(text, /^HTTP\/1\.1 400 Bad Request/);
+        resolve();
+      });
+      socket.on("error", reject);
+      socket.write(
+        "GET /api/vehicles/%E0%A4%A/live HTTP/1.1\r\n" +
+          "Host: 127.0.0.1\r\n" +
+          "Connection: Upgrade\r\n" +
+          "Upgrade: websocket\r\n" +
+          "Sec-WebSocket-Version: 13\r\n" +
+          "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n"
+      );
+    });
+  });
+
+  it("drops a WebSocket connection with a malformed frame", function () {
+    var url =
+      baseUrl.replace("http", "ws") + "/api/vehicles/" + SN + "/live?key=";
+    var subscribers = live.getSubscriberCount(SN);
+
+    return new Promise(function (resolve, reject) {
+      var ws = new WebSocket(url + KEY);
+      var timer = setTimeout(function () {
+        reject(new Error("Connection not dropped."));
+      }, 2000);
+
+      ws.once("message", function () {
+        /* An unmasked text frame, which a client must never send */
+        ws._socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+      });
+      ws.on("close", function () {
+        clearTimeout(timer);
+        resolve();
+      });
+      ws.on("error", function () {});
+    })
+      .then(function () {
+        assert.strictEqual(live.getSubscriberCount(SN), subscribers);
+
+        return get(baseUrl + "/api/vehicles");
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 200);
+      });
+  });
+
+  it("serves the Prometheus metrics", function () {
+    return get(baseUrl + "/metrics")
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 200);
+        assert.match(res.headers["content-type"], /version=0\.0\.4/);
+        assert.match(
+          res.body,
+          /niu_battery_soc_percent\{sn="NQGT2A1B3C4D5E6F",compartment="a"\} 78/
+        );
+        assert.match(
+          res.body,
+          /niu_client_requests_total\{path="\/motoinfo\/currentpos"\} \d+/
+        );
+
+        return get(baseUrl + "/metrics", null);
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 401);
+
+        return get(baseUrl + "/metrics", "widget-key");
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 403);
+
+        return get(baseUrl + "/metrics", "other-key");
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.body.indexOf(SN), -1);
+      });
+  });
+
+  it("serves the fired alerts", function () {
+    return get(baseUrl + "/api/alerts?sn=" + SN).then(function (res) {
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.length, 1);
+      assert.strictEqual(res.body[0].rule, "low");
+      assert.strictEqual(res.body[0].subject, "b");
+    });
+  });
+
+  it("lists the deliveries without limit", function () {
+    return get(baseUrl + "/api/alerts/deliveries")
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 200);
+        assert.ok(Array.isArray(res.body));
+
+        return get(baseUrl + "/api/alerts/deliveries?limit=0");
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 400);
+        assert.strictEqual(res.body.error, "Invalid limit.");
+      });
+  });
+
+  it("lists only the alert rules of the key vehicles", function () {
+    return get(baseUrl + "/api/alerts/rules")
+      .then(function (res) {
+        assert.strictEqual(res.body.length, 2);
+
+        return get(baseUrl + "/api/alerts/rules", "other-key");
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(
+          res.body.map(function (rule) {
+            return rule.id;
+          }),
+          ["low"]
+        );
+      });
+  });
+
+  it("needs the geofences scope to change geofences", function () {
+    var url = baseUrl + "/api/vehicles/" + SN + "/geofences";
+
+    return request(
+      "POST",
+      url,
+      {
+        name: "home",
+        type: "circle",
+        center: { latitude: 38.7076, longitude: -9.1365 },
+        radius: 300,
+      },
+      "map-key"
+    ).then(function (res) {
+      assert.strictEqual(res.statusCode, 403);
+      assert.strictEqual(res.body.error, "The API key has no geofences scope.");
+    });
+  });
+
+  it("rejects an unknown delivery status", function () {
+    return get(baseUrl + "/api/alerts/deliveries?status=x").then(function (
+      res
+    ) {
+      assert.strictEqual(res.statusCode, 400);
+    });
+  });
+
+  it("manages the geofences of a vehicle", function () {
+    var url = baseUrl + "/api/vehicles/" + SN + "/geofences";
+    var id = "";
+
+    return request("POST", url, {
+      name: "home",
+      type: "circle",
+      center: { latitude: 38.7076, longitude: -9.1365 },
+      radius: 300,
+    })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 201);
+        id = res.body.id;
+        return get(url);
+      })
+      .then(function (res) {
+        assert.strictEqual(res.body.length, 1);
+        assert.strictEqual(res.body[0].name, "home");
+        return request("PUT", url + "/" + id, {
+          name: "home",
+          type: "polygon",
+        });
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 400);
+        return request("DELETE", url + "/" + id);
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 204);
+        return get(url + "/" + id);
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 404);
+      });
+  });
+
+  it("serves the geofence events", function () {
+    return get(
+      baseUrl + "/api/vehicles/" + SN + "/geofences/events?type=exit"
+    ).then(function (res) {
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(res.body, []);
+    });
+  });
+
+  it("serves the battery curve", function () {
+    return get(baseUrl + "/api/vehicles/" + SN + "/battery/curve").then(
+      function (res) {
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.body.items.length, 25);
+      }
+    );
+  });
+
+  it("serves the battery curve as CSV", function () {
+    return get(
+      baseUrl + "/api/vehicles/" + SN + "/battery/curve?bmsId=1&format=csv"
+    ).then(function (res) {
+      var lines = res.body.trim().split("\n");
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.match(res.headers["content-type"], /^text\/csv/);
+      assert.strictEqual(lines[0], "mileage,soc_a,soc_b");
+      assert.strictEqual(lines[1], "0,100,");
+      assert.strictEqual(lines.length, 26);
+    });
+  });
+
+  it("answers an unknown serial number with 404", function () {
+    return get(baseUrl + "/api/vehicles/UNKNOWN").then(function (res) {
+      assert.strictEqual(res.statusCode, 404);
+      assert.deepStrictEqual(res.body, {
+        error: "Vehicle not found.",
+        code: "not_found",
+      });
+    });
+  });
+
+  it("answers a failed NIU request with 502 and its details", function () {
+    mock.respondWith("/v5/track/list/v2", {
+      status: 1,
+      desc: "Vehicle offline",
+      trace: "trace",
+    });
+
+    return get(baseUrl + "/api/vehicles/" + SN + "/tracks").then(function (
+      res
+    ) {
+      assert.strictEqual(res.statusCode, 502);
+      assert.deepStrictEqual(res.body, {
+        error: "Vehicle offline",
+        code: "upstream_status",
+        details: {
+          endpoint: "/v5/track/list/v2",
+          status: 1,
+          desc: "Vehicle offline",
+        },
+      });
+    });
+  });
+
+  it("rejects a missing or unknown API key with 401", function () {
+    return get(baseUrl + "/api/vehicles", null)
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 401);
+        assert.strictEqual(res.body.error, "Missing API key.");
+        assert.match(res.headers["www-authenticate"], /^Bearer/);
+
+        return get(baseUrl + "/api/vehicles", "wrong-key");
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 401);
+        assert.strictEqual(res.body.error, "Invalid API key.");
+      });
+  });
+
+  it("limits an API key to its vehicles", function () {
+    return get(baseUrl + "/api/vehicles/" + SN, "other-key")
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 403);
+
+        return get(baseUrl + "/api/vehicles", "other-key");
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(res.body, []);
+      });
+  });
+
+  it("limits an API key to its scopes", function () {
+    return get(baseUrl + "/api/vehicles/" + SN, "widget-key")
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.body.position, undefined);
+        assert.strictEqual(res.body.battery.estimated_milage, 71);
+
+        return get(baseUrl + "/api/vehicles/" + SN + "/position", "widget-key");
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 403);
+        assert.strictEqual(
+          res.body.error,
+          "The API key has no position scope."
+        );
+
+        return get(baseUrl + "/api/alerts", "widget-key");
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 403);
+      });
+  });
+
+  it("serves the health of the accounts without API key", function () {
+    var circuit = { state: "closed", failures: 0, opened_at: null };
+    var statuses = [
+      { name: "a@example.com", status: "ok", error: null, circuit: circuit },
+      { name: "b@example.com", status: "failed", error: "x", circuit: null },
+    ];
+    var app = createApp({
+      fleet: fleet,
+      auth: auth,
+      accounts: {
+        getStatus: function () {
+          return statuses;
+        },
+      },
+    });
+
+    return new Promise(function (resolve) {
+      var healthServer = app.listen(0, "127.0.0.1", function () {
+        resolve(healthServer);
+      });
+    }).then(function (healthServer) {
+      var url = "http://127.0.0.1:" + healthServer.address().port + "/health";
+
+      return get(url, null)
+        .then(function (res) {
+          assert.strictEqual(res.statusCode, 200);
+          assert.deepStrictEqual(res.body, {
+            status: "degraded",
+            accounts: [
+              { status: "ok", circuit: "closed" },
+              { status: "failed", circuit: null },
+            ],
+          });
+
+          circuit.state = "open";
+
+          return get(url, null);
+        })
+        .then(function (res) {
+          assert.strictEqual(res.statusCode, 503);
+          assert.strictEqual(res.body.status, "unavailable");
+
+          statuses = [];
+
+          return get(url, null);
+        })
+        .then(function (res) {
+          assert.strictEqual(res.statusCode, 200);
+          assert.deepStrictEqual(res.body, {
+            status: "degraded",
+            accounts: [],
+          });
+        })
+        .finally(function () {
+          healthServer.close();
+        });
+    });
+  });
+
+  it("limits the request rate of an API key", function () {
+    var url = baseUrl + "/api/vehicles";
+
+    return get(url, "burst-key")
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers["x-ratelimit-limit"], "2");
+        assert.strictEqual(res.headers["x-ratelimit-remaining"], "1");
+
+        return get(url, "burst-key");
+      })
+      .then(function () {
+        return get(url, "burst-key");
+      })
+      .then(function (res) {
+        assert.strictEqual(res.statusCode, 429);
+        assert.ok(0 < Number(res.headers["retry-after"]));
+      });
+  });
+});
@@ -0,0 +1,163 @@
+/*
+ * API authentication with named keys, scopes and rate limits.
+ */
+
+var assert = require("assert");
+var test = require("node:test");
+
+var Authenticator = require("../lib/auth");
+
+var describe = test.describe;
+var it = test.it;
+
+var SN = "NQGT2A1B3C4D5E6F";
+var NOW = Date.UTC(2022, 2, 19, 12);
+
+describe("Authenticator", function () {
+  var auth = new Authenticator({
+    keys: [
+      { name: "admin", hash: Authenticator.hash("admin-key") },
+      {
+        name: "widget",
+        hash: Authenticator.hash("widget-key"),
+        vehicles: [SN],
+        scopes: ["vehicle", "position"],
+        rateLimit: 2,
+      },
+    ],
+  });
+
+  it("rejects an invalid key configuration", function () {
+    assert.throws(function () {
+      return new Authenticator({ keys: [{ name: "a", hash: "plain" }] });
+    }, /Invalid hash/);
+    assert.throws(function () {
+      return new Authenticator({
+        keys: [
+          { name: "a", hash: Authenticator.hash("a") },
+          { name: "a", hash: Authenticator.hash("b") },
+        ],
+      });
+    }, /Duplicate key name/);
+    assert.throws(function () {
+      return new Authenticator({
+        keys: [{ name: "a", hash: Authenticator.hash("a"), scopes: ["all"] }],
+      });
+    }, /Unknown scope/);
+    assert.throws(function () {
+      return new Authenticator({
+        keys: [{ name: "a", hash: Authenticator.hash("a"), vehicles: SN }],
+      });
+    }, /Invalid vehicles of key: a/);
+    assert.throws(function () {
+      return new Authenticator({
+        keys: [{ name: "a", hash: Authenticator.hash("a"), scopes: "live" }],
+      });
+    }, /Invalid scopes of key: a/);
+  });
+
+  it("finds the key of a token", function () {
+    assert.strictEqual(auth.authenticate("widget-key").name, "widget");
+    assert.strictEqual(auth.authenticate("unknown"), null);
+    assert.strictEqual(auth.authenticate(""), null);
+  });
+
+  it("reads the token from the header or the query", function () {
+    assert.strictEqual(
+      auth.getToken({ url: "/", headers: { authorization: "Bearer abc" } }),
+      "abc"
+    );
+    assert.strictEqual(
+      auth.getToken({ url: "/", headers: { authorization: "Basic abc" } }),
+      null
+    );
+    assert.strictEqual(auth.getToken({ url: "/?key=abc", headers: {} }), null);
+    assert.strictEqual(
+      auth.getToken({ url: "/?key=abc", headers: {} }, true),
+      "abc"
+    );
+    assert.strictEqual(auth.getToken({ url: "/", headers: {} }), null);
+  });
+
+  it("checks vehicles and scopes", function () {
+    var admin = auth.authenticate("admin-key");
+    var widget = auth.authenticate("widget-key");
+
+    assert.strictEqual(Authenticator.canAccess(admin, "OTHER"), true);
+    assert.strictEqual(Authenticator.canAccess(widget, SN), true);
+    assert.strictEqual(Authenticator.canAccess(widget, "OTHER"), false);
+    assert.strictEqual(Authenticator.hasScope(admin, "battery"), true);
+    assert.strictEqual(Authenticator.hasScope(widget, "battery"), false);
+    assert.deepStrictEqual(
+      Object.keys(
+        Authenticator.filterData(widget, {
+          vehicle: {},
+          position: {},
+          battery: {},
+          track: {},
+        })
+      ),
+      ["vehicle", "position", "track"]
+    );
+  });
+
+  it("filters the live messages by scope", function () {
+    var widget = auth.authenticate("widget-key");
+    var time = new Date(NOW).toISOString();
+
+    assert.deepStrictEqual(
+      Authenticator.filterLiveMessage(widget, {
+        type: "snapshot",
+        data: {
+          sn: SN,
+          state: { position: {}, soc: {}, estimated_mileage: 35, speed: 0 },
+          time: time,
+        },
+      }),
+      {
+        type: "snapshot",
+        data: { sn: SN, state: { position: {}, speed: 0 }, time: time },
+      }
+    );
+    assert.strictEqual(
+      Authenticator.filterLiveMessage(widget, {
+        type: "change",
+        data: { sn: SN, changes: { soc: {} }, time: time },
+      }),
+      null
+    );
+    assert.strictEqual(
+      Authenticator.filterLiveMessage(widget, {
+        type: "event",
+        data: { sn: SN, source: "alert", event: {} },
+      }),
+      null
+    );
+    assert.strictEqual(
+      Authenticator.filterLiveMessage(widget, {
+        type: "event",
+        data: { sn: SN, source: "geofence", event: {} },
+      }).data.source,
+      "geofence"
+    );
+  });
+
+  it("limits the requests per minute", function () {
+    var widget = auth.authenticate("widget-key");
+
+    assert.deepStrictEqual(auth.consume(widget, NOW), {
+      limit: 2,
+      remaining: 1,
+      reset: 60,
+      isLimited: false,
+    });
+    assert.strictEqual(auth.consume(widget, NOW + 1000).isLimited, false);
+    assert.deepStrictEqual(auth.consume(widget, NOW + 30000), {
+      limit: 2,
+      remaining: 0,
+      reset: 30,
+      isLimited: true,
+    });
+    assert.strictEqual(auth.consume(widget, NOW + 60000).isLimited, false);
+  });
+});
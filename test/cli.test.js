@@ -0,0 +1,225 @@
+/*
+ * Command-line tool, tested against the mock NIU cloud.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var test = require("node:test");
+
+var cli = require("../lib/cli");
+var MockServer = require("../mock/server");
+
+var describe = test.describe;
+var it = test.it;
+var before = test.before;
+var after = test.after;
+var beforeEach = test.beforeEach;
+
+var SN = "NQGT2A1B3C4D5E6F";
+
+/**
+ * Output stream, which keeps the written text.
+ */
+var createStream = function () {
+  return {
+    text: "",
+    write: function (chunk) {
+      this.text += chunk;
+    },
+  };
+};
+
+describe("cli", function () {
+  var mock = new MockServer();
+  var dir = "";
+  var env = null;
+
+  var run = function (argv, aEnv) {
+    var io = {
+      env: aEnv || env,
+      stdout: createStream(),
+      stderr: createStream(),
+    };
+
+    return cli.run(argv, io).then(function (exitCode) {
+      return {
+        exitCode: exitCode,
+        stdout: io.stdout.text,
+        stderr: io.stderr.text,
+      };
+    });
+  };
+
+  before(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "niu-cli-"));
+
+    return mock.listen().then(function (url) {
+      env = {
+        API_ACCOUNT: mock.credentials.account,
+        API_PWD: mock.credentials.password,
+        API_COUNTRY_CODE: mock.credentials.countryCode,
+        API_ACCOUNT_BASE_URL: url,
+        API_APP_BASE_URL: url,
+        TOKEN_FILE: path.join(dir, "token.json"),
+      };
+    });
+  });
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    return mock.close();
+  });
+
+  beforeEach(function () {
+    mock.reset();
+    fs.rmSync(env.TOKEN_FILE, { force: true });
+  });
+
+  describe("parseArgs()", function () {
+    it("separates command, arguments and options", function () {
+      assert.deepStrictEqual(
+        cli.parseArgs(["track", "42", "--sn", SN, "--json", "--limit=5"]),
+        {
+          command: "track",
+          args: ["42"],
+          options: { sn: SN, json: true, limit: "5" },
+        }
+      );
+    });
+
+    it("rejects an unknown option", function () {
+      assert.throws(
+        function () {
+          cli.parseArgs(["vehicles", "--verbose"]);
+        },
+        function (error) {
+          assert.strictEqual(error.exitCode, cli.EXIT_CODES.usage);
+          return true;
+        }
+      );
+    });
+  });
+
+  it("prints the vehicles as table", function () {
+    return run(["vehicles"]).then(function (result) {
+      var lines = result.stdout.split("\n");
+
+      assert.strictEqual(result.exitCode, 0);
+      assert.match(
+        lines[0],
+        /^sn\s+name\s+model\s+isDoubleBattery\s+infoTime$/
+      );
+      assert.match(lines[1], /^NQGT2A1B3C4D5E6F\s+Commuter\s+NGT Black/);
+    });
+  });
+
+  it("prints JSON of the first vehicle by default", function () {
+    return run(["position", "--json"]).then(function (result) {
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(JSON.parse(result.stdout).latitude, 38.722252);
+      assert.strictEqual(
+        mock.getRequests("/motoinfo/currentpos")[0].body.sn,
+        SN
+      );
+    });
+  });
+
+  it("reuses the cached session token", function () {
+    var loginCount = 0;
+
+    return run(["login"])
+      .then(function (result) {
+        assert.strictEqual(result.exitCode, 0);
+        assert.match(result.stdout, /tokenFile\s+.*token\.json/);
+        loginCount = mock.loginCount;
+
+        return run(
+          ["battery", "--sn", SN],
+          Object.assign({}, env, { API_PWD: "" })
+        );
+      })
+      .then(function (result) {
+        assert.strictEqual(result.exitCode, 0);
+        assert.match(result.stdout, /estimatedRange\s+71000/);
+        assert.match(result.stdout, /compartments:\nid\s+bmsId/);
+        assert.strictEqual(mock.loginCount, loginCount);
+      });
+  });
+
+  it("lists tracks in the time range", function () {
+    return run([
+      "tracks",
+      "--since",
+      "2022-03-01",
+      "--limit",
+      "2",
+      "--json",
+    ]).then(function (result) {
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(
+        JSON.parse(result.stdout).map(function (track) {
+          return track.id;
+        }),
+        ["2022031901", "2022031802"]
+      );
+    });
+  });
+
+  it("exports a track", function () {
+    return run(["export", "2022031901", "--format", "geojson"]).then(function (
+      result
+    ) {
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(JSON.parse(result.stdout).type, "FeatureCollection");
+    });
+  });
+
+  describe("exit codes", function () {
+    it("rejects an unknown command", function () {
+      return run(["garage"]).then(function (result) {
+        assert.strictEqual(result.exitCode, cli.EXIT_CODES.usage);
+        assert.match(result.stderr, /Unknown command: garage/);
+      });
+    });
+
+    it("rejects an unknown region", function () {
+      return run(["vehicles", "--region", "mars"]).then(function (result) {
+        assert.strictEqual(result.exitCode, cli.EXIT_CODES.usage);
+        assert.strictEqual(result.stderr, "Error: Unknown region: mars\n");
+      });
+    });
+
+    it("fails without cached session token", function () {
+      return run(["vehicles"], Object.assign({}, env, { API_PWD: "" })).then(
+        function (result) {
+          assert.strictEqual(result.exitCode, cli.EXIT_CODES.auth);
+          assert.strictEqual(
+            result.stderr,
+            "Error: No cached session token available.\n"
+          );
+        }
+      );
+    });
+
+    it("maps a NIU error status", function () {
+      mock.respondWith("/v3/motor_data/index_info", {
+        status: 1,
+        desc: "Vehicle offline",
+      });
+
+      return run(["status", "--sn", SN]).then(function (result) {
+        assert.strictEqual(result.exitCode, cli.EXIT_CODES.status);
+        assert.strictEqual(result.stderr, "Error: Vehicle offline\n");
+      });
+    });
+
+    it("reports a missing track", function () {
+      return run(["track", "1", "--sn", SN]).then(function (result) {
+        assert.strictEqual(result.exitCode, cli.EXIT_CODES.notFound);
+      });
+    });
+  });
+});
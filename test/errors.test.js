@@ -0,0 +1,109 @@
+/*
+ * Mapping of errors to HTTP error responses.
+ */
+
+var assert = require("assert");
+var test = require("node:test");
+
+var errors = require("../lib/errors");
+
+var describe = test.describe;
+var it = test.it;
+
+describe("errors", function () {
+  it("maps the client errors to HTTP status codes", function () {
+    assert.strictEqual(
+      errors.toResponse(new errors.ValidationError("Page is missing.")).status,
+      400
+    );
+    assert.strictEqual(
+      errors.toResponse(new errors.AuthError("Invalid login data.")).status,
+      502
+    );
+    assert.strictEqual(
+      errors.toResponse(
+        new errors.NetworkError("Request timed out.", { reason: "timeout" })
+      ).status,
+      504
+    );
+    assert.deepStrictEqual(
+      errors.toResponse(
+        new errors.NetworkError("NIU cloud is unavailable.", {
+          reason: "circuit_open",
+          endpoint: "/motoinfo/list",
+        })
+      ),
+      {
+        status: 503,
+        body: {
+          error: "NIU cloud is unavailable.",
+          code: "upstream_circuit_open",
+          details: { endpoint: "/motoinfo/list", http_status: null },
+        },
+        retryAfter: null,
+      }
+    );
+  });
+
+  it("passes the retry delay of a rate limit", function () {
+    var response = errors.toResponse(
+      new errors.RateLimitError("Too many requests.", { retryAfter: 30 })
+    );
+
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual(response.body.code, "upstream_rate_limited");
+    assert.strictEqual(response.retryAfter, 30);
+  });
+
+  it("leaves the NIU trace out of the response", function () {
+    var response = errors.toResponse(
+      new errors.ApiStatusError("Vehicle offline", {
+        endpoint: "/v5/track/list/v2",
+        status: 1,
+        desc: "Vehicle offline",
+        trace: "at com.niu.cloud",
+      })
+    );
+
+    assert.strictEqual(response.status, 502);
+    assert.deepStrictEqual(response.body.details, {
+      endpoint: "/v5/track/list/v2",
+      status: 1,
+      desc: "Vehicle offline",
+    });
+  });
+
+  it("treats any other error as internal", function () {
+    assert.deepStrictEqual(errors.toResponse(new Error("EACCES")), {
+      status: 500,
+      body: { error: "Internal server error.", code: "internal_error" },
+      retryAfter: null,
+    });
+    assert.strictEqual(errors.getMessage("text"), "Unknown error.");
+  });
+
+  it("sends a malformed request body as 400", function () {
+    var sent = null;
+    var res = {
+      status: function (status) {
+        sent = { status: status };
+        return res;
+      },
+      send: function (body) {
+        sent.body = body;
+      },
+    };
+    var error = new SyntaxError("Unexpected token } in JSON at position 9");
+
+    error.status = 400;
+    errors.handler()(error, {}, res, function () {});
+
+    assert.deepStrictEqual(sent, {
+      status: 400,
+      body: {
+        error: "Unexpected token } in JSON at position 9",
+        code: "invalid_request",
+      },
+    });
+  });
+});
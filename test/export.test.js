@@ -0,0 +1,114 @@
+/*
+ * Export of recorded tracks.
+ */
+
+var assert = require("assert");
+var test = require("node:test");
+
+var trackExport = require("../lib/export");
+
+var describe = test.describe;
+var it = test.it;
+
+var START = Date.UTC(2022, 2, 19, 8, 15);
+
+var ITEMS = [
+  {
+    track: {
+      trackId: "2022031901",
+      date: "20220319",
+      startTime: START,
+      endTime: START + 120000,
+      distance: 1000,
+      avespeed: 30,
+      ridingtime: 120,
+    },
+    detail: {
+      /* Newest first, like the NIU cloud delivers them. */
+      trackItems: [
+        { lat: 38.73, lng: -9.13, date: START + 120000 },
+        { lat: 38.72, lng: -9.14, date: START + 60000 },
+        { lat: 38.71, lng: -9.15, date: START },
+      ],
+    },
+  },
+];
+
+describe("export", function () {
+  describe("toGpx()", function () {
+    it("renders the points in chronological order", function () {
+      var gpx = trackExport.toGpx(ITEMS, "Ride & more");
+      var points = gpx.match(/<trkpt lat="[^"]+" lon="[^"]+">.*<\/trkpt>/g);
+
+      assert.match(gpx, /<gpx version="1.1"/);
+      assert.match(gpx, /<name>Ride &amp; more<\/name>/);
+      assert.deepStrictEqual(points, [
+        '<trkpt lat="38.71" lon="-9.15"><time>2022-03-19T08:15:00.000Z</time></trkpt>',
+        '<trkpt lat="38.72" lon="-9.14"><time>2022-03-19T08:16:00.000Z</time></trkpt>',
+        '<trkpt lat="38.73" lon="-9.13"><time>2022-03-19T08:17:00.000Z</time></trkpt>',
+      ]);
+    });
+  });
+
+  describe("toKml()", function () {
+    it("renders a gx:Track with timestamps", function () {
+      var kml = trackExport.toKml(ITEMS, "Rides");
+
+      assert.match(kml, /<begin>2022-03-19T08:15:00.000Z<\/begin>/);
+      assert.match(kml, /<end>2022-03-19T08:17:00.000Z<\/end>/);
+      assert.deepStrictEqual(kml.match(/<when>[^<]+<\/when>/g), [
+        "<when>2022-03-19T08:15:00.000Z</when>",
+        "<when>2022-03-19T08:16:00.000Z</when>",
+        "<when>2022-03-19T08:17:00.000Z</when>",
+      ]);
+      assert.deepStrictEqual(kml.match(/<gx:coord>[^<]+<\/gx:coord>/g), [
+        "<gx:coord>-9.15 38.71 0</gx:coord>",
+        "<gx:coord>-9.14 38.72 0</gx:coord>",
+        "<gx:coord>-9.13 38.73 0</gx:coord>",
+      ]);
+    });
+  });
+
+  describe("toGeoJson()", function () {
+    it("renders a LineString per track", function () {
+      var collection = JSON.parse(trackExport.toGeoJson(ITEMS, "Rides"));
+      var feature = collection.features[0];
+
+      assert.strictEqual(collection.type, "FeatureCollection");
+      assert.strictEqual(feature.geometry.type, "LineString");
+      assert.deepStrictEqual(feature.geometry.coordinates, [
+        [-9.15, 38.71],
+        [-9.14, 38.72],
+        [-9.13, 38.73],
+      ]);
+      assert.strictEqual(
+        feature.properties.coordTimes[0],
+        "2022-03-19T08:15:00.000Z"
+      );
+      assert.strictEqual(feature.properties.distance, 1);
+    });
+
+    it("skips points without valid time", function () {
+      var items = [
+        {
+          track: ITEMS[0].track,
+          detail: {
+            trackItems: ITEMS[0].detail.trackItems.concat([
+              { lat: 38.74, lng: -9.12, date: "unknown" },
+              { lat: 38.75, lng: -9.11, date: 9e15 },
+            ]),
+          },
+        },
+      ];
+      var feature = JSON.parse(trackExport.toGeoJson(items, "Rides"))
+        .features[0];
+
+      assert.strictEqual(feature.geometry.coordinates.length, 3);
+      assert.strictEqual(feature.properties.coordTimes.length, 3);
+      assert.strictEqual(
+        trackExport.toGpx(items, "Rides").match(/<trkpt /g).length,
+        3
+      );
+    });
+  });
+});
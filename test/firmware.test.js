@@ -0,0 +1,161 @@
+/*
+ * Firmware monitoring.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var test = require("node:test");
+
+var FirmwareMonitor = require("../lib/firmware");
+
+var describe = test.describe;
+var it = test.it;
+var beforeEach = test.beforeEach;
+var afterEach = test.afterEach;
+
+var SN = "NQGT2A1B3C4D5E6F";
+var DAY = 24 * 60 * 60 * 1000;
+var START = Date.UTC(2022, 2, 1);
+
+/**
+ * Get a firmware version, as received by getFirmwareVersion().
+ */
+var createResult = function (nowVersion, version) {
+  return {
+    nowVersion: nowVersion,
+    version: version || nowVersion,
+    hardVersion: "NGT0H02",
+    byteSize: "2048",
+    date: START,
+    isSupportUpdate: true,
+    needUpdate: (version || nowVersion) !== nowVersion,
+    otaDescribe: "Improved range estimation",
+  };
+};
+
+describe("FirmwareMonitor", function () {
+  var dir = "";
+  var monitor = null;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "niu-firmware-"));
+    monitor = new FirmwareMonitor({ dir: dir });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it("infers the install time from a version change", function () {
+    var status = null;
+
+    monitor.check(SN, createResult("NGT0V03C11"), START);
+    monitor.check(SN, createResult("NGT0V03C11"), START + DAY);
+    monitor.check(SN, createResult("NGT0V03C12"), START + 2 * DAY);
+
+    status = monitor.getStatus(SN);
+
+    assert.strictEqual(status.current.version, "NGT0V03C12");
+    assert.strictEqual(status.current.installed_at, "2022-03-03T00:00:00.000Z");
+    assert.strictEqual(
+      status.current.installed_after,
+      "2022-03-02T00:00:00.000Z"
+    );
+    assert.deepStrictEqual(status.history[1], {
+      version: "NGT0V03C11",
+      hardware_version: "NGT0H02",
+      installed_at: null,
+      installed_after: null,
+      first_seen: "2022-03-01T00:00:00.000Z",
+      last_seen: "2022-03-02T00:00:00.000Z",
+    });
+    assert.strictEqual(status.available, null);
+    assert.strictEqual(status.checked_at, "2022-03-03T00:00:00.000Z");
+  });
+
+  it("raises an event once per available update", function () {
+    var events = [];
+
+    monitor.on("available", function (sn, event) {
+      events.push(event);
+    });
+
+    monitor.check(SN, createResult("NGT0V03C11", "NGT0V03C12"), START);
+    monitor.check(SN, createResult("NGT0V03C11", "NGT0V03C12"), START + DAY);
+
+    assert.deepStrictEqual(events, [
+      {
+        type: "available",
+        version: "NGT0V03C12",
+        current_version: "NGT0V03C11",
+        description: "Improved range estimation",
+        is_update_supported: true,
+        time: "2022-03-01T00:00:00.000Z",
+      },
+    ]);
+    assert.strictEqual(monitor.getStatus(SN).available.size, 2048);
+    assert.strictEqual(monitor.getStatus(SN).available.cellular_signal, null);
+
+    monitor.check(
+      SN,
+      Object.assign(createResult("NGT0V03C11", "NGT0V03C12"), {
+        updateInfo: { csq: 22, centreCtrlBattery: "100", date: START },
+      }),
+      START + DAY
+    );
+
+    assert.strictEqual(monitor.getStatus(SN).available.cellular_signal, 22);
+    assert.strictEqual(monitor.getStatus(SN).available.controller_charge, 100);
+    assert.strictEqual(
+      monitor.getStatus(SN).available.first_seen,
+      "2022-03-01T00:00:00.000Z"
+    );
+
+    monitor.check(SN, createResult("NGT0V03C12"), START + 2 * DAY);
+
+    assert.strictEqual(monitor.getStatus(SN).available, null);
+    assert.strictEqual(events.length, 1);
+  });
+
+  it("serves an unknown vehicle without versions", function () {
+    assert.deepStrictEqual(monitor.getStatus("unknown"), {
+      current: null,
+      available: null,
+      history: [],
+      checked_at: null,
+    });
+  });
+
+  it("keeps the versions across restarts", function () {
+    var restarted = new FirmwareMonitor({ dir: dir });
+    var events = 0;
+
+    restarted.on("available", function () {
+      ++events;
+    });
+
+    monitor.check(SN, createResult("NGT0V03C11", "NGT0V03C12"), START);
+
+    return monitor
+      .flush()
+      .then(function () {
+        return restarted.load();
+      })
+      .then(function () {
+        restarted.check(
+          SN,
+          createResult("NGT0V03C11", "NGT0V03C12"),
+          START + DAY
+        );
+
+        assert.strictEqual(restarted.getStatus(SN).history.length, 1);
+        assert.strictEqual(
+          restarted.getStatus(SN).current.last_seen,
+          "2022-03-02T00:00:00.000Z"
+        );
+        assert.strictEqual(events, 0);
+      });
+  });
+});
@@ -0,0 +1,218 @@
+/*
+ * Geofences with enter, exit and dwell events.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var test = require("node:test");
+
+var GeofenceStore = require("../lib/geofences");
+
+var describe = test.describe;
+var it = test.it;
+var beforeEach = test.beforeEach;
+var afterEach = test.afterEach;
+
+var SN = "NQGT2A1B3C4D5E6F";
+var NOW = Date.UTC(2022, 2, 19, 12);
+var MINUTE = 60 * 1000;
+
+/* Praça do Comércio, Lisbon */
+var HOME = { latitude: 38.7076, longitude: -9.1365 };
+/* About 220 m north of it */
+var NEAR = { latitude: 38.7096, longitude: -9.1365 };
+/* Belém, about 6 km west */
+var AWAY = { latitude: 38.6916, longitude: -9.216 };
+
+describe("GeofenceStore", function () {
+  var dir = "";
+  var store = null;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "niu-geofences-"));
+    store = new GeofenceStore({ dir: dir });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it("validates geofence definitions", function () {
+    assert.strictEqual(
+      GeofenceStore.validate({
+        name: "home",
+        type: "circle",
+        center: HOME,
+        radius: 300,
+      }),
+      null
+    );
+    assert.strictEqual(
+      GeofenceStore.validate({ name: "home", type: "circle", center: HOME }),
+      "Invalid radius."
+    );
+    assert.strictEqual(
+      GeofenceStore.validate({
+        name: "campus",
+        type: "polygon",
+        points: [HOME, AWAY],
+      }),
+      "Invalid points, at least 3 coordinates are required."
+    );
+    assert.strictEqual(
+      GeofenceStore.validate({ name: "x", type: "square" }),
+      "Invalid type, use circle or polygon."
+    );
+  });
+
+  it("records enter, dwell and exit of a circle", function () {
+    var fence = null;
+
+    return store
+      .create(SN, {
+        name: "home",
+        type: "circle",
+        center: HOME,
+        radius: 300,
+        dwell: 600,
+      })
+      .then(function (created) {
+        fence = created;
+        return store.recordPosition(SN, AWAY, NOW);
+      })
+      .then(function (events) {
+        assert.deepStrictEqual(events, []);
+        return store.recordPosition(SN, NEAR, NOW + MINUTE);
+      })
+      .then(function (events) {
+        assert.strictEqual(events[0].type, "enter");
+        assert.strictEqual(events[0].fence, fence.id);
+        return store.recordPosition(SN, HOME, NOW + 5 * MINUTE);
+      })
+      .then(function (events) {
+        assert.deepStrictEqual(events, []);
+        return store.recordPosition(SN, HOME, NOW + 11 * MINUTE);
+      })
+      .then(function (events) {
+        assert.strictEqual(events[0].type, "dwell");
+        assert.strictEqual(events[0].duration, 600);
+        return store.recordPosition(SN, HOME, NOW + 20 * MINUTE);
+      })
+      .then(function (events) {
+        assert.deepStrictEqual(events, []);
+        return store.recordPosition(SN, AWAY, NOW + 30 * MINUTE);
+      })
+      .then(function (events) {
+        assert.strictEqual(events[0].type, "exit");
+        assert.strictEqual(events[0].duration, 29 * 60);
+        return store.queryEvents(SN, { from: NOW + 2 * MINUTE });
+      })
+      .then(function (events) {
+        assert.deepStrictEqual(
+          events.map(function (event) {
+            return event.type;
+          }),
+          ["dwell", "exit"]
+        );
+      });
+  });
+
+  it("records leaving a polygon", function () {
+    var emitted = [];
+
+    store.on("event", function (sn, event) {
+      emitted.push(event.type);
+    });
+
+    return store
+      .create(SN, {
+        name: "downtown",
+        type: "polygon",
+        points: [
+          { latitude: 38.7, longitude: -9.15 },
+          { latitude: 38.72, longitude: -9.15 },
+          { latitude: 38.72, longitude: -9.12 },
+          { latitude: 38.7, longitude: -9.12 },
+        ],
+        dwell: 0,
+      })
+      .then(function () {
+        return store.recordPosition(SN, HOME, NOW);
+      })
+      .then(function () {
+        return store.recordPosition(SN, HOME, NOW + 60 * MINUTE);
+      })
+      .then(function () {
+        return store.recordPosition(SN, AWAY, NOW + 61 * MINUTE);
+      })
+      .then(function () {
+        assert.deepStrictEqual(emitted, ["exit"]);
+        return store.queryEvents(SN, { type: "enter" });
+      })
+      .then(function (events) {
+        assert.deepStrictEqual(events, []);
+      });
+  });
+
+  it("skips unparsable events", function () {
+    return store
+      .create(SN, { name: "home", type: "circle", center: HOME, radius: 300 })
+      .then(function () {
+        return store.recordPosition(SN, AWAY, NOW);
+      })
+      .then(function () {
+        return store.recordPosition(SN, HOME, NOW + MINUTE);
+      })
+      .then(function () {
+        fs.appendFileSync(
+          path.join(dir, SN, "events.jsonl"),
+          '{"t":' + (NOW + 2 * MINUTE) + ',"fen\nnull\n'
+        );
+        return store.queryEvents(SN);
+      })
+      .then(function (events) {
+        assert.deepStrictEqual(
+          events.map(function (event) {
+            return event.type;
+          }),
+          ["enter"]
+        );
+      });
+  });
+
+  it("keeps the geofences across restarts", function () {
+    var restarted = new GeofenceStore({ dir: dir });
+    var id = "";
+
+    return store
+      .create(SN, { name: "home", type: "circle", center: HOME, radius: 300 })
+      .then(function (fence) {
+        id = fence.id;
+        return store.update(SN, id, {
+          name: "office",
+          type: "circle",
+          center: AWAY,
+          radius: 100,
+        });
+      })
+      .then(function (fence) {
+        assert.strictEqual(fence.name, "office");
+        assert.strictEqual(fence.dwell, 600);
+        return restarted.load();
+      })
+      .then(function () {
+        assert.strictEqual(restarted.get(SN, id).name, "office");
+        return restarted.remove(SN, id);
+      })
+      .then(function (isRemoved) {
+        assert.strictEqual(isRemoved, true);
+        assert.deepStrictEqual(restarted.list(SN), []);
+        return restarted.remove(SN, id);
+      })
+      .then(function (isRemoved) {
+        assert.strictEqual(isRemoved, false);
+      });
+  });
+});
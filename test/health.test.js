@@ -0,0 +1,153 @@
+/*
+ * Battery health analytics.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var test = require("node:test");
+
+var HealthTracker = require("../lib/health");
+
+var describe = test.describe;
+var it = test.it;
+var beforeEach = test.beforeEach;
+var afterEach = test.afterEach;
+
+var SN = "NQGT2A1B3C4D5E6F";
+var BMS_ID = "BN1GAA0000001";
+var YEAR = 365.25 * 24 * 60 * 60 * 1000;
+var START = Date.UTC(2021, 0, 1);
+
+describe("HealthTracker", function () {
+  var dir = "";
+  var tracker = null;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "niu-health-"));
+    tracker = new HealthTracker({ dir: dir, endOfLifeGrade: 80 });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it("estimates the degradation and the end of life", function () {
+    var analysis = null;
+
+    tracker.observe(BMS_ID, { time: START, chargeCount: 0, grade: 100 });
+    tracker.observe(BMS_ID, {
+      time: START + YEAR / 2,
+      chargeCount: 100,
+      grade: 98,
+    });
+    tracker.observe(BMS_ID, {
+      time: START + YEAR,
+      chargeCount: 200,
+      grade: 96,
+    });
+
+    analysis = tracker.analyze(BMS_ID);
+
+    assert.strictEqual(analysis.grade, 96);
+    assert.strictEqual(analysis.charge_count, 200);
+    assert.strictEqual(analysis.degradation_per_100_cycles, 2);
+    assert.strictEqual(analysis.degradation_per_year, 4);
+    assert.strictEqual(analysis.end_of_life_grade, 80);
+    assert.strictEqual(analysis.end_of_life_cycles, 1000);
+    assert.strictEqual(analysis.remaining_cycles, 800);
+  });
+
+  it("needs observations at different charge counts", function () {
+    var analysis = null;
+
+    tracker.observe(BMS_ID, { time: START, chargeCount: 10, grade: 99 });
+    analysis = tracker.analyze(BMS_ID);
+
+    assert.strictEqual(analysis.grade, 99);
+    assert.strictEqual(analysis.degradation_per_100_cycles, null);
+    assert.strictEqual(analysis.end_of_life_cycles, null);
+    assert.strictEqual(tracker.analyze("unknown").grade, null);
+  });
+
+  it("does not project the end of life of a battery without degradation", function () {
+    tracker.observe(BMS_ID, { time: START, chargeCount: 0, grade: 95 });
+    tracker.observe(BMS_ID, { time: START + 1, chargeCount: 50, grade: 96 });
+
+    assert.strictEqual(tracker.analyze(BMS_ID).end_of_life_cycles, null);
+  });
+
+  it("records health records and battery grades per compartment", function () {
+    var batteries = null;
+
+    tracker.recordUpdate(SN, "health", {
+      batteries: {
+        compartmentA: {
+          bmsId: BMS_ID,
+          healthRecords: [
+            { result: "5.0", chargeCount: "150", time: START + 1 },
+            { result: "2.0", chargeCount: "80", time: START },
+          ],
+        },
+      },
+    });
+    tracker.recordUpdate(SN, "battery", {
+      batteries: {
+        compartmentA: {
+          bmsId: BMS_ID,
+          chargedTimes: "150",
+          gradeBattery: "95",
+        },
+        compartmentB: {
+          bmsId: "BN1GAB0000002",
+          chargedTimes: "198",
+          gradeBattery: "89.0",
+        },
+      },
+    });
+
+    batteries = tracker.analyzeVehicle(SN);
+
+    assert.deepStrictEqual(
+      batteries.map(function (battery) {
+        return battery.compartment;
+      }),
+      ["A", "B"]
+    );
+    assert.deepStrictEqual(
+      batteries[0].observations.map(function (observation) {
+        return [observation.charge_count, observation.grade];
+      }),
+      [
+        [80, 98],
+        [150, 95],
+      ]
+    );
+    assert.strictEqual(batteries[1].grade, 89);
+    assert.deepStrictEqual(tracker.analyzeVehicle("unknown"), []);
+  });
+
+  it("keeps the observations across restarts", function () {
+    var restarted = new HealthTracker({ dir: dir });
+
+    tracker.recordUpdate(SN, "battery", {
+      batteries: {
+        compartmentA: {
+          bmsId: BMS_ID,
+          chargedTimes: "212",
+          gradeBattery: "91.5",
+        },
+      },
+    });
+
+    return tracker
+      .flush()
+      .then(function () {
+        return restarted.load();
+      })
+      .then(function () {
+        assert.strictEqual(restarted.analyze(BMS_ID).charge_count, 212);
+      });
+  });
+});
@@ -0,0 +1,190 @@
+/*
+ * Persistent time series store.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var test = require("node:test");
+
+var HistoryStore = require("../lib/history");
+
+var describe = test.describe;
+var it = test.it;
+var beforeEach = test.beforeEach;
+var afterEach = test.afterEach;
+
+var SN = "NQGT2A1B3C4D5E6F";
+var DAY = 24 * 60 * 60 * 1000;
+var NOW = Date.UTC(2022, 2, 19, 12);
+
+describe("HistoryStore", function () {
+  var dir = "";
+  var store = null;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "niu-history-"));
+    store = new HistoryStore({
+      dir: dir,
+      retentionDays: 30,
+      downsampleAfterDays: 2,
+      downsampleStep: 600,
+    });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it("records the fields of a refreshed data source", function () {
+    return store
+      .recordUpdate(SN, "battery", {
+        batteries: {
+          compartmentA: { batteryCharging: 78 },
+          compartmentB: { batteryCharging: 64 },
+        },
+        estimatedMileage: 71,
+      })
+      .then(function () {
+        return store.query(SN, { metric: "soc" });
+      })
+      .then(function (points) {
+        assert.strictEqual(points.length, 1);
+        assert.strictEqual(points[0].soc_a, 78);
+        assert.strictEqual(points[0].soc_b, 64);
+        assert.strictEqual(points[0].estimated_mileage, undefined);
+      });
+  });
+
+  it("ignores data sources without metrics", function () {
+    return store
+      .recordUpdate(SN, "firmware", { version: "NGT0V03C12" })
+      .then(function () {
+        assert.strictEqual(fs.readdirSync(dir).length, 0);
+      });
+  });
+
+  it("queries a time range", function () {
+    return Promise.all([
+      store.record(SN, { speed: 10 }, NOW - 2 * DAY),
+      store.record(SN, { speed: 20 }, NOW - DAY),
+      store.record(SN, { speed: 30 }, NOW),
+      store.record(SN, { soc_a: 50 }, NOW),
+    ])
+      .then(function () {
+        return store.query(SN, {
+          metric: "speed",
+          from: NOW - DAY - 1000,
+          to: NOW + 1000,
+        });
+      })
+      .then(function (points) {
+        assert.deepStrictEqual(points, [
+          { t: NOW - DAY, speed: 20 },
+          { t: NOW, speed: 30 },
+        ]);
+      });
+  });
+
+  it("averages the values per step", function () {
+    return Promise.all([
+      store.record(SN, { speed: 10 }, NOW),
+      store.record(SN, { speed: 20 }, NOW + 30000),
+      store.record(SN, { speed: 40 }, NOW + 60000),
+    ])
+      .then(function () {
+        return store.query(SN, { metric: "speed", step: 60 });
+      })
+      .then(function (points) {
+        assert.deepStrictEqual(points, [
+          { t: NOW, speed: 15 },
+          { t: NOW + 60000, speed: 40 },
+        ]);
+      });
+  });
+
+  it("averages only the steps with values of the metric", function () {
+    return Promise.all([
+      store.record(SN, { speed: 10 }, NOW),
+      store.record(SN, { soc_a: 50 }, NOW + 60000),
+      store.record(SN, { soc_a: 49, speed: 20 }, NOW + 120000),
+    ])
+      .then(function () {
+        return store.query(SN, { metric: "speed", step: 60 });
+      })
+      .then(function (points) {
+        assert.deepStrictEqual(points, [
+          { t: NOW, speed: 10 },
+          { t: NOW + 120000, speed: 20 },
+        ]);
+      });
+  });
+
+  it("rejects an unknown metric", function () {
+    return assert.rejects(store.query(SN, { metric: "altitude" }));
+  });
+
+  it("deletes expired and downsamples old days", function () {
+    var old = NOW - 5 * DAY;
+
+    return Promise.all([
+      store.record(SN, { speed: 99 }, NOW - 40 * DAY),
+      store.record(SN, { speed: 10 }, old),
+      store.record(SN, { speed: 30 }, old + 60000),
+      store.record(SN, { speed: 50 }, NOW),
+    ])
+      .then(function () {
+        return store.maintain(NOW);
+      })
+      .then(function () {
+        assert.deepStrictEqual(fs.readdirSync(path.join(dir, SN)).sort(), [
+          "2022-03-14.downsampled.jsonl",
+          "2022-03-19.jsonl",
+        ]);
+
+        return store.query(SN, { metric: "speed" });
+      })
+      .then(function (points) {
+        assert.deepStrictEqual(points, [
+          { t: old, speed: 20 },
+          { t: NOW, speed: 50 },
+        ]);
+      });
+  });
+
+  it("merges a day into its former downsampled records", function () {
+    var old = NOW - 5 * DAY;
+
+    fs.mkdirSync(path.join(dir, SN));
+    fs.writeFileSync(
+      path.join(dir, SN, "2022-03-14.downsampled.jsonl"),
+      JSON.stringify({ t: old, speed: 80 }) +
+        "\n" +
+        JSON.stringify({ t: old + 600000, speed: 40 }) +
+        "\n"
+    );
+    fs.writeFileSync(path.join(dir, "notes.txt"), "");
+
+    return Promise.all([
+      store.record(SN, { speed: 10 }, old),
+      store.record(SN, { speed: 30 }, old + 60000),
+    ])
+      .then(function () {
+        return store.maintain(NOW);
+      })
+      .then(function () {
+        assert.deepStrictEqual(fs.readdirSync(path.join(dir, SN)), [
+          "2022-03-14.downsampled.jsonl",
+        ]);
+
+        return store.query(SN, { metric: "speed" });
+      })
+      .then(function (points) {
+        assert.deepStrictEqual(points, [
+          { t: old, speed: 20 },
+          { t: old + 600000, speed: 40 },
+        ]);
+      });
+  });
+});
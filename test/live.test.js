@@ -0,0 +1,128 @@
+/*
+ * Live vehicle state for push subscribers.
+ */
+
+var assert = require("assert");
+var EventEmitter = require("events").EventEmitter;
+var test = require("node:test");
+
+var LiveFeed = require("../lib/live");
+
+var describe = test.describe;
+var it = test.it;
+var beforeEach = test.beforeEach;
+
+var SN = "NQGT2A1B3C4D5E6F";
+var NOW = Date.UTC(2022, 2, 19, 12);
+
+var MOTOR = {
+  nowSpeed: 0,
+  lockStatus: 1,
+  isAccOn: 0,
+  isCharging: 0,
+  isConnected: true,
+  postion: { lat: 38.7076, lng: -9.1365 },
+};
+
+var BATTERY = {
+  batteries: {
+    compartmentA: { batteryCharging: 80 },
+    compartmentB: { batteryCharging: 64 },
+  },
+  estimatedMileage: 71,
+};
+
+describe("LiveFeed", function () {
+  var feed = null;
+  var messages = [];
+
+  beforeEach(function () {
+    feed = new LiveFeed();
+    messages = [];
+  });
+
+  it("sends a snapshot to a new subscriber", function () {
+    feed.recordUpdate(SN, "battery", BATTERY, NOW);
+    feed.subscribe(SN, function (message) {
+      messages.push(message);
+    });
+
+    assert.strictEqual(messages.length, 1);
+    assert.strictEqual(messages[0].type, "snapshot");
+    assert.strictEqual(messages[0].data.sn, SN);
+    assert.strictEqual(messages[0].data.time, new Date(NOW).toISOString());
+    assert.deepStrictEqual(messages[0].data.state.soc, { a: 80, b: 64 });
+    assert.strictEqual(messages[0].data.state.estimated_mileage, 71);
+    assert.strictEqual(messages[0].data.state.speed, null);
+  });
+
+  it("pushes only the changed fields", function () {
+    feed.recordUpdate(SN, "motor", MOTOR, NOW);
+    feed.subscribe(SN, function (message) {
+      messages.push(message);
+    });
+
+    feed.recordUpdate(SN, "motor", MOTOR, NOW + 1000);
+    feed.recordUpdate(
+      SN,
+      "motor",
+      Object.assign({}, MOTOR, { nowSpeed: 23, isAccOn: 1 }),
+      NOW + 2000
+    );
+    feed.recordUpdate(SN, "position", { lat: 38.7096, lng: -9.1365 }, NOW);
+
+    assert.deepStrictEqual(
+      messages.map(function (message) {
+        return message.type;
+      }),
+      ["snapshot", "change", "change"]
+    );
+    assert.deepStrictEqual(messages[1].data.changes, {
+      speed: 23,
+      is_acc_on: true,
+    });
+    assert.deepStrictEqual(messages[2].data.changes, {
+      position: { latitude: 38.7096, longitude: -9.1365 },
+    });
+  });
+
+  it("pushes derived events", function () {
+    feed.subscribe(SN, function (message) {
+      messages.push(message);
+    });
+    feed.subscribe("other", function (message) {
+      messages.push(message);
+    });
+
+    feed.publishEvent(SN, "geofence", { type: "exit", name: "home" });
+
+    assert.strictEqual(messages.length, 3);
+    assert.deepStrictEqual(messages[2], {
+      type: "event",
+      data: {
+        sn: SN,
+        source: "geofence",
+        event: { type: "exit", name: "home" },
+      },
+    });
+  });
+
+  it("stops sending after unsubscribe", function () {
+    var fleet = new EventEmitter();
+    var unsubscribe = feed.subscribe(SN, function (message) {
+      messages.push(message);
+    });
+
+    feed.attach(fleet);
+    fleet.emit("update", SN, "battery", BATTERY);
+
+    assert.strictEqual(feed.getSubscriberCount(SN), 1);
+
+    unsubscribe();
+    fleet.emit("update", SN, "motor", MOTOR);
+
+    assert.strictEqual(feed.getSubscriberCount(SN), 0);
+    assert.strictEqual(messages.length, 2);
+    assert.strictEqual(feed.getState(SN).speed, 0);
+  });
+});
@@ -0,0 +1,123 @@
+/*
+ * Prometheus metrics.
+ */
+
+var assert = require("assert");
+var EventEmitter = require("events");
+var test = require("node:test");
+
+var MetricsCollector = require("../lib/metrics");
+
+var describe = test.describe;
+var it = test.it;
+var beforeEach = test.beforeEach;
+
+var SN = "NQGT2A1B3C4D5E6F";
+
+/**
+ * Create a fleet double with a single vehicle.
+ *
+ * @param {Object} client - Client of the vehicle.
+ *
+ * @returns {EventEmitter} Fleet.
+ */
+var createFleet = function (client) {
+  var fleet = new EventEmitter();
+
+  fleet.list = function () {
+    return [{ sn: SN }];
+  };
+
+  fleet.getClient = function () {
+    return client;
+  };
+
+  return fleet;
+};
+
+describe("MetricsCollector", function () {
+  var fleet = null;
+  var collector = null;
+
+  beforeEach(function () {
+    fleet = createFleet({
+      getStats: function () {
+        return {
+          requests: { "/motoinfo/currentpos": 3 },
+          failures: { 1131: 1 },
+          latency: { buckets: [1, 2, 2, 3, 3, 3, 3], sum: 1.5, count: 3 },
+          cache: {
+            hits: { "/motoinfo/currentpos": 2 },
+            misses: { "/motoinfo/currentpos": 3 },
+            coalesced: {},
+          },
+        };
+      },
+    });
+    collector = new MetricsCollector();
+    collector.attach(fleet);
+  });
+
+  it("renders the gauges of the refreshed data sources", function () {
+    var text = "";
+
+    fleet.emit("update", SN, "battery", {
+      batteries: {
+        compartmentA: { batteryCharging: 78, temperature: 21 },
+        compartmentB: { batteryCharging: 64, temperature: "22" },
+      },
+      estimatedMileage: 71,
+    });
+    fleet.emit("update", SN, "motor", {
+      nowSpeed: 12,
+      gps: 4,
+      gsm: 22,
+      isCharging: 0,
+      lockStatus: 1,
+    });
+    fleet.emit("update", SN, "firmware", { needUpdate: true });
+
+    text = collector.render();
+
+    assert.match(text, /# TYPE niu_battery_soc_percent gauge/);
+    assert.match(
+      text,
+      /niu_battery_soc_percent\{sn="NQGT2A1B3C4D5E6F",compartment="b"\} 64/
+    );
+    assert.match(
+      text,
+      /niu_battery_temperature_celsius\{sn="NQGT2A1B3C4D5E6F",compartment="b"\} 22/
+    );
+    assert.match(text, /niu_estimated_mileage_km\{sn="NQGT2A1B3C4D5E6F"\} 71/);
+    assert.match(text, /niu_speed_kmh\{sn="NQGT2A1B3C4D5E6F"\} 12/);
+    assert.match(text, /niu_gsm_signal\{sn="NQGT2A1B3C4D5E6F"\} 22/);
+    assert.match(
+      text,
+      /niu_firmware_update_available\{sn="NQGT2A1B3C4D5E6F"\} 1/
+    );
+    assert.doesNotMatch(text, /niu_total_mileage_km\{/);
+  });
+
+  it("renders the request statistics of the clients", function () {
+    var text = collector.render();
+
+    assert.match(
+      text,
+      /niu_client_requests_total\{path="\/motoinfo\/currentpos"\} 3/
+    );
+    assert.match(text, /niu_client_request_failures_total\{status="1131"\} 1/);
+    assert.match(
+      text,
+      /niu_client_cache_requests_total\{path="\/motoinfo\/currentpos",result="hit"\} 2/
+    );
+    assert.match(
+      text,
+      /niu_client_request_duration_seconds_bucket\{le="0.25"\} 2/
+    );
+    assert.match(
+      text,
+      /niu_client_request_duration_seconds_bucket\{le="\+Inf"\} 3/
+    );
+    assert.match(text, /niu_client_request_duration_seconds_sum 1.5/);
+  });
+});
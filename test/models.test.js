@@ -0,0 +1,112 @@
+/*
+ * Normalized response models, tested with hand written payloads.
+ */
+
+var assert = require("assert");
+var test = require("node:test");
+
+var models = require("../models");
+
+var describe = test.describe;
+var it = test.it;
+
+describe("models", function () {
+  describe("tracks()", function () {
+    var track = {
+      trackId: "1",
+      startTime: 1647677700000,
+      endTime: 1647678960000,
+      distance: "8450",
+      ridingtime: 21,
+      date: "20220319",
+    };
+
+    it("converts a riding time in min to s", function () {
+      var tracks = models.tracks({ items: [track] });
+
+      assert.strictEqual(tracks[0].duration, 1260);
+      assert.strictEqual(tracks[0].distance, 8450);
+    });
+
+    it("keeps a riding time in s", function () {
+      var tracks = models.tracks({
+        items: [Object.assign({}, track, { ridingtime: 1200 })],
+      });
+
+      assert.strictEqual(tracks[0].duration, 1200);
+    });
+
+    it("sets missing values to null", function () {
+      var tracks = models.tracks({ items: [{ trackId: "2", date: "" }] });
+
+      assert.strictEqual(tracks[0].date, null);
+      assert.strictEqual(tracks[0].startTime, null);
+      assert.strictEqual(tracks[0].duration, null);
+      assert.strictEqual(tracks[0].start, null);
+    });
+
+    it("returns no tracks without items", function () {
+      assert.deepStrictEqual(models.tracks({}), []);
+    });
+  });
+
+  describe("battery()", function () {
+    it("lists a single compartment", function () {
+      var battery = models.battery({
+        isCharging: 1,
+        estimatedMileage: "35.5",
+        batteries: {
+          compartmentA: { batteryCharging: "50", gradeBattery: "" },
+        },
+      });
+
+      assert.strictEqual(battery.isCharging, true);
+      assert.strictEqual(battery.estimatedRange, 35500);
+      assert.strictEqual(battery.compartments.length, 1);
+      assert.strictEqual(battery.compartments[0].id, "A");
+      assert.strictEqual(battery.compartments[0].charge, 50);
+      assert.strictEqual(battery.compartments[0].grade, null);
+    });
+  });
+
+  describe("batteryChart()", function () {
+    it("keeps the compartments apart", function () {
+      var chart = models.batteryChart({
+        isDoubleBattery: true,
+        items1: [{ m: "2.9", b: "96" }],
+        items2: [
+          { m: "0.0", b: "100" },
+          { m: "1.5", b: "98" },
+        ],
+      });
+
+      assert.strictEqual(chart.isDoubleBattery, true);
+      assert.deepStrictEqual(chart.compartments, [
+        { id: "A", points: [{ distance: 2900, charge: 96 }] },
+        {
+          id: "B",
+          points: [
+            { distance: 0, charge: 100 },
+            { distance: 1500, charge: 98 },
+          ],
+        },
+      ]);
+    });
+  });
+
+  describe("firmware()", function () {
+    it("converts the update size to a number", function () {
+      var firmware = models.firmware({
+        version: "NGT0V03C12",
+        nowVersion: "NGT0V03C11",
+        byteSize: "1024",
+        needUpdate: true,
+      });
+
+      assert.strictEqual(firmware.size, 1024);
+      assert.strictEqual(firmware.currentVersion, "NGT0V03C11");
+      assert.strictEqual(firmware.isUpdateNeeded, true);
+      assert.strictEqual(firmware.date, null);
+    });
+  });
+});
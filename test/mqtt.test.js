@@ -0,0 +1,185 @@
+/*
+ * MQTT publisher, tested against a local broker.
+ */
+
+var assert = require("assert");
+var EventEmitter = require("events");
+var net = require("net");
+var test = require("node:test");
+
+var aedes = require("aedes");
+var mqtt = require("mqtt");
+
+var MqttPublisher = require("../lib/mqtt");
+
+var describe = test.describe;
+var it = test.it;
+var before = test.before;
+var after = test.after;
+
+var SN = "NQGT2A1B3C4D5E6F";
+
+/**
+ * Create a fleet double with a single vehicle.
+ *
+ * @param {Object} vehicle - Vehicle, as received by getVehicles().
+ *
+ * @returns {EventEmitter} Fleet.
+ */
+var createFleet = function (vehicle) {
+  var fleet = new EventEmitter();
+
+  fleet.list = function () {
+    return [vehicle];
+  };
+
+  return fleet;
+};
+
+describe("MqttPublisher", function () {
+  var broker = aedes();
+  var server = net.createServer(broker.handle);
+  var url = "";
+  var subscriber = null;
+  var messages = {};
+  var fleet = createFleet({
+    sn: SN,
+    name: "Commuter",
+    type: "NGT  Black with Red Stripes",
+    isDoubleBattery: false,
+  });
+  var publisher = null;
+
+  /**
+   * Wait until a message was received on a topic.
+   *
+   * @param {string} topic - Topic.
+   *
+   * @returns {Promise} Payload as string.
+   */
+  var waitFor = function (topic) {
+    return new Promise(function (resolve) {
+      var check = function () {
+        if (messages.hasOwnProperty(topic)) {
+          resolve(messages[topic]);
+          return;
+        }
+
+        setTimeout(check, 10);
+      };
+
+      check();
+    });
+  };
+
+  before(function () {
+    return new Promise(function (resolve) {
+      server.listen(0, "127.0.0.1", resolve);
+    })
+      .then(function () {
+        url = "mqtt://127.0.0.1:" + server.address().port;
+        subscriber = mqtt.connect(url);
+
+        subscriber.on("message", function (topic, payload) {
+          messages[topic] = payload.toString();
+        });
+
+        return subscriber.subscribeAsync(["niu/#", "homeassistant/#"]);
+      })
+      .then(function () {
+        publisher = new MqttPublisher({ url: url });
+        publisher.attach(fleet);
+
+        return publisher.start();
+      });
+  });
+
+  after(function () {
+    return publisher
+      .stop()
+      .then(function () {
+        return subscriber.endAsync();
+      })
+      .then(function () {
+        return new Promise(function (resolve) {
+          broker.close(function () {
+            server.close(resolve);
+          });
+        });
+      });
+  });
+
+  it("publishes the availability", function () {
+    return waitFor("niu/status").then(function (payload) {
+      assert.strictEqual(payload, "online");
+    });
+  });
+
+  it("publishes the state per serial number", function () {
+    fleet.emit("update", SN, "motor", { nowSpeed: 23, isCharging: 0 });
+    fleet.emit("update", SN, "tally", { totalMileage: 4321.7 });
+
+    return waitFor("niu/" + SN + "/motor").then(function (payload) {
+      assert.deepStrictEqual(JSON.parse(payload), {
+        nowSpeed: 23,
+        isCharging: 0,
+      });
+      assert.ok(!messages.hasOwnProperty("niu/" + SN + "/tally"));
+    });
+  });
+
+  it("announces sensors to Home Assistant", function () {
+    return waitFor("homeassistant/sensor/" + SN + "/soc_a/config").then(
+      function (payload) {
+        var config = JSON.parse(payload);
+
+        assert.strictEqual(config.unique_id, "niu_" + SN + "_soc_a");
+        assert.strictEqual(config.state_topic, "niu/" + SN + "/battery");
+        assert.strictEqual(config.unit_of_measurement, "%");
+        assert.strictEqual(config.device.name, "Commuter");
+        assert.strictEqual(config.device.model, "NGT  Black with Red Stripes");
+        assert.ok(
+          !messages.hasOwnProperty(
+            "homeassistant/sensor/" + SN + "/soc_b/config"
+          )
+        );
+      }
+    );
+  });
+
+  it("announces a device tracker fed by the position", function () {
+    fleet.emit("update", SN, "position", { lat: 38.722252, lng: -9.139337 });
+
+    return Promise.all([
+      waitFor("homeassistant/device_tracker/" + SN + "/config"),
+      waitFor("niu/" + SN + "/position"),
+    ]).then(function (payloads) {
+      var config = JSON.parse(payloads[0]);
+
+      assert.strictEqual(
+        config.json_attributes_topic,
+        "niu/" + SN + "/position"
+      );
+      assert.strictEqual(config.source_type, "gps");
+      assert.strictEqual(JSON.parse(payloads[1]).lat, 38.722252);
+    });
+  });
+
+  it("rejects the start if the broker is unreachable", function () {
+    var unreachable = new MqttPublisher({ url: "mqtt://127.0.0.1:1" });
+
+    return unreachable
+      .start()
+      .then(
+        function () {
+          assert.fail("Connected to an unreachable broker.");
+        },
+        function (error) {
+          assert.strictEqual(error.code, "ECONNREFUSED");
+        }
+      )
+      .then(function () {
+        return unreachable.stop();
+      });
+  });
+});
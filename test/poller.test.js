@@ -0,0 +1,176 @@
+/*
+ * Background polling, tested against the mock NIU cloud.
+ */
+
+var assert = require("assert");
+var test = require("node:test");
+
+var api = require("../api");
+var MockServer = require("../mock/server");
+var Poller = require("../lib/poller");
+var sources = require("../lib/sources");
+
+var describe = test.describe;
+var it = test.it;
+var before = test.before;
+var after = test.after;
+var beforeEach = test.beforeEach;
+
+var SN = "NQGT2A1B3C4D5E6F";
+
+describe("Poller", function () {
+  var mock = new MockServer();
+  var client = null;
+  var poller = null;
+
+  before(function () {
+    return mock.listen().then(function (url) {
+      client = new api.Client({
+        accountBaseUrl: url,
+        appApiBaseUrl: url,
+      });
+
+      return client.createSessionToken(mock.credentials);
+    });
+  });
+
+  after(function () {
+    return mock.close();
+  });
+
+  beforeEach(function () {
+    mock.reset();
+
+    if (null !== poller) {
+      poller.stop();
+    }
+
+    poller = new Poller({
+      client: client,
+      sn: SN,
+      data: sources.createData({ sn: SN }),
+      sources: [sources.position, sources.battery],
+      intervals: { position: 0.05 },
+    });
+  });
+
+  it("fetches every source at start", function () {
+    return poller.start().then(function () {
+      poller.stop();
+
+      assert.strictEqual(poller.data.position.latitude, 38.722252);
+      assert.strictEqual(poller.data.battery.estimated_milage, 71);
+      assert.ok(poller.lastUpdated.position instanceof Date);
+      assert.ok(poller.lastUpdated.battery instanceof Date);
+    });
+  });
+
+  it("refreshes a source on its interval", function () {
+    return poller
+      .start()
+      .then(function () {
+        return new Promise(function (resolve) {
+          setTimeout(resolve, 180);
+        });
+      })
+      .then(function () {
+        poller.stop();
+
+        assert.ok(1 < mock.getRequests("/motoinfo/currentpos").length);
+        assert.strictEqual(
+          mock.getRequests("/v3/motor_data/battery_info").length,
+          1
+        );
+      });
+  });
+
+  it("keeps the last good value on failure", function () {
+    var updates = [];
+    var failures = [];
+
+    poller.on("update", function (name) {
+      updates.push(name);
+    });
+
+    poller.on("failure", function (name) {
+      failures.push(name);
+    });
+
+    return poller
+      .start()
+      .then(function () {
+        mock.respondWith("/motoinfo/currentpos", {
+          status: 1,
+          desc: "Vehicle offline",
+          trace: "Vehicle offline",
+        });
+
+        return new Promise(function (resolve) {
+          poller.once("failure", resolve);
+        });
+      })
+      .then(function () {
+        var json = poller.toJSON();
+
+        poller.stop();
+
+        assert.strictEqual(poller.data.position.latitude, 38.722252);
+        assert.strictEqual(json.last_error.position.message, "Vehicle offline");
+        assert.ok(json.last_updated.position);
+        assert.deepStrictEqual(failures, ["position"]);
+        assert.ok(-1 !== updates.indexOf("battery"));
+      });
+  });
+
+  it("uses the source default without configured interval", function () {
+    assert.strictEqual(poller.getInterval(sources.position), 0.05);
+    assert.strictEqual(poller.getInterval(sources.battery), 300);
+  });
+
+  it("fetches a source immediately with an overridden interval", function () {
+    return poller
+      .start()
+      .then(function () {
+        poller.setOverrides({ battery: 0.05 });
+
+        assert.strictEqual(poller.getInterval(sources.battery), 0.05);
+
+        return new Promise(function (resolve) {
+          setTimeout(resolve, 80);
+        });
+      })
+      .then(function () {
+        poller.setOverrides(null);
+        poller.stop();
+
+        assert.ok(2 <= mock.getRequests("/v3/motor_data/battery_info").length);
+        assert.strictEqual(poller.getInterval(sources.battery), 300);
+      });
+  });
+
+  it("adds the update info to an available firmware update", function () {
+    return sources.firmware
+      .fetch(client, SN)
+      .then(function (result) {
+        assert.strictEqual(result.result.updateInfo, undefined);
+        assert.strictEqual(
+          mock.getRequests("/motorota/getupdateinfo").length,
+          0
+        );
+
+        mock.respondWith("/motorota/getfirmwareversion", {
+          data: {
+            nowVersion: "NGT0V03C11",
+            version: "NGT0V03C12",
+            needUpdate: true,
+          },
+        });
+
+        return sources.firmware.fetch(client, SN);
+      })
+      .then(function (result) {
+        assert.strictEqual(result.result.version, "NGT0V03C12");
+        assert.strictEqual(result.result.updateInfo.csq, 22);
+      });
+  });
+});
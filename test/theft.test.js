@@ -0,0 +1,171 @@
+/*
+ * Theft and unexpected movement detection.
+ */
+
+var assert = require("assert");
+var EventEmitter = require("events").EventEmitter;
+var test = require("node:test");
+
+var TheftDetector = require("../lib/theft");
+
+var describe = test.describe;
+var it = test.it;
+var beforeEach = test.beforeEach;
+
+var SN = "NQGT2A1B3C4D5E6F";
+var NOW = Date.UTC(2022, 2, 19, 12);
+var MINUTE = 60 * 1000;
+
+/**
+ * Build motor info as received by getMotorInfo().
+ *
+ * @param {Object} [fields] - Overwritten fields.
+ *
+ * @returns {Object} Motor info.
+ */
+var motor = function (fields) {
+  return Object.assign(
+    {
+      lockStatus: 0,
+      isAccOn: 0,
+      nowSpeed: 0,
+      hdop: 1,
+      postion: { lat: 38.7076, lng: -9.1365 },
+    },
+    fields
+  );
+};
+
+/**
+ * Build a position as received by getVehiclePos().
+ *
+ * @param {number} latitude     - Latitude.
+ * @param {number} longitude    - Longitude.
+ * @param {number} [precision]  - GPS precision, default is 1.
+ *
+ * @returns {Object} Position.
+ */
+var position = function (latitude, longitude, precision) {
+  return {
+    lat: latitude,
+    lng: longitude,
+    gpsPrecision: "number" === typeof precision ? precision : 1,
+  };
+};
+
+describe("TheftDetector", function () {
+  var detector = null;
+  var alarms = [];
+  var clears = [];
+
+  beforeEach(function () {
+    alarms = [];
+    clears = [];
+    detector = new TheftDetector();
+
+    detector.on("alarm", function (sn, event) {
+      alarms.push(event);
+    });
+
+    detector.on("clear", function (sn, event) {
+      clears.push(event);
+    });
+  });
+
+  it("ignores GPS noise of a parked vehicle", function () {
+    detector.recordUpdate(SN, "motor", motor(), NOW);
+    /* About 20 m north */
+    detector.recordUpdate(SN, "position", position(38.7078, -9.1365), NOW);
+    /* About 45 m north, but with poor precision */
+    detector.recordUpdate(SN, "position", position(38.708, -9.1365, 4), NOW);
+
+    assert.deepStrictEqual(alarms, []);
+    assert.strictEqual(detector.getStatus(SN).is_parked, true);
+  });
+
+  it("raises an alarm when a parked vehicle moves", function () {
+    detector.recordUpdate(SN, "motor", motor(), NOW);
+    /* About 220 m north */
+    detector.recordUpdate(SN, "position", position(38.7096, -9.1365), NOW);
+
+    assert.strictEqual(alarms.length, 1);
+    assert.strictEqual(alarms[0].reason, "moved");
+    assert.strictEqual(alarms[0].priority, "high");
+    assert.strictEqual(alarms[0].latitude, 38.7096);
+    assert.ok(200 < alarms[0].distance && 250 > alarms[0].distance);
+    assert.strictEqual(detector.getStatus(SN).alarm, alarms[0]);
+
+    /* Further movement keeps the same alarm */
+    detector.recordUpdate(SN, "position", position(38.7116, -9.1365), NOW);
+
+    assert.strictEqual(alarms.length, 1);
+  });
+
+  it("raises an alarm when a locked vehicle reports speed", function () {
+    detector.recordUpdate(SN, "motor", motor({ nowSpeed: 18 }), NOW);
+
+    assert.strictEqual(alarms.length, 1);
+    assert.strictEqual(alarms[0].reason, "speed");
+    assert.strictEqual(alarms[0].speed, 18);
+  });
+
+  it("doesn't watch an unlocked vehicle", function () {
+    detector.recordUpdate(SN, "motor", motor({ isAccOn: 1 }), NOW);
+    detector.recordUpdate(SN, "position", position(38.7096, -9.1365), NOW);
+    detector.recordUpdate(
+      SN,
+      "motor",
+      motor({ lockStatus: 1, nowSpeed: 25 }),
+      NOW
+    );
+
+    assert.deepStrictEqual(alarms, []);
+    assert.strictEqual(detector.getStatus(SN).is_parked, false);
+  });
+
+  it("clears the alarm after unlocking or the timeout", function () {
+    detector.recordUpdate(SN, "motor", motor({ nowSpeed: 18 }), NOW);
+    detector.recordUpdate(SN, "motor", motor({ lockStatus: 1 }), NOW);
+
+    assert.strictEqual(clears.length, 1);
+    assert.strictEqual(clears[0].reason, "unlocked");
+    assert.strictEqual(detector.getStatus(SN).alarm, null);
+
+    detector.recordUpdate(SN, "motor", motor({ nowSpeed: 18 }), NOW);
+    detector.recordUpdate(SN, "motor", motor(), NOW + 30 * MINUTE);
+    detector.recordUpdate(SN, "motor", motor(), NOW + 61 * MINUTE);
+
+    assert.strictEqual(alarms.length, 2);
+    assert.strictEqual(clears.length, 2);
+    assert.strictEqual(clears[1].reason, "timeout");
+    assert.deepStrictEqual(
+      detector.getStatus(SN).events.map(function (event) {
+        return event.type;
+      }),
+      ["clear", "alarm", "clear", "alarm"]
+    );
+  });
+
+  it("polls the vehicle fast during an alarm", function () {
+    var fleet = new EventEmitter();
+    var overrides = [];
+
+    fleet.get = function (sn) {
+      return SN === sn
+        ? {
+            setOverrides: function (value) {
+              overrides.push(value);
+            },
+          }
+        : null;
+    };
+
+    detector = new TheftDetector({ fastInterval: 5 });
+    detector.attach(fleet);
+
+    fleet.emit("update", SN, "motor", motor({ nowSpeed: 18 }));
+    fleet.emit("update", SN, "motor", motor({ lockStatus: 1 }));
+
+    assert.deepStrictEqual(overrides, [{ position: 5, motor: 5 }, null]);
+  });
+});
@@ -0,0 +1,165 @@
+/*
+ * Recorded tracks, tested against the mock NIU cloud.
+ */
+
+var assert = require("assert");
+var test = require("node:test");
+
+var api = require("../api");
+var MockServer = require("../mock/server");
+var tracks = require("../lib/tracks");
+
+var describe = test.describe;
+var it = test.it;
+var before = test.before;
+var after = test.after;
+
+var SN = "NQGT2A1B3C4D5E6F";
+
+var getIds = function (items) {
+  return items.map(function (track) {
+    return track.trackId;
+  });
+};
+
+describe("tracks", function () {
+  var mock = new MockServer();
+  var client = null;
+  var upstreamPageSize = tracks.UPSTREAM_PAGE_SIZE;
+
+  before(function () {
+    /* Small upstream pages, to walk through several of them. */
+    tracks.UPSTREAM_PAGE_SIZE = 4;
+
+    return mock.listen().then(function (url) {
+      client = new api.Client({
+        accountBaseUrl: url,
+        appApiBaseUrl: url,
+      });
+
+      return client.createSessionToken(mock.credentials);
+    });
+  });
+
+  after(function () {
+    tracks.UPSTREAM_PAGE_SIZE = upstreamPageSize;
+
+    return mock.close();
+  });
+
+  describe("list()", function () {
+    it("pages through all tracks", function () {
+      return Promise.all([
+        tracks.list(client, SN, { page: 1, pageSize: 5 }),
+        tracks.list(client, SN, { page: 2, pageSize: 5 }),
+      ]).then(function (pages) {
+        assert.strictEqual(pages[0].items.length, 5);
+        assert.strictEqual(pages[0].hasMore, true);
+        assert.deepStrictEqual(getIds(pages[1].items), ["2021122406"]);
+        assert.strictEqual(pages[1].hasMore, false);
+        assert.strictEqual(pages[1].isTruncated, false);
+      });
+    });
+
+    it("filters by start time", function () {
+      return tracks
+        .list(client, SN, {
+          from: Date.UTC(2022, 0, 1),
+          to: Date.UTC(2022, 2, 1),
+        })
+        .then(function (page) {
+          assert.deepStrictEqual(getIds(page.items), [
+            "2022021404",
+            "2022012005",
+          ]);
+        });
+    });
+
+    it("stops walking at the start of the range", function () {
+      mock.reset();
+
+      return tracks
+        .list(client, SN, { from: Date.UTC(2022, 2, 18) })
+        .then(function (page) {
+          assert.strictEqual(page.items.length, 2);
+          assert.strictEqual(mock.getRequests("/v5/track/list/v2").length, 1);
+        });
+    });
+
+    it("stops walking after the maximum number of pages", function () {
+      var maxListPages = tracks.MAX_LIST_PAGES;
+
+      mock.reset();
+      tracks.MAX_LIST_PAGES = 1;
+
+      return tracks
+        .list(client, SN, { from: Date.UTC(2021, 0, 1) })
+        .then(function (page) {
+          assert.strictEqual(page.items.length, 4);
+          assert.strictEqual(page.isTruncated, true);
+          assert.strictEqual(mock.getRequests("/v5/track/list/v2").length, 1);
+        })
+        .finally(function () {
+          tracks.MAX_LIST_PAGES = maxListPages;
+        });
+    });
+  });
+
+  describe("getDetail()", function () {
+    it("derives the track date from the summary", function () {
+      mock.reset();
+
+      return tracks.getDetail(client, SN, "2022012005").then(function (result) {
+        assert.strictEqual(result.track.trackId, "2022012005");
+        assert.strictEqual(
+          mock.getRequests("/v5/track/detail")[0].body.date,
+          "20220120"
+        );
+        assert.strictEqual(result.detail.trackItems.length, 6);
+      });
+    });
+
+    it("resolves null for an unknown track", function () {
+      return tracks.getDetail(client, SN, "unknown").then(function (result) {
+        assert.strictEqual(result, null);
+      });
+    });
+
+    it("stops searching after the maximum number of pages", function () {
+      var maxFindPages = tracks.MAX_FIND_PAGES;
+
+      mock.reset();
+      tracks.MAX_FIND_PAGES = 1;
+
+      return tracks
+        .getDetail(client, SN, "2021122406")
+        .then(function (result) {
+          assert.strictEqual(result, null);
+          assert.strictEqual(mock.getRequests("/v5/track/list/v2").length, 1);
+        })
+        .finally(function () {
+          tracks.MAX_FIND_PAGES = maxFindPages;
+        });
+    });
+  });
+
+  describe("getDate()", function () {
+    it("falls back to the start time", function () {
+      assert.strictEqual(
+        tracks.getDate({ startTime: Date.UTC(2022, 2, 5, 23, 30) }),
+        "20220305"
+      );
+    });
+  });
+
+  describe("getPoints()", function () {
+    it("orders the points chronologically", function () {
+      assert.deepStrictEqual(
+        tracks.getPoints({
+          trackItems: [{ date: 3 }, { date: 2 }, { date: 1 }],
+        }),
+        [{ date: 1 }, { date: 2 }, { date: 3 }]
+      );
+    });
+  });
+});
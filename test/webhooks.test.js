@@ -0,0 +1,146 @@
+/*
+ * Webhook delivery, tested against a local HTTP server.
+ */
+
+var assert = require("assert");
+var http = require("http");
+var test = require("node:test");
+
+var WebhookDispatcher = require("../lib/webhooks");
+
+var describe = test.describe;
+var it = test.it;
+var before = test.before;
+var after = test.after;
+var beforeEach = test.beforeEach;
+
+var PAYLOAD = { id: "1", rule: "low", sn: "NQGT2A1B3C4D5E6F", value: 18 };
+
+describe("WebhookDispatcher", function () {
+  var received = [];
+  var failures = 0;
+  var server = http.createServer(function (req, res) {
+    var body = "";
+
+    req.setEncoding("utf8");
+    req.on("data", function (chunk) {
+      body += chunk;
+    });
+    req.on("end", function () {
+      received.push({ headers: req.headers, body: body });
+
+      if (0 < failures) {
+        --failures;
+        res.statusCode = 500;
+      }
+
+      res.end();
+    });
+  });
+  var url = "";
+
+  before(function () {
+    return new Promise(function (resolve) {
+      server.listen(0, "127.0.0.1", function () {
+        url = "http://127.0.0.1:" + server.address().port + "/hook";
+        resolve();
+      });
+    });
+  });
+
+  after(function () {
+    return new Promise(function (resolve) {
+      server.close(resolve);
+    });
+  });
+
+  beforeEach(function () {
+    received = [];
+    failures = 0;
+  });
+
+  it("posts a signed JSON payload", function () {
+    var dispatcher = new WebhookDispatcher({
+      webhooks: [{ url: url, secret: "s3cret" }],
+    });
+
+    return dispatcher.deliver(PAYLOAD).then(function (deliveries) {
+      assert.strictEqual(deliveries[0].status, "delivered");
+      assert.strictEqual(received.length, 1);
+      assert.deepStrictEqual(JSON.parse(received[0].body), PAYLOAD);
+      assert.strictEqual(
+        received[0].headers["x-niu-signature"],
+        WebhookDispatcher.sign("s3cret", received[0].body)
+      );
+      assert.strictEqual(
+        received[0].headers["x-niu-delivery"],
+        deliveries[0].id
+      );
+    });
+  });
+
+  it("retries a failed delivery", function () {
+    var dispatcher = new WebhookDispatcher({
+      webhooks: [{ url: url }],
+      retries: 2,
+      retryDelay: 0.01,
+    });
+
+    failures = 2;
+
+    return dispatcher.deliver(PAYLOAD).then(function (deliveries) {
+      assert.strictEqual(deliveries[0].status, "delivered");
+      assert.strictEqual(deliveries[0].attempts, 3);
+      assert.strictEqual(received.length, 3);
+    });
+  });
+
+  it("logs finally failed deliveries", function () {
+    var dispatcher = new WebhookDispatcher({
+      webhooks: [{ url: url }],
+      retries: 1,
+      retryDelay: 0.01,
+    });
+
+    failures = 5;
+
+    return dispatcher
+      .deliver(PAYLOAD)
+      .then(function () {
+        return dispatcher.deliver(Object.assign({}, PAYLOAD, { rule: "x" }));
+      })
+      .then(function () {
+        var failed = dispatcher.getDeliveries({ status: "failed" });
+
+        assert.strictEqual(failed.length, 2);
+        assert.strictEqual(failed[0].payload.rule, "x");
+        assert.strictEqual(failed[0].status_code, 500);
+        assert.strictEqual(failed[0].attempts, 2);
+        assert.strictEqual(dispatcher.getDeliveries({ rule: "low" }).length, 1);
+        assert.strictEqual(dispatcher.getDeliveries({ limit: 1 }).length, 1);
+      });
+  });
+
+  it("cancels pending retries", function () {
+    var dispatcher = new WebhookDispatcher({
+      webhooks: [{ url: url }],
+      retryDelay: 60,
+    });
+    var pending = null;
+
+    failures = 1;
+    pending = dispatcher.deliver(PAYLOAD);
+
+    return new Promise(function (resolve) {
+      setTimeout(resolve, 100);
+    })
+      .then(function () {
+        dispatcher.stop();
+        return pending;
+      })
+      .then(function (deliveries) {
+        assert.strictEqual(deliveries[0].status, "failed");
+        assert.strictEqual(deliveries[0].error, "Cancelled.");
+      });
+  });
+});